@@ -3,6 +3,12 @@ const dotenv = require("dotenv");
 // Load environment variables
 dotenv.config();
 
+// Provider and model for one LLM feature, from LLM_<FEATURE>_PROVIDER / LLM_<FEATURE>_MODEL
+const llmFeature = (name) => ({
+  provider: process.env[`LLM_${name}_PROVIDER`] || null,
+  model: process.env[`LLM_${name}_MODEL`] || null,
+});
+
 const config = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || "development",
@@ -17,6 +23,26 @@ const config = {
     apiKey: process.env.OPENAI_API_KEY,
   },
 
+  // Language model providers: "openai", "openai_compatible" (a local llama.cpp / Ollama / vLLM server speaking
+  // the OpenAI API) or "mock" (offline and deterministic). Each feature can use its own provider and model;
+  // unset, it uses LLM_PROVIDER and the model the calling code asks for.
+  llm: {
+    provider: process.env.LLM_PROVIDER || "openai",
+    compatible: {
+      baseUrl: process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+      apiKey: process.env.LLM_API_KEY || "",
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+    },
+    features: {
+      chat: llmFeature("CHAT"),
+      functions: llmFeature("FUNCTIONS"),
+      vision: llmFeature("VISION"),
+      embeddings: llmFeature("EMBEDDINGS"),
+      transcription: llmFeature("TRANSCRIPTION"),
+      speech: llmFeature("SPEECH"),
+    },
+  },
+
   // Google Veo 3 Video Generation API Configuration
   veo3: {
     // Recommended: Kie.ai for cost optimization ($0.05/sec vs $0.75/sec)
@@ -46,6 +72,25 @@ const config = {
     db: parseInt(process.env.REDIS_DB) || 0,
   },
 
+  // Background job that posts due recurring transactions into earnings
+  recurringScheduler: {
+    enabled: process.env.RECURRING_SCHEDULER_ENABLED !== "false",
+    intervalMs: parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+
+  // Background check that alerts users to batches nearing or past expiry
+  expiryAlerts: {
+    enabled: process.env.EXPIRY_ALERTS_ENABLED !== "false",
+    intervalMs: parseInt(process.env.EXPIRY_ALERTS_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    days: parseInt(process.env.EXPIRY_ALERT_DAYS) || 30,
+  },
+
+  // Corrections to the stock ledger
+  stockCorrections: {
+    // How long after a voice command "undo" can still take it back
+    undoWindowMinutes: parseInt(process.env.VOICE_UNDO_WINDOW_MINUTES) || 10,
+  },
+
   cors: {
     origin: process.env.CORS_ORIGIN || ["http://localhost:5173", "http://localhost:5174", "http://localhost:5175", "http://localhost:3000"],
   },
@@ -55,10 +100,14 @@ const config = {
 const requiredEnvVars = [
   "SUPABASE_URL",
   "SUPABASE_ANON_KEY",
-  "OPENAI_API_KEY",
   "JWT_SECRET",
 ];
 
+// An OpenAI key is only needed when some feature is served by OpenAI itself
+const usesOpenAI = [config.llm.provider, ...Object.values(config.llm.features).map((f) => f.provider)]
+  .some((provider) => provider === "openai");
+if (usesOpenAI) requiredEnvVars.push("OPENAI_API_KEY");
+
 const missingEnvVars = requiredEnvVars.filter((envVar) => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
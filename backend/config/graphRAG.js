@@ -105,6 +105,18 @@ class ContextPruner {
     );
   }
 
+  // Facts the user pinned from the knowledge explorer; they are kept whatever their score or the budget
+  isPinned(item) {
+    return item?.pinned === true;
+  }
+
+  splitPinned(items) {
+    return {
+      pinned: items.filter((item) => this.isPinned(item)),
+      unpinned: items.filter((item) => !this.isPinned(item)),
+    };
+  }
+
   // Intelligent entity clustering to reduce duplicates
   clusterSimilarEntities(entities, similarityThreshold = 0.8) {
     const clusters = [];
@@ -131,10 +143,13 @@ class ContextPruner {
         }
       });
 
-      // Keep the highest confidence entity from each cluster
-      const bestEntity = cluster.reduce((best, current) =>
-        (current.confidence || 0) > (best.confidence || 0) ? current : best
-      );
+      // Keep the pinned or else the highest confidence entity from each cluster
+      const bestEntity = cluster.reduce((best, current) => {
+        if (this.isPinned(current) !== this.isPinned(best)) {
+          return this.isPinned(current) ? current : best;
+        }
+        return (current.confidence || 0) > (best.confidence || 0) ? current : best;
+      });
 
       clusters.push(bestEntity);
     });
@@ -261,7 +276,9 @@ class GraphRAG {
     };
   }
 
-  // Enhanced entity extraction with deduplication and ranking
+  // Keyword entity extraction with deduplication and ranking. Used to match queries against stored
+  // knowledge; conversation turns and documents are extracted by knowledgeExtractionService, which falls
+  // back to this when no model is available.
   extractEntities(text, userProfile = {}) {
     const entities = [];
     const extractedTerms = new Set(); // Prevent duplicates
@@ -535,21 +552,23 @@ class GraphRAG {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      // Delete old entities with low confidence
+      // Delete old entities with low confidence (pinned ones are kept)
       await supabase
         .from("knowledge_entities")
         .delete()
         .eq("user_id", userId)
         .lt("created_at", cutoffDate.toISOString())
-        .lt("confidence", 0.3);
+        .lt("confidence", 0.3)
+        .not("pinned", "is", true);
 
-      // Delete old weak relationships
+      // Delete old weak relationships (pinned ones are kept)
       await supabase
         .from("knowledge_relationships")
         .delete()
         .eq("user_id", userId)
         .lt("created_at", cutoffDate.toISOString())
-        .lt("strength", 0.4);
+        .lt("strength", 0.4)
+        .not("pinned", "is", true);
 
       console.log(`[Graph RAG] Cleaned up old knowledge for user ${userId}`);
     } catch (error) {
@@ -606,11 +625,14 @@ class GraphRAG {
         .order("strength", { ascending: false })
         .limit(30);
 
+      // Pinned facts come along whatever their confidence
+      const pinned = await this.loadPinnedKnowledge(userId);
+
       // Apply intelligent pruning and clustering
       const relevantKnowledge = this.findOptimizedRelevantKnowledge(
         queryEntities,
-        storedEntities || [],
-        storedRelationships || [],
+        this.withoutDuplicates([...pinned.entities, ...(storedEntities || [])]),
+        this.withoutDuplicates([...pinned.relationships, ...(storedRelationships || [])]),
         queryTerms,
         currentTime
       );
@@ -640,6 +662,37 @@ class GraphRAG {
     }
   }
 
+  // Entities and relationships the user pinned in the knowledge explorer
+  async loadPinnedKnowledge(userId) {
+    const supabase = this.getSupabaseClient();
+    const [{ data: entities }, { data: relationships }] = await Promise.all([
+      supabase
+        .from("knowledge_entities")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("pinned", true)
+        .limit(50),
+      supabase
+        .from("knowledge_relationships")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("pinned", true)
+        .limit(50),
+    ]);
+    return { entities: entities || [], relationships: relationships || [] };
+  }
+
+  // Rows fetched twice (pinned and by score) only once
+  withoutDuplicates(rows) {
+    const seen = new Set();
+    return rows.filter((row) => {
+      if (!row.id) return true;
+      if (seen.has(row.id)) return false;
+      seen.add(row.id);
+      return true;
+    });
+  }
+
   // Advanced knowledge finding with token optimization
   findOptimizedRelevantKnowledge(
     queryEntities,
@@ -667,8 +720,16 @@ class GraphRAG {
     const clusteredEntities =
       this.contextPruner.clusterSimilarEntities(scoredEntities);
 
+    // Pinned entities are always kept and counted against the budget first
+    const { pinned: pinnedEntities, unpinned: otherEntities } =
+      this.contextPruner.splitPinned(clusteredEntities);
+    pinnedEntities.forEach((entity) => {
+      relevantEntities.push(entity);
+      currentTokenCount += entity.tokenCost;
+    });
+
     // Select entities within token budget
-    clusteredEntities
+    otherEntities
       .sort((a, b) => b.relevanceScore - a.relevanceScore)
       .forEach((entity) => {
         if (
@@ -680,10 +741,11 @@ class GraphRAG {
         }
       });
 
-    // Find relevant relationships for selected entities
+    // Find relevant relationships for selected entities; pinned ones are kept regardless
     const entityNames = relevantEntities.map((e) => e.entity_name || e.entity);
     const candidateRelationships = storedRelationships.filter(
       (rel) =>
+        this.contextPruner.isPinned(rel) ||
         entityNames.includes(rel.from_entity) ||
         entityNames.includes(rel.to_entity)
     );
@@ -694,18 +756,28 @@ class GraphRAG {
         ...rel,
         tokenCost: this.tokenOptimizer.calculateRelationshipTokenCost(rel),
       }))
-      .sort((a, b) => b.strength - a.strength)
+      .sort(
+        (a, b) =>
+          this.contextPruner.isPinned(b) - this.contextPruner.isPinned(a) ||
+          b.strength - a.strength
+      )
       .forEach((rel) => {
-        if (currentTokenCount + rel.tokenCost <= this.MAX_CONTEXT_TOKENS) {
+        if (
+          this.contextPruner.isPinned(rel) ||
+          currentTokenCount + rel.tokenCost <= this.MAX_CONTEXT_TOKENS
+        ) {
           relevantRelationships.push(rel);
           currentTokenCount += rel.tokenCost;
         }
       });
 
-    // Build optimized context string
+    // Build optimized context string (pinned facts are at the front, so the limits never drop them)
     const context = this.buildOptimizedContextString(
-      relevantEntities.slice(0, 10), // Limit entities
-      relevantRelationships.slice(0, 8) // Limit relationships
+      relevantEntities.slice(0, Math.max(10, pinnedEntities.length)), // Limit entities
+      relevantRelationships.slice(
+        0,
+        Math.max(8, relevantRelationships.filter((rel) => this.contextPruner.isPinned(rel)).length)
+      ) // Limit relationships
     );
 
     return {
@@ -753,10 +825,13 @@ class GraphRAG {
 
     let context = "💼 KEY FINANCIAL INSIGHTS\n========================\n\n";
 
-    // Add high-priority entities first with better formatting
-    const priorityEntities = entities
-      .filter((e) => (e.tier || 3) <= 2)
-      .slice(0, 8);
+    // Add pinned and high-priority entities first with better formatting
+    const { pinned: pinnedEntities, unpinned: tieredEntities } =
+      this.contextPruner.splitPinned(entities);
+    const priorityEntities = [
+      ...pinnedEntities,
+      ...tieredEntities.filter((e) => (e.tier || 3) <= 2).slice(0, 8),
+    ];
 
     if (priorityEntities.length > 0) {
       context += "📊 CORE METRICS & INSIGHTS\n";
@@ -769,17 +844,25 @@ class GraphRAG {
             ? entity.context.substring(0, 50) + "..."
             : entity.context || "Key financial insight";
 
-        context += `🔹 ${name.toUpperCase()}\n`;
+        context += `${this.contextPruner.isPinned(entity) ? "📌" : "🔹"} ${name.toUpperCase()}\n`;
         context += `   Category: ${entity.category}\n`;
+        if (entity.entity_value) {
+          context += `   Value: ${entity.entity_value}${entity.value_unit ? ` ${entity.value_unit}` : ""}${
+            entity.entity_date ? ` (as of ${entity.entity_date})` : ""
+          }\n`;
+        }
         context += `   Confidence: ${(entity.confidence * 100).toFixed(0)}%\n`;
         context += `   Insight: ${shortContext}\n\n`;
       });
     }
 
     // Add critical relationships with enhanced formatting
-    const criticalRelationships = relationships
-      .filter((rel) => rel.strength >= 0.7)
-      .slice(0, 5);
+    const { pinned: pinnedRelationships, unpinned: otherRelationships } =
+      this.contextPruner.splitPinned(relationships);
+    const criticalRelationships = [
+      ...pinnedRelationships,
+      ...otherRelationships.filter((rel) => rel.strength >= 0.7).slice(0, 5),
+    ];
 
     if (criticalRelationships.length > 0) {
       context += "🔗 KEY RELATIONSHIPS\n";
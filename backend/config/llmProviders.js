@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const OpenAI = require("openai");
+
+// LLM provider layer. Every provider exposes the slice of the OpenAI SDK surface the backend uses
+// (chat.completions, embeddings, audio.speech, audio.transcriptions), so code written against the
+// `openai` client from config/openai.js runs unchanged whichever provider serves a feature.
+
+const FEATURES = ["chat", "functions", "vision", "embeddings", "transcription", "speech"];
+
+const PROVIDERS = {
+  OPENAI: "openai",
+  OPENAI_COMPATIBLE: "openai_compatible",
+  MOCK: "mock",
+};
+
+// Dimensions of mock embeddings when the caller does not ask for a size (text-embedding-3-small's)
+const MOCK_EMBEDDING_DIMENSIONS = 1536;
+
+const hashOf = (value) => crypto.createHash("sha256").update(JSON.stringify(value ?? null)).digest("hex");
+
+// Which feature a chat completion request belongs to: images make it vision, function or tool
+// definitions make it a function call, anything else is plain chat
+const chatFeature = (params = {}) => {
+  const hasImage = (params.messages || []).some((message) =>
+    Array.isArray(message.content) && message.content.some((part) => part?.type === "image_url")
+  );
+  if (hasImage) return "vision";
+  if (params.functions?.length || params.tools?.length) return "functions";
+  return "chat";
+};
+
+// The text of the last user message, for mock replies
+const lastUserText = (messages = []) => {
+  const message = [...messages].reverse().find((m) => m.role === "user");
+  if (!message) return "";
+  if (typeof message.content === "string") return message.content;
+  return (message.content || []).filter((part) => part?.type === "text").map((part) => part.text).join(" ");
+};
+
+// A value matching a JSON schema, for mock function call arguments: the first enum value, null where
+// null is allowed, otherwise an empty value of the type
+const sampleFromSchema = (schema = {}) => {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes("null")) return null;
+
+  switch (types[0]) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, sampleFromSchema(property)])
+      );
+    case "array":
+      return [];
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    default:
+      return "";
+  }
+};
+
+// Offline provider with repeatable output: the same request always gets the same response, in the
+// shape the OpenAI API returns. Named functions are called with arguments sampled from their schema.
+const createMockProvider = () => {
+  const completion = (params = {}) => {
+    const hash = hashOf(params.messages);
+    const model = params.model || "mock";
+
+    let forced = null;
+    if (params.functions?.length) {
+      const name = params.function_call?.name || params.functions[0].name;
+      forced = params.functions.find((fn) => fn.name === name) || params.functions[0];
+    }
+    const forcedTool = params.tool_choice?.type === "function"
+      ? (params.tools || []).find((tool) => tool.function?.name === params.tool_choice.function?.name)
+      : null;
+
+    const message = { role: "assistant", content: null };
+    let finishReason = "stop";
+
+    if (forced) {
+      message.function_call = { name: forced.name, arguments: JSON.stringify(sampleFromSchema(forced.parameters)) };
+      finishReason = "function_call";
+    } else if (forcedTool) {
+      message.tool_calls = [{
+        id: `call_${hash.slice(0, 12)}`,
+        type: "function",
+        function: { name: forcedTool.function.name, arguments: JSON.stringify(sampleFromSchema(forcedTool.function.parameters)) },
+      }];
+      finishReason = "tool_calls";
+    } else if (params.response_format?.type === "json_object") {
+      message.content = "{}";
+    } else {
+      const prompt = lastUserText(params.messages).replace(/\s+/g, " ").trim().slice(0, 120);
+      message.content = `[mock ${hash.slice(0, 8)}] ${prompt ? `Response to: ${prompt}` : "Response"}`;
+    }
+
+    const completionTokens = message.content ? message.content.split(" ").length : 1;
+    return {
+      id: `chatcmpl-mock-${hash.slice(0, 16)}`,
+      object: "chat.completion",
+      created: 0,
+      model,
+      choices: [{ index: 0, message, finish_reason: finishReason }],
+      usage: { prompt_tokens: 0, completion_tokens: completionTokens, total_tokens: completionTokens },
+    };
+  };
+
+  // The same completion as chunks: content word by word, tool calls in one delta
+  async function* streamOf(result) {
+    const { message, finish_reason: finishReason } = result.choices[0];
+    const base = { id: result.id, object: "chat.completion.chunk", created: 0, model: result.model };
+
+    if (message.content) {
+      const words = message.content.split(" ");
+      for (const [index, word] of words.entries()) {
+        yield { ...base, choices: [{ index: 0, delta: { content: index === 0 ? word : ` ${word}` }, finish_reason: null }] };
+      }
+    }
+    if (message.tool_calls) {
+      const toolCalls = message.tool_calls.map((call, index) => ({ index, ...call }));
+      yield { ...base, choices: [{ index: 0, delta: { tool_calls: toolCalls }, finish_reason: null }] };
+    }
+    if (message.function_call) {
+      yield { ...base, choices: [{ index: 0, delta: { function_call: message.function_call }, finish_reason: null }] };
+    }
+    yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] };
+  }
+
+  // Unit vector derived from the text, so equal texts embed identically
+  const embed = (text, dimensions) => {
+    const values = [];
+    let block = hashOf(text);
+    while (values.length < dimensions) {
+      for (let i = 0; i + 4 <= block.length && values.length < dimensions; i += 4) {
+        values.push(parseInt(block.slice(i, i + 4), 16) / 0xffff - 0.5);
+      }
+      block = hashOf(block);
+    }
+    const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return values.map((v) => v / norm);
+  };
+
+  return {
+    name: PROVIDERS.MOCK,
+    chat: {
+      completions: {
+        create: async (params = {}) => {
+          const result = completion(params);
+          return params.stream ? streamOf(result) : result;
+        },
+      },
+    },
+    embeddings: {
+      create: async (params = {}) => {
+        const inputs = Array.isArray(params.input) ? params.input : [params.input];
+        const dimensions = params.dimensions || MOCK_EMBEDDING_DIMENSIONS;
+        return {
+          object: "list",
+          model: params.model || "mock-embedding",
+          data: inputs.map((input, index) => ({ object: "embedding", index, embedding: embed(input, dimensions) })),
+          usage: { prompt_tokens: 0, total_tokens: 0 },
+        };
+      },
+    },
+    audio: {
+      speech: {
+        // An empty MP3 body; callers read it with arrayBuffer() as they would a fetch Response
+        create: async () => {
+          const buffer = Buffer.alloc(0);
+          return { arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length) };
+        },
+      },
+      transcriptions: {
+        create: async (params = {}) => {
+          const text = "mock transcription";
+          if (params.response_format === "text") return text;
+          if (params.response_format === "verbose_json") {
+            return { text, language: params.language || "en", duration: 0, segments: [] };
+          }
+          return { text };
+        },
+      },
+    },
+  };
+};
+
+// Any server implementing the OpenAI HTTP API (llama.cpp server, Ollama, vLLM, LM Studio...)
+const createCompatibleProvider = ({ baseUrl, apiKey, timeoutMs }) => {
+  const client = new OpenAI({
+    baseURL: baseUrl,
+    // Local servers usually ignore the key, but the SDK insists on one
+    apiKey: apiKey || "not-needed",
+    timeout: timeoutMs,
+  });
+  client.name = PROVIDERS.OPENAI_COMPATIBLE;
+  return client;
+};
+
+const createOpenAIProvider = ({ apiKey }) => {
+  const client = new OpenAI({ apiKey });
+  client.name = PROVIDERS.OPENAI;
+  return client;
+};
+
+// A client with the OpenAI SDK's shape that sends each call to the provider configured for its feature,
+// swapping in that feature's model when one is set. Providers are created on first use.
+const createLLMClient = (llmConfig, openaiConfig = {}) => {
+  const providers = new Map();
+
+  const providerNamed = (name) => {
+    if (!providers.has(name)) {
+      if (name === PROVIDERS.MOCK) providers.set(name, createMockProvider());
+      else if (name === PROVIDERS.OPENAI_COMPATIBLE) providers.set(name, createCompatibleProvider(llmConfig.compatible));
+      else if (name === PROVIDERS.OPENAI) providers.set(name, createOpenAIProvider(openaiConfig));
+      else throw new Error(`Unknown LLM provider "${name}"`);
+    }
+    return providers.get(name);
+  };
+
+  const settingsFor = (feature) => {
+    const settings = llmConfig.features?.[feature] || {};
+    return { provider: settings.provider || llmConfig.provider, model: settings.model || null };
+  };
+
+  const route = (feature, params = {}) => {
+    const settings = settingsFor(feature);
+    return {
+      provider: providerNamed(settings.provider),
+      params: settings.model ? { ...params, model: settings.model } : params,
+    };
+  };
+
+  return {
+    chat: {
+      completions: {
+        create: (params, options) => {
+          const routed = route(chatFeature(params), params);
+          return routed.provider.chat.completions.create(routed.params, options);
+        },
+      },
+    },
+    embeddings: {
+      create: (params, options) => {
+        const routed = route("embeddings", params);
+        return routed.provider.embeddings.create(routed.params, options);
+      },
+    },
+    audio: {
+      speech: {
+        create: (params, options) => {
+          const routed = route("speech", params);
+          return routed.provider.audio.speech.create(routed.params, options);
+        },
+      },
+      transcriptions: {
+        create: (params, options) => {
+          const routed = route("transcription", params);
+          return routed.provider.audio.transcriptions.create(routed.params, options);
+        },
+      },
+    },
+
+    // Provider and model serving a feature, e.g. for health checks and telemetry
+    describe: (feature) => {
+      const settings = settingsFor(feature);
+      return { feature, provider: settings.provider, model: settings.model };
+    },
+
+    // Whether a feature can be served: OpenAI needs its API key, local and mock providers need nothing
+    isConfigured: (feature) => settingsFor(feature).provider !== PROVIDERS.OPENAI || Boolean(openaiConfig.apiKey),
+  };
+};
+
+module.exports = {
+  FEATURES,
+  PROVIDERS,
+  chatFeature,
+  sampleFromSchema,
+  createMockProvider,
+  createCompatibleProvider,
+  createOpenAIProvider,
+  createLLMClient,
+};
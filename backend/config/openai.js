@@ -1,10 +1,9 @@
-const OpenAI = require("openai");
 const config = require("./env");
+const { createLLMClient } = require("./llmProviders");
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: config.openai.apiKey,
-});
+// Shared LLM client with the OpenAI SDK's interface; each call goes to the provider configured for its
+// feature in config.llm (OpenAI, a local OpenAI-compatible server, or the offline mock)
+const openai = createLLMClient(config.llm, config.openai);
 
 // Helper function to create chat completion
 const createChatCompletion = async (messages, options = {}) => {
@@ -78,7 +77,10 @@ const analyzeReceiptImage = async (imageBase64, userProfile = {}) => {
                 properties: {
                   name: { type: "string" },
                   amount: { type: "number" },
-                  quantity: { type: ["number", "null"] }
+                  quantity: { type: ["number", "null"] },
+                  unit: { type: ["string", "null"], description: "Unit the quantity is in as printed (kg, g, litre, ml, dozen, piece, packet, box, carton)" },
+                  batch_number: { type: ["string", "null"], description: "Batch/lot number printed for the item, if any" },
+                  expiry_date: { type: ["string", "null"], description: "Item expiry/best-before as ISO date (YYYY-MM-DD), if printed" }
                 },
                 required: ["name", "amount"]
               }
@@ -95,7 +97,7 @@ const analyzeReceiptImage = async (imageBase64, userProfile = {}) => {
       temperature: 0.1
     });
 
-    const functionCall = response?.choices?.[0]?.function_call;
+    const functionCall = response?.choices?.[0]?.message?.function_call;
     if (functionCall && functionCall.name === "extract_financial_data") {
       let extractedData = null;
       try {
@@ -193,7 +195,7 @@ const processVoiceCommand = async (transcription, userProfile = {}) => {
       temperature: 0.3
     });
 
-    return JSON.parse(response.choices[0].function_call.arguments);
+    return JSON.parse(response.choices[0].message.function_call.arguments);
   } catch (error) {
     console.error("Voice processing error:", error);
     throw new Error("Failed to process voice command");
@@ -216,7 +218,8 @@ const interpretInventoryVoiceCommand = async (transcription, userProfile = {}) =
             "Return JSON only describing the stock action. Allowed actions: 'stock_in', 'stock_out', 'check_stock'. " +
             "Extract: product_name (string), quantity (number), unit (string, optional), action, confidence (0-1). \n" +
             "Examples: 'Aaj 50 pieces bread aaye' => stock_in, product_name 'bread', quantity 50, unit 'pieces'. " +
-            "'10 kg chawal becha' => stock_out, product_name 'chawal', quantity 10, unit 'kg'.",
+            "'10 kg chawal becha' => stock_out, product_name 'chawal', quantity 10, unit 'kg'. " +
+            "'Ek darjan ande aaye' => stock_in, product_name 'ande', quantity 1, unit 'dozen'. Keep the unit the user said; do not convert.",
         },
         {
           role: "user",
@@ -250,7 +253,7 @@ const interpretInventoryVoiceCommand = async (transcription, userProfile = {}) =
       temperature: 0.2,
     });
 
-    const fnCall = response.choices[0]?.function_call;
+    const fnCall = response.choices[0]?.message?.function_call;
     if (!fnCall || !fnCall.arguments) {
       throw new Error("No function call for inventory command");
     }
@@ -353,7 +356,7 @@ const extractFinancialDataFromText = async (text, userProfile = {}) => {
       temperature: 0.1
     });
     
-    const functionCall = response.choices[0].function_call;
+    const functionCall = response.choices[0].message.function_call;
     if (functionCall) {
       const parsed = JSON.parse(functionCall.arguments);
       return {
@@ -4,6 +4,8 @@ const { AdvancedVoiceService } = require("../services/advancedVoiceService");
 const { SmartSuggestionsService } = require("../services/smartSuggestionsService");
 const { MultiModalIntegrationService } = require("../services/multiModalIntegrationService");
 const { InventoryBusinessIntelligenceService } = require("../services/inventoryBusinessIntelligence");
+const locationService = require("../services/locationService");
+const unitService = require("../services/unitService");
 const multer = require("multer");
 
 // Configure multer for file uploads
@@ -586,18 +588,38 @@ async function executeInventoryOperation(command, userId, supabase) {
       throw new Error("Incomplete command: missing action, product_name, or quantity");
     }
 
+    const location = await locationService.resolveLocation(supabase, userId, command.location_id || null);
+
+    // Spoken quantities are stored in the item's base unit when the item is known
+    const { data: items } = await supabase
+      .from("inventory_items")
+      .select("id, product_name, unit, pack_sizes")
+      .eq("user_id", userId)
+      .ilike("product_name", command.product_name.trim())
+      .limit(1);
+    const item = items?.[0] || null;
+
+    const conversion = unitService.toBase(item || {}, command.quantity, command.unit);
+    if (conversion.error) throw new Error(conversion.error);
+    if (item && conversion.base_unit_set) {
+      await supabase.from("inventory_items").update({ unit: conversion.unit }).eq("id", item.id).eq("user_id", userId);
+    }
+
     // Use the existing inventory movement API
     const { data, error } = await supabase
       .from("inventory_stock_ledger")
       .insert({
         user_id: userId,
-        item_id: null, // Will be resolved by existing logic
+        item_id: item?.id || null, // Will be resolved by existing logic
+        location_id: location?.id || null,
         direction: command.action === 'add' ? 'in' : 'out',
-        quantity: command.quantity,
+        quantity: conversion.quantity,
         source: command.source || 'voice',
         metadata: {
           original_command: command,
-          unit: command.unit,
+          unit: conversion.unit,
+          entered_quantity: conversion.entered_quantity,
+          entered_unit: conversion.entered_unit,
           confidence: command.confidence
         }
       })
@@ -612,8 +634,10 @@ async function executeInventoryOperation(command, userId, supabase) {
       success: true,
       operation: command.action,
       product_name: command.product_name,
-      quantity: command.quantity,
-      unit: command.unit,
+      quantity: conversion.quantity,
+      unit: conversion.unit,
+      entered_quantity: conversion.entered_quantity,
+      entered_unit: conversion.entered_unit,
       movement_id: data.id
     };
 
@@ -2,8 +2,10 @@ const { generateFinancialAdvice, openai } = require("../config/openai");
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
 const streamingTelemetry = require("../services/streamingTelemetry");
+const cfoToolService = require("../services/cfoToolService");
+const conversationService = require("../services/conversationService");
+const knowledgeExtractionService = require("../services/knowledgeExtractionService");
 const { v4: uuidv4 } = require("uuid");
-const graphRAG = require("../config/graphRAG");
 
 // Helper function to store conversation history
 const storeConversationHistory = async (userId, conversationId, userMessage, aiResponse, accessToken) => {
@@ -29,6 +31,9 @@ const storeConversationHistory = async (userId, conversationId, userMessage, aiR
     });
     
     console.log(`[CHAT] Conversation stored: ${conversationId}`);
+
+    // A new thread is titled from this first exchange
+    await conversationService.touchThread(supabase, userId, conversationId, userMessage, aiResponse);
   } catch (error) {
     console.error("Error storing conversation:", error);
   }
@@ -82,21 +87,6 @@ const chatAssistant = asyncHandler(async (req, res) => {
       req.accessToken
     );
 
-    // Extract and store knowledge entities
-    try {
-      const entities = graphRAG.extractEntities(aiResponse, profile || {});
-      const relationships = graphRAG.buildRelationships(entities, {
-        conversation_id: conversationId,
-        type: "chat_response"
-      });
-      
-      await graphRAG.storeKnowledge(userId, entities, relationships, conversationId);
-      console.log(`[KNOWLEDGE] Stored ${entities.length} entities, ${relationships.length} relationships`);
-    } catch (knowledgeError) {
-      console.error("Knowledge extraction error:", knowledgeError);
-      // Continue without failing the chat
-    }
-
     res.json({
       success: true,
       data: {
@@ -111,6 +101,11 @@ const chatAssistant = asyncHandler(async (req, res) => {
       },
       error: null,
     });
+
+    // Learn from the turn in the background; extraction makes its own model call and never throws
+    knowledgeExtractionService
+      .learnFromTurn(userId, conversationId, { userMessage: message.trim(), aiResponse, userProfile: profile || {} })
+      .catch(() => {});
   } catch (error) {
     console.error("AI Chat Error:", error);
 
@@ -170,12 +165,24 @@ const getChatHistory = asyncHandler(async (req, res) => {
       }
       conversations[msg.conversation_id].push(msg);
     });
+
+    // Title and pinned/archived flags of each conversation in the page
+    const conversationIds = Object.keys(conversations);
+    const { data: threadRows } = conversationIds.length > 0
+      ? await supabase
+        .from("conversation_threads")
+        .select("id, title, title_source, pinned, archived, created_at, updated_at")
+        .eq("user_id", userId)
+        .in("id", conversationIds)
+      : { data: [] };
+    const threads = Object.fromEntries((threadRows || []).map(thread => [thread.id, thread]));
     
     res.json({
       success: true,
       data: {
         history: history || [],
         conversations: conversations,
+        threads,
         total_messages: history?.length || 0,
         message: history?.length > 0 ? "Chat history retrieved successfully" : "No chat history found"
       },
@@ -290,9 +297,9 @@ const decrementActiveStream = (userId) => {
 
 // AI Streaming Chat Assistant with SSE
 const streamChatAssistant = asyncHandler(async (req, res) => {
-  const { prompt, model = "gpt-4o-mini", options = {} } = req.body;
+  const { prompt, model = "gpt-4o-mini", options = {}, conversation_id: continuedId } = req.body;
   const userId = req.user.id;
-  const conversationId = uuidv4(); // Add conversation ID
+  const conversationId = continuedId || uuidv4(); // Continue the given thread or start a new one
   const streamId = `${userId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   let fullAIResponse = ""; // Store complete response
   const telemetry = {
@@ -321,6 +328,23 @@ const streamChatAssistant = asyncHandler(async (req, res) => {
     });
   }
 
+  // Continuing a thread: its earlier turns are sent along so the model has the context
+  let earlierMessages = [];
+  if (continuedId) {
+    const conversation = await conversationService.loadConversation(
+      getAuthenticatedClient(req.accessToken),
+      userId,
+      continuedId
+    );
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation not found"
+      });
+    }
+    earlierMessages = conversationService.contextMessages(conversation.messages);
+  }
+
   // Check concurrent stream limit per user
   const activeCount = incrementActiveStream(userId);
   if (activeCount > STREAM_MAX_CONCURRENT) {
@@ -408,49 +432,17 @@ const streamChatAssistant = asyncHandler(async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Create system prompt with user context
-    const systemPrompt = `You are a Virtual CFO assistant for small and medium businesses in India. 
-    Provide practical, actionable financial advice based on the user's business context.
-    
-    User Business Context:
-    - Business Name: ${profile?.business_name || "Not specified"}
-    - Business Type: ${profile?.business_type || "Not specified"}
-    - Location: ${profile?.location || "India"}
-    - Monthly Revenue: ₹${profile?.monthly_revenue || "Not specified"}
-    - Monthly Expenses: ₹${profile?.monthly_expenses || "Not specified"}
-    
-    Guidelines:
-    - Provide specific, actionable advice
-    - Focus on Indian business context and regulations
-    - Include relevant financial metrics and KPIs
-    - Suggest practical implementation steps
-    - Keep responses concise but comprehensive`;
-
     // Create abort controller for upstream request cancellation
     upstreamAbort = new AbortController();
 
-    // Start streaming request to OpenAI
-    const stream = await openai.chat.completions.create({
-      model,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: prompt.trim() }
-      ],
-      max_tokens: options.max_tokens || 1500,
-      temperature: options.temperature || 0.7,
-      stream: true
-    }, {
-      signal: upstreamAbort.signal // Pass abort signal
-    });
+    // The model answers from the user's own data through read-only tools; each call and its result is
+    // streamed as a tool_call / tool_result event between the token events
+    const sendEvent = (event, data) => {
+      if (streamClosed) return;
 
-    // Process stream chunks
-    for await (const chunk of stream) {
-      if (streamClosed) break;
+      if (event === "token") {
+        telemetry.tokenCount = data.tokenCount;
 
-      const delta = chunk.choices[0]?.delta;
-      if (delta?.content) {
-        telemetry.tokenCount++;
-        
         // Track first token arrival time
         if (telemetry.firstTokenTime === null) {
           telemetry.firstTokenTime = Date.now();
@@ -459,25 +451,31 @@ const streamChatAssistant = asyncHandler(async (req, res) => {
             console.warn(`[TELEMETRY] Slow first token: ${ttf}ms for stream ${streamId}`);
           }
         }
-        
-        // Send token event
-        const tokenData = {
-          text: delta.content,
-          tokenCount: telemetry.tokenCount,
-          timestamp: new Date().toISOString()
-        };
-        
-        // Accumulate full response
-        fullAIResponse += delta.content;
-        
-        res.write(`event: token\ndata: ${JSON.stringify(tokenData)}\n\n`);
-        
-        // Flush buffer for real-time delivery
-        if (res.flush) {
-          res.flush();
-        }
       }
-    }
+
+      res.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}\n\n`);
+
+      // Flush buffer for real-time delivery
+      if (res.flush) {
+        res.flush();
+      }
+    };
+
+    const answer = await cfoToolService.converse(openai, req, {
+      model,
+      messages: [
+        { role: "system", content: cfoToolService.instructions(profile || {}) },
+        ...earlierMessages,
+        { role: "user", content: prompt.trim() }
+      ],
+      maxTokens: options.max_tokens || 1500,
+      temperature: options.temperature || 0.7,
+      signal: upstreamAbort.signal,
+      onEvent: sendEvent,
+    });
+
+    // Accumulate full response
+    fullAIResponse = answer.text;
 
     if (!streamClosed) {
       // Estimate token costs
@@ -488,12 +486,15 @@ const streamChatAssistant = asyncHandler(async (req, res) => {
       // Send completion metadata
       const metaData = {
         streamId,
+        conversation_id: conversationId,
+        continued: earlierMessages.length > 0,
         totalTokens: telemetry.tokenCount,
         model: model,
         completedAt: new Date().toISOString(),
         duration: Date.now() - telemetry.startTime,
         timeToFirstToken: telemetry.firstTokenTime ? telemetry.firstTokenTime - telemetry.startTime : -1,
         estimatedCost: telemetry.estimatedCost,
+        toolCalls: answer.tool_calls,
         contextUsed: {
           hasProfile: !!profile,
           businessType: profile?.business_type || null,
@@ -513,6 +514,11 @@ const streamChatAssistant = asyncHandler(async (req, res) => {
           fullAIResponse,
           req.accessToken
         );
+
+        // In the background so the stream ends now
+        knowledgeExtractionService
+          .learnFromTurn(userId, conversationId, { userMessage: prompt.trim(), aiResponse: fullAIResponse, userProfile: profile || {} })
+          .catch(() => {});
       }
     }
 
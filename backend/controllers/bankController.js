@@ -0,0 +1,438 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { generateContentHash, calculateContentSimilarity } = require("./duplicateController");
+const bankStatementService = require("../services/bankStatementService");
+const formalLearningService = require("../services/formalLearningService");
+const ledgerService = require("../services/ledgerService");
+const budgetService = require("../services/budgetService");
+const reconciliationService = require("../services/reconciliationService");
+
+// Same threshold the document duplicate check uses
+const SIMILARITY_THRESHOLD = 0.85;
+const DEFAULT_CATEGORY = "General";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isTruthy = (value) => value === true || value === "true" || value === "1";
+
+// Classify each parsed line: already imported, duplicate of an existing earnings row, or new
+const classifyTransactions = (transactions, { importedHashes, earnings, rules }) => {
+  const earningsByHash = new Map(
+    earnings.map((e) => [generateContentHash(bankStatementService.earningToFingerprintData(e)), e])
+  );
+
+  return transactions.map((transaction) => {
+    const fingerprintData = bankStatementService.toFingerprintData(transaction);
+    const contentHash = generateContentHash(fingerprintData);
+    const suggestion = formalLearningService.suggestCategory(transaction.description, rules);
+
+    const result = {
+      ...transaction,
+      content_hash: contentHash,
+      transaction_category: suggestion?.category || DEFAULT_CATEGORY,
+      category_confidence: suggestion?.confidence || 0,
+      category_source: suggestion ? suggestion.source : "default",
+      status: "new",
+      earning_id: null,
+      match_confidence: 0,
+    };
+
+    if (importedHashes.has(contentHash)) {
+      return { ...result, status: "already_imported" };
+    }
+
+    const exact = earningsByHash.get(contentHash);
+    if (exact) {
+      return { ...result, status: "duplicate", earning_id: exact.id, match_confidence: 1 };
+    }
+
+    let best = null;
+    for (const earning of earnings) {
+      if (earning.earning_date !== transaction.transaction_date) continue;
+      if (!bankStatementService.isSameDirection(transaction, earning)) continue;
+
+      const similarity = calculateContentSimilarity(
+        fingerprintData,
+        bankStatementService.earningToFingerprintData(earning)
+      );
+      if (similarity >= SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { earning, similarity };
+      }
+    }
+
+    return best
+      ? { ...result, status: "duplicate", earning_id: best.earning.id, match_confidence: best.similarity }
+      : result;
+  });
+};
+
+const summarise = (transactions) => ({
+  total: transactions.length,
+  new: transactions.filter((t) => t.status === "new" || t.status === "imported").length,
+  duplicates: transactions.filter((t) => t.status === "duplicate").length,
+  already_imported: transactions.filter((t) => t.status === "already_imported").length,
+  credits: transactions.filter((t) => t.direction === "credit").reduce((sum, t) => sum + t.amount, 0),
+  debits: transactions.filter((t) => t.direction === "debit").reduce((sum, t) => sum + t.amount, 0),
+});
+
+// GET /api/bank/profiles
+const getProfiles = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formats: bankStatementService.formats,
+      profiles: bankStatementService.getProfiles(),
+    },
+    error: null,
+  });
+});
+
+// POST /api/bank/import
+// multipart "statement" file, or JSON { content, file_name }
+// Options: format (csv|ofx|mt940), profile (sbi|hdfc|icici|generic), account_name, preview
+const importStatement = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const options = { ...req.query, ...req.body };
+  const content = req.file ? req.file.buffer.toString("utf8") : options.content;
+  const fileName = req.file?.originalname || options.file_name || "statement";
+
+  if (!content || typeof content !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "Upload a statement file or provide its content",
+      data: null,
+    });
+  }
+
+  const parsed = bankStatementService.parse(content, {
+    format: options.format,
+    profile: options.profile,
+    fileName,
+  });
+
+  if (parsed.transactions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "No transactions found in the statement",
+      data: { format: parsed.format, profile: parsed.profile, skipped: parsed.skipped },
+    });
+  }
+
+  const dates = parsed.transactions.map((t) => t.transaction_date).sort();
+  const periodStart = dates[0];
+  const periodEnd = dates[dates.length - 1];
+
+  const [{ data: earnings, error: earningsError }, { data: imported, error: importedError }, rules] =
+    await Promise.all([
+      supabase
+        .from("earnings")
+        .select("id, earning_date, amount, inventory_cost, vendor_name, processed_text")
+        .eq("user_id", userId)
+        .gte("earning_date", periodStart)
+        .lte("earning_date", periodEnd),
+      supabase
+        .from("bank_transactions")
+        .select("content_hash")
+        .eq("user_id", userId)
+        .gte("transaction_date", periodStart)
+        .lte("transaction_date", periodEnd),
+      formalLearningService.getCategoryCorrections(userId, supabase),
+    ]);
+
+  if (earningsError || importedError) {
+    console.error("Bank import lookup error:", earningsError || importedError);
+    return res.status(500).json({ success: false, error: "Failed to check for duplicates", data: null });
+  }
+
+  const transactions = classifyTransactions(parsed.transactions, {
+    importedHashes: new Set((imported || []).map((t) => t.content_hash)),
+    earnings: earnings || [],
+    rules,
+  });
+
+  if (isTruthy(options.preview)) {
+    return res.json({
+      success: true,
+      data: {
+        preview: true,
+        format: parsed.format,
+        profile: parsed.profile,
+        period: { from: periodStart, to: periodEnd },
+        summary: summarise(transactions),
+        transactions,
+        skipped: parsed.skipped,
+      },
+      error: null,
+    });
+  }
+
+  const { data: importRecord, error: importError } = await supabase
+    .from("bank_imports")
+    .insert({
+      user_id: userId,
+      file_name: fileName,
+      format: parsed.format,
+      profile: parsed.profile,
+      account_name: options.account_name || null,
+      period_start: periodStart,
+      period_end: periodEnd,
+      transaction_count: transactions.length,
+    })
+    .select()
+    .single();
+
+  if (importError) {
+    console.error("Bank import record error:", importError);
+    return res.status(500).json({ success: false, error: "Failed to record statement import", data: null });
+  }
+
+  // Record the statement lines before creating anything from them: if this fails there are no earnings
+  // rows left behind for duplicate detection to skip on the next import
+  const recorded = transactions.filter((t) => t.status !== "already_imported");
+  let savedRows = [];
+
+  if (recorded.length > 0) {
+    const { data, error: rowsError } = await supabase
+      .from("bank_transactions")
+      .insert(
+        recorded.map((t) => ({
+          user_id: userId,
+          import_id: importRecord.id,
+          transaction_date: t.transaction_date,
+          description: t.description,
+          reference: t.reference,
+          amount: t.amount,
+          direction: t.direction,
+          balance: t.balance,
+          content_hash: t.content_hash,
+          transaction_category: t.transaction_category,
+          category_source: t.category_source,
+          earning_id: t.earning_id || null,
+          status: t.status,
+          reconciliation_status: reconciliationService.statuses.UNRECONCILED,
+          reconciled_at: null,
+        }))
+      )
+      .select("id");
+
+    if (rowsError) {
+      console.error("Bank transactions insert error:", rowsError);
+      await supabase.from("bank_imports").delete().eq("id", importRecord.id).eq("user_id", userId);
+      return res.status(500).json({ success: false, error: "Failed to record statement lines", data: null });
+    }
+    savedRows = data || [];
+  }
+
+  // Create earnings rows for new lines; duplicates are stored linked to the row they matched.
+  // Rows come back from the insert in the order they were sent.
+  const importMatches = [];
+  for (const [index, transaction] of recorded.entries()) {
+    if (transaction.status !== "new") continue;
+    const row = savedRows[index];
+
+    const { data: earning, error } = await supabase
+      .from("earnings")
+      .insert(bankStatementService.buildEarningRow(userId, transaction, transaction.transaction_category))
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Bank import earnings insert error:", error);
+      transaction.status = "failed";
+      await supabase.from("bank_transactions").update({ status: "failed" }).eq("id", row.id).eq("user_id", userId);
+      continue;
+    }
+
+    transaction.status = "imported";
+    transaction.earning_id = earning.id;
+    await ledgerService.safePost("bank import", () => ledgerService.postEarning(supabase, userId, earning));
+
+    // Lines that created their own earnings row need no further matching
+    const { error: linkError } = await supabase
+      .from("bank_transactions")
+      .update({
+        earning_id: earning.id,
+        status: "imported",
+        reconciliation_status: reconciliationService.statuses.RECONCILED,
+        reconciled_at: new Date().toISOString(),
+      })
+      .eq("id", row.id)
+      .eq("user_id", userId);
+
+    if (linkError) {
+      console.error("Bank import line link error:", linkError);
+      continue;
+    }
+
+    importMatches.push({
+      user_id: userId,
+      bank_transaction_id: row.id,
+      earning_id: earning.id,
+      amount: transaction.amount,
+      match_type: reconciliationService.matchTypes.IMPORT,
+      confidence: 1,
+    });
+  }
+
+  if (importMatches.length > 0) {
+    const { error: matchError } = await supabase.from("reconciliation_matches").insert(importMatches);
+    if (matchError) console.error("Bank import reconciliation match error:", matchError);
+  }
+
+  await budgetService.safeCheck(
+    supabase,
+    userId,
+    transactions.filter((t) => t.status === "imported" && t.direction === "debit").map((t) => t.transaction_date)
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      import: importRecord,
+      format: parsed.format,
+      profile: parsed.profile,
+      period: { from: periodStart, to: periodEnd },
+      summary: { ...summarise(transactions), failed: transactions.filter((t) => t.status === "failed").length },
+      transactions,
+      skipped: parsed.skipped,
+    },
+    error: null,
+  });
+});
+
+// GET /api/bank/imports
+const listImports = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  const { data, error } = await supabase
+    .from("bank_imports")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .order("created_at", { ascending: false })
+    .limit(50);
+
+  if (error) {
+    console.error("Bank listImports error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load statement imports", data: null });
+  }
+
+  res.json({ success: true, data: data || [], error: null });
+});
+
+// GET /api/bank/transactions?import_id=&status=&from=&to=&page=&limit=
+const listTransactions = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { import_id, status, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = (page - 1) * limit;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, error: "Invalid date format. Use YYYY-MM-DD", data: null });
+  }
+
+  let query = supabase
+    .from("bank_transactions")
+    .select("*", { count: "exact" })
+    .eq("user_id", req.user.id)
+    .order("transaction_date", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (import_id) query = query.eq("import_id", import_id);
+  if (status) query = query.eq("status", status);
+  if (from) query = query.gte("transaction_date", from);
+  if (to) query = query.lte("transaction_date", to);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error("Bank listTransactions error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load bank transactions", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      transactions: data || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit),
+      },
+    },
+    error: null,
+  });
+});
+
+// PATCH /api/bank/transactions/:id/category
+// Body: { transaction_category }. Recorded as a correction so future imports learn from it.
+const updateTransactionCategory = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const category = typeof req.body?.transaction_category === "string" ? req.body.transaction_category.trim() : "";
+
+  if (!category || category.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: "transaction_category is required (max 100 characters)",
+      data: null,
+    });
+  }
+
+  const { data: transaction, error: fetchError } = await supabase
+    .from("bank_transactions")
+    .select("*")
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .single();
+
+  if (fetchError || !transaction) {
+    return res.status(404).json({ success: false, error: "Bank transaction not found", data: null });
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from("bank_transactions")
+    .update({ transaction_category: category, category_source: "user" })
+    .eq("id", transaction.id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error("Bank category update error:", updateError);
+    return res.status(500).json({ success: false, error: "Failed to update category", data: null });
+  }
+
+  // Only rows this import created are recategorised; matched duplicates keep their own category
+  if (transaction.earning_id && transaction.status === "imported") {
+    await supabase
+      .from("earnings")
+      .update({ transaction_category: category })
+      .eq("id", transaction.earning_id)
+      .eq("user_id", req.user.id);
+  }
+
+  if (transaction.transaction_category !== category) {
+    try {
+      await formalLearningService.recordUserCorrection(
+        req.user.id,
+        { description: transaction.description, transaction_category: transaction.transaction_category },
+        { description: transaction.description, transaction_category: category },
+        { source: "bank_import", bank_transaction_id: transaction.id },
+        supabase
+      );
+    } catch (learningError) {
+      console.error("Failed to record category correction:", learningError);
+    }
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+module.exports = {
+  getProfiles,
+  importStatement,
+  listImports,
+  listTransactions,
+  updateTransactionCategory,
+};
@@ -0,0 +1,183 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { budgetSchemas } = require("../middleware/validation");
+const budgetService = require("../services/budgetService");
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const currentMonth = () => new Date().toISOString().substring(0, 7);
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const sendMonthError = (res) =>
+  res.status(400).json({ success: false, error: "Invalid month format. Use YYYY-MM", data: null });
+
+const sendDuplicate = (res) =>
+  res.status(409).json({ success: false, error: "A budget for this category and month already exists", data: null });
+
+// GET /api/budgets?month=YYYY-MM - All budgets, or only those in force for the month
+const listBudgets = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+  if (month && !MONTH_PATTERN.test(month)) return sendMonthError(res);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data: budgets, error } = await supabase
+    .from("budgets")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .order("category", { ascending: true });
+
+  if (error) {
+    console.error("Budgets list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load budgets", data: null });
+  }
+
+  const results = month ? Array.from(budgetService.resolveBudgets(budgets || [], month).values()) : budgets || [];
+  res.json({ success: true, data: results, error: null });
+});
+
+// POST /api/budgets
+// Body: { category, amount, month? (YYYY-MM; omit for every month), alert_threshold_pct?, notes? }
+const createBudget = asyncHandler(async (req, res) => {
+  const value = validateBody(budgetSchemas.createBudget, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data: budget, error } = await supabase
+    .from("budgets")
+    .insert({
+      user_id: req.user.id,
+      category: value.category,
+      amount: value.amount,
+      month: value.month || null,
+      alert_threshold_pct: value.alert_threshold_pct ?? null,
+      notes: value.notes || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") return sendDuplicate(res);
+    console.error("Budget create error:", error);
+    return res.status(500).json({ success: false, error: "Failed to create budget", data: null });
+  }
+
+  await budgetService.safeCheck(supabase, req.user.id, [budget.month ? `${budget.month}-01` : `${currentMonth()}-01`]);
+
+  res.status(201).json({ success: true, data: budget, error: null });
+});
+
+// PATCH /api/budgets/:id
+const updateBudget = asyncHandler(async (req, res) => {
+  const value = validateBody(budgetSchemas.updateBudget, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const updates = { ...value, updated_at: new Date().toISOString() };
+  if (value.notes === "") updates.notes = null;
+
+  const { data: budget, error } = await supabase
+    .from("budgets")
+    .update(updates)
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (error?.code === "23505") return sendDuplicate(res);
+  if (error || !budget) {
+    return res.status(404).json({ success: false, error: "Budget not found", data: null });
+  }
+
+  await budgetService.safeCheck(supabase, req.user.id, [budget.month ? `${budget.month}-01` : `${currentMonth()}-01`]);
+
+  res.json({ success: true, data: budget, error: null });
+});
+
+// DELETE /api/budgets/:id
+const deleteBudget = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data, error } = await supabase
+    .from("budgets")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .select("id");
+
+  if (error) {
+    console.error("Budget delete error:", error);
+    return res.status(500).json({ success: false, error: "Failed to delete budget", data: null });
+  }
+  if (!data?.length) {
+    return res.status(404).json({ success: false, error: "Budget not found", data: null });
+  }
+
+  res.json({ success: true, data: { id: req.params.id }, error: null });
+});
+
+// GET /api/budgets/variance?month=YYYY-MM - Budget against actual spend per category; pushes any new overspend alerts
+const getVarianceReport = asyncHandler(async (req, res) => {
+  const month = req.query.month || currentMonth();
+  if (!MONTH_PATTERN.test(month)) return sendMonthError(res);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  let report;
+  try {
+    report = await budgetService.buildReport(supabase, req.user.id, month);
+  } catch (error) {
+    console.error("Budget variance error:", error);
+    return res.status(500).json({ success: false, error: "Failed to build budget variance report", data: null });
+  }
+
+  let alerts = [];
+  try {
+    alerts = await budgetService.checkOverspend(supabase, req.user.id, month, report);
+  } catch (error) {
+    console.error("Budget alert error:", error);
+  }
+
+  res.json({ success: true, data: { ...report, new_alerts: alerts }, error: null });
+});
+
+// GET /api/budgets/alerts?month=YYYY-MM - Overspend alerts already sent
+const listAlerts = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+  if (month && !MONTH_PATTERN.test(month)) return sendMonthError(res);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  let query = supabase
+    .from("budget_alerts")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .order("created_at", { ascending: false })
+    .limit(100);
+
+  if (month) query = query.eq("month", month);
+
+  const { data: alerts, error } = await query;
+
+  if (error) {
+    console.error("Budget alerts list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load budget alerts", data: null });
+  }
+
+  res.json({ success: true, data: alerts || [], error: null });
+});
+
+module.exports = {
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getVarianceReport,
+  listAlerts,
+};
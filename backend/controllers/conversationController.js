@@ -0,0 +1,117 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { chatSchemas } = require("../middleware/validation");
+const conversationService = require("../services/conversationService");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Conversation not found", data: null });
+
+// GET /api/ai/conversations?archived=true
+// Threads with title, pinned/archived flags, message count and last message; pinned first, then most recent
+const listConversations = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const archived = req.query.archived === "true";
+
+  const threads = await conversationService.listThreads(supabase, req.user.id, { archived });
+
+  res.json({
+    success: true,
+    data: { conversations: threads, total: threads.length },
+    error: null,
+  });
+});
+
+// GET /api/ai/conversations/search?q=
+// Full-text search across every message and thread title, archived threads included
+const searchConversations = asyncHandler(async (req, res) => {
+  const query = String(req.query.q || "").trim();
+  if (!query) {
+    return res.status(400).json({ success: false, error: "Search query (q) is required", data: null });
+  }
+  if (query.length > 200) {
+    return res.status(400).json({ success: false, error: "Search query is too long", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const results = await conversationService.search(supabase, req.user.id, query);
+
+  res.json({
+    success: true,
+    data: { query, results, total: results.length },
+    error: null,
+  });
+});
+
+// GET /api/ai/conversations/:id - The thread with all its messages, oldest first
+const getConversation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const conversation = await conversationService.loadConversation(supabase, req.user.id, req.params.id);
+  if (!conversation) return sendNotFound(res);
+
+  res.json({ success: true, data: conversation, error: null });
+});
+
+// PATCH /api/ai/conversations/:id
+// Body: { title?, pinned?, archived? }. A title set here is kept; auto titles are only written once.
+const updateConversation = asyncHandler(async (req, res) => {
+  const value = validateBody(chatSchemas.updateConversation, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const conversation = await conversationService.loadConversation(supabase, req.user.id, req.params.id);
+  if (!conversation) return sendNotFound(res);
+
+  const thread = await conversationService.updateThread(supabase, req.user.id, conversation, value);
+
+  res.json({ success: true, data: thread, error: null });
+});
+
+// DELETE /api/ai/conversations/:id - Removes the thread and all its messages
+const deleteConversation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const conversation = await conversationService.loadConversation(supabase, req.user.id, req.params.id);
+  if (!conversation) return sendNotFound(res);
+
+  await conversationService.deleteThread(supabase, req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    data: { id: req.params.id, deleted_messages: conversation.messages.length },
+    error: null,
+  });
+});
+
+// GET /api/ai/conversations/:id/export?format=markdown
+// format=markdown downloads a .md file; otherwise the export JSON (rendered to PDF by the app)
+const exportConversation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const conversation = await conversationService.loadConversation(supabase, req.user.id, req.params.id);
+  if (!conversation) return sendNotFound(res);
+
+  if (req.query.format === "markdown") {
+    res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${conversationService.fileName(conversation.thread, "md")}"`);
+    return res.send(conversationService.toMarkdown(conversation));
+  }
+
+  res.json({ success: true, data: conversationService.buildExport(conversation), error: null });
+});
+
+module.exports = {
+  listConversations,
+  searchConversations,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+  exportConversation,
+};
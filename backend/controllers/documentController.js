@@ -1,6 +1,10 @@
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
 const documentProcessingService = require("../services/documentProcessingService");
+const gstService = require("../services/gstService");
+const ledgerService = require("../services/ledgerService");
+const budgetService = require("../services/budgetService");
+const knowledgeExtractionService = require("../services/knowledgeExtractionService");
 const multer = require('multer');
 const fs = require('fs').promises;
 
@@ -355,6 +359,7 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
 
     // Auto-save to database if confidence is high
     let savedEntries = [];
+    let savedDocumentId = null;
     if (extractedData.confidence > 0.7 && !extractedData.review_required) {
       
       // Save main document record
@@ -374,9 +379,12 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
         .insert(documentRecord)
         .select()
         .single();
+      savedDocumentId = savedDoc?.id || null;
 
       // Save individual transactions to earnings table
       if (extractedData.line_items && extractedData.line_items.length > 0) {
+        const businessState = gstService.getBusinessStateCode(profile || {});
+
         for (const item of extractedData.line_items) {
           const earningsData = {
             user_id: req.user.id,
@@ -387,7 +395,8 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
             doc_type: 'document_extraction',
             file_url: savedDoc.file_url,
             vendor_name: extractedData.vendor_customer_info?.name || 'Unknown',
-            transaction_category: item.category || 'General'
+            transaction_category: item.category || 'General',
+            ...(gstService.buildLineItemTaxFields(item, extractedData, businessState) || {})
           };
 
           const { data: savedEntry } = await supabase
@@ -396,6 +405,12 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
             .select()
             .single();
 
+          if (savedEntry) {
+            await ledgerService.safePost('document line item', () =>
+              ledgerService.postEarning(supabase, req.user.id, savedEntry)
+            );
+          }
+
           savedEntries.push(savedEntry);
         }
       }
@@ -419,8 +434,20 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
           .select()
           .single();
 
+        if (summaryEntry) {
+          await ledgerService.safePost('document summary', () =>
+            ledgerService.postEarning(supabase, req.user.id, summaryEntry)
+          );
+        }
+
         savedEntries.push(summaryEntry);
       }
+
+      await budgetService.safeCheck(
+        supabase,
+        req.user.id,
+        savedEntries.filter((entry) => entry?.inventory_cost > 0).map((entry) => entry.earning_date)
+      );
     }
 
     res.json({
@@ -440,6 +467,16 @@ const processFinancialDocument = asyncHandler(async (req, res) => {
       }
     });
 
+    // Learn from the document in the background; extraction never throws
+    knowledgeExtractionService
+      .learnFromDocument(req.user.id, {
+        documentId: savedDocumentId,
+        fileName: file.originalname,
+        extractedData,
+        userProfile: profile || {}
+      })
+      .catch(() => {});
+
   } catch (error) {
     console.error("Document processing error:", error);
     res.status(500).json({
@@ -494,6 +531,22 @@ const batchProcessDocuments = asyncHandler(async (req, res) => {
       }
     });
 
+    // Learn from the documents in the background, one at a time
+    batchResult.individual_results
+      .filter((item) => !item.error)
+      .reduce(
+        (previous, result) =>
+          previous.then(() =>
+            knowledgeExtractionService.learnFromDocument(req.user.id, {
+              fileName: result.processing_metadata?.file_name,
+              extractedData: result,
+              userProfile: profile || {}
+            })
+          ),
+        Promise.resolve()
+      )
+      .catch(() => {});
+
   } catch (error) {
     console.error("Batch processing error:", error);
     res.status(500).json({
@@ -357,5 +357,7 @@ module.exports = {
   checkDuplicate,
   registerDocument,
   getDuplicateStats,
-  clearProcessedDocuments
+  clearProcessedDocuments,
+  generateContentHash,
+  calculateContentSimilarity
 };
\ No newline at end of file
@@ -1,8 +1,11 @@
-const { generateFinancialAdvice } = require("../config/openai");
+const { generateFinancialAdvice, openai } = require("../config/openai");
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
 const { v4: uuidv4 } = require("uuid");
 const graphRAG = require("../config/graphRAG");
+const cfoToolService = require("../services/cfoToolService");
+const conversationService = require("../services/conversationService");
+const knowledgeExtractionService = require("../services/knowledgeExtractionService");
 
 // Enhanced AI Chat Assistant with Graph RAG + Vector Search
 const chatAssistantWithRAG = asyncHandler(async (req, res) => {
@@ -64,34 +67,15 @@ const chatAssistantWithRAG = asyncHandler(async (req, res) => {
       profile || {}
     );
 
-    // Generate AI response with enhanced context
-    const aiResponse = await generateFinancialAdvice(
-      enhancedPrompt,
-      profile || {}
-    );
-
-    // Extract entities from the AI response for knowledge accumulation
-    const responseEntities = graphRAG.extractEntities(aiResponse, profile || {});
-    const relationships = graphRAG.buildRelationships(responseEntities, {
-      conversation_id: conversationId,
-      type: "chat_response",
+    // Generate AI response with enhanced context; figures come from read-only data tools run under the caller's token
+    const answer = await cfoToolService.converse(openai, req, {
+      model: "gpt-4o-mini",
+      messages: [
+        { role: "system", content: cfoToolService.instructions(profile || {}) },
+        { role: "user", content: enhancedPrompt },
+      ],
     });
-
-    // Store knowledge with vectors if available
-    try {
-      const { EnhancedGraphRAG } = require("../services/vectorService");
-      const enhancedRAG = new EnhancedGraphRAG();
-      await enhancedRAG.storeKnowledgeWithVectors(
-        userId,
-        responseEntities,
-        relationships,
-        conversationId
-      );
-    } catch (vectorError) {
-      console.log("Vector storage not available, using basic storage:", vectorError.message);
-      // Fallback to basic storage
-      await graphRAG.storeKnowledge(userId, responseEntities, relationships, conversationId);
-    }
+    const aiResponse = answer.text;
 
     // Store conversation history
     try {
@@ -110,10 +94,6 @@ const chatAssistantWithRAG = asyncHandler(async (req, res) => {
         conversation_id: conversationId,
         message_type: "ai",
         message_content: aiResponse,
-        entities_extracted: {
-          count: responseEntities.length,
-          entities: responseEntities.map(e => e.entity)
-        },
         knowledge_used: {
           entities_count: relevantKnowledge.entities.length,
           relationships_count: relevantKnowledge.relationships.length
@@ -121,7 +101,9 @@ const chatAssistantWithRAG = asyncHandler(async (req, res) => {
         created_at: new Date().toISOString()
       });
       
-      console.log(`[GRAPH RAG] Stored conversation ${conversationId} with ${responseEntities.length} entities`);
+      console.log(`[GRAPH RAG] Stored conversation ${conversationId}`);
+
+      await conversationService.touchThread(supabase, userId, conversationId, message.trim(), aiResponse);
     } catch (historyError) {
       console.error("Error storing conversation history:", historyError);
     }
@@ -140,13 +122,16 @@ const chatAssistantWithRAG = asyncHandler(async (req, res) => {
           search_metadata: relevantKnowledge.search_metadata,
         },
         conversation_id: conversationId,
-        knowledge_summary: {
-          new_entities_extracted: responseEntities.length,
-          new_relationships_found: relationships.length,
-        },
+        tool_calls: answer.tool_calls,
       },
       error: null,
     });
+
+    // Extract typed entities and relationships from the turn in the background, merged into what is
+    // already known; extraction makes its own model call and never throws
+    knowledgeExtractionService
+      .learnFromTurn(userId, conversationId, { userMessage: message.trim(), aiResponse, userProfile: profile || {} })
+      .catch(() => {});
   } catch (error) {
     console.error("Graph RAG Chat Error:", error);
 
@@ -0,0 +1,152 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { forecastSchemas } = require("../middleware/validation");
+const cashFlowForecastService = require("../services/cashFlowForecastService");
+const ledgerService = require("../services/ledgerService");
+const payablesService = require("../services/payablesService");
+const receivablesService = require("../services/receivablesService");
+const recurringTransactionService = require("../services/recurringTransactionService");
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Query strings carry numbers as text and lists as comma-separated values
+const scenarioFromQuery = (query) => {
+  const scenario = {};
+  for (const key of [
+    "opening_balance",
+    "revenue_change_pct",
+    "expense_change_pct",
+    "collection_delay_days",
+    "payment_delay_days",
+    "min_balance",
+  ]) {
+    if (query[key] !== undefined && query[key] !== "") scenario[key] = query[key];
+  }
+  if (query.exclude_recurring) scenario.exclude_recurring = String(query.exclude_recurring).split(",");
+  return scenario;
+};
+
+// Pending occurrences of recurring templates over the forecast horizon; anything already due but not yet
+// posted by the scheduler lands on the first forecast day
+const scheduledOccurrences = (templates, asOf) => {
+  const end = cashFlowForecastService.addDays(asOf, cashFlowForecastService.weeks * 7);
+  return templates.flatMap(({ recurring_occurrences: overrides, ...template }) => {
+    const from = template.last_run_date ? recurringTransactionService.addDays(template.last_run_date, 1) : template.start_date;
+    return recurringTransactionService
+      .buildOccurrences(template, overrides || [], from, end)
+      .filter((occurrence) => recurringTransactionService.isPending(occurrence))
+      .map((occurrence) => ({ ...occurrence, name: template.name }));
+  });
+};
+
+// GET /api/forecast/cashflow?min_balance=&revenue_change_pct=...
+// POST /api/forecast/cashflow - Same forecast with the scenario (including one_off items) in the body
+const getCashFlowForecast = asyncHandler(async (req, res) => {
+  const input = req.method === "POST" ? req.body || {} : scenarioFromQuery(req.query);
+  const { error: validationError, value: scenario } = forecastSchemas.scenario.validate(input);
+
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: `Validation error: ${validationError.details[0].message}`,
+      data: null,
+    });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const asOf = today();
+  // A year of history so every month has a seasonal multiplier
+  const historyStart = cashFlowForecastService.addDays(asOf, -400);
+
+  const [earningsResult, invoicesResult, billsResult, cashLinesResult, profileResult, templatesResult] = await Promise.all([
+    // Paged: a busy year of earnings is well past the row cap on a single select
+    ledgerService.selectAll(() =>
+      supabase
+        .from("earnings")
+        .select("id, earning_date, amount, inventory_cost, doc_type, vendor_name, transaction_category")
+        .eq("user_id", userId)
+        .gte("earning_date", historyStart)
+        .lte("earning_date", asOf)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("invoices")
+        .select("id, invoice_number, issue_date, due_date, status, total, amount_paid, amount_written_off")
+        .eq("user_id", userId)
+        .in("status", [receivablesService.statuses.SENT, receivablesService.statuses.PARTIALLY_PAID])
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("supplier_bills")
+        .select("id, bill_number, bill_date, due_date, status, total, amount_paid")
+        .eq("user_id", userId)
+        .neq("status", payablesService.statuses.PAID)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("journal_lines")
+        .select("debit, credit")
+        .eq("user_id", userId)
+        .in("account_code", [ledgerService.accounts.CASH, ledgerService.accounts.BANK])
+        .lte("entry_date", asOf)
+        .order("id", { ascending: true })
+    ),
+    supabase.from("profiles").select("business_type").eq("id", userId).single(),
+    supabase
+      .from("recurring_transactions")
+      .select("*, recurring_occurrences(*)")
+      .eq("user_id", userId)
+      .eq("status", recurringTransactionService.statuses.ACTIVE),
+  ]);
+
+  const failed = [earningsResult, invoicesResult, billsResult, cashLinesResult, templatesResult].find((r) => r.error);
+  if (failed) {
+    console.error("Cash-flow forecast error:", failed.error);
+    return res.status(500).json({ success: false, error: "Failed to load data for the forecast", data: null });
+  }
+
+  const earnings = earningsResult.data || [];
+  const ledgerBalance = (cashLinesResult.data || []).reduce(
+    (sum, line) => sum + (Number(line.debit) || 0) - (Number(line.credit) || 0),
+    0
+  );
+
+  const { multipliers, source } = cashFlowForecastService.buildSeasonalMultipliers(
+    earnings,
+    profileResult.data?.business_type
+  );
+
+  const forecast = cashFlowForecastService.buildForecast({
+    asOf,
+    openingBalance: scenario.opening_balance ?? ledgerBalance,
+    earnings,
+    invoices: (invoicesResult.data || []).map((invoice) => ({
+      ...invoice,
+      outstanding: receivablesService.outstanding(invoice),
+    })),
+    bills: (billsResult.data || []).map((bill) => ({ ...bill, outstanding: payablesService.outstanding(bill) })),
+    multipliers,
+    recurring: cashFlowForecastService.detectRecurringExpenses(earnings),
+    scheduled: scheduledOccurrences(templatesResult.data || [], asOf),
+    scenario,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...forecast,
+      opening_balance_source: scenario.opening_balance !== undefined ? "scenario" : "ledger",
+      seasonal_source: source,
+      scenario,
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  getCashFlowForecast,
+};
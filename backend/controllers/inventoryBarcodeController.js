@@ -0,0 +1,244 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { barcodeSchemas } = require("../middleware/validation");
+const barcodeService = require("../services/barcodeService");
+const { recordStockMovement } = require("./inventoryController");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const sendBadBarcode = (res, parsed) =>
+  res.status(400).json({ success: false, error: parsed.error, data: null });
+
+// Run recordStockMovement for a scan and hand back its payload; 4xx/5xx replies reject with their status
+const recordMovement = (req, body) =>
+  new Promise((resolve, reject) => {
+    const fakeReq = { ...req, body };
+    const fakeRes = {
+      status: (code) => ({
+        json: (payload) => {
+          if (code >= 400) reject(Object.assign(new Error(payload.error || "Inventory error"), { code }));
+          else resolve(payload);
+        },
+      }),
+      json: (payload) => resolve(payload),
+    };
+
+    recordStockMovement(fakeReq, fakeRes, reject);
+  });
+
+// GET /api/inventory/barcodes/:code - the user's item with this barcode, and the catalogue entry for it
+const lookupBarcode = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const resolved = await barcodeService.resolve(supabase, req.user.id, req.params.code);
+  if (resolved.error) return sendBadBarcode(res, resolved);
+
+  res.json({
+    success: true,
+    data: {
+      barcode: resolved.code,
+      format: resolved.format,
+      item: resolved.item,
+      catalogue_entry: resolved.catalogue,
+      known: Boolean(resolved.item || resolved.catalogue),
+    },
+    error: null,
+  });
+});
+
+// PUT /api/inventory/items/:id/barcode
+// Body: { barcode } - null clears it. A barcode identifies one item per user.
+const setItemBarcode = asyncHandler(async (req, res) => {
+  const value = validateBody(barcodeSchemas.itemBarcode, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  let code = null;
+  if (value.barcode) {
+    const parsed = barcodeService.parse(value.barcode);
+    if (parsed.error) return sendBadBarcode(res, parsed);
+    code = parsed.code;
+
+    const holder = await barcodeService.findUserItem(supabase, userId, code);
+    if (holder && holder.id !== req.params.id) {
+      return res.status(409).json({
+        success: false,
+        error: `Barcode ${code} is already assigned to ${holder.product_name}`,
+        data: null,
+      });
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from("inventory_items")
+    .update({ barcode: code, updated_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .eq("user_id", userId)
+    .select("id, product_name, barcode")
+    .maybeSingle();
+
+  if (error) {
+    console.error("Inventory item barcode update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update barcode", data: null });
+  }
+  if (!updated) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+// POST /api/inventory/scan
+// Body: { barcode, direction, quantity = 1, unit?, unit_cost?, location_id?, create_item = true }
+// One scan records one ledger movement. A code only known to the catalogue adds the item on scan-in.
+const scanMovement = asyncHandler(async (req, res) => {
+  const value = validateBody(barcodeSchemas.scan, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const resolved = await barcodeService.resolve(supabase, userId, value.barcode);
+  if (resolved.error) return sendBadBarcode(res, resolved);
+
+  let item = resolved.item;
+  let itemCreated = false;
+
+  if (!item) {
+    if (value.direction === "out" || !resolved.catalogue || !value.create_item) {
+      return res.status(404).json({
+        success: false,
+        error: resolved.catalogue
+          ? `${resolved.catalogue.product_name} (${resolved.code}) is not in your inventory yet`
+          : `No item or catalogue product has barcode ${resolved.code}`,
+        data: { barcode: resolved.code, catalogue_entry: resolved.catalogue },
+      });
+    }
+
+    const { data: created, error } = await supabase
+      .from("inventory_items")
+      .insert(barcodeService.itemFromCatalogue(userId, resolved.catalogue))
+      .select("id, product_name, brand, category, unit, pack_sizes, barcode")
+      .single();
+
+    if (error) {
+      console.error("Inventory create item from catalogue error:", error);
+      return res.status(500).json({ success: false, error: "Failed to create inventory item", data: null });
+    }
+    item = created;
+    itemCreated = true;
+  }
+
+  let movement;
+  try {
+    movement = await recordMovement(req, {
+      item_id: item.id,
+      direction: value.direction,
+      quantity: value.quantity,
+      unit: value.unit || null,
+      unit_cost: value.unit_cost ?? null,
+      location_id: value.location_id || null,
+      source: barcodeService.movementSource,
+      metadata: { barcode: resolved.code, barcode_format: resolved.format },
+    });
+  } catch (movementError) {
+    if (!movementError.code) throw movementError;
+    return res.status(movementError.code).json({ success: false, error: movementError.message, data: null });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      barcode: resolved.code,
+      item,
+      item_created: itemCreated,
+      movement: movement.data,
+    },
+    journal_entry_id: movement.journal_entry_id || null,
+    audio_confirmation: movement.audio_confirmation || null,
+    error: null,
+  });
+});
+
+// GET /api/inventory/barcodes/catalogue?search=&limit=
+const searchCatalogue = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const search = String(req.query.search || "").trim();
+
+  let query = supabase
+    .from("product_catalogue")
+    .select("*")
+    .order("product_name", { ascending: true })
+    .limit(limit);
+
+  if (search) {
+    const code = barcodeService.canonical(search);
+    query = code && /^\d+$/.test(code)
+      ? query.eq("barcode", code)
+      : query.ilike("product_name", `%${search.replace(/[%_]/g, "")}%`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  res.json({ success: true, data: data || [], error: null });
+});
+
+// POST /api/inventory/barcodes/catalogue/seed
+// Copies every active product that carries a valid barcode into the catalogue (admin only)
+const seedCatalogue = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("business_type")
+    .eq("id", req.user.id)
+    .single();
+
+  if (profile?.business_type !== "Admin") {
+    return res.status(403).json({ success: false, error: "Admin access required", data: null });
+  }
+
+  const { data: products, error: productsError } = await supabase
+    .from("products")
+    .select("*")
+    .eq("is_active", true);
+
+  if (productsError) throw productsError;
+
+  const { entries, skipped } = barcodeService.catalogueFromProducts(products);
+  if (entries.length > 0) {
+    const { error } = await supabase
+      .from("product_catalogue")
+      .upsert(entries, { onConflict: "barcode" });
+
+    if (error) {
+      console.error("Product catalogue seed error:", error);
+      return res.status(500).json({ success: false, error: "Failed to seed product catalogue", data: null });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: { seeded: entries.length, skipped, products: (products || []).length },
+    error: null,
+  });
+});
+
+module.exports = {
+  lookupBarcode,
+  setItemBarcode,
+  scanMovement,
+  searchCatalogue,
+  seedCatalogue,
+};
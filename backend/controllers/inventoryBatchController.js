@@ -0,0 +1,162 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { batchSchemas } = require("../middleware/validation");
+const batchService = require("../services/batchService");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const loadLocationNames = async (supabase, userId) => {
+  const { data } = await supabase.from("inventory_locations").select("id, name").eq("user_id", userId);
+  return new Map((data || []).map((location) => [location.id, location.name]));
+};
+
+const withNames = (batch, locationNames) => {
+  const { inventory_items: item, ...rest } = batch;
+  return {
+    ...rest,
+    product_name: item?.product_name || null,
+    unit: item?.unit || null,
+    location_name: locationNames.get(batch.location_id) || null,
+  };
+};
+
+// GET /api/inventory/batches?item_id=&location_id=&include_empty=true
+// Batches in FEFO order; used-up batches only with include_empty
+const listBatches = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const { item_id, location_id, include_empty } = req.query;
+
+  let query = supabase
+    .from("inventory_batches")
+    .select("*, inventory_items(product_name, unit)")
+    .eq("user_id", userId);
+  if (item_id) query = query.eq("item_id", item_id);
+  if (location_id) query = query.eq("location_id", location_id);
+  if (include_empty !== "true") query = query.gt("quantity_remaining", 0);
+
+  const [{ data: batches, error }, locationNames] = await Promise.all([query, loadLocationNames(supabase, userId)]);
+
+  if (error) {
+    console.error("Inventory batches list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load batches", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: batchService.sortFefo(batches || []).map((batch) => withNames(batch, locationNames)),
+    error: null,
+  });
+});
+
+// GET /api/inventory/batches/expiring?days=30&location_id=
+// Expired stock and stock expiring within `days`, with the value at risk at batch cost
+const getExpiringBatches = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || batchService.nearExpiryDays, 1), 365);
+
+  let query = supabase
+    .from("inventory_batches")
+    .select("*, inventory_items(product_name, unit)")
+    .eq("user_id", userId)
+    .gt("quantity_remaining", 0)
+    .not("expiry_date", "is", null);
+  if (req.query.location_id) query = query.eq("location_id", req.query.location_id);
+
+  const [{ data: batches, error }, locationNames] = await Promise.all([query, loadLocationNames(supabase, userId)]);
+
+  if (error) {
+    console.error("Inventory expiring batches error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load expiring stock", data: null });
+  }
+
+  const report = batchService.expiringSoon(batches || [], { days });
+  res.json({
+    success: true,
+    data: { ...report, batches: report.batches.map((batch) => withNames(batch, locationNames)) },
+    error: null,
+  });
+});
+
+// PATCH /api/inventory/batches/:id
+// Body: { batch_number?, expiry_date?, manufactured_date? } - correct a batch captured wrongly.
+// A changed expiry date is alerted on afresh.
+const updateBatch = asyncHandler(async (req, res) => {
+  const value = validateBody(batchSchemas.updateBatch, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const { data: batch } = await supabase
+    .from("inventory_batches")
+    .select("*")
+    .eq("id", req.params.id)
+    .eq("user_id", userId)
+    .single();
+
+  if (!batch) {
+    return res.status(404).json({ success: false, error: "Batch not found", data: null });
+  }
+
+  const next = { ...batch, ...value };
+  if (next.expiry_date && next.manufactured_date && next.manufactured_date > next.expiry_date) {
+    return res.status(400).json({ success: false, error: "manufactured_date cannot be after expiry_date", data: null });
+  }
+
+  if (value.batch_number && value.batch_number !== batch.batch_number) {
+    let query = supabase
+      .from("inventory_batches")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("item_id", batch.item_id)
+      .eq("batch_number", value.batch_number)
+      .limit(1);
+    query = batch.location_id ? query.eq("location_id", batch.location_id) : query.is("location_id", null);
+
+    const { data: clash } = await query;
+    if (clash?.length) {
+      return res.status(409).json({
+        success: false,
+        error: "This item already has a batch with that number at this location",
+        data: null,
+      });
+    }
+  }
+
+  const changes = { ...value, updated_at: new Date().toISOString() };
+  if (value.expiry_date !== undefined && value.expiry_date !== batch.expiry_date) {
+    changes.near_expiry_alerted_at = null;
+    changes.expired_alerted_at = null;
+  }
+
+  const { data: updated, error } = await supabase
+    .from("inventory_batches")
+    .update(changes)
+    .eq("id", batch.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Inventory batch update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update batch", data: null });
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+module.exports = {
+  listBatches,
+  getExpiringBatches,
+  updateBatch,
+};
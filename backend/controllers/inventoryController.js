@@ -4,6 +4,16 @@ const { AudioConfirmationService } = require("../services/audioConfirmationServi
 const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
 const { notificationService } = require("../services/notificationService");
 const { PerformanceOptimizationService } = require("../services/performanceOptimizationService");
+const ledgerService = require("../services/ledgerService");
+const inventoryValuationService = require("../services/inventoryValuationService");
+const locationService = require("../services/locationService");
+const batchService = require("../services/batchService");
+const unitService = require("../services/unitService");
+const barcodeService = require("../services/barcodeService");
+
+const reorderService = new ReorderIntelligenceService();
+
+const LEVEL_COLUMNS = "reorder_level, max_level, safety_stock, lead_time_days, reorder_quantity, avg_daily_usage, levels_source";
 
 // Helper: compute current stock per item from ledger rows
 const computeCurrentStock = (rows) => {
@@ -33,12 +43,27 @@ const listItems = asyncHandler(async (req, res) => {
     return res.status(500).json({ success: false, error: "Failed to load inventory items" });
   }
 
+  // Per-location split of current_stock
+  const [{ data: ledgerRows }, { data: locations }] = await Promise.all([
+    supabase
+      .from("inventory_stock_ledger")
+      .select("item_id, direction, quantity, location_id")
+      .eq("user_id", req.user.id),
+    supabase
+      .from("inventory_locations")
+      .select("id, name, is_default")
+      .eq("user_id", req.user.id),
+  ]);
+  const defaultLocation = (locations || []).find((l) => l.is_default);
+  const stockByLocation = locationService.stockByLocation(ledgerRows || [], defaultLocation?.id || null);
+
   // Format response with clear field meanings
   const formattedItems = (items || []).map((item) => ({
     ...item,
     quantity: item.current_stock, // Standardize field name
     unit_of_measurement: item.unit, // Clarify purpose
-    stock: item.current_stock // Keep for backward compatibility
+    stock: item.current_stock, // Keep for backward compatibility
+    stock_by_location: locationService.describeStock(stockByLocation.get(item.id), locations || []),
   }));
 
   res.json({ success: true, data: formattedItems });
@@ -48,12 +73,28 @@ const listItems = asyncHandler(async (req, res) => {
 // Creates a new item or updates existing one by id
 const createOrUpdateItem = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedClient(req.accessToken);
-  const { id, product_name, unit, brand, category, aliases, custom_attributes, notes } = req.body || {};
+  const { id, product_name, unit, brand, category, aliases, custom_attributes, notes, barcode } = req.body || {};
 
   if (!product_name || typeof product_name !== "string" || !product_name.trim()) {
     return res.status(400).json({ success: false, error: "product_name is required" });
   }
 
+  // Barcodes are stored in canonical form and identify one item per user
+  let barcodeCode;
+  if (barcode) {
+    const parsed = barcodeService.parse(barcode);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    const holder = await barcodeService.findUserItem(supabase, req.user.id, parsed.code);
+    if (holder && holder.id !== id) {
+      return res.status(409).json({ success: false, error: `Barcode ${parsed.code} is already assigned to ${holder.product_name}` });
+    }
+    barcodeCode = parsed.code;
+  } else if (barcode === null || barcode === "") {
+    barcodeCode = null;
+  }
+
   const payload = {
     user_id: req.user.id,
     product_name: product_name.trim(),
@@ -63,6 +104,7 @@ const createOrUpdateItem = asyncHandler(async (req, res) => {
     aliases: Array.isArray(aliases) ? aliases : undefined,
     custom_attributes: custom_attributes || undefined,
     notes: notes || null,
+    barcode: barcodeCode,
   };
 
   let result;
@@ -113,26 +155,34 @@ const getItem = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, error: "Item not found" });
   }
 
-  const { data: ledgerRows, error: ledgerError } = await supabase
-    .from("inventory_stock_ledger")
-    .select("direction, quantity, source, reference_id, metadata, created_at")
-    .eq("user_id", req.user.id)
-    .eq("item_id", id)
-    .order("created_at", { ascending: false })
-    .limit(50);
+  const [{ data: ledgerRows, error: ledgerError }, { data: locations }] = await Promise.all([
+    supabase
+      .from("inventory_stock_ledger")
+      .select("item_id, direction, quantity, source, reference_id, location_id, metadata, created_at")
+      .eq("user_id", req.user.id)
+      .eq("item_id", id)
+      .order("created_at", { ascending: false }),
+    supabase
+      .from("inventory_locations")
+      .select("id, name, is_default")
+      .eq("user_id", req.user.id),
+  ]);
 
   if (ledgerError) {
     console.error("Inventory getItem ledger error:", ledgerError);
   }
 
   const stockMap = ledgerRows ? computeCurrentStock(ledgerRows) : new Map();
+  const defaultLocation = (locations || []).find((l) => l.is_default);
+  const stockByLocation = locationService.stockByLocation(ledgerRows || [], defaultLocation?.id || null);
 
   res.json({
     success: true,
     data: {
       ...item,
       current_stock: stockMap.get(item.id) || 0,
-      recent_movements: ledgerRows || [],
+      stock_by_location: locationService.describeStock(stockByLocation.get(item.id), locations || []),
+      recent_movements: (ledgerRows || []).slice(0, 50),
     },
   });
 });
@@ -157,21 +207,52 @@ const deleteItem = asyncHandler(async (req, res) => {
 });
 
 // POST /api/inventory/movements
-// Body: { item_id, product_name?, direction, quantity, source?, reference_id?, metadata? }
+// Body: { item_id, product_name?, direction, quantity, unit?, unit_cost?, source?, reference_id?, location_id?,
+//         batch_number?, expiry_date?, manufactured_date?, batch_id?, metadata? }
 // If item_id missing but product_name provided, will upsert item first (zero-assumption flow).
+// Movements carrying a cost (unit_cost or metadata.total_cost) are posted to the general ledger.
+// Stock out is costed from the item's cost layers (FIFO or weighted average, per the profile) and posted
+// to COGS; the cost and the layers consumed are kept on the row in metadata.cost_of_goods.
+// quantity and unit_cost are in `unit` (else metadata.unit, else the item's base unit) and are stored converted
+// to the item's base unit; the figures as entered are kept in metadata.entered_quantity / entered_unit.
+// Every movement is recorded at a location: location_id, else the user's default location.
+// Stock in may carry batch_number / expiry_date / manufactured_date (or the same keys in metadata) and is
+// booked to that batch. Stock out draws from the item's batches at the location first-expiry-first-out,
+// or from batch_id / batch_number first when given; the batches drawn are kept in metadata.batches.
 const recordStockMovement = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedClient(req.accessToken);
-  const { item_id, product_name, direction, quantity, source, reference_id, metadata } = req.body || {};
+  const {
+    item_id, product_name, direction, quantity, unit, unit_cost, source, reference_id, metadata, location_id, batch_id, batch_number,
+  } = req.body || {};
 
   if (!direction || !["in", "out"].includes(direction)) {
     return res.status(400).json({ success: false, error: "direction must be 'in' or 'out'" });
   }
 
-  const qty = Number(quantity);
-  if (!Number.isFinite(qty) || qty <= 0) {
+  if (source === locationService.transferSource) {
+    return res.status(400).json({ success: false, error: "Use /api/inventory/transfers to move stock between locations" });
+  }
+
+  const enteredQty = Number(quantity);
+  if (!Number.isFinite(enteredQty) || enteredQty <= 0) {
     return res.status(400).json({ success: false, error: "quantity must be a positive number" });
   }
 
+  const enteredUnitCost = unit_cost === undefined || unit_cost === null || unit_cost === "" ? null : Number(unit_cost);
+  if (enteredUnitCost !== null && (!Number.isFinite(enteredUnitCost) || enteredUnitCost < 0)) {
+    return res.status(400).json({ success: false, error: "unit_cost must be a non-negative number" });
+  }
+
+  const batchInput = direction === "in" ? batchService.parseBatchInput(req.body || {}) : { batch: null };
+  if (batchInput.error) {
+    return res.status(400).json({ success: false, error: batchInput.error });
+  }
+
+  const location = await locationService.resolveLocation(supabase, req.user.id, location_id || null);
+  if (!location) {
+    return res.status(404).json({ success: false, error: "Location not found" });
+  }
+
   let resolvedItemId = item_id || null;
 
   // Zero-assumption: if no item_id but product_name given, upsert an inventory_items row.
@@ -240,6 +321,98 @@ const recordStockMovement = asyncHandler(async (req, res) => {
     }
   }
 
+  // Quantity (and unit_cost) are converted to the item's base unit; voice and image flows pass the unit in metadata
+  const { data: unitItem } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit, pack_sizes")
+    .eq("id", resolvedItemId)
+    .eq("user_id", req.user.id)
+    .single();
+
+  const conversion = unitService.toBase(unitItem || {}, enteredQty, unit ?? metadata?.unit);
+  if (conversion.error) {
+    return res.status(400).json({ success: false, error: conversion.error });
+  }
+  if (conversion.base_unit_set && unitItem) {
+    await supabase
+      .from("inventory_items")
+      .update({ unit: conversion.unit })
+      .eq("id", resolvedItemId)
+      .eq("user_id", req.user.id);
+  }
+
+  const qty = conversion.quantity;
+  const unitCost = enteredUnitCost === null ? null : Math.round((enteredUnitCost / conversion.factor) * 10000) / 10000;
+
+  let issueCost = null;
+  let stockBefore = null;
+  let itemLevels = null;
+  if (direction === "out") {
+    const [method, { data: item }, { data: history, error: historyError }] = await Promise.all([
+      inventoryValuationService.getMethod(supabase, req.user.id),
+      supabase
+        .from("inventory_items")
+        .select(`id, product_name, custom_attributes, ${LEVEL_COLUMNS}`)
+        .eq("id", resolvedItemId)
+        .eq("user_id", req.user.id)
+        .single(),
+      // Every earlier movement of the item, in the order the cost layers were built
+      ledgerService.selectAll(() =>
+        supabase
+          .from("inventory_stock_ledger")
+          .select("id, item_id, direction, quantity, source, metadata, created_at")
+          .eq("user_id", req.user.id)
+          .eq("item_id", resolvedItemId)
+          .order("created_at", { ascending: true })
+          .order("id", { ascending: true })
+      ),
+    ]);
+
+    if (historyError) {
+      console.error("Inventory costing history error:", historyError);
+    } else {
+      issueCost = inventoryValuationService.costIssue(history || [], item, qty, method);
+      if (item) {
+        stockBefore = reorderService.calculateCurrentStock(history || []);
+        itemLevels = { item, levels: reorderService.effectiveLevels(item, history || []) };
+      }
+    }
+  }
+
+  // Expired batches are only drawn on for adjustments such as wastage
+  let batchPlan = null;
+  if (direction === "out") {
+    try {
+      batchPlan = await batchService.planIssue(supabase, req.user.id, {
+        item_id: resolvedItemId,
+        location_id: location.id,
+        quantity: qty,
+        batch_id: batch_id || null,
+        batch_number: batch_number || null,
+        skipExpired: !ledgerService.adjustmentSources.includes(source),
+      });
+    } catch (batchError) {
+      console.error("Inventory batch allocation error:", batchError);
+    }
+  }
+
+  const movementMetadata = { ...(metadata || {}) };
+  if (unitCost !== null) movementMetadata.unit_cost = unitCost;
+  if (issueCost) movementMetadata.cost_of_goods = issueCost;
+  if (conversion.unit) movementMetadata.unit = conversion.unit;
+  if (conversion.factor !== 1) {
+    movementMetadata.entered_quantity = conversion.entered_quantity;
+    movementMetadata.entered_unit = conversion.entered_unit;
+    movementMetadata.conversion_factor = conversion.factor;
+  }
+  if (batchInput.batch) Object.assign(movementMetadata, batchInput.batch);
+  if (batchPlan) {
+    movementMetadata.batches = batchPlan.allocations;
+    if (batchPlan.unallocated > 0) movementMetadata.unbatched_quantity = batchPlan.unallocated;
+  }
+  // Kept for the item's audit trail
+  if (req.user?.email) movementMetadata.recorded_by = req.user.email;
+
   const payload = {
     user_id: req.user.id,
     item_id: resolvedItemId,
@@ -247,7 +420,9 @@ const recordStockMovement = asyncHandler(async (req, res) => {
     quantity: qty,
     source: source || "manual",
     reference_id: reference_id || null,
-    metadata: metadata || {},
+    location_id: location.id,
+    batch_id: batchPlan?.allocations.length === 1 ? batchPlan.allocations[0].batch_id : null,
+    metadata: movementMetadata,
   };
 
   const { data, error } = await supabase
@@ -261,14 +436,40 @@ const recordStockMovement = asyncHandler(async (req, res) => {
     return res.status(500).json({ success: false, error: "Failed to record stock movement" });
   }
 
+  try {
+    if (batchInput.batch) {
+      const batch = await batchService.receive(supabase, req.user.id, {
+        item_id: resolvedItemId,
+        location_id: location.id,
+        quantity: qty,
+        unit_cost: unitCost,
+        batch: batchInput.batch,
+      });
+      await supabase.from("inventory_stock_ledger").update({ batch_id: batch.id }).eq("id", data.id).eq("user_id", req.user.id);
+      data.batch_id = batch.id;
+    }
+    if (batchPlan?.allocations.length) {
+      await batchService.applyAllocations(supabase, req.user.id, batchPlan.allocations);
+    }
+  } catch (batchError) {
+    console.error("Inventory batch update error:", batchError);
+  }
+
+  // Only the share of issued stock whose purchase reached the Inventory account is credited back out of it
+  const journalEntry = await ledgerService.safePost("stock movement", () =>
+    issueCost && issueCost.total_cost > 0
+      ? ledgerService.postStockMovement(supabase, req.user.id, data, issueCost.ledger_value)
+      : ledgerService.postStockMovement(supabase, req.user.id, data)
+  );
+
   // Generate audio confirmation
   const audioService = new AudioConfirmationService();
   const audioConfirmation = await audioService.generateInventoryConfirmation(
     req.user.id, 
-    direction, 
-    product_name || 'item', 
-    qty, 
-    'units'
+    direction === "in" ? "stock_in" : "stock_out", 
+    product_name || unitItem?.product_name || 'item', 
+    conversion.entered_quantity, 
+    unitService.label(conversion.entered_unit) || 'units'
   );
 
   // Send real-time notification
@@ -278,26 +479,59 @@ const recordStockMovement = asyncHandler(async (req, res) => {
     operation: direction === 'in' ? 'added' : 'removed'
   }, direction);
 
+  // Alert once, when this movement takes the item across its reorder level
+  if (itemLevels) {
+    const { item, levels } = itemLevels;
+    const stockAfter = stockBefore - qty;
+    const statusBefore = reorderService.stockStatus(stockBefore, levels);
+    const statusAfter = reorderService.stockStatus(stockAfter, levels);
+    if (reorderService.isLowStatus(statusAfter) && !reorderService.isLowStatus(statusBefore)) {
+      notificationService.notifyLowStock(req.user.id, {
+        item_id: item.id,
+        product_name: item.product_name,
+        current_stock: stockAfter,
+        stock_status: statusAfter,
+        reorder_level: levels.reorder_level,
+        safety_stock: levels.safety_stock,
+        reorder_quantity: levels.reorder_quantity,
+        recommended_order: reorderService.recommendedOrder(stockAfter, levels),
+      });
+    }
+  }
+
   res.json({ 
     success: true, 
     data,
+    journal_entry_id: journalEntry?.id || null,
     audio_confirmation: audioConfirmation?.audio ? 'data:audio/mp3;base64,' + audioConfirmation.audio : null
   });
 });
 
+// Group ledger rows by item
+const groupMovementsByItem = (rows) => {
+  const movementsByItem = new Map();
+  for (const row of rows) {
+    const list = movementsByItem.get(row.item_id) || [];
+    list.push(row);
+    movementsByItem.set(row.item_id, list);
+  }
+  return movementsByItem;
+};
+
 // GET /api/inventory/summary
-// Returns per-item current stock and simple low-stock flags.
+// Returns per-item current stock with its reorder levels and low-stock status.
+// Items without saved levels use levels suggested from their usage.
 const getInventorySummary = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedClient(req.accessToken);
 
   const [{ data: items, error: itemsError }, { data: ledgerRows, error: ledgerError }] = await Promise.all([
     supabase
       .from("inventory_items")
-      .select("id, product_name, unit, brand, category")
+      .select(`id, product_name, unit, brand, category, ${LEVEL_COLUMNS}`)
       .eq("user_id", req.user.id),
     supabase
       .from("inventory_stock_ledger")
-      .select("item_id, direction, quantity")
+      .select("item_id, direction, quantity, source, created_at")
       .eq("user_id", req.user.id),
   ]);
 
@@ -307,15 +541,18 @@ const getInventorySummary = asyncHandler(async (req, res) => {
   }
 
   const stockMap = computeCurrentStock(ledgerRows || []);
+  const movementsByItem = groupMovementsByItem(ledgerRows || []);
 
   const summary = (items || []).map((item) => {
     const current = stockMap.get(item.id) || 0;
-    // Simple heuristic: low stock if <= 0
-    const isLow = current <= 0;
+    const levels = reorderService.effectiveLevels(item, movementsByItem.get(item.id) || []);
+    const status = reorderService.stockStatus(current, levels);
     return {
       ...item,
       current_stock: current,
-      is_low_stock: isLow,
+      is_low_stock: reorderService.isLowStatus(status),
+      stock_status: status,
+      effective_levels: levels,
     };
   });
 
@@ -323,7 +560,7 @@ const getInventorySummary = asyncHandler(async (req, res) => {
 });
 
 // GET /api/inventory/insights
-// Basic insights: counts, low-stock items, slow movers (no movement in last 30 days)
+// Basic insights: counts, items at or below their reorder level, slow movers (no movement in last 30 days)
 const getInventoryInsights = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedClient(req.accessToken);
 
@@ -333,11 +570,11 @@ const getInventoryInsights = asyncHandler(async (req, res) => {
   const [{ data: items, error: itemsError }, { data: ledgerRows, error: ledgerError }] = await Promise.all([
     supabase
       .from("inventory_items")
-      .select("id, product_name, unit, brand, category")
+      .select(`id, product_name, unit, brand, category, ${LEVEL_COLUMNS}`)
       .eq("user_id", req.user.id),
     supabase
       .from("inventory_stock_ledger")
-      .select("item_id, direction, quantity, created_at")
+      .select("item_id, direction, quantity, source, created_at")
       .eq("user_id", req.user.id),
   ]);
 
@@ -351,20 +588,15 @@ const getInventoryInsights = asyncHandler(async (req, res) => {
   const lowStockItems = [];
   const slowMovers = [];
 
-  const movementsByItem = new Map();
-  for (const row of ledgerRows || []) {
-    const list = movementsByItem.get(row.item_id) || [];
-    list.push(row);
-    movementsByItem.set(row.item_id, list);
-  }
+  const movementsByItem = groupMovementsByItem(ledgerRows || []);
 
   for (const item of items || []) {
     const current = stockMap.get(item.id) || 0;
     const movements = movementsByItem.get(item.id) || [];
 
-    const isLow = current <= 0;
-    if (isLow) {
-      lowStockItems.push({ ...item, current_stock: current });
+    const status = reorderService.stockStatus(current, reorderService.effectiveLevels(item, movements));
+    if (reorderService.isLowStatus(status)) {
+      lowStockItems.push({ ...item, current_stock: current, stock_status: status });
     }
 
     const hasRecentMovement = movements.some((m) => m.created_at >= thirtyDaysAgo);
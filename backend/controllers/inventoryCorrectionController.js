@@ -0,0 +1,201 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { correctionSchemas } = require("../middleware/validation");
+const stockCorrectionService = require("../services/stockCorrectionService");
+const unitService = require("../services/unitService");
+const { recordStockMovement } = require("./inventoryController");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Stock movement not found", data: null });
+
+const sendConflict = (res, error) =>
+  res.status(409).json({ success: false, error, data: null });
+
+// Run recordStockMovement for the corrected row and hand back its payload; 4xx/5xx replies reject with their status
+const recordMovement = (req, body) =>
+  new Promise((resolve, reject) => {
+    const fakeReq = { ...req, body };
+    const fakeRes = {
+      status: (code) => ({
+        json: (payload) => {
+          if (code >= 400) reject(Object.assign(new Error(payload.error || "Inventory error"), { code }));
+          else resolve(payload);
+        },
+      }),
+      json: (payload) => resolve(payload),
+    };
+
+    recordStockMovement(fakeReq, fakeRes, reject);
+  });
+
+// POST /api/inventory/movements/:id/reverse
+// Body: { reason }
+// Adds a `reversal` row moving the same quantity the other way and reverses the movement's journal entry.
+// Sales, returns and transfers are corrected on their own documents instead.
+const reverseMovement = asyncHandler(async (req, res) => {
+  const value = validateBody(correctionSchemas.reverse, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const movement = await stockCorrectionService.loadMovement(supabase, userId, req.params.id);
+  if (!movement) return sendNotFound(res);
+
+  const existing = await stockCorrectionService.findReversal(supabase, userId, movement.id);
+  const blocker = stockCorrectionService.reversalBlocker(movement, existing);
+  if (blocker) return sendConflict(res, blocker);
+
+  const result = await stockCorrectionService.reverse(supabase, req.user, movement, { reason: value.reason });
+
+  res.json({
+    success: true,
+    data: { movement, ...result },
+    error: null,
+  });
+});
+
+// PATCH /api/inventory/movements/:id
+// Body: { reason, quantity?, unit?, unit_cost?, item_id?, location_id? }
+// The original row stays: it is reversed and a corrected row (metadata.corrects_movement_id) is recorded
+// from the same source, so stock, costs and the journal all follow the correction.
+const editMovement = asyncHandler(async (req, res) => {
+  const value = validateBody(correctionSchemas.edit, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const movement = await stockCorrectionService.loadMovement(supabase, userId, req.params.id);
+  if (!movement) return sendNotFound(res);
+
+  const existing = await stockCorrectionService.findReversal(supabase, userId, movement.id);
+  const blocker = stockCorrectionService.editBlocker(movement, existing);
+  if (blocker) return sendConflict(res, blocker);
+
+  const body = stockCorrectionService.correctedBody(movement, value, value.reason);
+
+  // Check the corrected quantity converts before anything is reversed
+  const { data: item } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit, pack_sizes")
+    .eq("id", body.item_id)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (!item) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+  const conversion = unitService.toBase(item, body.quantity, body.unit ?? body.metadata?.unit);
+  if (conversion.error) {
+    return res.status(400).json({ success: false, error: conversion.error, data: null });
+  }
+
+  const reversed = await stockCorrectionService.reverse(supabase, req.user, movement, {
+    reason: value.reason,
+    action: stockCorrectionService.actions.EDIT,
+    logged: false,
+  });
+
+  let corrected;
+  try {
+    corrected = await recordMovement(req, body);
+  } catch (movementError) {
+    if (!movementError.code) throw movementError;
+    return res.status(movementError.code).json({
+      success: false,
+      error: `The movement was reversed but the corrected entry failed: ${movementError.message}`,
+      data: { reversal: reversed.reversal },
+    });
+  }
+
+  const auditEntry = await stockCorrectionService.logAudit(supabase, userId, {
+    item_id: movement.item_id,
+    action: stockCorrectionService.actions.EDIT,
+    movement_id: movement.id,
+    related_movement_ids: [reversed.reversal.id, corrected.data.id],
+    reason: value.reason,
+    actor: stockCorrectionService.actor(req.user),
+    details: {
+      original_source: movement.source || "manual",
+      before: { item_id: movement.item_id, quantity: movement.quantity, location_id: movement.location_id },
+      after: { item_id: corrected.data.item_id, quantity: corrected.data.quantity, location_id: corrected.data.location_id },
+    },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      original: movement,
+      reversal: reversed.reversal,
+      corrected: corrected.data,
+      audit_entry: auditEntry,
+    },
+    journal_entry_ids: [reversed.journal_entry_id, corrected.journal_entry_id].filter(Boolean),
+    error: null,
+  });
+});
+
+// GET /api/inventory/items/:id/audit
+// Every change to the item's stock, newest first: what moved it (manual, voice, image, barcode, PO, sale...),
+// who recorded it, and any reversal or edit with its reason
+const getItemAudit = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const { data: item } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit")
+    .eq("id", req.params.id)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (!item) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+
+  const [{ data: movements, error: movementsError }, { data: logEntries, error: logError }] = await Promise.all([
+    supabase
+      .from("inventory_stock_ledger")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("item_id", item.id)
+      .order("created_at", { ascending: false }),
+    supabase
+      .from("inventory_audit_log")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("item_id", item.id)
+      .order("created_at", { ascending: false }),
+  ]);
+
+  if (movementsError) throw movementsError;
+  if (logError) {
+    console.error("Inventory audit log error:", logError);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      item,
+      events: stockCorrectionService.auditTrail(movements || [], logEntries || []),
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  reverseMovement,
+  editMovement,
+  getItemAudit,
+};
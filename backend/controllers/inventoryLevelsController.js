@@ -0,0 +1,194 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { inventoryLevelSchemas } = require("../middleware/validation");
+const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
+
+const reorderService = new ReorderIntelligenceService();
+
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const savedLevels = (item) =>
+  reorderService.levelFields.reduce((levels, field) => ({ ...levels, [field]: item[field] ?? null }), {
+    avg_daily_usage: item.avg_daily_usage ?? null,
+    source: reorderService.hasLevels(item) ? item.levels_source || "manual" : null,
+    updated_at: item.levels_updated_at || null,
+  });
+
+const levelsView = ({ item, movements, currentStock }) => {
+  const effective = reorderService.effectiveLevels(item, movements);
+  return {
+    item_id: item.id,
+    product_name: item.product_name,
+    unit: item.unit || null,
+    current_stock: currentStock,
+    stock_status: reorderService.stockStatus(currentStock, effective),
+    saved: savedLevels(item),
+    suggested: reorderService.suggestLevels(movements, { leadTimeDays: item.lead_time_days }),
+    effective,
+  };
+};
+
+const loadStock = async (supabase, req, res) => {
+  try {
+    return await reorderService.loadStock(supabase, req.user.id);
+  } catch (error) {
+    console.error("Inventory levels load error:", error);
+    res.status(500).json({ success: false, error: "Failed to load inventory levels", data: null });
+    return null;
+  }
+};
+
+// GET /api/inventory/reorder-levels
+// Saved, suggested and effective levels with stock status for every item
+const listLevels = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const stock = await loadStock(supabase, req, res);
+  if (!stock) return;
+
+  res.json({ success: true, data: stock.map(levelsView), error: null });
+});
+
+// GET /api/inventory/reorder-recommendations
+// Items at or below their reorder level, or due to reach it within the week
+const getReorderRecommendations = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const stock = await loadStock(supabase, req, res);
+  if (!stock) return;
+
+  res.json({ success: true, data: reorderService.recommendationsFor(stock), error: null });
+});
+
+// POST /api/inventory/reorder-levels/apply
+// Body: { item_ids?: uuid[], overwrite_manual?: boolean }. Saves the suggested levels for items with usage;
+// each item's own lead time is kept.
+const applySuggestedLevels = asyncHandler(async (req, res) => {
+  const value = validateBody(inventoryLevelSchemas.applySuggestions, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const stock = await loadStock(supabase, req, res);
+  if (!stock) return;
+
+  const requested = value.item_ids ? new Set(value.item_ids) : null;
+  const updated = [];
+  const skipped = [];
+
+  for (const { item, movements } of stock) {
+    if (requested && !requested.has(item.id)) continue;
+
+    if (reorderService.hasLevels(item) && item.levels_source !== "suggested" && !value.overwrite_manual) {
+      skipped.push({ item_id: item.id, product_name: item.product_name, reason: "Levels were set manually" });
+      continue;
+    }
+
+    const suggested = reorderService.suggestLevels(movements, { leadTimeDays: item.lead_time_days });
+    if (suggested.avg_daily_usage <= 0) {
+      skipped.push({ item_id: item.id, product_name: item.product_name, reason: "No usage in the last 30 days" });
+      continue;
+    }
+
+    const { error } = await supabase
+      .from("inventory_items")
+      .update({
+        reorder_level: suggested.reorder_level,
+        max_level: suggested.max_level,
+        safety_stock: suggested.safety_stock,
+        lead_time_days: suggested.lead_time_days,
+        reorder_quantity: suggested.reorder_quantity,
+        avg_daily_usage: suggested.avg_daily_usage,
+        levels_source: "suggested",
+        levels_updated_at: new Date().toISOString(),
+      })
+      .eq("id", item.id)
+      .eq("user_id", req.user.id);
+
+    if (error) {
+      console.error("Apply suggested levels error:", error);
+      skipped.push({ item_id: item.id, product_name: item.product_name, reason: "Failed to save levels" });
+      continue;
+    }
+    updated.push({ item_id: item.id, product_name: item.product_name, ...suggested });
+  }
+
+  res.json({ success: true, data: { updated, skipped }, error: null });
+});
+
+// GET /api/inventory/items/:id/levels
+const getItemLevels = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const stock = await loadStock(supabase, req, res);
+  if (!stock) return;
+
+  const entry = stock.find(({ item }) => item.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+
+  res.json({ success: true, data: levelsView(entry), error: null });
+});
+
+// PUT /api/inventory/items/:id/levels
+// Body: any of reorder_level, max_level, safety_stock, lead_time_days, reorder_quantity.
+// Levels set here are marked manual and are not replaced by bulk suggestions.
+const updateItemLevels = asyncHandler(async (req, res) => {
+  const value = validateBody(inventoryLevelSchemas.levels, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data: item, error: findError } = await supabase
+    .from("inventory_items")
+    .select("id, reorder_level, max_level, safety_stock")
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .single();
+
+  if (findError || !item) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+
+  const merged = { ...item, ...value };
+  if (merged.max_level !== null && merged.max_level !== undefined && merged.reorder_level !== null
+    && merged.reorder_level !== undefined && Number(merged.max_level) < Number(merged.reorder_level)) {
+    return res.status(400).json({ success: false, error: "max_level must be at least reorder_level", data: null });
+  }
+  if (merged.safety_stock && merged.reorder_level !== null && merged.reorder_level !== undefined
+    && Number(merged.safety_stock) > Number(merged.reorder_level)) {
+    return res.status(400).json({ success: false, error: "safety_stock cannot exceed reorder_level", data: null });
+  }
+
+  const { error } = await supabase
+    .from("inventory_items")
+    .update({
+      ...value,
+      levels_source: merged.reorder_level === null || merged.reorder_level === undefined ? null : "manual",
+      levels_updated_at: new Date().toISOString(),
+    })
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id);
+
+  if (error) {
+    console.error("Update item levels error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update inventory levels", data: null });
+  }
+
+  const stock = await loadStock(supabase, req, res);
+  if (!stock) return;
+  const entry = stock.find(({ item: row }) => row.id === req.params.id);
+
+  res.json({ success: true, data: entry ? levelsView(entry) : null, error: null });
+});
+
+module.exports = {
+  listLevels,
+  getReorderRecommendations,
+  applySuggestedLevels,
+  getItemLevels,
+  updateItemLevels,
+};
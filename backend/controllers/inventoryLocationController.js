@@ -0,0 +1,401 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { locationSchemas } = require("../middleware/validation");
+const batchService = require("../services/batchService");
+const locationService = require("../services/locationService");
+const unitService = require("../services/unitService");
+const { notificationService } = require("../services/notificationService");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Location not found", data: null });
+
+const loadLocations = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from("inventory_locations")
+    .select("*")
+    .eq("user_id", userId)
+    .order("is_default", { ascending: false })
+    .order("name", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Stock per item per location; untagged rows belong to the default location
+const loadStockByLocation = async (supabase, userId, locations, itemId = null) => {
+  let query = supabase
+    .from("inventory_stock_ledger")
+    .select("item_id, direction, quantity, location_id")
+    .eq("user_id", userId);
+  if (itemId) query = query.eq("item_id", itemId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const defaultLocation = locations.find((location) => location.is_default) || locations[0];
+  return locationService.stockByLocation(data || [], defaultLocation?.id || null);
+};
+
+// Only one default location per user. Untagged stock belongs to the default, so it is pinned to the
+// current default before that changes.
+const clearDefault = async (supabase, userId, exceptId = null) => {
+  await locationService.pinUntaggedStock(supabase, userId);
+
+  let query = supabase.from("inventory_locations").update({ is_default: false }).eq("user_id", userId).eq("is_default", true);
+  if (exceptId) query = query.neq("id", exceptId);
+  return query;
+};
+
+const locationTotals = (stock, locationId) => {
+  let items = 0;
+  let units = 0;
+  stock.forEach((byLocation) => {
+    const quantity = byLocation.get(locationId) || 0;
+    if (Math.abs(quantity) > 1e-9) {
+      items += 1;
+      units += quantity;
+    }
+  });
+  return { item_count: items, total_units: Math.round(units * 10000) / 10000 };
+};
+
+// GET /api/inventory/locations?include_inactive=true
+// Locations with how many items and units each holds
+const listLocations = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  let locations;
+  let stock;
+  try {
+    // Users who have never set a location up get their default one here
+    await locationService.getDefaultLocation(supabase, userId);
+    locations = await loadLocations(supabase, userId);
+    stock = await loadStockByLocation(supabase, userId, locations);
+  } catch (error) {
+    console.error("Inventory locations load error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load locations", data: null });
+  }
+
+  const visible = req.query.include_inactive === "true" ? locations : locations.filter((l) => l.is_active);
+  res.json({
+    success: true,
+    data: visible.map((location) => ({ ...location, ...locationTotals(stock, location.id) })),
+    error: null,
+  });
+});
+
+// POST /api/inventory/locations
+// Body: { name, type?, code?, address?, notes?, is_default? }
+const createLocation = asyncHandler(async (req, res) => {
+  const value = validateBody(locationSchemas.createLocation, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const { data: existing } = await supabase
+    .from("inventory_locations")
+    .select("id")
+    .eq("user_id", userId)
+    .limit(1);
+
+  // The first location is the default whatever the request says
+  const isDefault = !existing?.length || Boolean(value.is_default);
+  if (isDefault && existing?.length) await clearDefault(supabase, userId);
+
+  const { data: location, error } = await supabase
+    .from("inventory_locations")
+    .insert({
+      user_id: userId,
+      name: value.name,
+      type: value.type,
+      code: emptyToNull(value.code) || null,
+      address: emptyToNull(value.address) || null,
+      notes: emptyToNull(value.notes) || null,
+      is_default: isDefault,
+      is_active: true,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Inventory location create error:", error);
+    const status = error.code === "23505" ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: status === 409 ? "A location with this name already exists" : "Failed to create location",
+      data: null,
+    });
+  }
+
+  res.status(201).json({ success: true, data: location, error: null });
+});
+
+// PATCH /api/inventory/locations/:id
+// A location still holding stock cannot be deactivated, and the default cannot be unset without naming another
+const updateLocation = asyncHandler(async (req, res) => {
+  const value = validateBody(locationSchemas.updateLocation, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const { data: location } = await supabase
+    .from("inventory_locations")
+    .select("*")
+    .eq("id", req.params.id)
+    .eq("user_id", userId)
+    .single();
+  if (!location) return sendNotFound(res);
+
+  if (value.is_default === false && location.is_default) {
+    return res.status(409).json({ success: false, error: "Make another location the default instead", data: null });
+  }
+
+  if (value.is_active === false) {
+    if (location.is_default) {
+      return res.status(409).json({ success: false, error: "The default location cannot be deactivated", data: null });
+    }
+    const locations = await loadLocations(supabase, userId);
+    const stock = await loadStockByLocation(supabase, userId, locations);
+    if (locationTotals(stock, location.id).item_count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Transfer the stock held at this location before deactivating it",
+        data: null,
+      });
+    }
+  }
+
+  if (value.is_default) await clearDefault(supabase, userId, location.id);
+
+  const changes = { ...value, updated_at: new Date().toISOString() };
+  ["code", "address", "notes"].forEach((field) => {
+    if (changes[field] !== undefined) changes[field] = emptyToNull(changes[field]) || null;
+  });
+
+  const { data: updated, error } = await supabase
+    .from("inventory_locations")
+    .update(changes)
+    .eq("id", location.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Inventory location update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update location", data: null });
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+// DELETE /api/inventory/locations/:id
+// Only locations no movement was ever recorded at; others can be deactivated instead
+const deleteLocation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [{ data: location }, { data: movements }] = await Promise.all([
+    supabase.from("inventory_locations").select("*").eq("id", req.params.id).eq("user_id", userId).single(),
+    supabase.from("inventory_stock_ledger").select("id").eq("user_id", userId).eq("location_id", req.params.id).limit(1),
+  ]);
+
+  if (!location) return sendNotFound(res);
+  if (location.is_default) {
+    return res.status(409).json({ success: false, error: "The default location cannot be deleted", data: null });
+  }
+  if (movements?.length) {
+    return res.status(409).json({
+      success: false,
+      error: "Stock has been recorded at this location; deactivate it instead",
+      data: null,
+    });
+  }
+
+  const { error } = await supabase.from("inventory_locations").delete().eq("id", location.id).eq("user_id", userId);
+  if (error) {
+    console.error("Inventory location delete error:", error);
+    return res.status(500).json({ success: false, error: "Failed to delete location", data: null });
+  }
+
+  res.json({ success: true, data: { id: location.id }, error: null });
+});
+
+// GET /api/inventory/locations/:id/stock - items held at one location
+const getLocationStock = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [locations, { data: items }] = await Promise.all([
+    loadLocations(supabase, userId),
+    supabase.from("inventory_items").select("id, product_name, unit, category").eq("user_id", userId),
+  ]);
+
+  const location = locations.find((l) => l.id === req.params.id);
+  if (!location) return sendNotFound(res);
+
+  const stock = await loadStockByLocation(supabase, userId, locations);
+  const lines = (items || [])
+    .map((item) => ({ ...item, quantity: stock.get(item.id)?.get(location.id) || 0 }))
+    .filter((item) => Math.abs(item.quantity) > 1e-9)
+    .sort((a, b) => a.product_name.localeCompare(b.product_name));
+
+  res.json({ success: true, data: { location, items: lines }, error: null });
+});
+
+// POST /api/inventory/transfers
+// Body: { item_id, from_location_id, to_location_id, quantity, unit?, notes?, allow_negative? }
+// quantity is converted from unit to the item's base unit
+const createTransfer = asyncHandler(async (req, res) => {
+  const value = validateBody(locationSchemas.transfer, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [{ data: item }, locations] = await Promise.all([
+    supabase.from("inventory_items").select("id, product_name, unit, pack_sizes").eq("id", value.item_id).eq("user_id", userId).single(),
+    loadLocations(supabase, userId),
+  ]);
+
+  if (!item) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+
+  const from = locations.find((l) => l.id === value.from_location_id && l.is_active);
+  const to = locations.find((l) => l.id === value.to_location_id && l.is_active);
+  if (!from || !to) return sendNotFound(res);
+
+  const conversion = unitService.toBase(item, value.quantity, value.unit);
+  if (conversion.error) {
+    return res.status(400).json({ success: false, error: conversion.error, data: null });
+  }
+  value.quantity = conversion.quantity;
+
+  const stock = await loadStockByLocation(supabase, userId, locations, item.id);
+  const available = stock.get(item.id)?.get(from.id) || 0;
+  if (!value.allow_negative && value.quantity > available + 1e-9) {
+    return res.status(400).json({
+      success: false,
+      error: `Only ${available} ${item.unit || "units"} of ${item.product_name} at ${from.name}`,
+      data: { available },
+    });
+  }
+
+  // Batch-tracked stock moves batch by batch, first expiry first, expired stock included
+  let batchPlan = null;
+  try {
+    batchPlan = await batchService.planIssue(supabase, userId, {
+      item_id: item.id,
+      location_id: from.id,
+      quantity: value.quantity,
+      skipExpired: false,
+    });
+  } catch (batchError) {
+    console.error("Inventory transfer batch allocation error:", batchError);
+  }
+
+  const { transferId, rows } = locationService.buildTransfer(userId, { ...value, notes: emptyToNull(value.notes) });
+  if (batchPlan?.allocations.length) {
+    rows.forEach((row) => {
+      row.metadata = { ...row.metadata, batches: batchPlan.allocations };
+    });
+  }
+  const { data: movements, error } = await supabase.from("inventory_stock_ledger").insert(rows).select();
+
+  if (error) {
+    console.error("Inventory transfer error:", error);
+    return res.status(500).json({ success: false, error: "Failed to record transfer", data: null });
+  }
+
+  if (batchPlan?.allocations.length) {
+    try {
+      await batchService.transferAllocations(supabase, userId, batchPlan.allocations, {
+        item_id: item.id,
+        to_location_id: to.id,
+      });
+    } catch (batchError) {
+      console.error("Inventory transfer batch move error:", batchError);
+    }
+  }
+
+  notificationService.notifyStockUpdate(userId, {
+    product_name: item.product_name,
+    current_stock: value.quantity,
+    operation: "moved",
+  }, `moved from ${from.name} to ${to.name}`);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      transfer_id: transferId,
+      item_id: item.id,
+      product_name: item.product_name,
+      quantity: value.quantity,
+      from_location: { id: from.id, name: from.name, quantity: available - value.quantity },
+      to_location: { id: to.id, name: to.name, quantity: (stock.get(item.id)?.get(to.id) || 0) + value.quantity },
+      movements: movements || [],
+    },
+    error: null,
+  });
+});
+
+// GET /api/inventory/transfers?item_id=&location_id=
+const listTransfers = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const { item_id, location_id } = req.query;
+
+  let query = supabase
+    .from("inventory_stock_ledger")
+    .select("item_id, quantity, reference_id, metadata, created_at, inventory_items(product_name)")
+    .eq("user_id", userId)
+    .eq("source", locationService.transferSource)
+    .eq("direction", "out")
+    .order("created_at", { ascending: false })
+    .limit(200);
+  if (item_id) query = query.eq("item_id", item_id);
+
+  const [{ data: rows, error }, locations] = await Promise.all([query, loadLocations(supabase, userId)]);
+
+  if (error) {
+    console.error("Inventory transfers list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load transfers", data: null });
+  }
+
+  const names = new Map(locations.map((l) => [l.id, l.name]));
+  const transfers = locationService
+    .groupTransfers(rows || [])
+    .filter((t) => !location_id || t.from_location_id === location_id || t.to_location_id === location_id)
+    .map((t) => ({
+      ...t,
+      from_location_name: names.get(t.from_location_id) || null,
+      to_location_name: names.get(t.to_location_id) || null,
+    }));
+
+  res.json({ success: true, data: transfers, error: null });
+});
+
+module.exports = {
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+  createTransfer,
+  listTransfers,
+};
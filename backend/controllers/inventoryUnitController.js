@@ -0,0 +1,114 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { unitSchemas } = require("../middleware/validation");
+const unitService = require("../services/unitService");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const loadItem = async (supabase, userId, itemId) => {
+  const { data } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit, pack_sizes")
+    .eq("id", itemId)
+    .eq("user_id", userId)
+    .single();
+  return data || null;
+};
+
+const sendItemNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+
+// GET /api/inventory/units - known units, their dimension and the spoken forms recognised
+const listUnits = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: unitService.catalogue(), error: null });
+});
+
+// PUT /api/inventory/items/:id/units
+// Body: { unit?, pack_sizes?: [{ unit, quantity, per_unit? }] }
+// The base unit can only change while no stock has been recorded, since the ledger is kept in it
+const updateItemUnits = asyncHandler(async (req, res) => {
+  const value = validateBody(unitSchemas.itemUnits, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const item = await loadItem(supabase, userId, req.params.id);
+  if (!item) return sendItemNotFound(res);
+
+  const nextUnit = value.unit ? unitService.normalize(value.unit) || value.unit : item.unit;
+  const unitChanged = Boolean(item.unit) && unitService.factorBetween({}, item.unit, nextUnit) !== 1;
+
+  if (unitChanged) {
+    const { data: movements } = await supabase
+      .from("inventory_stock_ledger")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("item_id", item.id)
+      .limit(1);
+
+    if (movements?.length) {
+      return res.status(409).json({
+        success: false,
+        error: `Stock of ${item.product_name} is recorded in ${item.unit}; the base unit cannot be changed`,
+        data: null,
+      });
+    }
+  }
+
+  if (!nextUnit && value.pack_sizes?.length) {
+    return res.status(400).json({ success: false, error: "Set the item's base unit before adding pack sizes", data: null });
+  }
+
+  const packs = unitService.validatePackSizes({ ...item, unit: nextUnit }, value.pack_sizes ?? item.pack_sizes ?? []);
+  if (packs.error) {
+    return res.status(400).json({ success: false, error: packs.error, data: null });
+  }
+
+  const { data: updated, error } = await supabase
+    .from("inventory_items")
+    .update({ unit: nextUnit, pack_sizes: packs.pack_sizes, updated_at: new Date().toISOString() })
+    .eq("id", item.id)
+    .eq("user_id", userId)
+    .select("id, product_name, unit, pack_sizes")
+    .single();
+
+  if (error) {
+    console.error("Inventory item units update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update units", data: null });
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+// POST /api/inventory/units/convert
+// Body: { item_id, quantity, unit } - what a quantity comes to in the item's base unit, without recording it
+const convertQuantity = asyncHandler(async (req, res) => {
+  const value = validateBody(unitSchemas.convert, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const item = await loadItem(supabase, req.user.id, value.item_id);
+  if (!item) return sendItemNotFound(res);
+
+  const conversion = unitService.toBase(item, value.quantity, value.unit);
+  if (conversion.error) {
+    return res.status(400).json({ success: false, error: conversion.error, data: null });
+  }
+
+  res.json({ success: true, data: { item_id: item.id, product_name: item.product_name, ...conversion }, error: null });
+});
+
+module.exports = {
+  listUnits,
+  updateItemUnits,
+  convertQuantity,
+};
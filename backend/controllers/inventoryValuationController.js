@@ -0,0 +1,130 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const inventoryValuationService = require("../services/inventoryValuationService");
+const ledgerService = require("../services/ledgerService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+const sendMethodError = (res) =>
+  res.status(400).json({
+    success: false,
+    error: `method must be one of ${Object.values(inventoryValuationService.methods).join(", ")}`,
+    data: null,
+  });
+
+// Items and the full movement history, paged and in order; costs depend on every earlier inbound movement
+const loadStockHistory = async (supabase, userId) => {
+  const [itemsResult, movementsResult] = await Promise.all([
+    ledgerService.selectAll(() =>
+      supabase
+        .from("inventory_items")
+        .select("id, product_name, category, unit, custom_attributes")
+        .eq("user_id", userId)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("inventory_stock_ledger")
+        .select("id, item_id, direction, quantity, source, metadata, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+    ),
+  ]);
+
+  const failed = [itemsResult, movementsResult].find((r) => r.error);
+  if (failed) throw failed.error;
+
+  return { items: itemsResult.data || [], movements: movementsResult.data || [] };
+};
+
+// The method in the query string overrides the profile's, for comparing the two
+const resolveRequestedMethod = async (supabase, req, res) => {
+  const { method } = req.query;
+  if (!method) return inventoryValuationService.getMethod(supabase, req.user.id);
+  if (!Object.values(inventoryValuationService.methods).includes(method)) {
+    sendMethodError(res);
+    return null;
+  }
+  return method;
+};
+
+// GET /api/inventory/valuation?as_of=YYYY-MM-DD&method=fifo|weighted_average
+const getValuation = asyncHandler(async (req, res) => {
+  const asOf = req.query.as_of || today();
+  if (!DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ success: false, error: "Invalid as_of date. Use YYYY-MM-DD", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const method = await resolveRequestedMethod(supabase, req, res);
+  if (!method) return;
+
+  let history;
+  try {
+    history = await loadStockHistory(supabase, req.user.id);
+  } catch (error) {
+    console.error("Inventory valuation error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load inventory for valuation", data: null });
+  }
+
+  const valuation = inventoryValuationService.valueAt(history.items, history.movements, asOf, method);
+  res.json({ success: true, data: valuation, error: null });
+});
+
+// GET /api/inventory/valuation/cogs?from=YYYY-MM-DD&to=YYYY-MM-DD&method=
+// Cost of goods sold for the period by item and by month; stock adjustments are shown separately
+const getCostOfGoodsSold = asyncHandler(async (req, res) => {
+  const to = req.query.to || today();
+  const from = req.query.from || `${to.substring(0, 7)}-01`;
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return res.status(400).json({ success: false, error: "Invalid date format. Use YYYY-MM-DD", data: null });
+  }
+  if (from > to) {
+    return res.status(400).json({ success: false, error: "from must be on or before to", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const method = await resolveRequestedMethod(supabase, req, res);
+  if (!method) return;
+
+  let history;
+  try {
+    history = await loadStockHistory(supabase, req.user.id);
+  } catch (error) {
+    console.error("Inventory COGS error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load inventory for COGS", data: null });
+  }
+
+  const cogs = inventoryValuationService.costOfGoodsSold(history.items, history.movements, { from, to }, method);
+  res.json({ success: true, data: cogs, error: null });
+});
+
+// PUT /api/inventory/valuation/method
+// Body: { method: "fifo" | "weighted_average" }. Valuations are replayed from the full history, so a change
+// applies to every period; stock-out entries already posted to the ledger keep the cost they were posted at.
+const setCostingMethod = asyncHandler(async (req, res) => {
+  const { method } = req.body || {};
+  if (!Object.values(inventoryValuationService.methods).includes(method)) return sendMethodError(res);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { error } = await supabase
+    .from("profiles")
+    .update({ inventory_costing_method: method, updated_at: new Date().toISOString() })
+    .eq("id", req.user.id);
+
+  if (error) {
+    console.error("Costing method update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update costing method", data: null });
+  }
+
+  res.json({ success: true, data: { method }, error: null });
+});
+
+module.exports = {
+  getValuation,
+  getCostOfGoodsSold,
+  setCostingMethod,
+};
@@ -0,0 +1,209 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { knowledgeSchemas } = require("../middleware/validation");
+const knowledgeGraphService = require("../services/knowledgeGraphService");
+const { SemanticSearchService } = require("../services/vectorService");
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const sendNotFound = (res, what) =>
+  res.status(404).json({ success: false, error: `${what} not found`, data: null });
+
+// ?pinned=true|false, anything else means both
+const pinnedFilter = (value) => (value === "true" ? true : value === "false" ? false : undefined);
+
+// GET /api/knowledge/graph?limit= - Nodes (entities folded by name) and edges for the graph view
+const getGraph = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const graph = await knowledgeGraphService.buildGraph(supabase, req.user.id, { limit: req.query.limit });
+
+  res.json({ success: true, data: graph, error: null });
+});
+
+// GET /api/knowledge/entities?q=&type=&pinned=&limit=&offset= - Pinned first, then by confidence
+const listEntities = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { q, type, limit, offset } = req.query;
+
+  const result = await knowledgeGraphService.listEntities(supabase, req.user.id, {
+    q,
+    type,
+    limit,
+    offset,
+    pinned: pinnedFilter(req.query.pinned),
+  });
+
+  res.json({ success: true, data: result, error: null });
+});
+
+// GET /api/knowledge/search?q=&limit= - Keyword plus embedding search over entities
+const searchEntities = asyncHandler(async (req, res) => {
+  const query = String(req.query.q || "").trim();
+  if (!query) {
+    return res.status(400).json({ success: false, error: "Search query (q) is required", data: null });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const semanticSearch = new SemanticSearchService();
+  const results = await semanticSearch.hybridSearch(req.user.id, query, limit);
+  if (!results.success) {
+    return res.status(500).json({ success: false, error: "Knowledge search failed", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: { query, results: results.results.map(({ embedding, ...entity }) => entity), count: results.count, search_types: results.search_types },
+    error: null,
+  });
+});
+
+// GET /api/knowledge/entities/:id - The entity, its relationships and the conversations behind it
+const getEntity = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const entity = await knowledgeGraphService.loadEntity(supabase, userId, req.params.id);
+  if (!entity) return sendNotFound(res, "Entity");
+
+  const [{ relationships }, sources] = await Promise.all([
+    knowledgeGraphService.listRelationships(supabase, userId, { entity: entity.entity_name, limit: knowledgeGraphService.maxListLimit }),
+    knowledgeGraphService.entitySources(supabase, userId, entity),
+  ]);
+
+  res.json({
+    success: true,
+    data: { entity, relationships, sources },
+    error: null,
+  });
+});
+
+// PATCH /api/knowledge/entities/:id
+// Body: { entity_name?, entity_type?, category?, context?, confidence?, pinned? }. A rename carries the
+// entity's relationships over once no other mention keeps the old name.
+const updateEntity = asyncHandler(async (req, res) => {
+  const value = validateBody(knowledgeSchemas.updateEntity, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const entity = await knowledgeGraphService.loadEntity(supabase, req.user.id, req.params.id);
+  if (!entity) return sendNotFound(res, "Entity");
+
+  const updated = await knowledgeGraphService.updateEntity(supabase, req.user.id, entity, value);
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+// POST /api/knowledge/entities/merge
+// Body: { target_id, source_ids }. Sources are deleted; their conversations, relationships and pins move
+// to the target.
+const mergeEntities = asyncHandler(async (req, res) => {
+  const value = validateBody(knowledgeSchemas.mergeEntities, req, res);
+  if (!value) return;
+
+  if (value.source_ids.includes(value.target_id)) {
+    return res.status(400).json({ success: false, error: "An entity cannot be merged into itself", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const target = await knowledgeGraphService.loadEntity(supabase, userId, value.target_id);
+  if (!target) return sendNotFound(res, "Target entity");
+
+  const sources = await Promise.all(
+    value.source_ids.map((id) => knowledgeGraphService.loadEntity(supabase, userId, id))
+  );
+  const missing = value.source_ids.filter((id, index) => !sources[index]);
+  if (missing.length > 0) {
+    return res.status(404).json({ success: false, error: `Entities not found: ${missing.join(", ")}`, data: null });
+  }
+
+  const result = await knowledgeGraphService.mergeEntities(supabase, userId, target, sources);
+
+  res.json({ success: true, data: result, error: null });
+});
+
+// DELETE /api/knowledge/entities/:id
+const deleteEntity = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const entity = await knowledgeGraphService.loadEntity(supabase, req.user.id, req.params.id);
+  if (!entity) return sendNotFound(res, "Entity");
+
+  const result = await knowledgeGraphService.deleteEntity(supabase, req.user.id, entity);
+
+  res.json({ success: true, data: { id: entity.id, ...result }, error: null });
+});
+
+// GET /api/knowledge/relationships?entity=&type=&pinned=&limit=&offset=
+const listRelationships = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { entity, type, limit, offset } = req.query;
+
+  const result = await knowledgeGraphService.listRelationships(supabase, req.user.id, {
+    entity,
+    type,
+    limit,
+    offset,
+    pinned: pinnedFilter(req.query.pinned),
+  });
+
+  res.json({ success: true, data: result, error: null });
+});
+
+// GET /api/knowledge/relationships/:id - The relationship and the conversations it was seen in
+const getRelationship = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const relationship = await knowledgeGraphService.loadRelationship(supabase, req.user.id, req.params.id);
+  if (!relationship) return sendNotFound(res, "Relationship");
+
+  const sources = await knowledgeGraphService.relationshipSources(supabase, req.user.id, relationship);
+
+  res.json({ success: true, data: { relationship, sources }, error: null });
+});
+
+// PATCH /api/knowledge/relationships/:id - Body: { relationship_type?, strength?, pinned? }
+const updateRelationship = asyncHandler(async (req, res) => {
+  const value = validateBody(knowledgeSchemas.updateRelationship, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const relationship = await knowledgeGraphService.loadRelationship(supabase, req.user.id, req.params.id);
+  if (!relationship) return sendNotFound(res, "Relationship");
+
+  const updated = await knowledgeGraphService.updateRelationship(supabase, req.user.id, relationship, value);
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+// DELETE /api/knowledge/relationships/:id
+const deleteRelationship = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const relationship = await knowledgeGraphService.loadRelationship(supabase, req.user.id, req.params.id);
+  if (!relationship) return sendNotFound(res, "Relationship");
+
+  await knowledgeGraphService.deleteRelationship(supabase, req.user.id, relationship);
+
+  res.json({ success: true, data: { id: relationship.id }, error: null });
+});
+
+module.exports = {
+  getGraph,
+  listEntities,
+  searchEntities,
+  getEntity,
+  updateEntity,
+  mergeEntities,
+  deleteEntity,
+  listRelationships,
+  getRelationship,
+  updateRelationship,
+  deleteRelationship,
+};
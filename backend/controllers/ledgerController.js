@@ -0,0 +1,262 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const ledgerService = require("../services/ledgerService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/ledger/accounts
+const listAccounts = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  await ledgerService.ensureChartOfAccounts(supabase, req.user.id);
+
+  const { data: accounts, error } = await supabase
+    .from("ledger_accounts")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .order("code", { ascending: true });
+
+  if (error) {
+    console.error("Ledger listAccounts error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load chart of accounts", data: null });
+  }
+
+  res.json({ success: true, data: accounts || [], error: null });
+});
+
+// POST /api/ledger/accounts
+// Body: { code, name, type }
+const createAccount = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { code, name, type } = req.body || {};
+
+  if (!code || !/^\d{4}$/.test(String(code))) {
+    return res.status(400).json({ success: false, error: "code must be a four digit account code", data: null });
+  }
+
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({ success: false, error: "name is required", data: null });
+  }
+
+  if (!ledgerService.accountTypes.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of ${ledgerService.accountTypes.join(", ")}`,
+      data: null,
+    });
+  }
+
+  await ledgerService.ensureChartOfAccounts(supabase, req.user.id);
+
+  const { data: account, error } = await supabase
+    .from("ledger_accounts")
+    .insert({ user_id: req.user.id, code: String(code), name: name.trim(), type, is_system: false })
+    .select("*")
+    .single();
+
+  if (error) {
+    console.error("Ledger createAccount error:", error);
+    const status = error.code === "23505" ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: status === 409 ? "Account code already exists" : "Failed to create account",
+      data: null,
+    });
+  }
+
+  res.status(201).json({ success: true, data: account, error: null });
+});
+
+// GET /api/ledger/journal?from=YYYY-MM-DD&to=YYYY-MM-DD&source_type=&account_code=&page=&limit=
+const getJournal = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { from, to, source_type, account_code } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = (page - 1) * limit;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, error: "Invalid date format. Use YYYY-MM-DD", data: null });
+  }
+
+  // Filtering on a line column requires an inner join so entries without a matching line drop out
+  let query = supabase
+    .from("journal_entries")
+    .select(account_code ? "*, journal_lines!inner(*)" : "*, journal_lines(*)", { count: "exact" })
+    .eq("user_id", req.user.id)
+    .order("entry_date", { ascending: false })
+    .order("created_at", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (from) query = query.gte("entry_date", from);
+  if (to) query = query.lte("entry_date", to);
+  if (source_type) query = query.eq("source_type", source_type);
+  if (account_code) query = query.eq("journal_lines.account_code", account_code);
+
+  const { data: entries, error, count } = await query;
+
+  if (error) {
+    console.error("Ledger getJournal error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load journal", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      entries: entries || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit),
+      },
+    },
+    error: null,
+  });
+});
+
+// POST /api/ledger/journal
+// Body: { entry_date?, description, lines: [{ account_code, debit?, credit?, memo? }] }
+const createJournalEntry = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { entry_date, description, lines } = req.body || {};
+
+  if (entry_date && !DATE_PATTERN.test(entry_date)) {
+    return res.status(400).json({ success: false, error: "Invalid entry_date format. Use YYYY-MM-DD", data: null });
+  }
+
+  ledgerService.validateLines(lines);
+  await ledgerService.ensureChartOfAccounts(supabase, req.user.id);
+
+  const { data: accounts } = await supabase
+    .from("ledger_accounts")
+    .select("code")
+    .eq("user_id", req.user.id);
+
+  const knownCodes = new Set((accounts || []).map((a) => a.code));
+  const unknown = lines.map((l) => String(l.account_code)).filter((code) => !knownCodes.has(code));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown account code(s): ${[...new Set(unknown)].join(", ")}`,
+      data: null,
+    });
+  }
+
+  const entry = await ledgerService.postEntry(supabase, req.user.id, {
+    entry_date,
+    description,
+    source_type: ledgerService.sourceTypes.MANUAL,
+    lines: lines.map((l) => ({ ...l, account_code: String(l.account_code) })),
+  });
+
+  res.status(201).json({ success: true, data: entry, error: null });
+});
+
+// POST /api/ledger/journal/:id/reverse
+// Body: { reason? }
+const reverseJournalEntry = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const reversal = await ledgerService.reverseEntry(supabase, req.user.id, req.params.id, req.body?.reason || null);
+  res.json({ success: true, data: reversal, error: null });
+});
+
+// GET /api/ledger/trial-balance?as_of=YYYY-MM-DD
+const getTrialBalance = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const asOf = req.query.as_of || new Date().toISOString().split("T")[0];
+
+  if (!DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ success: false, error: "Invalid as_of format. Use YYYY-MM-DD", data: null });
+  }
+
+  await ledgerService.ensureChartOfAccounts(supabase, req.user.id);
+
+  const [{ data: accounts, error: accountsError }, { data: lines, error: linesError }] = await Promise.all([
+    supabase.from("ledger_accounts").select("code, name, type").eq("user_id", req.user.id),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("journal_lines")
+        .select("account_code, debit, credit")
+        .eq("user_id", req.user.id)
+        .lte("entry_date", asOf)
+        .order("id", { ascending: true })
+    ),
+  ]);
+
+  if (accountsError || linesError) {
+    console.error("Ledger trial balance error:", accountsError || linesError);
+    return res.status(500).json({ success: false, error: "Failed to build trial balance", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      as_of: asOf,
+      ...ledgerService.buildTrialBalance(accounts || [], lines || []),
+    },
+    error: null,
+  });
+});
+
+// POST /api/ledger/sync?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Posts earnings rows that were written outside the backend (e.g. directly from the app)
+// and re-posts rows edited since they were last posted.
+const syncEarnings = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { from, to } = req.query;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, error: "Invalid date format. Use YYYY-MM-DD", data: null });
+  }
+
+  // Paged, so rows past the first page are posted too; id breaks date ties so pages never overlap
+  const { data: earnings, error } = await ledgerService.selectAll(() => {
+    let query = supabase
+      .from("earnings")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("earning_date", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (from) query = query.gte("earning_date", from);
+    if (to) query = query.lte("earning_date", to);
+    return query;
+  });
+
+  if (error) {
+    console.error("Ledger sync error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load earnings for sync", data: null });
+  }
+
+  let posted = 0;
+  let failed = 0;
+  for (const earning of earnings || []) {
+    try {
+      const entry = await ledgerService.postEarning(supabase, req.user.id, earning);
+      if (entry) posted++;
+    } catch (postError) {
+      failed++;
+      console.error(`Ledger sync failed for earning ${earning.id}:`, postError);
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      earnings_checked: earnings?.length || 0,
+      entries_current: posted,
+      failed,
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  listAccounts,
+  createAccount,
+  getJournal,
+  createJournalEntry,
+  reverseJournalEntry,
+  getTrialBalance,
+  syncEarnings,
+};
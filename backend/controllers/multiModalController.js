@@ -1,11 +1,11 @@
-const { analyzeReceiptImage, processVoiceCommand, analyzeBusinessPhoto, generateSpeechResponse } = require("../config/openai");
+const { analyzeReceiptImage, processVoiceCommand, analyzeBusinessPhoto, generateSpeechResponse, openai } = require("../config/openai");
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
+const ledgerService = require("../services/ledgerService");
+const budgetService = require("../services/budgetService");
+const barcodeService = require("../services/barcodeService");
 const { recordStockMovement } = require("./inventoryController");
 const multer = require('multer');
-const OpenAI = require('openai');
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 // Configure multer for file uploads
 const upload = multer({ 
@@ -92,6 +92,15 @@ const processReceiptImage = asyncHandler(async (req, res) => {
         .select()
         .single();
 
+      if (savedEntry) {
+        await ledgerService.safePost('receipt image', () =>
+          ledgerService.postEarning(supabase, req.user.id, savedEntry)
+        );
+        if (savedEntry.inventory_cost > 0) {
+          await budgetService.safeCheck(supabase, req.user.id, [savedEntry.earning_date]);
+        }
+      }
+
       extractedData.saved_entry_id = savedEntry?.id;
       
       // Calculate financial impact
@@ -128,6 +137,8 @@ const processReceiptImage = asyncHandler(async (req, res) => {
               quantity: qty,
               source: "receipt",
               reference_id: extractedData.saved_entry_id || null,
+              batch_number: lineItem.batch_number || null,
+              expiry_date: lineItem.expiry_date || null,
               metadata: {
                 unit: lineItem.unit || null,
                 line_total: lineItem.amount || null,
@@ -154,6 +165,7 @@ const processReceiptImage = asyncHandler(async (req, res) => {
             product_name: rawName,
             quantity: qty,
             movement_id: movementResult?.data?.id || null,
+            batch_id: movementResult?.data?.batch_id || null,
           });
         } catch (invErr) {
           console.error("Inventory update from receipt failed:", invErr);
@@ -261,6 +273,15 @@ const processVoiceInput = asyncHandler(async (req, res) => {
           .select()
           .single();
 
+        if (savedEntry) {
+          await ledgerService.safePost('voice command', () =>
+            ledgerService.postEarning(supabase, req.user.id, savedEntry)
+          );
+          if (savedEntry.inventory_cost > 0) {
+            await budgetService.safeCheck(supabase, req.user.id, [savedEntry.earning_date]);
+          }
+        }
+
         executionResult = savedEntry;
       }
     }
@@ -337,7 +358,8 @@ const analyzeBusinessImage = asyncHandler(async (req, res) => {
 });
 
 // Process a single product image for inventory suggestions
-// Extracts potential product_name, brand, unit and returns them, optionally with no auto-write.
+// Extracts potential product_name, brand, unit and any barcode printed on the pack, and returns them
+// with no auto-write. Barcodes are check-digit validated and matched to the user's items and the catalogue.
 const processProductImage = asyncHandler(async (req, res) => {
   try {
     const { imageBase64 } = req.body;
@@ -349,7 +371,7 @@ const processProductImage = asyncHandler(async (req, res) => {
       });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!openai.isConfigured("vision")) {
       return res.status(500).json({
         success: false,
         error: "OpenAI API key not configured",
@@ -371,7 +393,8 @@ const processProductImage = asyncHandler(async (req, res) => {
           content:
             "You are an inventory product extractor for Indian shops. " +
             "Given a single product photo (packet, box, item on shelf), identify the most likely product name, brand, and unit. " +
-            "Return ONLY JSON with an array 'items' of { product_name, brand, unit, confidence }.",
+            "If a barcode (EAN-13, EAN-8 or UPC-A) is visible, read the digits printed beneath its bars exactly, without spaces; never guess missing digits. " +
+            "Return ONLY JSON with an array 'items' of { product_name, brand, unit, barcode, confidence } (barcode null when none is legible).",
         },
         {
           role: "user",
@@ -403,11 +426,24 @@ const processProductImage = asyncHandler(async (req, res) => {
       console.error("Failed to parse product image JSON:", e, raw);
     }
 
+    items = barcodeService.checkDecoded(items);
+    for (const item of items) {
+      if (!item.barcode_valid) continue;
+      try {
+        const resolved = await barcodeService.resolve(supabase, req.user.id, item.barcode);
+        item.matched_item = resolved.item || null;
+        item.catalogue_entry = resolved.catalogue || null;
+      } catch (lookupError) {
+        console.error("Product image barcode lookup error:", lookupError);
+      }
+    }
+
     // Do not auto-write to inventory yet; let frontend confirm.
     res.json({
       success: true,
       data: {
         items,
+        barcodes: items.filter((item) => item.barcode_valid).map((item) => item.barcode),
         raw,
       },
     });
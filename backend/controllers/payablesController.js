@@ -0,0 +1,602 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { payablesSchemas } = require("../middleware/validation");
+const budgetService = require("../services/budgetService");
+const gstService = require("../services/gstService");
+const ledgerService = require("../services/ledgerService");
+const payablesService = require("../services/payablesService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+const fetchBusinessState = async (supabase, userId) => {
+  const { data } = await supabase.from("profiles").select("gstin, location").eq("id", userId).single();
+  return gstService.getBusinessStateCode(data || {});
+};
+
+const loadBill = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("supplier_bills")
+    .select("*, supplier_bill_lines(*), supplier_profiles(*)")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Bill not found", data: null });
+
+// Insert a bill with its lines and book the payable; removes the header again if the lines fail
+const saveBill = async (supabase, userId, fields, lines) => {
+  const { data: bill, error } = await supabase
+    .from("supplier_bills")
+    .insert({
+      user_id: userId,
+      ...fields,
+      ...payablesService.totalsFromLines(lines),
+      amount_paid: 0,
+      status: payablesService.statuses.OPEN,
+    })
+    .select()
+    .single();
+
+  if (error) return { error };
+
+  const { data: savedLines, error: linesError } = await supabase
+    .from("supplier_bill_lines")
+    .insert(lines.map((line) => ({ ...line, user_id: userId, bill_id: bill.id })))
+    .select();
+
+  if (linesError) {
+    await supabase.from("supplier_bills").delete().eq("id", bill.id).eq("user_id", userId);
+    return { error: linesError };
+  }
+
+  await ledgerService.safePost("supplier bill", () => ledgerService.postBill(supabase, userId, bill));
+  return { bill: { ...bill, supplier_bill_lines: savedLines || [] } };
+};
+
+const sendSaveError = (res, error) => {
+  console.error("Payables saveBill error:", error);
+  const status = error.code === "23505" ? 409 : 500;
+  return res.status(status).json({
+    success: false,
+    error: status === 409 ? "A bill with this number already exists for the supplier" : "Failed to save bill",
+    data: null,
+  });
+};
+
+// Pay part or all of a bill: the earnings row feeds monthly expenses and the ledger, the bill_payments row the history
+const applyPayment = async (supabase, userId, bill, payment, paymentRunId = null) => {
+  const { data: earning, error: earningError } = await supabase
+    .from("earnings")
+    .insert(payablesService.buildPaymentEarning(userId, bill, bill.supplier_profiles, payment))
+    .select()
+    .single();
+
+  if (earningError) throw earningError;
+
+  await ledgerService.safePost("bill payment", () => ledgerService.postEarning(supabase, userId, earning));
+
+  const { data: savedPayment, error: paymentError } = await supabase
+    .from("bill_payments")
+    .insert({
+      user_id: userId,
+      bill_id: bill.id,
+      payment_run_id: paymentRunId,
+      amount: payment.amount,
+      payment_date: payment.payment_date,
+      method: payment.method,
+      reference: payment.reference,
+      notes: payment.notes || null,
+      paid_on_time: !bill.due_date || payment.payment_date <= bill.due_date,
+      earning_id: earning.id,
+    })
+    .select()
+    .single();
+
+  if (paymentError) {
+    console.error("Payables payment insert error:", paymentError);
+  }
+
+  const amountPaid = Math.round(((Number(bill.amount_paid) || 0) + payment.amount) * 100) / 100;
+  const status = payablesService.deriveStatus({ ...bill, amount_paid: amountPaid });
+
+  const { data: updated, error: updateError } = await supabase
+    .from("supplier_bills")
+    .update({
+      amount_paid: amountPaid,
+      status,
+      paid_at: status === payablesService.statuses.PAID ? payment.payment_date : null,
+    })
+    .eq("id", bill.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return { bill: updated, payment: savedPayment, earning };
+};
+
+// GET /api/payables/bills?status=&supplier_id=&overdue=true
+const listBills = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { status, supplier_id, overdue } = req.query;
+
+  let query = supabase
+    .from("supplier_bills")
+    .select("*, supplier_profiles(id, name)")
+    .eq("user_id", req.user.id)
+    .order("due_date", { ascending: true });
+
+  if (status) query = query.eq("status", status);
+  if (supplier_id) query = query.eq("supplier_id", supplier_id);
+
+  const { data: bills, error } = await query;
+
+  if (error) {
+    console.error("Payables listBills error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load bills", data: null });
+  }
+
+  const asOf = today();
+  let results = (bills || []).map((bill) => payablesService.withComputedFields(bill, asOf));
+  if (overdue === "true") results = results.filter((bill) => bill.is_overdue);
+
+  res.json({ success: true, data: results, error: null });
+});
+
+// POST /api/payables/bills
+// Body: { supplier_id, bill_number, lines: [{ description, quantity, unit_price, gst_rate, hsn_sac_code }], bill_date?, due_date? }
+const createBill = asyncHandler(async (req, res) => {
+  const value = validateBody(payablesSchemas.createBill, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [{ data: supplier }, businessState] = await Promise.all([
+    supabase.from("supplier_profiles").select("*").eq("id", value.supplier_id).eq("user_id", userId).single(),
+    fetchBusinessState(supabase, userId),
+  ]);
+
+  if (!supplier) {
+    return res.status(404).json({ success: false, error: "Supplier not found", data: null });
+  }
+
+  const billDate = value.bill_date || today();
+  const dueDate = value.due_date ||
+    payablesService.addDays(billDate, supplier.payment_terms_days ?? payablesService.defaultPaymentTermsDays);
+
+  if (dueDate < billDate) {
+    return res.status(400).json({ success: false, error: "due_date cannot be before bill_date", data: null });
+  }
+
+  const lines = payablesService.buildBillLines(value.lines, {
+    businessState,
+    supplierState: gstService.resolveStateCode(supplier.gstin),
+  });
+
+  const { bill, error } = await saveBill(supabase, userId, {
+    supplier_id: supplier.id,
+    bill_number: value.bill_number,
+    bill_date: billDate,
+    due_date: dueDate,
+    source: payablesService.sources.MANUAL,
+    notes: emptyToNull(value.notes) || null,
+  }, lines);
+
+  if (error) return sendSaveError(res, error);
+
+  await budgetService.safeCheck(supabase, userId, [bill.bill_date]);
+
+  res.status(201).json({ success: true, data: payablesService.withComputedFields(bill), error: null });
+});
+
+// POST /api/payables/bills/from-document
+// Body: { document_id, supplier_id?, bill_number?, due_date? }
+// Turns a processed purchase invoice into a bill. Expense rows auto-saved from the same document
+// are replaced by the bill (their journal entries reversed) so the purchase is not counted twice.
+const createBillFromDocument = asyncHandler(async (req, res) => {
+  const value = validateBody(payablesSchemas.billFromDocument, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [{ data: document }, { data: existingBills }, { data: suppliers }, businessState] = await Promise.all([
+    supabase.from("documents").select("*").eq("id", value.document_id).eq("user_id", userId).single(),
+    supabase.from("supplier_bills").select("id").eq("user_id", userId).eq("document_id", value.document_id).limit(1),
+    supabase.from("supplier_profiles").select("*").eq("user_id", userId),
+    fetchBusinessState(supabase, userId),
+  ]);
+
+  if (!document) {
+    return res.status(404).json({ success: false, error: "Document not found", data: null });
+  }
+  if (existingBills?.length) {
+    return res.status(409).json({
+      success: false,
+      error: "A bill has already been created from this document",
+      data: { bill_id: existingBills[0].id },
+    });
+  }
+
+  const extracted = payablesService.billFromDocument(document);
+  if (extracted.lines.length === 0) {
+    return res.status(422).json({ success: false, error: "No purchase lines found in the document", data: null });
+  }
+
+  let supplier = value.supplier_id
+    ? (suppliers || []).find((s) => s.id === value.supplier_id)
+    : payablesService.findSupplier(suppliers || [], { name: extracted.supplier_name, gstin: extracted.supplier_gstin });
+
+  if (value.supplier_id && !supplier) {
+    return res.status(404).json({ success: false, error: "Supplier not found", data: null });
+  }
+
+  if (!supplier) {
+    if (!extracted.supplier_name) {
+      return res.status(422).json({
+        success: false,
+        error: "The document does not name the supplier; pass supplier_id",
+        data: null,
+      });
+    }
+
+    const { data: created, error: supplierError } = await supabase
+      .from("supplier_profiles")
+      .insert({ user_id: userId, name: extracted.supplier_name })
+      .select()
+      .single();
+
+    if (supplierError) {
+      console.error("Payables supplier create error:", supplierError);
+      return res.status(500).json({ success: false, error: "Failed to create supplier", data: null });
+    }
+    supplier = created;
+  }
+
+  const billDate = extracted.bill_date || today();
+  const dueDate = value.due_date || extracted.due_date ||
+    payablesService.addDays(billDate, supplier.payment_terms_days ?? payablesService.defaultPaymentTermsDays);
+
+  const lines = payablesService.buildBillLines(extracted.lines, {
+    businessState,
+    supplierState: gstService.resolveStateCode(extracted.supplier_gstin || supplier.gstin),
+  });
+
+  const { bill, error } = await saveBill(supabase, userId, {
+    supplier_id: supplier.id,
+    document_id: document.id,
+    bill_number: value.bill_number || extracted.bill_number || `DOC-${String(document.id).slice(0, 8).toUpperCase()}`,
+    bill_date: billDate,
+    due_date: dueDate < billDate ? billDate : dueDate,
+    source: payablesService.sources.DOCUMENT,
+    notes: emptyToNull(value.notes) || null,
+  }, lines);
+
+  if (error) return sendSaveError(res, error);
+
+  // Replace the auto-saved cash expense rows; rows already matched to a bank line are left alone
+  const superseded = [];
+  if (document.file_url) {
+    const { data: earnings } = await supabase
+      .from("earnings")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("file_url", document.file_url)
+      .in("doc_type", ["document_extraction", "document_summary"])
+      .eq("amount", 0)
+      .gt("inventory_cost", 0);
+
+    const ids = (earnings || []).map((e) => e.id);
+    const { data: matched } = ids.length
+      ? await supabase.from("reconciliation_matches").select("earning_id").eq("user_id", userId).in("earning_id", ids)
+      : { data: [] };
+    const matchedIds = new Set((matched || []).map((m) => m.earning_id));
+
+    for (const id of ids.filter((earningId) => !matchedIds.has(earningId))) {
+      await ledgerService.safePost("superseded document expense", async () => {
+        const entry = await ledgerService.findActiveEntry(supabase, userId, ledgerService.sourceTypes.EARNING, id);
+        if (entry) await ledgerService.reverseEntry(supabase, userId, entry.id, `Replaced by supplier bill ${bill.bill_number}`);
+      });
+      const { error: deleteError } = await supabase.from("earnings").delete().eq("id", id).eq("user_id", userId);
+      if (!deleteError) superseded.push(id);
+    }
+  }
+
+  await budgetService.safeCheck(supabase, userId, [bill.bill_date]);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...payablesService.withComputedFields(bill),
+      supplier,
+      superseded_earning_ids: superseded,
+    },
+    error: null,
+  });
+});
+
+// GET /api/payables/bills/:id
+const getBill = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const bill = await loadBill(supabase, req.user.id, req.params.id);
+  if (!bill) return sendNotFound(res);
+
+  const { data: payments } = await supabase
+    .from("bill_payments")
+    .select("*")
+    .eq("bill_id", bill.id)
+    .eq("user_id", req.user.id)
+    .order("payment_date", { ascending: true });
+
+  res.json({
+    success: true,
+    data: { ...payablesService.withComputedFields(bill), payments: payments || [] },
+    error: null,
+  });
+});
+
+// POST /api/payables/bills/:id/payments
+// Body: { amount, payment_date?, method?, reference?, notes? }
+const recordPayment = asyncHandler(async (req, res) => {
+  const value = validateBody(payablesSchemas.recordPayment, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const bill = await loadBill(supabase, userId, req.params.id);
+  if (!bill) return sendNotFound(res);
+
+  const outstanding = payablesService.outstanding(bill);
+  if (value.amount - outstanding > 0.009) {
+    return res.status(400).json({
+      success: false,
+      error: `Payment of ${value.amount} exceeds the outstanding balance of ${outstanding}`,
+      data: null,
+    });
+  }
+
+  try {
+    const result = await applyPayment(supabase, userId, bill, {
+      amount: value.amount,
+      payment_date: value.payment_date || today(),
+      method: value.method,
+      reference: emptyToNull(value.reference) || null,
+      notes: emptyToNull(value.notes) || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...result, bill: payablesService.withComputedFields(result.bill) },
+      error: null,
+    });
+  } catch (error) {
+    console.error("Payables recordPayment error:", error);
+    res.status(500).json({ success: false, error: "Failed to record payment", data: null });
+  }
+});
+
+// GET /api/payables/payment-runs/proposal?pay_by=YYYY-MM-DD - Open bills due by the date, per supplier
+const getPaymentRunProposal = asyncHandler(async (req, res) => {
+  const payBy = req.query.pay_by || payablesService.addDays(today(), 7);
+
+  if (!DATE_PATTERN.test(payBy)) {
+    return res.status(400).json({ success: false, error: "Invalid pay_by format. Use YYYY-MM-DD", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const [{ data: bills, error }, { data: suppliers, error: suppliersError }] = await Promise.all([
+    supabase
+      .from("supplier_bills")
+      .select("id, supplier_id, bill_number, bill_date, due_date, total, amount_paid, status")
+      .eq("user_id", req.user.id)
+      .neq("status", payablesService.statuses.PAID)
+      .lte("due_date", payBy),
+    supabase.from("supplier_profiles").select("id, name").eq("user_id", req.user.id),
+  ]);
+
+  if (error || suppliersError) {
+    console.error("Payables proposal error:", error || suppliersError);
+    return res.status(500).json({ success: false, error: "Failed to build payment run proposal", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: payablesService.proposePaymentRun(bills || [], suppliers || [], payBy),
+    error: null,
+  });
+});
+
+// POST /api/payables/payment-runs
+// Body: { bill_ids: [...], payment_date?, method?, reference? } - Pays the full outstanding balance of each bill
+const createPaymentRun = asyncHandler(async (req, res) => {
+  const value = validateBody(payablesSchemas.paymentRun, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const { data: bills, error: billsError } = await supabase
+    .from("supplier_bills")
+    .select("*, supplier_profiles(*)")
+    .eq("user_id", userId)
+    .in("id", value.bill_ids);
+
+  if (billsError) {
+    console.error("Payables payment run load error:", billsError);
+    return res.status(500).json({ success: false, error: "Failed to load bills", data: null });
+  }
+
+  const found = new Map((bills || []).map((bill) => [bill.id, bill]));
+  const missing = value.bill_ids.filter((id) => !found.has(id));
+  if (missing.length) {
+    return res.status(404).json({ success: false, error: `Bills not found: ${missing.join(", ")}`, data: null });
+  }
+
+  const payable = value.bill_ids.map((id) => found.get(id)).filter((bill) => payablesService.outstanding(bill) > 0.009);
+  if (payable.length === 0) {
+    return res.status(400).json({ success: false, error: "All selected bills are already paid", data: null });
+  }
+
+  const paymentDate = value.payment_date || today();
+
+  const { data: run, error: runError } = await supabase
+    .from("payment_runs")
+    .insert({
+      user_id: userId,
+      run_date: paymentDate,
+      method: value.method,
+      reference: emptyToNull(value.reference) || null,
+      status: "processing",
+      bill_count: 0,
+      total_amount: 0,
+    })
+    .select()
+    .single();
+
+  if (runError) {
+    console.error("Payables payment run create error:", runError);
+    return res.status(500).json({ success: false, error: "Failed to create payment run", data: null });
+  }
+
+  const paid = [];
+  const failed = [];
+
+  for (const bill of payable) {
+    try {
+      const result = await applyPayment(supabase, userId, bill, {
+        amount: payablesService.outstanding(bill),
+        payment_date: paymentDate,
+        method: value.method,
+        reference: emptyToNull(value.reference) || null,
+      }, run.id);
+      paid.push({ bill: payablesService.withComputedFields(result.bill), payment: result.payment });
+    } catch (error) {
+      console.error(`Payables payment run error (bill ${bill.id}):`, error);
+      failed.push({ bill_id: bill.id, bill_number: bill.bill_number, error: "Payment failed" });
+    }
+  }
+
+  const totalAmount = Math.round(paid.reduce((sum, p) => sum + Number(p.payment?.amount || 0), 0) * 100) / 100;
+
+  const { data: completedRun } = await supabase
+    .from("payment_runs")
+    .update({
+      status: failed.length === 0 ? "completed" : paid.length ? "partially_completed" : "failed",
+      bill_count: paid.length,
+      total_amount: totalAmount,
+    })
+    .eq("id", run.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  res.status(failed.length && !paid.length ? 500 : 201).json({
+    success: paid.length > 0,
+    data: { run: completedRun || run, paid, failed },
+    error: failed.length && !paid.length ? "No bills could be paid" : null,
+  });
+});
+
+// GET /api/payables/payment-runs
+const listPaymentRuns = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  const { data: runs, error } = await supabase
+    .from("payment_runs")
+    .select("*, bill_payments(id, bill_id, amount)")
+    .eq("user_id", req.user.id)
+    .order("run_date", { ascending: false });
+
+  if (error) {
+    console.error("Payables listPaymentRuns error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load payment runs", data: null });
+  }
+
+  res.json({ success: true, data: runs || [], error: null });
+});
+
+// GET /api/payables/outstanding?as_of=YYYY-MM-DD - Outstanding and overdue balance per supplier
+const getOutstandingBySupplier = asyncHandler(async (req, res) => {
+  const asOf = req.query.as_of || today();
+
+  if (!DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ success: false, error: "Invalid as_of format. Use YYYY-MM-DD", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const [{ data: bills, error }, { data: suppliers, error: suppliersError }] = await Promise.all([
+    supabase
+      .from("supplier_bills")
+      .select("id, supplier_id, due_date, total, amount_paid, status")
+      .eq("user_id", req.user.id)
+      .neq("status", payablesService.statuses.PAID)
+      .lte("bill_date", asOf),
+    supabase.from("supplier_profiles").select("id, name").eq("user_id", req.user.id),
+  ]);
+
+  if (error || suppliersError) {
+    console.error("Payables outstanding error:", error || suppliersError);
+    return res.status(500).json({ success: false, error: "Failed to load outstanding balances", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: payablesService.summariseBySupplier(bills || [], suppliers || [], asOf),
+    error: null,
+  });
+});
+
+// GET /api/payables/suppliers/:id/history - On-time payment rate and price index used in supplier scoring
+const getSupplierHistory = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  const { data: bills, error } = await supabase
+    .from("supplier_bills")
+    .select("id, supplier_id, bill_date, due_date, total, amount_paid, status, paid_at, supplier_bill_lines(description, unit_price)")
+    .eq("user_id", req.user.id);
+
+  if (error) {
+    console.error("Payables supplier history error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load supplier history", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: { supplier_id: req.params.id, ...payablesService.buildSupplierHistory(req.params.id, bills || []) },
+    error: null,
+  });
+});
+
+module.exports = {
+  listBills,
+  createBill,
+  createBillFromDocument,
+  getBill,
+  recordPayment,
+  getPaymentRunProposal,
+  createPaymentRun,
+  listPaymentRuns,
+  getOutstandingBySupplier,
+  getSupplierHistory,
+};
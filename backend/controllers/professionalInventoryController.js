@@ -167,7 +167,8 @@ const getPrioritizedSuppliers = asyncHandler(async (req, res) => {
       userId,
       productName,
       category,
-      context
+      context,
+      getAuthenticatedClient(req.accessToken)
     );
 
     res.json({
@@ -432,7 +433,7 @@ const getComprehensiveAnalysis = asyncHandler(async (req, res) => {
       personalizedSuggestions
     ] = await Promise.all([
       seasonalDemandService.analyzeSeasonalPatterns(userId, productName, category),
-      supplierPrioritizationService.getPrioritizedSuppliers(userId, productName, category),
+      supplierPrioritizationService.getPrioritizedSuppliers(userId, productName, category, {}, getAuthenticatedClient(req.accessToken)),
       formalLearningService.getPersonalizedSuggestions(userId, { productName, category })
     ]);
 
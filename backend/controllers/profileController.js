@@ -32,6 +32,7 @@ const getProfile = asyncHandler(async (req, res) => {
         owner_name: req.user.user_metadata?.full_name || null,
         business_type: null,
         location: null,
+        gstin: null,
         monthly_revenue: null,
         monthly_expenses: null,
         preferred_language: "English",
@@ -67,9 +68,11 @@ const updateProfile = asyncHandler(async (req, res) => {
     owner_name,
     business_type,
     location,
+    gstin,
     monthly_revenue,
     monthly_expenses,
     preferred_language,
+    inventory_costing_method,
   } = value;
 
   // Additional business logic validation
@@ -89,9 +92,12 @@ const updateProfile = asyncHandler(async (req, res) => {
     owner_name,
     business_type,
     location,
+    // Leave an existing GSTIN untouched unless the request explicitly sets or clears it
+    gstin: gstin === undefined ? undefined : gstin || null,
     monthly_revenue: monthly_revenue ? parseFloat(monthly_revenue) : null,
     monthly_expenses: monthly_expenses ? parseFloat(monthly_expenses) : null,
     preferred_language: preferred_language || "English",
+    inventory_costing_method,
     updated_at: new Date().toISOString(),
   };
 
@@ -0,0 +1,555 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { purchaseOrderSchemas } = require("../middleware/validation");
+const batchService = require("../services/batchService");
+const ledgerService = require("../services/ledgerService");
+const locationService = require("../services/locationService");
+const purchaseOrderService = require("../services/purchaseOrderService");
+const unitService = require("../services/unitService");
+const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
+const { notificationService } = require("../services/notificationService");
+
+const reorderService = new ReorderIntelligenceService();
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+const loadOrder = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("purchase_orders")
+    .select("*, purchase_order_lines(*), supplier_profiles(*)")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Purchase order not found", data: null });
+
+const sendStatusConflict = (res, order, action) =>
+  res.status(409).json({
+    success: false,
+    error: `Cannot ${action} a purchase order that is ${order.status.replace("_", " ")}`,
+    data: null,
+  });
+
+const findSupplier = async (supabase, userId, supplierId) => {
+  const { data } = await supabase
+    .from("supplier_profiles")
+    .select("id, name")
+    .eq("id", supplierId)
+    .eq("user_id", userId)
+    .single();
+  return data || null;
+};
+
+// The user's items referenced by the lines; null when any of them is missing
+const loadLineItems = async (supabase, userId, lines) => {
+  const ids = Array.from(new Set(lines.map((line) => line.item_id)));
+  const { data: items, error } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit, lead_time_days")
+    .eq("user_id", userId)
+    .in("id", ids);
+
+  if (error || (items || []).length !== ids.length) return null;
+  return new Map(items.map((item) => [item.id, item]));
+};
+
+// Insert an order with its lines; removes the header again if the lines fail
+const saveOrder = async (supabase, userId, fields, lines) => {
+  const { data: lastOrders } = await supabase
+    .from("purchase_orders")
+    .select("po_number")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  const { data: order, error } = await supabase
+    .from("purchase_orders")
+    .insert({
+      user_id: userId,
+      po_number: purchaseOrderService.nextPoNumber(lastOrders?.[0]?.po_number),
+      status: purchaseOrderService.statuses.DRAFT,
+      ...fields,
+      ...purchaseOrderService.totalsFromLines(lines),
+    })
+    .select()
+    .single();
+
+  if (error) return { error };
+
+  const { data: savedLines, error: linesError } = await supabase
+    .from("purchase_order_lines")
+    .insert(lines.map((line) => ({ ...line, user_id: userId, purchase_order_id: order.id })))
+    .select();
+
+  if (linesError) {
+    await supabase.from("purchase_orders").delete().eq("id", order.id).eq("user_id", userId);
+    return { error: linesError };
+  }
+
+  return { order: { ...order, purchase_order_lines: savedLines || [] } };
+};
+
+const sendSaveError = (res, error) => {
+  console.error("Purchase order save error:", error);
+  const status = error.code === "23505" ? 409 : 500;
+  return res.status(status).json({
+    success: false,
+    error: status === 409 ? "A purchase order with this number already exists" : "Failed to save purchase order",
+    data: null,
+  });
+};
+
+// GET /api/purchase-orders?status=&supplier_id=
+const listOrders = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { status, supplier_id } = req.query;
+
+  let query = supabase
+    .from("purchase_orders")
+    .select("*, purchase_order_lines(*), supplier_profiles(id, name)")
+    .eq("user_id", req.user.id)
+    .order("order_date", { ascending: false });
+
+  if (status) query = query.eq("status", status);
+  if (supplier_id) query = query.eq("supplier_id", supplier_id);
+
+  const { data: orders, error } = await query;
+
+  if (error) {
+    console.error("Purchase orders list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load purchase orders", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: (orders || []).map((order) => purchaseOrderService.withComputedFields(order)),
+    error: null,
+  });
+});
+
+// POST /api/purchase-orders
+// Body: { supplier_id, lines: [{ item_id, quantity, unit_cost }], order_date?, expected_date?, notes? }
+const createOrder = asyncHandler(async (req, res) => {
+  const value = validateBody(purchaseOrderSchemas.createOrder, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [supplier, itemsById] = await Promise.all([
+    findSupplier(supabase, userId, value.supplier_id),
+    loadLineItems(supabase, userId, value.lines),
+  ]);
+
+  if (!supplier) {
+    return res.status(404).json({ success: false, error: "Supplier not found", data: null });
+  }
+  if (!itemsById) {
+    return res.status(404).json({ success: false, error: "One or more inventory items were not found", data: null });
+  }
+
+  const orderDate = value.order_date || today();
+  const expectedDate = value.expected_date ||
+    purchaseOrderService.expectedDate(orderDate, value.lines.map((line) => itemsById.get(line.item_id)));
+
+  if (expectedDate < orderDate) {
+    return res.status(400).json({ success: false, error: "expected_date cannot be before order_date", data: null });
+  }
+
+  const { order, error } = await saveOrder(supabase, userId, {
+    supplier_id: supplier.id,
+    order_date: orderDate,
+    expected_date: expectedDate,
+    source: purchaseOrderService.sources.MANUAL,
+    notes: emptyToNull(value.notes) || null,
+  }, purchaseOrderService.buildLines(value.lines, itemsById));
+
+  if (error) return sendSaveError(res, error);
+
+  res.status(201).json({ success: true, data: purchaseOrderService.withComputedFields(order), error: null });
+});
+
+// POST /api/purchase-orders/from-recommendations
+// Body: { supplier_id, item_ids?, urgencies?, notes? }
+// One draft PO for the items currently due for reorder, at their recommended quantity and last purchase cost
+const createFromRecommendations = asyncHandler(async (req, res) => {
+  const value = validateBody(purchaseOrderSchemas.fromRecommendations, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const supplier = await findSupplier(supabase, userId, value.supplier_id);
+  if (!supplier) {
+    return res.status(404).json({ success: false, error: "Supplier not found", data: null });
+  }
+
+  const [recommendations, { data: items }, { data: movements }] = await Promise.all([
+    reorderService.generateReorderRecommendations(userId, supabase),
+    supabase.from("inventory_items").select("id, product_name, unit, lead_time_days, custom_attributes").eq("user_id", userId),
+    supabase
+      .from("inventory_stock_ledger")
+      .select("item_id, direction, quantity, metadata, created_at")
+      .eq("user_id", userId)
+      .eq("direction", "in"),
+  ]);
+
+  const requested = purchaseOrderService.linesFromRecommendations(recommendations, items || [], movements || [], {
+    itemIds: value.item_ids || null,
+    urgencies: value.urgencies || null,
+  });
+
+  if (requested.length === 0) {
+    return res.status(422).json({ success: false, error: "No items currently need reordering", data: null });
+  }
+
+  const itemsById = new Map((items || []).map((item) => [item.id, item]));
+  const orderDate = today();
+
+  const { order, error } = await saveOrder(supabase, userId, {
+    supplier_id: supplier.id,
+    order_date: orderDate,
+    expected_date: purchaseOrderService.expectedDate(orderDate, requested.map((line) => itemsById.get(line.item_id))),
+    source: purchaseOrderService.sources.REORDER,
+    notes: emptyToNull(value.notes) || null,
+  }, purchaseOrderService.buildLines(requested, itemsById));
+
+  if (error) return sendSaveError(res, error);
+
+  res.status(201).json({ success: true, data: purchaseOrderService.withComputedFields(order), error: null });
+});
+
+// GET /api/purchase-orders/:id
+const getOrder = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const order = await loadOrder(supabase, req.user.id, req.params.id);
+  if (!order) return sendNotFound(res);
+
+  res.json({ success: true, data: purchaseOrderService.withComputedFields(order), error: null });
+});
+
+// PATCH /api/purchase-orders/:id
+// Drafts only; lines, when given, replace the existing lines
+const updateOrder = asyncHandler(async (req, res) => {
+  const value = validateBody(purchaseOrderSchemas.updateOrder, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const order = await loadOrder(supabase, userId, req.params.id);
+  if (!order) return sendNotFound(res);
+  if (order.status !== purchaseOrderService.statuses.DRAFT) return sendStatusConflict(res, order, "edit");
+
+  if (value.supplier_id && !(await findSupplier(supabase, userId, value.supplier_id))) {
+    return res.status(404).json({ success: false, error: "Supplier not found", data: null });
+  }
+
+  const { lines, ...fields } = value;
+  if (fields.notes !== undefined) fields.notes = emptyToNull(fields.notes) || null;
+
+  const orderDate = fields.order_date || order.order_date;
+  const expectedDate = fields.expected_date === undefined ? order.expected_date : fields.expected_date;
+  if (expectedDate && expectedDate < orderDate) {
+    return res.status(400).json({ success: false, error: "expected_date cannot be before order_date", data: null });
+  }
+
+  if (lines) {
+    const itemsById = await loadLineItems(supabase, userId, lines);
+    if (!itemsById) {
+      return res.status(404).json({ success: false, error: "One or more inventory items were not found", data: null });
+    }
+
+    const built = purchaseOrderService.buildLines(lines, itemsById);
+    const { error: deleteError } = await supabase
+      .from("purchase_order_lines")
+      .delete()
+      .eq("purchase_order_id", order.id)
+      .eq("user_id", userId);
+
+    const { error: insertError } = deleteError
+      ? { error: deleteError }
+      : await supabase
+        .from("purchase_order_lines")
+        .insert(built.map((line) => ({ ...line, user_id: userId, purchase_order_id: order.id })));
+
+    if (insertError) {
+      console.error("Purchase order lines update error:", insertError);
+      return res.status(500).json({ success: false, error: "Failed to update purchase order lines", data: null });
+    }
+    Object.assign(fields, purchaseOrderService.totalsFromLines(built));
+  }
+
+  const { error } = await supabase
+    .from("purchase_orders")
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq("id", order.id)
+    .eq("user_id", userId);
+
+  if (error) {
+    console.error("Purchase order update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update purchase order", data: null });
+  }
+
+  const updated = await loadOrder(supabase, userId, order.id);
+  res.json({ success: true, data: purchaseOrderService.withComputedFields(updated), error: null });
+});
+
+// DELETE /api/purchase-orders/:id - drafts only
+const deleteOrder = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const order = await loadOrder(supabase, userId, req.params.id);
+  if (!order) return sendNotFound(res);
+  if (order.status !== purchaseOrderService.statuses.DRAFT) return sendStatusConflict(res, order, "delete");
+
+  await supabase.from("purchase_order_lines").delete().eq("purchase_order_id", order.id).eq("user_id", userId);
+  const { error } = await supabase.from("purchase_orders").delete().eq("id", order.id).eq("user_id", userId);
+
+  if (error) {
+    console.error("Purchase order delete error:", error);
+    return res.status(500).json({ success: false, error: "Failed to delete purchase order", data: null });
+  }
+
+  res.json({ success: true, data: { id: order.id }, error: null });
+});
+
+// POST /api/purchase-orders/:id/send - mark a draft as sent to the supplier
+const sendOrder = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const order = await loadOrder(supabase, userId, req.params.id);
+  if (!order) return sendNotFound(res);
+  if (order.status !== purchaseOrderService.statuses.DRAFT) return sendStatusConflict(res, order, "send");
+
+  const { data: updated, error } = await supabase
+    .from("purchase_orders")
+    .update({ status: purchaseOrderService.statuses.SENT, sent_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", order.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Purchase order send error:", error);
+    return res.status(500).json({ success: false, error: "Failed to send purchase order", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: purchaseOrderService.withComputedFields({ ...order, ...updated }),
+    error: null,
+  });
+});
+
+// POST /api/purchase-orders/:id/receive
+// Body: { lines?: [{ line_id, quantity, unit_cost?, batch_number?, expiry_date?, manufactured_date? }], received_date?,
+//         location_id?, allow_over_receipt? }
+// Posts an `in` stock movement per received line (reference_id = the PO line) at the line's cost,
+// then moves the order to partially received or closed
+const receiveOrder = asyncHandler(async (req, res) => {
+  const value = validateBody(purchaseOrderSchemas.receive, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const order = await loadOrder(supabase, userId, req.params.id);
+  if (!order) return sendNotFound(res);
+  if (!purchaseOrderService.isReceivable(order)) return sendStatusConflict(res, order, "receive against");
+
+  const requested = [];
+  for (const entry of value.lines || []) {
+    const { batch, error } = batchService.parseBatchInput(entry);
+    if (error) return res.status(400).json({ success: false, error, data: null });
+    requested.push({ ...entry, batch });
+  }
+
+  const lines = order.purchase_order_lines || [];
+  const plan = purchaseOrderService.planReceipt(lines, value.lines ? requested : purchaseOrderService.fullReceipt(lines), {
+    allowOverReceipt: value.allow_over_receipt,
+  });
+  if (plan.error) {
+    return res.status(400).json({ success: false, error: plan.error, data: null });
+  }
+
+  const location = await locationService.resolveLocation(supabase, userId, value.location_id || null);
+  if (!location) {
+    return res.status(404).json({ success: false, error: "Location not found", data: null });
+  }
+
+  // Lines ordered in another unit (cartons, say) are received into the item's base unit
+  const { data: items } = await supabase
+    .from("inventory_items")
+    .select("id, product_name, unit, pack_sizes")
+    .eq("user_id", userId)
+    .in("id", [...new Set(plan.receipts.map((receipt) => receipt.line.item_id))]);
+  const itemsById = new Map((items || []).map((item) => [item.id, item]));
+
+  for (const receipt of plan.receipts) {
+    const item = itemsById.get(receipt.line.item_id);
+    if (!item) continue;
+    const conversion = unitService.toBase(item, receipt.quantity, receipt.line.unit);
+    if (conversion.error) {
+      return res.status(400).json({ success: false, error: conversion.error, data: null });
+    }
+    receipt.conversion = conversion;
+  }
+
+  const receivedAt = value.received_date && value.received_date !== today()
+    ? `${value.received_date}T12:00:00.000Z`
+    : new Date().toISOString();
+
+  const { data: movements, error: movementError } = await supabase
+    .from("inventory_stock_ledger")
+    .insert(plan.receipts.map((receipt) => purchaseOrderService.buildMovement(userId, order, receipt, receivedAt, location.id)))
+    .select();
+
+  if (movementError) {
+    console.error("Purchase order receive error:", movementError);
+    return res.status(500).json({ success: false, error: "Failed to record received stock", data: null });
+  }
+
+  // Book batch-tracked receipts to their batch; rows come back in the order the receipts were inserted
+  for (const [index, receipt] of plan.receipts.entries()) {
+    const movement = movements?.[index];
+    if (!receipt.batch || !movement) continue;
+    try {
+      const batch = await batchService.receive(supabase, userId, {
+        item_id: receipt.line.item_id,
+        location_id: location.id,
+        quantity: movement.quantity,
+        unit_cost: movement.metadata?.unit_cost ?? receipt.unit_cost,
+        batch: receipt.batch,
+      });
+      await supabase.from("inventory_stock_ledger").update({ batch_id: batch.id }).eq("id", movement.id).eq("user_id", userId);
+      movement.batch_id = batch.id;
+    } catch (batchError) {
+      console.error("Purchase order batch receive error:", batchError);
+    }
+  }
+
+  const journalEntries = [];
+  for (const movement of movements || []) {
+    const entry = await ledgerService.safePost("purchase order receipt", () =>
+      ledgerService.postStockMovement(supabase, userId, movement)
+    );
+    if (entry) journalEntries.push(entry.id);
+  }
+
+  const receivedByLine = new Map();
+  for (const receipt of plan.receipts) {
+    receivedByLine.set(receipt.line.id, (receivedByLine.get(receipt.line.id) || 0) + receipt.quantity);
+  }
+
+  const updatedLines = lines.map((line) =>
+    receivedByLine.has(line.id)
+      ? { ...line, quantity_received: (Number(line.quantity_received) || 0) + receivedByLine.get(line.id) }
+      : line
+  );
+
+  for (const line of updatedLines.filter((l) => receivedByLine.has(l.id))) {
+    const { error } = await supabase
+      .from("purchase_order_lines")
+      .update({ quantity_received: line.quantity_received })
+      .eq("id", line.id)
+      .eq("user_id", userId);
+    if (error) console.error("Purchase order line update error:", error);
+  }
+
+  const status = purchaseOrderService.statusAfterReceipt(updatedLines);
+  const { data: updated, error: updateError } = await supabase
+    .from("purchase_orders")
+    .update({
+      status,
+      closed_at: status === purchaseOrderService.statuses.CLOSED ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", order.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error("Purchase order status update error:", updateError);
+  }
+
+  for (const receipt of plan.receipts) {
+    notificationService.notifyStockUpdate(userId, {
+      product_name: receipt.line.product_name || "item",
+      current_stock: receipt.quantity,
+      operation: "added",
+    }, "in");
+  }
+
+  res.json({
+    success: true,
+    data: {
+      purchase_order: purchaseOrderService.withComputedFields({ ...order, ...(updated || { status }) }, updatedLines),
+      movements: movements || [],
+      journal_entry_ids: journalEntries,
+    },
+    error: null,
+  });
+});
+
+// POST /api/purchase-orders/:id/close
+// Close a sent or partially received order; anything still outstanding is no longer expected
+const closeOrder = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const order = await loadOrder(supabase, userId, req.params.id);
+  if (!order) return sendNotFound(res);
+  if (!purchaseOrderService.isReceivable(order)) return sendStatusConflict(res, order, "close");
+
+  const { data: updated, error } = await supabase
+    .from("purchase_orders")
+    .update({
+      status: purchaseOrderService.statuses.CLOSED,
+      closed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", order.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Purchase order close error:", error);
+    return res.status(500).json({ success: false, error: "Failed to close purchase order", data: null });
+  }
+
+  res.json({ success: true, data: purchaseOrderService.withComputedFields({ ...order, ...updated }), error: null });
+});
+
+module.exports = {
+  listOrders,
+  createOrder,
+  createFromRecommendations,
+  getOrder,
+  updateOrder,
+  deleteOrder,
+  sendOrder,
+  receiveOrder,
+  closeOrder,
+};
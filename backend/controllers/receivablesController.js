@@ -0,0 +1,619 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { receivablesSchemas } = require("../middleware/validation");
+const gstService = require("../services/gstService");
+const ledgerService = require("../services/ledgerService");
+const receivablesService = require("../services/receivablesService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+const fetchProfile = async (supabase, userId) => {
+  const { data } = await supabase
+    .from("profiles")
+    .select("business_name, gstin, location")
+    .eq("id", userId)
+    .single();
+  return data || {};
+};
+
+const loadInvoice = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("invoices")
+    .select("*, invoice_lines(*), customers(*)")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Invoice not found", data: null });
+
+// Move a draft to sent and book the receivable
+const issueInvoice = async (supabase, userId, invoice) => {
+  let issued = invoice;
+
+  if (invoice.status === receivablesService.statuses.DRAFT) {
+    const { data, error } = await supabase
+      .from("invoices")
+      .update({ status: receivablesService.statuses.SENT, sent_at: new Date().toISOString() })
+      .eq("id", invoice.id)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    issued = { ...invoice, ...data };
+  }
+
+  await ledgerService.safePost("invoice", () => ledgerService.postInvoice(supabase, userId, issued));
+  return issued;
+};
+
+// Resolve place of supply: explicit value, then the customer's state or GSTIN, then our own state
+const resolvePlaceOfSupply = (value, customer, businessState) =>
+  gstService.resolveStateCode(value) ||
+  customer.state_code ||
+  gstService.resolveStateCode(customer.gstin) ||
+  businessState;
+
+// GET /api/receivables/customers
+const listCustomers = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  const [{ data: customers, error }, { data: invoices, error: invoicesError }] = await Promise.all([
+    supabase.from("customers").select("*").eq("user_id", req.user.id).order("name", { ascending: true }),
+    supabase
+      .from("invoices")
+      .select("customer_id, status, total, amount_paid, amount_written_off")
+      .eq("user_id", req.user.id)
+      .neq("status", receivablesService.statuses.DRAFT),
+  ]);
+
+  if (error || invoicesError) {
+    console.error("Receivables listCustomers error:", error || invoicesError);
+    return res.status(500).json({ success: false, error: "Failed to load customers", data: null });
+  }
+
+  const outstandingByCustomer = new Map();
+  for (const invoice of invoices || []) {
+    const outstanding = receivablesService.outstanding(invoice);
+    if (outstanding <= 0) continue;
+    outstandingByCustomer.set(invoice.customer_id, (outstandingByCustomer.get(invoice.customer_id) || 0) + outstanding);
+  }
+
+  res.json({
+    success: true,
+    data: (customers || []).map((c) => ({
+      ...c,
+      outstanding: Math.round((outstandingByCustomer.get(c.id) || 0) * 100) / 100,
+    })),
+    error: null,
+  });
+});
+
+// POST /api/receivables/customers
+const createCustomer = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.createCustomer, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const gstin = gstService.normaliseGstin(value.gstin);
+
+  const { data: customer, error } = await supabase
+    .from("customers")
+    .insert({
+      user_id: req.user.id,
+      name: value.name,
+      email: emptyToNull(value.email) || null,
+      phone: emptyToNull(value.phone) || null,
+      gstin,
+      billing_address: emptyToNull(value.billing_address) || null,
+      state_code: gstService.resolveStateCode(gstin) || gstService.resolveStateCode(value.state),
+      payment_terms_days: value.payment_terms_days ?? receivablesService.defaultPaymentTermsDays,
+      notes: emptyToNull(value.notes) || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Receivables createCustomer error:", error);
+    return res.status(500).json({ success: false, error: "Failed to create customer", data: null });
+  }
+
+  res.status(201).json({ success: true, data: customer, error: null });
+});
+
+// PATCH /api/receivables/customers/:id
+const updateCustomer = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.updateCustomer, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { state, ...fields } = value;
+  const updates = Object.fromEntries(Object.entries(fields).map(([key, v]) => [key, emptyToNull(v)]));
+
+  if (fields.gstin !== undefined) updates.gstin = gstService.normaliseGstin(fields.gstin);
+  if (fields.gstin !== undefined || state !== undefined) {
+    updates.state_code = gstService.resolveStateCode(updates.gstin) || gstService.resolveStateCode(state);
+  }
+
+  const { data: customer, error } = await supabase
+    .from("customers")
+    .update(updates)
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (error || !customer) {
+    return res.status(404).json({ success: false, error: "Customer not found", data: null });
+  }
+
+  res.json({ success: true, data: customer, error: null });
+});
+
+// GET /api/receivables/invoices?status=&customer_id=&overdue=true
+const listInvoices = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { status, customer_id, overdue } = req.query;
+
+  let query = supabase
+    .from("invoices")
+    .select("*, customers(id, name)")
+    .eq("user_id", req.user.id)
+    .order("issue_date", { ascending: false });
+
+  if (status) query = query.eq("status", status);
+  if (customer_id) query = query.eq("customer_id", customer_id);
+
+  const { data: invoices, error } = await query;
+
+  if (error) {
+    console.error("Receivables listInvoices error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load invoices", data: null });
+  }
+
+  const asOf = today();
+  let results = (invoices || []).map((invoice) => receivablesService.withComputedFields(invoice, asOf));
+  if (overdue === "true") results = results.filter((invoice) => invoice.is_overdue);
+
+  res.json({ success: true, data: results, error: null });
+});
+
+// POST /api/receivables/invoices
+// Body: { customer_id, lines: [{ description, quantity, unit_price, gst_rate, hsn_sac_code }], issue_date?, due_date?, send? }
+const createInvoice = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.createInvoice, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const [{ data: customer }, profile, { data: lastInvoices }] = await Promise.all([
+    supabase.from("customers").select("*").eq("id", value.customer_id).eq("user_id", userId).single(),
+    fetchProfile(supabase, userId),
+    supabase
+      .from("invoices")
+      .select("invoice_number")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1),
+  ]);
+
+  if (!customer) {
+    return res.status(404).json({ success: false, error: "Customer not found", data: null });
+  }
+
+  const businessState = gstService.getBusinessStateCode(profile);
+  const placeOfSupply = resolvePlaceOfSupply(value.place_of_supply, customer, businessState);
+  const issueDate = value.issue_date || today();
+  const dueDate = value.due_date ||
+    receivablesService.addDays(issueDate, customer.payment_terms_days ?? receivablesService.defaultPaymentTermsDays);
+
+  if (dueDate < issueDate) {
+    return res.status(400).json({ success: false, error: "due_date cannot be before issue_date", data: null });
+  }
+
+  const lines = receivablesService.buildInvoiceLines(value.lines, { businessState, placeOfSupply });
+
+  const { data: invoice, error } = await supabase
+    .from("invoices")
+    .insert({
+      user_id: userId,
+      customer_id: customer.id,
+      invoice_number: value.invoice_number || receivablesService.nextInvoiceNumber(lastInvoices?.[0]?.invoice_number),
+      issue_date: issueDate,
+      due_date: dueDate,
+      status: receivablesService.statuses.DRAFT,
+      place_of_supply: placeOfSupply,
+      ...receivablesService.totalsFromLines(lines),
+      amount_paid: 0,
+      amount_written_off: 0,
+      notes: emptyToNull(value.notes) || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Receivables createInvoice error:", error);
+    const status = error.code === "23505" ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: status === 409 ? "Invoice number already exists" : "Failed to create invoice",
+      data: null,
+    });
+  }
+
+  const { data: savedLines, error: linesError } = await supabase
+    .from("invoice_lines")
+    .insert(lines.map((line) => ({ ...line, user_id: userId, invoice_id: invoice.id })))
+    .select();
+
+  if (linesError) {
+    console.error("Receivables invoice lines error:", linesError);
+    await supabase.from("invoices").delete().eq("id", invoice.id).eq("user_id", userId);
+    return res.status(500).json({ success: false, error: "Failed to save invoice lines", data: null });
+  }
+
+  const result = value.send ? await issueInvoice(supabase, userId, invoice) : invoice;
+
+  res.status(201).json({
+    success: true,
+    data: { ...receivablesService.withComputedFields(result), invoice_lines: savedLines || [] },
+    error: null,
+  });
+});
+
+// GET /api/receivables/invoices/:id
+const getInvoice = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const invoice = await loadInvoice(supabase, req.user.id, req.params.id);
+  if (!invoice) return sendNotFound(res);
+
+  const { data: payments } = await supabase
+    .from("invoice_payments")
+    .select("*")
+    .eq("invoice_id", invoice.id)
+    .eq("user_id", req.user.id)
+    .order("payment_date", { ascending: true });
+
+  res.json({
+    success: true,
+    data: { ...receivablesService.withComputedFields(invoice), payments: payments || [] },
+    error: null,
+  });
+});
+
+// GET /api/receivables/invoices/:id/document - Send-ready invoice JSON (rendered to PDF by the app)
+const getInvoiceDocument = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const [invoice, profile] = await Promise.all([
+    loadInvoice(supabase, req.user.id, req.params.id),
+    fetchProfile(supabase, req.user.id),
+  ]);
+  if (!invoice) return sendNotFound(res);
+
+  const document = receivablesService.buildInvoiceDocument(invoice, invoice.invoice_lines || [], invoice.customers, profile);
+
+  if (req.query.download === "true") {
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoice_number}.json"`);
+  }
+
+  res.json({ success: true, data: document, error: null });
+});
+
+// PATCH /api/receivables/invoices/:id - Drafts only; sent invoices are corrected with payments or write-offs
+const updateInvoice = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.updateInvoice, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const invoice = await loadInvoice(supabase, userId, req.params.id);
+  if (!invoice) return sendNotFound(res);
+
+  if (invoice.status !== receivablesService.statuses.DRAFT) {
+    return res.status(409).json({ success: false, error: "Only draft invoices can be edited", data: null });
+  }
+
+  const profile = await fetchProfile(supabase, userId);
+  const businessState = gstService.getBusinessStateCode(profile);
+  const placeOfSupply = value.place_of_supply !== undefined
+    ? resolvePlaceOfSupply(value.place_of_supply, invoice.customers || {}, businessState)
+    : invoice.place_of_supply;
+
+  const updates = {
+    issue_date: value.issue_date || invoice.issue_date,
+    due_date: value.due_date || invoice.due_date,
+    place_of_supply: placeOfSupply,
+  };
+  if (value.notes !== undefined) updates.notes = emptyToNull(value.notes);
+
+  if (updates.due_date < updates.issue_date) {
+    return res.status(400).json({ success: false, error: "due_date cannot be before issue_date", data: null });
+  }
+
+  // Re-price when lines or place of supply change so the CGST/SGST vs IGST split stays right
+  const sourceLines = value.lines || (invoice.invoice_lines || []).sort((a, b) => a.line_number - b.line_number);
+  const repriced = value.lines || placeOfSupply !== invoice.place_of_supply;
+  const lines = repriced ? receivablesService.buildInvoiceLines(sourceLines, { businessState, placeOfSupply }) : null;
+
+  if (lines) {
+    Object.assign(updates, receivablesService.totalsFromLines(lines));
+
+    const { error: deleteError } = await supabase
+      .from("invoice_lines")
+      .delete()
+      .eq("invoice_id", invoice.id)
+      .eq("user_id", userId);
+
+    if (deleteError) {
+      console.error("Receivables updateInvoice lines error:", deleteError);
+      return res.status(500).json({ success: false, error: "Failed to update invoice lines", data: null });
+    }
+
+    const { error: insertError } = await supabase
+      .from("invoice_lines")
+      .insert(lines.map((line) => ({ ...line, user_id: userId, invoice_id: invoice.id })));
+
+    if (insertError) {
+      console.error("Receivables updateInvoice lines error:", insertError);
+      return res.status(500).json({ success: false, error: "Failed to update invoice lines", data: null });
+    }
+  }
+
+  const { error } = await supabase.from("invoices").update(updates).eq("id", invoice.id).eq("user_id", userId);
+
+  if (error) {
+    console.error("Receivables updateInvoice error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update invoice", data: null });
+  }
+
+  const updated = await loadInvoice(supabase, userId, invoice.id);
+  res.json({ success: true, data: receivablesService.withComputedFields(updated), error: null });
+});
+
+// POST /api/receivables/invoices/:id/send - Issue a draft and return the send-ready document
+const sendInvoice = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const [invoice, profile] = await Promise.all([
+    loadInvoice(supabase, req.user.id, req.params.id),
+    fetchProfile(supabase, req.user.id),
+  ]);
+  if (!invoice) return sendNotFound(res);
+
+  const issued = await issueInvoice(supabase, req.user.id, invoice);
+
+  res.json({
+    success: true,
+    data: receivablesService.buildInvoiceDocument(issued, invoice.invoice_lines || [], invoice.customers, profile),
+    error: null,
+  });
+});
+
+// POST /api/receivables/invoices/:id/payments
+// Body: { amount, payment_date?, method?, reference?, notes? }
+const recordPayment = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.recordPayment, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const invoice = await loadInvoice(supabase, userId, req.params.id);
+  if (!invoice) return sendNotFound(res);
+
+  if (invoice.status === receivablesService.statuses.DRAFT) {
+    return res.status(409).json({ success: false, error: "Send the invoice before recording payments", data: null });
+  }
+
+  const outstanding = receivablesService.outstanding(invoice);
+  if (value.amount - outstanding > 0.009) {
+    return res.status(400).json({
+      success: false,
+      error: `Payment of ${value.amount} exceeds the outstanding balance of ${outstanding}`,
+      data: null,
+    });
+  }
+
+  const payment = {
+    amount: value.amount,
+    payment_date: value.payment_date || today(),
+    method: value.method,
+    reference: emptyToNull(value.reference) || null,
+  };
+
+  // The earnings row is what monthly revenue and the ledger see
+  const { data: earning, error: earningError } = await supabase
+    .from("earnings")
+    .insert(receivablesService.buildPaymentEarning(userId, invoice, invoice.customers, payment))
+    .select()
+    .single();
+
+  if (earningError) {
+    console.error("Receivables payment earnings error:", earningError);
+    return res.status(500).json({ success: false, error: "Failed to record payment", data: null });
+  }
+
+  await ledgerService.safePost("invoice payment", () => ledgerService.postEarning(supabase, userId, earning));
+
+  const { data: savedPayment, error: paymentError } = await supabase
+    .from("invoice_payments")
+    .insert({
+      user_id: userId,
+      invoice_id: invoice.id,
+      ...payment,
+      notes: emptyToNull(value.notes) || null,
+      earning_id: earning.id,
+    })
+    .select()
+    .single();
+
+  if (paymentError) {
+    console.error("Receivables payment insert error:", paymentError);
+  }
+
+  const amountPaid = Math.round(((Number(invoice.amount_paid) || 0) + value.amount) * 100) / 100;
+  const status = receivablesService.deriveStatus({ ...invoice, amount_paid: amountPaid });
+
+  const { data: updated, error: updateError } = await supabase
+    .from("invoices")
+    .update({ amount_paid: amountPaid, status })
+    .eq("id", invoice.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error("Receivables payment update error:", updateError);
+    return res.status(500).json({ success: false, error: "Payment saved but invoice balance was not updated", data: null });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      invoice: receivablesService.withComputedFields(updated),
+      payment: savedPayment,
+      earning,
+    },
+    error: null,
+  });
+});
+
+// POST /api/receivables/invoices/:id/write-off
+// Body: { reason, amount? (defaults to the full outstanding balance), write_off_date? }
+const writeOffInvoice = asyncHandler(async (req, res) => {
+  const value = validateBody(receivablesSchemas.writeOff, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+  const invoice = await loadInvoice(supabase, userId, req.params.id);
+  if (!invoice) return sendNotFound(res);
+
+  if (invoice.status === receivablesService.statuses.DRAFT) {
+    return res.status(409).json({ success: false, error: "Draft invoices can be edited or deleted instead", data: null });
+  }
+
+  const outstanding = receivablesService.outstanding(invoice);
+  const amount = value.amount ?? outstanding;
+
+  if (outstanding <= 0.009 || amount - outstanding > 0.009) {
+    return res.status(400).json({
+      success: false,
+      error: `Write-off must be between 0 and the outstanding balance of ${outstanding}`,
+      data: null,
+    });
+  }
+
+  const writtenOff = Math.round(((Number(invoice.amount_written_off) || 0) + amount) * 100) / 100;
+  const writeOffDate = value.write_off_date || today();
+
+  const { data: updated, error } = await supabase
+    .from("invoices")
+    .update({
+      amount_written_off: writtenOff,
+      written_off_at: writeOffDate,
+      write_off_reason: value.reason,
+      status: receivablesService.deriveStatus({ ...invoice, amount_written_off: writtenOff }),
+    })
+    .eq("id", invoice.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Receivables write-off error:", error);
+    return res.status(500).json({ success: false, error: "Failed to write off invoice", data: null });
+  }
+
+  await ledgerService.safePost("invoice write-off", () =>
+    ledgerService.postInvoiceWriteOff(supabase, userId, invoice, amount, writeOffDate)
+  );
+
+  res.json({ success: true, data: receivablesService.withComputedFields(updated), error: null });
+});
+
+// DELETE /api/receivables/invoices/:id - Drafts only
+const deleteInvoice = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const invoice = await loadInvoice(supabase, req.user.id, req.params.id);
+  if (!invoice) return sendNotFound(res);
+
+  if (invoice.status !== receivablesService.statuses.DRAFT) {
+    return res.status(409).json({ success: false, error: "Only draft invoices can be deleted", data: null });
+  }
+
+  await supabase.from("invoice_lines").delete().eq("invoice_id", invoice.id).eq("user_id", req.user.id);
+  const { error } = await supabase.from("invoices").delete().eq("id", invoice.id).eq("user_id", req.user.id);
+
+  if (error) {
+    console.error("Receivables deleteInvoice error:", error);
+    return res.status(500).json({ success: false, error: "Failed to delete invoice", data: null });
+  }
+
+  res.json({ success: true, data: { id: invoice.id }, error: null });
+});
+
+// GET /api/receivables/aging?as_of=YYYY-MM-DD
+const getAgingReport = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const asOf = req.query.as_of || today();
+
+  if (!DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ success: false, error: "Invalid as_of format. Use YYYY-MM-DD", data: null });
+  }
+
+  const [{ data: invoices, error }, { data: customers, error: customersError }] = await Promise.all([
+    supabase
+      .from("invoices")
+      .select("id, customer_id, invoice_number, status, issue_date, due_date, total, amount_paid, amount_written_off")
+      .eq("user_id", req.user.id)
+      .neq("status", receivablesService.statuses.DRAFT)
+      .lte("issue_date", asOf),
+    supabase.from("customers").select("id, name").eq("user_id", req.user.id),
+  ]);
+
+  if (error || customersError) {
+    console.error("Receivables aging error:", error || customersError);
+    return res.status(500).json({ success: false, error: "Failed to build aging report", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: receivablesService.buildAgingReport(invoices || [], customers || [], asOf),
+    error: null,
+  });
+});
+
+module.exports = {
+  listCustomers,
+  createCustomer,
+  updateCustomer,
+  listInvoices,
+  createInvoice,
+  getInvoice,
+  getInvoiceDocument,
+  updateInvoice,
+  sendInvoice,
+  recordPayment,
+  writeOffInvoice,
+  deleteInvoice,
+  getAgingReport,
+};
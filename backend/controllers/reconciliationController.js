@@ -0,0 +1,452 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const reconciliationService = require("../services/reconciliationService");
+const ledgerService = require("../services/ledgerService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const shiftDate = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+};
+
+// Defaults to the last three months
+const resolvePeriod = (query) => {
+  const to = query.to || new Date().toISOString().split("T")[0];
+  const from = query.from || `${shiftDate(to, -90).substring(0, 7)}-01`;
+  const valid = DATE_PATTERN.test(from) && DATE_PATTERN.test(to) && from <= to;
+  return valid ? { from, to } : null;
+};
+
+const fetchMatches = async (supabase, userId) => {
+  const { data, error } = await ledgerService.selectAll(() =>
+    supabase
+      .from("reconciliation_matches")
+      .select("bank_transaction_id, earning_id, document_id, amount")
+      .eq("user_id", userId)
+      .order("id", { ascending: true })
+  );
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Bank lines annotated with how much is still unmatched
+const withRemaining = (lines, matches) => {
+  const matched = reconciliationService.matchedTotals(matches, "bank_transaction_id");
+  return lines.map((line) => ({
+    ...line,
+    amount: Number(line.amount),
+    remaining: Math.round((Number(line.amount) - (matched.get(line.id) || 0)) * 100) / 100,
+  }));
+};
+
+const loadLine = async (supabase, userId, id, matches) => {
+  const { data: line, error } = await supabase
+    .from("bank_transactions")
+    .select("*")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !line) return null;
+  return withRemaining([line], matches)[0];
+};
+
+// Earnings and processed documents between two dates as scored candidates
+const loadCandidates = async (supabase, userId, { from, to, earningIds, documentIds }, matches) => {
+  let earningsQuery = supabase
+    .from("earnings")
+    .select("id, earning_date, amount, inventory_cost, vendor_name, processed_text, transaction_category")
+    .eq("user_id", userId);
+  let documentsQuery = supabase
+    .from("documents")
+    .select("id, file_name, extracted_text, created_at")
+    .eq("user_id", userId)
+    .eq("status", "processed");
+
+  if (earningIds) {
+    earningsQuery = earningsQuery.in("id", earningIds);
+    documentsQuery = documentsQuery.in("id", documentIds);
+  } else {
+    earningsQuery = earningsQuery.gte("earning_date", from).lte("earning_date", to);
+    // Document dates come from the extracted data, so fetch a wider upload window and filter after scoring
+    documentsQuery = documentsQuery.gte("created_at", shiftDate(from, -60));
+  }
+
+  const [{ data: earnings, error: earningsError }, { data: documents, error: documentsError }] =
+    await Promise.all([earningsQuery, documentsQuery]);
+
+  if (earningsError || documentsError) throw earningsError || documentsError;
+
+  const earningTotals = reconciliationService.matchedTotals(matches, "earning_id");
+  const documentTotals = reconciliationService.matchedTotals(matches, "document_id");
+
+  return {
+    earnings: (earnings || []).map((e) => reconciliationService.earningToCandidate(e, earningTotals.get(e.id) || 0)),
+    documents: (documents || [])
+      .map((d) => reconciliationService.documentToCandidate(d, documentTotals.get(d.id) || 0))
+      .filter((d) => d.amount > 0),
+  };
+};
+
+// Record allocations and close the line once nothing is left unmatched
+const applyAllocations = async (supabase, userId, line, allocations, matchType) => {
+  const { error: insertError } = await supabase.from("reconciliation_matches").insert(
+    allocations.map((a) => ({
+      user_id: userId,
+      bank_transaction_id: line.id,
+      earning_id: a.earning_id || null,
+      document_id: a.document_id || null,
+      amount: Number(a.amount),
+      match_type: matchType,
+      confidence: a.score ?? null,
+    }))
+  );
+
+  if (insertError) throw insertError;
+
+  const allocated = allocations.reduce((sum, a) => sum + Number(a.amount), 0);
+  const fullyMatched = line.remaining - allocated <= reconciliationService.tolerance;
+  const firstEarning = allocations.find((a) => a.earning_id);
+
+  const { data: updated, error: updateError } = await supabase
+    .from("bank_transactions")
+    .update({
+      reconciliation_status: fullyMatched
+        ? reconciliationService.statuses.RECONCILED
+        : reconciliationService.statuses.UNRECONCILED,
+      reconciled_at: fullyMatched ? new Date().toISOString() : null,
+      earning_id: line.earning_id || firstEarning?.earning_id || null,
+    })
+    .eq("id", line.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+  return updated;
+};
+
+const requireUnreconciledLine = async (req, res, matches) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const id = req.body?.bank_transaction_id;
+
+  if (!id) {
+    res.status(400).json({ success: false, error: "bank_transaction_id is required", data: null });
+    return null;
+  }
+
+  const line = await loadLine(supabase, req.user.id, id, matches);
+  if (!line) {
+    res.status(404).json({ success: false, error: "Bank transaction not found", data: null });
+    return null;
+  }
+
+  if (line.reconciliation_status && line.reconciliation_status !== reconciliationService.statuses.UNRECONCILED) {
+    res.status(409).json({
+      success: false,
+      error: `Bank transaction is already ${line.reconciliation_status}. Reset it first.`,
+      data: null,
+    });
+    return null;
+  }
+
+  return line;
+};
+
+// GET /api/reconciliation/proposals?from=&to=&window_days=
+const getProposals = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const period = resolvePeriod(req.query);
+  const windowDays = req.query.window_days === undefined || req.query.window_days === ""
+    ? reconciliationService.defaultWindowDays
+    : Number(req.query.window_days);
+
+  if (!period) {
+    return res.status(400).json({ success: false, error: "Invalid date range. Use YYYY-MM-DD", data: null });
+  }
+
+  if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > reconciliationService.maxWindowDays) {
+    return res.status(400).json({
+      success: false,
+      error: `window_days must be a whole number from 0 to ${reconciliationService.maxWindowDays}`,
+      data: null,
+    });
+  }
+
+  const matches = await fetchMatches(supabase, req.user.id);
+  const { data: lines, error } = await supabase
+    .from("bank_transactions")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .eq("reconciliation_status", reconciliationService.statuses.UNRECONCILED)
+    .gte("transaction_date", period.from)
+    .lte("transaction_date", period.to)
+    .order("transaction_date", { ascending: true });
+
+  if (error) {
+    console.error("Reconciliation proposals error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load bank transactions", data: null });
+  }
+
+  const candidates = await loadCandidates(
+    supabase,
+    req.user.id,
+    { from: shiftDate(period.from, -windowDays), to: shiftDate(period.to, windowDays) },
+    matches
+  );
+
+  const proposals = reconciliationService.proposeMatches(
+    withRemaining(lines || [], matches),
+    [...candidates.earnings, ...candidates.documents],
+    { windowDays }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      window_days: windowDays,
+      proposals,
+      unmatched_lines: proposals.filter((p) => p.candidates.length === 0).length,
+    },
+    error: null,
+  });
+});
+
+// POST /api/reconciliation/accept
+// Body: { bank_transaction_id, earning_id | document_id }
+const acceptMatch = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const matches = await fetchMatches(supabase, req.user.id);
+  const line = await requireUnreconciledLine(req, res, matches);
+  if (!line) return;
+
+  const { earning_id, document_id } = req.body;
+  if (!earning_id === !document_id) {
+    return res.status(400).json({ success: false, error: "Provide exactly one of earning_id or document_id", data: null });
+  }
+
+  const candidates = await loadCandidates(
+    supabase,
+    req.user.id,
+    { earningIds: earning_id ? [earning_id] : [], documentIds: document_id ? [document_id] : [] },
+    matches
+  );
+  const candidate = [...candidates.earnings, ...candidates.documents][0];
+
+  if (!candidate) {
+    return res.status(404).json({ success: false, error: "Book item not found", data: null });
+  }
+
+  if (candidate.direction !== line.direction) {
+    return res.status(400).json({
+      success: false,
+      error: `Cannot match a bank ${line.direction} to ${candidate.direction === "credit" ? "income" : "an expense"}`,
+      data: null,
+    });
+  }
+
+  if (candidate.remaining <= reconciliationService.tolerance) {
+    return res.status(409).json({ success: false, error: "Book item is already fully matched", data: null });
+  }
+
+  // Accepting settles as much of the line as the book item has left. A smaller bank amount (bank charges,
+  // rounding) leaves the difference on the book item; a larger one leaves the line partially matched.
+  const amount = Math.min(line.remaining, candidate.remaining);
+  const allocation = { earning_id, document_id, amount, score: reconciliationService.scoreCandidate(line, candidate, 30)?.score ?? null };
+  const validationError = reconciliationService.validateAllocations(
+    { ...line, remaining: amount },
+    [allocation],
+    new Map([[candidate.id, candidate]])
+  );
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError, data: null });
+  }
+
+  const updated = await applyAllocations(
+    supabase,
+    req.user.id,
+    line,
+    [allocation],
+    reconciliationService.matchTypes.ACCEPTED
+  );
+
+  res.json({
+    success: true,
+    data: {
+      bank_transaction: updated,
+      allocated: amount,
+      difference: Math.round((candidate.remaining - amount) * 100) / 100,
+      line_remaining: Math.round((line.remaining - amount) * 100) / 100,
+    },
+    error: null,
+  });
+});
+
+// POST /api/reconciliation/split
+// Body: { bank_transaction_id, allocations: [{ earning_id | document_id, amount }] }
+const splitMatch = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const matches = await fetchMatches(supabase, req.user.id);
+  const line = await requireUnreconciledLine(req, res, matches);
+  if (!line) return;
+
+  const allocations = Array.isArray(req.body.allocations) ? req.body.allocations : [];
+  const candidates = await loadCandidates(
+    supabase,
+    req.user.id,
+    {
+      earningIds: allocations.map((a) => a.earning_id).filter(Boolean),
+      documentIds: allocations.map((a) => a.document_id).filter(Boolean),
+    },
+    matches
+  );
+  const candidatesById = new Map([...candidates.earnings, ...candidates.documents].map((c) => [c.id, c]));
+
+  const validationError = reconciliationService.validateAllocations(line, req.body.allocations, candidatesById);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError, data: null });
+  }
+
+  const updated = await applyAllocations(
+    supabase,
+    req.user.id,
+    line,
+    allocations,
+    reconciliationService.matchTypes.SPLIT
+  );
+
+  res.json({ success: true, data: { bank_transaction: updated, allocations: allocations.length }, error: null });
+});
+
+// POST /api/reconciliation/ignore
+// Body: { bank_transaction_id, reason? } - e.g. transfers between own accounts
+const ignoreLine = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const matches = await fetchMatches(supabase, req.user.id);
+  const line = await requireUnreconciledLine(req, res, matches);
+  if (!line) return;
+
+  const { data: updated, error } = await supabase
+    .from("bank_transactions")
+    .update({
+      reconciliation_status: reconciliationService.statuses.IGNORED,
+      reconciliation_note: req.body.reason ? String(req.body.reason).slice(0, 500) : null,
+      reconciled_at: new Date().toISOString(),
+    })
+    .eq("id", line.id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Reconciliation ignore error:", error);
+    return res.status(500).json({ success: false, error: "Failed to ignore bank transaction", data: null });
+  }
+
+  res.json({ success: true, data: { bank_transaction: updated }, error: null });
+});
+
+// POST /api/reconciliation/reset
+// Body: { bank_transaction_id } - removes manual matches and reopens the line
+const resetLine = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const id = req.body?.bank_transaction_id;
+
+  if (!id) {
+    return res.status(400).json({ success: false, error: "bank_transaction_id is required", data: null });
+  }
+
+  // Import matches link a line to the earnings row created from it and are kept
+  const { error: deleteError } = await supabase
+    .from("reconciliation_matches")
+    .delete()
+    .eq("user_id", req.user.id)
+    .eq("bank_transaction_id", id)
+    .neq("match_type", reconciliationService.matchTypes.IMPORT);
+
+  if (deleteError) {
+    console.error("Reconciliation reset error:", deleteError);
+    return res.status(500).json({ success: false, error: "Failed to reset reconciliation", data: null });
+  }
+
+  const matches = await fetchMatches(supabase, req.user.id);
+  const line = await loadLine(supabase, req.user.id, id, matches);
+  if (!line) {
+    return res.status(404).json({ success: false, error: "Bank transaction not found", data: null });
+  }
+
+  const stillMatched = line.remaining <= reconciliationService.tolerance;
+  const { data: updated, error } = await supabase
+    .from("bank_transactions")
+    .update({
+      reconciliation_status: stillMatched
+        ? reconciliationService.statuses.RECONCILED
+        : reconciliationService.statuses.UNRECONCILED,
+      reconciliation_note: null,
+      reconciled_at: stillMatched ? line.reconciled_at : null,
+    })
+    .eq("id", id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Reconciliation reset update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to reset reconciliation", data: null });
+  }
+
+  res.json({ success: true, data: { bank_transaction: updated }, error: null });
+});
+
+// GET /api/reconciliation/unreconciled?from=&to=
+const getUnreconciledSummary = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const period = resolvePeriod(req.query);
+
+  if (!period) {
+    return res.status(400).json({ success: false, error: "Invalid date range. Use YYYY-MM-DD", data: null });
+  }
+
+  const matches = await fetchMatches(supabase, req.user.id);
+  const { data: lines, error } = await supabase
+    .from("bank_transactions")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .gte("transaction_date", period.from)
+    .lte("transaction_date", period.to);
+
+  if (error) {
+    console.error("Reconciliation summary error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load bank transactions", data: null });
+  }
+
+  // Documents back up earnings rows, so only earnings count as unmatched book items
+  const { earnings } = await loadCandidates(supabase, req.user.id, period, matches);
+  const months = reconciliationService.summariseByMonth(withRemaining(lines || [], matches), earnings);
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      months,
+      totals: {
+        unreconciled_bank_lines: months.reduce((sum, m) => sum + m.bank.unreconciled, 0),
+        unmatched_book_items: months.reduce((sum, m) => sum + m.books.unmatched, 0),
+      },
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  getProposals,
+  acceptMatch,
+  splitMatch,
+  ignoreLine,
+  resetLine,
+  getUnreconciledSummary,
+};
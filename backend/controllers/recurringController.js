@@ -0,0 +1,400 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { recurringSchemas } = require("../middleware/validation");
+const recurringTransactionService = require("../services/recurringTransactionService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+// Schedule checks Joi cannot express: a parseable cron and an end date after the start
+const scheduleError = (template) => {
+  if (template.end_date && template.end_date < template.start_date) return "end_date must be on or after start_date";
+  if (template.frequency === recurringTransactionService.frequencies.CUSTOM) {
+    if (!template.cron_expression) return "cron_expression is required for a custom frequency";
+    try {
+      recurringTransactionService.parseCron(template.cron_expression);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Recurring transaction not found", data: null });
+
+const fetchTemplate = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("recurring_transactions")
+    .select("*")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  return error ? null : data;
+};
+
+const fetchOverrides = async (supabase, templateIds) => {
+  if (templateIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from("recurring_occurrences")
+    .select("*")
+    .in("template_id", templateIds);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// GET /api/recurring?status=active
+const listTemplates = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  let query = supabase
+    .from("recurring_transactions")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .order("next_run_date", { ascending: true, nullsFirst: false });
+
+  if (req.query.status) query = query.eq("status", req.query.status);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error("Recurring list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load recurring transactions", data: null });
+  }
+
+  res.json({ success: true, data: data || [], error: null });
+});
+
+// POST /api/recurring
+// Body: { name, type, amount, category?, vendor_name?, frequency, interval_count?, day_of_month?, cron_expression?,
+//         start_date, end_date?, escalation_pct?, escalation_interval_months?, notes?, post_past_occurrences? }
+const createTemplate = asyncHandler(async (req, res) => {
+  const value = validateBody(recurringSchemas.createTemplate, req, res);
+  if (!value) return;
+
+  const problem = scheduleError(value);
+  if (problem) return res.status(400).json({ success: false, error: problem, data: null });
+
+  const { post_past_occurrences: postPast, ...fields } = value;
+  const asOf = today();
+  // Without backfill, occurrences before today are treated as already handled
+  const lastRunDate = !postPast && fields.start_date < asOf ? recurringTransactionService.addDays(asOf, -1) : null;
+  const template = {
+    ...fields,
+    category: fields.category || null,
+    vendor_name: fields.vendor_name || null,
+    notes: fields.notes || null,
+    last_run_date: lastRunDate,
+  };
+  const nextRunDate = recurringTransactionService.nextRunDate(
+    template,
+    [],
+    lastRunDate ? asOf : template.start_date
+  );
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data: saved, error } = await supabase
+    .from("recurring_transactions")
+    .insert({
+      user_id: req.user.id,
+      ...template,
+      next_run_date: nextRunDate,
+      status: nextRunDate ? recurringTransactionService.statuses.ACTIVE : recurringTransactionService.statuses.ENDED,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Recurring create error:", error);
+    return res.status(500).json({ success: false, error: "Failed to create recurring transaction", data: null });
+  }
+
+  // Anything already due (today, or past dates when backfilling) is posted straight away
+  let posted = [];
+  let result = saved;
+  if (saved.next_run_date && saved.next_run_date <= asOf) {
+    ({ template: result, posted } = await recurringTransactionService.runTemplate(supabase, saved, asOf));
+  }
+
+  res.status(201).json({ success: true, data: { ...result, posted }, error: null });
+});
+
+// GET /api/recurring/upcoming?days=30 - Occurrences of every active template over the coming days
+const getUpcoming = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+  const from = today();
+  const to = recurringTransactionService.addDays(from, days);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data: templates, error } = await supabase
+    .from("recurring_transactions")
+    .select("*")
+    .eq("user_id", req.user.id)
+    .eq("status", recurringTransactionService.statuses.ACTIVE);
+
+  if (error) {
+    console.error("Recurring upcoming error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load recurring transactions", data: null });
+  }
+
+  const overrides = await fetchOverrides(supabase, (templates || []).map((t) => t.id));
+  const occurrences = (templates || [])
+    .flatMap((template) =>
+      recurringTransactionService
+        .buildOccurrences(template, overrides.filter((o) => o.template_id === template.id), from, to)
+        .filter((o) => o.status !== recurringTransactionService.occurrenceStatuses.POSTED)
+        .map((o) => ({ ...o, name: template.name, category: template.category }))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const pending = occurrences.filter((o) => recurringTransactionService.isPending(o));
+  const sum = (type) =>
+    Math.round(pending.filter((o) => o.type === type).reduce((total, o) => total + o.amount, 0) * 100) / 100;
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      occurrences,
+      totals: { expense: sum("expense"), income: sum("income") },
+    },
+    error: null,
+  });
+});
+
+// POST /api/recurring/run - Post the caller's due occurrences now instead of waiting for the scheduler
+const runDueNow = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const result = await recurringTransactionService.runDue(supabase, { asOf: today(), userId: req.user.id });
+
+  res.json({ success: true, data: result, error: null });
+});
+
+// GET /api/recurring/:id - Template with its skipped, modified and posted occurrences
+const getTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const template = await fetchTemplate(supabase, req.user.id, req.params.id);
+  if (!template) return sendNotFound(res);
+
+  const overrides = await fetchOverrides(supabase, [template.id]);
+  res.json({
+    success: true,
+    data: {
+      ...template,
+      occurrences: overrides.sort((a, b) => b.scheduled_date.localeCompare(a.scheduled_date)),
+    },
+    error: null,
+  });
+});
+
+// PATCH /api/recurring/:id - Edit the template or pause/resume it; posted entries are left as they are
+const updateTemplate = asyncHandler(async (req, res) => {
+  const value = validateBody(recurringSchemas.updateTemplate, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const existing = await fetchTemplate(supabase, req.user.id, req.params.id);
+  if (!existing) return sendNotFound(res);
+
+  const merged = { ...existing, ...value };
+  if (value.frequency && value.frequency !== recurringTransactionService.frequencies.CUSTOM) merged.cron_expression = null;
+  const problem = scheduleError(merged);
+  if (problem) return res.status(400).json({ success: false, error: problem, data: null });
+
+  const updates = { ...value, cron_expression: merged.cron_expression, updated_at: new Date().toISOString() };
+  for (const key of ["category", "vendor_name", "notes"]) {
+    if (value[key] === "") updates[key] = null;
+  }
+
+  // Resuming does not post the occurrences that fell due while paused
+  const resuming =
+    value.status === recurringTransactionService.statuses.ACTIVE &&
+    existing.status === recurringTransactionService.statuses.PAUSED;
+  const yesterday = recurringTransactionService.addDays(today(), -1);
+  if (resuming && merged.start_date <= yesterday && (!existing.last_run_date || existing.last_run_date < yesterday)) {
+    updates.last_run_date = yesterday;
+  }
+
+  const { data: saved, error } = await supabase
+    .from("recurring_transactions")
+    .update(updates)
+    .eq("id", existing.id)
+    .eq("user_id", req.user.id)
+    .select()
+    .single();
+
+  if (error || !saved) {
+    console.error("Recurring update error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update recurring transaction", data: null });
+  }
+
+  const refreshed = await recurringTransactionService.refreshSchedule(supabase, saved);
+  res.json({ success: true, data: refreshed, error: null });
+});
+
+// DELETE /api/recurring/:id - Stops the schedule; entries already posted stay in earnings
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { data, error } = await supabase
+    .from("recurring_transactions")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("user_id", req.user.id)
+    .select("id");
+
+  if (error) {
+    console.error("Recurring delete error:", error);
+    return res.status(500).json({ success: false, error: "Failed to delete recurring transaction", data: null });
+  }
+  if (!data?.length) return sendNotFound(res);
+
+  res.json({ success: true, data: { id: req.params.id }, error: null });
+});
+
+// GET /api/recurring/:id/preview?count=12&until=YYYY-MM-DD
+const previewTemplate = asyncHandler(async (req, res) => {
+  const { until } = req.query;
+  if (until && !DATE_PATTERN.test(until)) {
+    return res.status(400).json({ success: false, error: "Invalid until date. Use YYYY-MM-DD", data: null });
+  }
+  const count = Math.min(Math.max(parseInt(req.query.count) || 12, 1), 366);
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const template = await fetchTemplate(supabase, req.user.id, req.params.id);
+  if (!template) return sendNotFound(res);
+
+  const overrides = await fetchOverrides(supabase, [template.id]);
+  const from = template.start_date > today() ? template.start_date : today();
+
+  res.json({
+    success: true,
+    data: {
+      template_id: template.id,
+      next_run_date: template.next_run_date,
+      occurrences: recurringTransactionService.preview(template, overrides, from, { count, until: until || null }),
+    },
+    error: null,
+  });
+});
+
+// PUT /api/recurring/:id/occurrences/:date - Skip one occurrence, or change its amount or posting date
+// Body: { action: "skip" | "modify", amount?, date?, notes? }
+const setOccurrence = asyncHandler(async (req, res) => {
+  const value = validateBody(recurringSchemas.occurrence, req, res);
+  if (!value) return;
+
+  const scheduledDate = req.params.date;
+  if (!DATE_PATTERN.test(scheduledDate)) {
+    return res.status(400).json({ success: false, error: "Invalid occurrence date. Use YYYY-MM-DD", data: null });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const template = await fetchTemplate(supabase, req.user.id, req.params.id);
+  if (!template) return sendNotFound(res);
+
+  if (recurringTransactionService.scheduledDates(template, scheduledDate, scheduledDate).length === 0) {
+    return res.status(400).json({ success: false, error: "No occurrence is scheduled on that date", data: null });
+  }
+
+  const [existing] = (await fetchOverrides(supabase, [template.id])).filter((o) => o.scheduled_date === scheduledDate);
+  if (existing?.status === recurringTransactionService.occurrenceStatuses.POSTED) {
+    return res.status(409).json({
+      success: false,
+      error: "This occurrence has already been posted; edit its earnings entry instead",
+      data: { earning_id: existing.earning_id },
+    });
+  }
+
+  const skip = value.action === "skip";
+  const { data: saved, error } = await supabase
+    .from("recurring_occurrences")
+    .upsert(
+      {
+        template_id: template.id,
+        user_id: req.user.id,
+        scheduled_date: scheduledDate,
+        status: skip
+          ? recurringTransactionService.occurrenceStatuses.SKIPPED
+          : recurringTransactionService.occurrenceStatuses.MODIFIED,
+        amount_override: skip ? null : value.amount ?? null,
+        date_override: skip ? null : value.date ?? null,
+        notes: value.notes || null,
+      },
+      { onConflict: "template_id,scheduled_date" }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Recurring occurrence error:", error);
+    return res.status(500).json({ success: false, error: "Failed to update occurrence", data: null });
+  }
+
+  const refreshed = await recurringTransactionService.refreshSchedule(supabase, template);
+  res.json({
+    success: true,
+    data: {
+      occurrence: recurringTransactionService.occurrenceFor(template, scheduledDate, saved),
+      next_run_date: refreshed.next_run_date,
+    },
+    error: null,
+  });
+});
+
+// DELETE /api/recurring/:id/occurrences/:date - Undo a skip or modification
+const resetOccurrence = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const template = await fetchTemplate(supabase, req.user.id, req.params.id);
+  if (!template) return sendNotFound(res);
+
+  const { data, error } = await supabase
+    .from("recurring_occurrences")
+    .delete()
+    .eq("template_id", template.id)
+    .eq("scheduled_date", req.params.date)
+    .neq("status", recurringTransactionService.occurrenceStatuses.POSTED)
+    .select("scheduled_date");
+
+  if (error) {
+    console.error("Recurring occurrence reset error:", error);
+    return res.status(500).json({ success: false, error: "Failed to reset occurrence", data: null });
+  }
+  if (!data?.length) {
+    return res.status(404).json({ success: false, error: "No skipped or modified occurrence on that date", data: null });
+  }
+
+  const refreshed = await recurringTransactionService.refreshSchedule(supabase, template);
+  res.json({
+    success: true,
+    data: {
+      occurrence: recurringTransactionService.occurrenceFor(template, req.params.date),
+      next_run_date: refreshed.next_run_date,
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  listTemplates,
+  createTemplate,
+  getUpcoming,
+  runDueNow,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  setOccurrence,
+  resetOccurrence,
+};
@@ -0,0 +1,153 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const ledgerService = require("../services/ledgerService");
+const financialStatementsService = require("../services/financialStatementsService");
+const inventoryValuationService = require("../services/inventoryValuationService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STATEMENTS = ["profit_and_loss", "balance_sheet", "cash_flow"];
+
+// Default period: first of the current month to today
+const getDefaultPeriod = () => {
+  const now = new Date();
+  const today = now.toISOString().split("T")[0];
+  return { from: `${today.substring(0, 7)}-01`, to: today };
+};
+
+// GET /api/reports/statements?from=YYYY-MM-DD&to=YYYY-MM-DD&statements=profit_and_loss,balance_sheet,cash_flow
+const getFinancialStatements = asyncHandler(async (req, res) => {
+  const defaults = getDefaultPeriod();
+  const from = req.query.from || defaults.from;
+  const to = req.query.to || defaults.to;
+  const requested = req.query.statements
+    ? String(req.query.statements).split(",").map((s) => s.trim())
+    : STATEMENTS;
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return res.status(400).json({ success: false, error: "Invalid date format. Use YYYY-MM-DD", data: null });
+  }
+
+  if (from > to) {
+    return res.status(400).json({ success: false, error: "from must be on or before to", data: null });
+  }
+
+  const unknown = requested.filter((s) => !STATEMENTS.includes(s));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown statement(s): ${unknown.join(", ")}. Use ${STATEMENTS.join(", ")}`,
+      data: null,
+    });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  await ledgerService.ensureChartOfAccounts(supabase, req.user.id);
+
+  // Row-level loads are paged; a single select stops at the PostgREST row cap and the statements would not balance
+  const [earningsResult, accountsResult, linesResult, itemsResult, movementsResult, invoicesResult, billsResult] = await Promise.all([
+    ledgerService.selectAll(() =>
+      supabase
+        .from("earnings")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .gte("earning_date", from)
+        .lte("earning_date", to)
+        .order("id", { ascending: true })
+    ),
+    supabase.from("ledger_accounts").select("code, name, type").eq("user_id", req.user.id),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("journal_lines")
+        .select("account_code, debit, credit, entry_date")
+        .eq("user_id", req.user.id)
+        .lte("entry_date", to)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("inventory_items_with_stock")
+        .select("id, product_name, category, custom_attributes, current_stock")
+        .eq("user_id", req.user.id)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("inventory_stock_ledger")
+        .select("id, item_id, direction, quantity, source, metadata, created_at")
+        .eq("user_id", req.user.id)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("invoices")
+        .select("status, issue_date, subtotal")
+        .eq("user_id", req.user.id)
+        .gte("issue_date", from)
+        .lte("issue_date", to)
+        .order("id", { ascending: true })
+    ),
+    ledgerService.selectAll(() =>
+      supabase
+        .from("supplier_bills")
+        .select("bill_date, subtotal")
+        .eq("user_id", req.user.id)
+        .gte("bill_date", from)
+        .lte("bill_date", to)
+        .order("id", { ascending: true })
+    ),
+  ]);
+
+  const failed = [earningsResult, accountsResult, linesResult, itemsResult, movementsResult, invoicesResult, billsResult].find(
+    (r) => r.error
+  );
+  if (failed) {
+    console.error("Financial statements error:", failed.error);
+    return res.status(500).json({ success: false, error: "Failed to load data for financial statements", data: null });
+  }
+
+  const earnings = earningsResult.data || [];
+  const accounts = accountsResult.data || [];
+  const ledgerLines = linesResult.data || [];
+
+  const profitAndLoss = financialStatementsService.buildProfitAndLoss(
+    earnings,
+    ledgerLines,
+    { from, to },
+    invoicesResult.data || [],
+    billsResult.data || []
+  );
+  const statements = {};
+
+  if (requested.includes("profit_and_loss")) {
+    statements.profit_and_loss = profitAndLoss;
+  }
+
+  if (requested.includes("balance_sheet")) {
+    const method = await inventoryValuationService.getMethod(supabase, req.user.id);
+    const inventory = financialStatementsService.valueInventory(itemsResult.data || [], movementsResult.data || [], to, method);
+    statements.balance_sheet = financialStatementsService.buildBalanceSheet(ledgerLines, accounts, inventory, to);
+  }
+
+  if (requested.includes("cash_flow")) {
+    statements.cash_flow = financialStatementsService.buildCashFlow(
+      ledgerLines,
+      accounts,
+      profitAndLoss.summary.net_profit,
+      { from, to }
+    );
+  }
+
+  res.json({
+    success: true,
+    data: {
+      period: { from, to },
+      generated_at: new Date().toISOString(),
+      ...statements,
+    },
+    error: null,
+  });
+});
+
+module.exports = {
+  getFinancialStatements,
+};
@@ -1,4 +1,10 @@
 const { supabase, getAuthenticatedClient } = require("../config/supabase");
+const gstService = require("../services/gstService");
+const receivablesService = require("../services/receivablesService");
+const payablesService = require("../services/payablesService");
+const inventoryValuationService = require("../services/inventoryValuationService");
+const ledgerService = require("../services/ledgerService");
+const { revenueSchemas } = require("../middleware/validation");
 
 // Helper function to get month date range
 const getMonthDateRange = (month) => {
@@ -30,6 +36,37 @@ const getAuthClient = (req) => {
   return getAuthenticatedClient(req.accessToken);
 };
 
+// Cost of goods sold from the stock ledger's cost layers, rather than the free-typed inventory_cost
+const fetchCostOfGoodsSold = async (authClient, userId, period) => {
+  const [method, itemsResult, movementsResult] = await Promise.all([
+    inventoryValuationService.getMethod(authClient, userId),
+    ledgerService.selectAll(() =>
+      authClient
+        .from("inventory_items")
+        .select("id, product_name, custom_attributes")
+        .eq("user_id", userId)
+        .order("id", { ascending: true })
+    ),
+    // Paged and in order: issue costs come from replaying every earlier movement
+    ledgerService.selectAll(() =>
+      authClient
+        .from("inventory_stock_ledger")
+        .select("id, item_id, direction, quantity, source, metadata, created_at")
+        .eq("user_id", userId)
+        .lte("created_at", `${period.to}T23:59:59.999Z`)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+    ),
+  ]);
+
+  if (itemsResult.error || movementsResult.error) {
+    console.error("Revenue COGS error:", itemsResult.error || movementsResult.error);
+    return null;
+  }
+
+  return inventoryValuationService.costOfGoodsSold(itemsResult.data || [], movementsResult.data || [], period, method);
+};
+
 // GET /api/revenue/monthly?month=YYYY-MM
 const getMonthlyRevenue = async (req, res) => {
   try {
@@ -52,6 +89,8 @@ const getMonthlyRevenue = async (req, res) => {
           total_revenue: 0,
           total_expenses: 0,
           net_profit: 0,
+          cost_of_goods_sold: 0,
+          gross_profit: 0,
           days_recorded: 0,
           avg_daily_revenue: 0,
           is_future: true,
@@ -87,6 +126,7 @@ const getMonthlyRevenue = async (req, res) => {
     const netProfit = totalRevenue - totalExpenses;
     const daysRecorded = earnings?.length || 0;
     const avgDailyRevenue = daysRecorded > 0 ? totalRevenue / daysRecorded : 0;
+    const cogs = await fetchCostOfGoodsSold(authClient, req.user.id, { from: start, to: end });
 
     res.json({
       success: true,
@@ -95,6 +135,10 @@ const getMonthlyRevenue = async (req, res) => {
         total_revenue: totalRevenue,
         total_expenses: totalExpenses,
         net_profit: netProfit,
+        // Stock issued at layer cost; null when the stock ledger could not be read
+        cost_of_goods_sold: cogs ? cogs.cogs : null,
+        gross_profit: cogs ? Math.round((totalRevenue - cogs.cogs) * 100) / 100 : null,
+        costing_method: cogs ? cogs.method : null,
         days_recorded: daysRecorded,
         avg_daily_revenue: avgDailyRevenue,
         is_future: false,
@@ -526,9 +570,234 @@ const getRevenueInsights = async (req, res) => {
   }
 };
 
+// Helper function to load a month's earnings together with the business GST registration
+const fetchGstContext = async (req, month) => {
+  const { start, end } = getMonthDateRange(month);
+  const authClient = getAuthClient(req);
+
+  const [
+    { data: earnings, error },
+    { data: profile },
+    { data: invoices, error: invoicesError },
+    { data: bills, error: billsError },
+  ] = await Promise.all([
+    authClient
+      .from("earnings")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .gte("earning_date", start)
+      .lte("earning_date", end)
+      .order("earning_date", { ascending: true }),
+    authClient
+      .from("profiles")
+      .select("gstin, location")
+      .eq("id", req.user.id)
+      .single(),
+    authClient
+      .from("invoices")
+      .select("*, invoice_lines(*), customers(gstin)")
+      .eq("user_id", req.user.id)
+      .neq("status", receivablesService.statuses.DRAFT)
+      .gte("issue_date", start)
+      .lte("issue_date", end),
+    authClient
+      .from("supplier_bills")
+      .select("*, supplier_bill_lines(*), supplier_profiles(*)")
+      .eq("user_id", req.user.id)
+      .gte("bill_date", start)
+      .lte("bill_date", end),
+  ]);
+
+  if (error) throw error;
+  if (invoicesError) throw invoicesError;
+  if (billsError) throw billsError;
+
+  const businessState = gstService.getBusinessStateCode(profile || {});
+
+  // Issued invoices are outward supplies and supplier bills inward ones; payments against either carry no GST fields
+  const invoiceEntries = (invoices || []).flatMap((invoice) =>
+    receivablesService.toGstEntries(invoice, invoice.invoice_lines || [], invoice.customers)
+  );
+  const billEntries = (bills || []).flatMap((bill) =>
+    payablesService.toGstEntries(bill, bill.supplier_bill_lines || [], bill.supplier_profiles, businessState)
+  );
+
+  return {
+    earnings: [...(earnings || []), ...invoiceEntries, ...billEntries],
+    gstin: gstService.normaliseGstin(profile?.gstin),
+    businessState,
+  };
+};
+
+// GET /api/revenue/gst-summary?month=YYYY-MM
+const getGstSummary = async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid month format. Use YYYY-MM",
+        data: null,
+      });
+    }
+
+    const { earnings, gstin, businessState } = await fetchGstContext(req, month);
+    const summary = gstService.summarise(earnings);
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        gstin,
+        business_state: businessState,
+        business_state_name: gstService.getStateName(businessState),
+        ...summary,
+      },
+      error: null,
+    });
+  } catch (error) {
+    console.error("GST summary error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build GST summary",
+      data: null,
+    });
+  }
+};
+
+// GET /api/revenue/gst-returns/:returnType?month=YYYY-MM (gstr1 | gstr3b)
+const getGstReturnExport = async (req, res) => {
+  try {
+    const { month } = req.query;
+    const { returnType } = req.params;
+
+    if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid month format. Use YYYY-MM",
+        data: null,
+      });
+    }
+
+    if (!["gstr1", "gstr3b"].includes(returnType)) {
+      return res.status(400).json({
+        success: false,
+        error: "Unsupported return type. Use gstr1 or gstr3b",
+        data: null,
+      });
+    }
+
+    const { earnings, gstin, businessState } = await fetchGstContext(req, month);
+    const options = { gstin, month, businessState };
+    const payload = returnType === "gstr1"
+      ? gstService.buildGstr1(earnings, options)
+      : gstService.buildGstr3b(earnings, options);
+
+    res.json({
+      success: true,
+      data: {
+        return_type: returnType.toUpperCase(),
+        month,
+        warnings: gstin ? [] : ["No GSTIN on profile; add one before filing"],
+        payload,
+      },
+      error: null,
+    });
+  } catch (error) {
+    console.error("GST return export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build GST return",
+      data: null,
+    });
+  }
+};
+
+// PATCH /api/revenue/earnings/:id/gst - Tag an earnings entry with GST details
+const updateEarningGst = async (req, res) => {
+  try {
+    const { error: validationError, value } = revenueSchemas.updateEarningGst.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: `Validation error: ${validationError.details[0].message}`,
+        data: null,
+      });
+    }
+
+    const authClient = getAuthClient(req);
+
+    const [{ data: earning, error: fetchError }, { data: profile }] = await Promise.all([
+      authClient
+        .from("earnings")
+        .select("*")
+        .eq("id", req.params.id)
+        .eq("user_id", req.user.id)
+        .single(),
+      authClient
+        .from("profiles")
+        .select("gstin, location")
+        .eq("id", req.user.id)
+        .single(),
+    ]);
+
+    if (fetchError || !earning) {
+      return res.status(404).json({
+        success: false,
+        error: "Earnings entry not found",
+        data: null,
+      });
+    }
+
+    const supplyType = value.supply_type || (earning.amount > 0 ? "outward" : "inward");
+    const taxFields = gstService.buildEarningTaxFields(
+      {
+        ...value,
+        supply_type: supplyType,
+        amount: supplyType === "outward" ? earning.amount : earning.inventory_cost,
+      },
+      gstService.getBusinessStateCode(profile || {})
+    );
+
+    const { data: updated, error: updateError } = await authClient
+      .from("earnings")
+      .update(taxFields)
+      .eq("id", earning.id)
+      .eq("user_id", req.user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error("Error updating earnings GST details:", updateError);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to update GST details",
+        data: null,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      error: null,
+    });
+  } catch (error) {
+    console.error("Update earnings GST error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      data: null,
+    });
+  }
+};
+
 module.exports = {
   getMonthlyRevenue,
   getRevenueComparison,
   getRevenueBreakdown,
   getRevenueInsights,
+  getGstSummary,
+  getGstReturnExport,
+  updateEarningGst,
 };
\ No newline at end of file
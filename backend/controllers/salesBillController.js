@@ -0,0 +1,606 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { salesSchemas } = require("../middleware/validation");
+const barcodeService = require("../services/barcodeService");
+const batchService = require("../services/batchService");
+const gstService = require("../services/gstService");
+const inventoryValuationService = require("../services/inventoryValuationService");
+const ledgerService = require("../services/ledgerService");
+const locationService = require("../services/locationService");
+const salesBillService = require("../services/salesBillService");
+const unitService = require("../services/unitService");
+const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
+const { notificationService } = require("../services/notificationService");
+
+const reorderService = new ReorderIntelligenceService();
+
+const LEVEL_COLUMNS = "reorder_level, max_level, safety_stock, lead_time_days, reorder_quantity, avg_daily_usage, levels_source";
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+// A dated entry is booked at midday so it stays on that date in every timezone
+const postedAt = (date) => (date && date !== today() ? `${date}T12:00:00.000Z` : new Date().toISOString());
+
+const loadBill = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("sales_bills")
+    .select("*, sales_bill_lines(*), credit_notes(*, credit_note_lines(*))")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Sales bill not found", data: null });
+
+// Remove what a half-saved bill or credit note wrote, newest first
+const rollback = async (supabase, userId, steps) => {
+  for (const [table, column, values] of steps) {
+    if (!values?.length) continue;
+    const { error } = await supabase.from(table).delete().eq("user_id", userId).in(column, values);
+    if (error) console.error(`Sales rollback error (${table}):`, error);
+  }
+};
+
+const latestNumber = async (supabase, userId, table, column) => {
+  const { data } = await supabase
+    .from(table)
+    .select(column)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(1);
+  return data?.[0]?.[column] || null;
+};
+
+// Bill lines may name the item by barcode; returns { lines } with item ids, or { status, error }
+const resolveLineItems = async (supabase, userId, lines) => {
+  const resolved = [];
+  for (const line of lines) {
+    if (line.item_id) {
+      resolved.push(line);
+      continue;
+    }
+    const parsed = barcodeService.parse(line.barcode);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    const item = await barcodeService.findUserItem(supabase, userId, parsed.code);
+    if (!item) return { status: 404, error: `No item has barcode ${parsed.code}` };
+    resolved.push({ ...line, item_id: item.id });
+  }
+
+  const ids = resolved.map((line) => line.item_id);
+  if (new Set(ids).size !== ids.length) {
+    return { status: 400, error: "An item appears on more than one line; combine its quantities" };
+  }
+  return { lines: resolved };
+};
+
+// GET /api/sales/bills?from=&to=&status=
+const listBills = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { from, to, status } = req.query;
+
+  let query = supabase
+    .from("sales_bills")
+    .select("*, sales_bill_lines(*)")
+    .eq("user_id", req.user.id)
+    .order("created_at", { ascending: false });
+
+  if (from) query = query.gte("bill_date", from);
+  if (to) query = query.lte("bill_date", to);
+  if (status) query = query.eq("status", status);
+
+  const { data: bills, error } = await query;
+
+  if (error) {
+    console.error("Sales bills list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load sales bills", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: (bills || []).map((bill) => salesBillService.withComputedFields(bill)),
+    error: null,
+  });
+});
+
+// GET /api/sales/bills/:id - bill with its lines and credit notes
+const getBill = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const bill = await loadBill(supabase, req.user.id, req.params.id);
+  if (!bill) return sendNotFound(res);
+
+  res.json({ success: true, data: salesBillService.withComputedFields(bill), error: null });
+});
+
+// POST /api/sales/bills
+// Body: { lines: [{ item_id | barcode, quantity, unit?, unit_price, discount?, gst_rate?, hsn_sac_code? }],
+//         bill_date?, customer_name?, customer_phone?, place_of_supply?, payment_mode?, location_id?, prices_include_tax? }
+// Posts one `sale` out movement per line and the takings to earnings, with the cost of the goods as inventory_cost
+const createBill = asyncHandler(async (req, res) => {
+  const value = validateBody(salesSchemas.createBill, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const resolved = await resolveLineItems(supabase, userId, value.lines);
+  if (resolved.error) {
+    return res.status(resolved.status).json({ success: false, error: resolved.error, data: null });
+  }
+
+  const itemIds = resolved.lines.map((line) => line.item_id);
+  const { data: items, error: itemsError } = await supabase
+    .from("inventory_items")
+    .select(`id, product_name, unit, pack_sizes, custom_attributes, ${LEVEL_COLUMNS}`)
+    .eq("user_id", userId)
+    .in("id", itemIds);
+
+  if (itemsError || (items || []).length !== itemIds.length) {
+    return res.status(404).json({ success: false, error: "Inventory item not found", data: null });
+  }
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+
+  const location = await locationService.resolveLocation(supabase, userId, value.location_id || null);
+  if (!location) {
+    return res.status(404).json({ success: false, error: "Location not found", data: null });
+  }
+
+  // Lines sold in another unit (a dozen, a carton) leave stock in the item's base unit
+  const requested = [];
+  for (const line of resolved.lines) {
+    const conversion = unitService.toBase(itemsById.get(line.item_id), line.quantity, line.unit);
+    if (conversion.error) {
+      return res.status(400).json({ success: false, error: conversion.error, data: null });
+    }
+    requested.push({ ...line, conversion });
+  }
+
+  const [method, { data: profile }, { data: history, error: historyError }] = await Promise.all([
+    inventoryValuationService.getMethod(supabase, userId),
+    supabase.from("profiles").select("gstin, location").eq("id", userId).single(),
+    supabase
+      .from("inventory_stock_ledger")
+      .select("id, item_id, direction, quantity, source, metadata, created_at")
+      .eq("user_id", userId)
+      .in("item_id", itemIds),
+  ]);
+
+  if (historyError) {
+    console.error("Sales bill costing history error:", historyError);
+    return res.status(500).json({ success: false, error: "Failed to cost the bill", data: null });
+  }
+
+  const businessState = gstService.getBusinessStateCode(profile || {});
+  const placeOfSupply = gstService.resolveStateCode(value.place_of_supply) || businessState;
+  const billDate = value.bill_date || today();
+  const soldAt = postedAt(value.bill_date);
+
+  const priced = salesBillService.priceLines(requested, itemsById, {
+    businessState,
+    placeOfSupply,
+    pricesIncludeTax: value.prices_include_tax,
+  });
+
+  // Each line is costed from its item's layers and drawn from its batches first-expiry-first-out
+  const issueCosts = new Map();
+  const batchPlans = new Map();
+  for (const line of priced) {
+    const itemHistory = (history || []).filter((m) => m.item_id === line.item_id);
+    const issueCost = inventoryValuationService.costIssue(itemHistory, itemsById.get(line.item_id), line.base_quantity, method);
+    line.cost_total = issueCost.total_cost;
+    line.ledger_cost = issueCost.ledger_value;
+    issueCosts.set(line.line_number, issueCost);
+
+    try {
+      const plan = await batchService.planIssue(supabase, userId, {
+        item_id: line.item_id,
+        location_id: location.id,
+        quantity: line.base_quantity,
+      });
+      if (plan?.allocations.length) batchPlans.set(line.line_number, plan);
+    } catch (batchError) {
+      console.error("Sales bill batch allocation error:", batchError);
+    }
+  }
+
+  const { data: bill, error: billError } = await supabase
+    .from("sales_bills")
+    .insert({
+      user_id: userId,
+      bill_number: salesBillService.nextNumber(await latestNumber(supabase, userId, "sales_bills", "bill_number"), "BILL-"),
+      bill_date: billDate,
+      status: salesBillService.statuses.COMPLETED,
+      customer_name: emptyToNull(value.customer_name) || null,
+      customer_phone: emptyToNull(value.customer_phone) || null,
+      place_of_supply: placeOfSupply || null,
+      payment_mode: value.payment_mode,
+      location_id: location.id,
+      prices_include_tax: value.prices_include_tax,
+      notes: emptyToNull(value.notes) || null,
+      ...salesBillService.totalsFromLines(priced),
+    })
+    .select()
+    .single();
+
+  if (billError) {
+    console.error("Sales bill save error:", billError);
+    const status = billError.code === "23505" ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: status === 409 ? "A sales bill with this number already exists" : "Failed to save sales bill",
+      data: null,
+    });
+  }
+
+  const { data: savedLines, error: linesError } = await supabase
+    .from("sales_bill_lines")
+    .insert(priced.map((line) => ({ ...line, user_id: userId, sales_bill_id: bill.id })))
+    .select();
+
+  if (linesError) {
+    console.error("Sales bill lines save error:", linesError);
+    await rollback(supabase, userId, [["sales_bills", "id", [bill.id]]]);
+    return res.status(500).json({ success: false, error: "Failed to save sales bill", data: null });
+  }
+
+  const { data: movements, error: movementError } = await supabase
+    .from("inventory_stock_ledger")
+    .insert(savedLines.map((line) =>
+      salesBillService.buildMovement(userId, bill, line, {
+        locationId: location.id,
+        issueCost: issueCosts.get(line.line_number),
+        batches: batchPlans.get(line.line_number)?.allocations,
+        soldAt,
+      })
+    ))
+    .select();
+
+  if (movementError) {
+    console.error("Sales bill stock movement error:", movementError);
+    await rollback(supabase, userId, [
+      ["sales_bill_lines", "sales_bill_id", [bill.id]],
+      ["sales_bills", "id", [bill.id]],
+    ]);
+    return res.status(500).json({ success: false, error: "Failed to record stock for the bill", data: null });
+  }
+
+  const { data: earnings, error: earningsError } = await supabase
+    .from("earnings")
+    .insert(salesBillService.buildEarnings(userId, bill, savedLines, {
+      docType: salesBillService.earningDocType,
+      date: billDate,
+      number: bill.bill_number,
+      customerName: bill.customer_name,
+      placeOfSupply,
+      text: `Sales bill ${bill.bill_number}`,
+    }))
+    .select();
+
+  if (earningsError) {
+    console.error("Sales bill earnings error:", earningsError);
+    await rollback(supabase, userId, [
+      ["inventory_stock_ledger", "id", (movements || []).map((m) => m.id)],
+      ["sales_bill_lines", "sales_bill_id", [bill.id]],
+      ["sales_bills", "id", [bill.id]],
+    ]);
+    return res.status(500).json({ success: false, error: "Failed to record the sale in earnings", data: null });
+  }
+
+  const earningIds = (earnings || []).map((earning) => earning.id);
+  await supabase.from("sales_bills").update({ earning_ids: earningIds }).eq("id", bill.id).eq("user_id", userId);
+
+  for (const plan of batchPlans.values()) {
+    await batchService.applyAllocations(supabase, userId, plan.allocations).catch((batchError) =>
+      console.error("Sales bill batch update error:", batchError)
+    );
+  }
+
+  // Items with no base unit yet take the unit they were first sold in
+  for (const line of requested.filter((l) => l.conversion.base_unit_set)) {
+    await supabase.from("inventory_items").update({ unit: line.conversion.unit }).eq("id", line.item_id).eq("user_id", userId);
+  }
+
+  const linesById = new Map(savedLines.map((line) => [line.id, line]));
+  const journalEntries = [];
+  for (const movement of movements || []) {
+    const issueCost = issueCosts.get(linesById.get(movement.reference_id)?.line_number);
+    const entry = await ledgerService.safePost("sales bill stock", () =>
+      issueCost && issueCost.total_cost > 0
+        ? ledgerService.postStockMovement(supabase, userId, movement, issueCost.ledger_value)
+        : ledgerService.postStockMovement(supabase, userId, movement)
+    );
+    if (entry) journalEntries.push(entry.id);
+  }
+  for (const earning of earnings || []) {
+    const entry = await ledgerService.safePost("sales bill", () => ledgerService.postEarning(supabase, userId, earning));
+    if (entry) journalEntries.push(entry.id);
+  }
+
+  notificationService.notifyStockUpdate(userId, {
+    product_name: `${savedLines.length} item${savedLines.length === 1 ? "" : "s"}`,
+    current_stock: bill.total,
+    operation: "sold",
+  }, `sold on bill ${bill.bill_number}`);
+
+  // Alert once per item this bill takes across its reorder level
+  for (const line of savedLines) {
+    const item = itemsById.get(line.item_id);
+    const itemHistory = (history || []).filter((m) => m.item_id === line.item_id);
+    const levels = reorderService.effectiveLevels(item, itemHistory);
+    const stockBefore = reorderService.calculateCurrentStock(itemHistory);
+    const stockAfter = stockBefore - line.base_quantity;
+    const statusBefore = reorderService.stockStatus(stockBefore, levels);
+    const statusAfter = reorderService.stockStatus(stockAfter, levels);
+    if (reorderService.isLowStatus(statusAfter) && !reorderService.isLowStatus(statusBefore)) {
+      notificationService.notifyLowStock(userId, {
+        item_id: item.id,
+        product_name: item.product_name,
+        current_stock: stockAfter,
+        stock_status: statusAfter,
+        reorder_level: levels.reorder_level,
+        safety_stock: levels.safety_stock,
+        reorder_quantity: levels.reorder_quantity,
+        recommended_order: reorderService.recommendedOrder(stockAfter, levels),
+      });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      bill: salesBillService.withComputedFields({ ...bill, earning_ids: earningIds }, savedLines),
+      movements: movements || [],
+      earnings: earnings || [],
+      journal_entry_ids: journalEntries,
+    },
+    error: null,
+  });
+});
+
+// POST /api/sales/bills/:id/returns
+// Body: { reason, lines?: [{ line_id, quantity }], restock = true, note_date?, location_id? }
+// Issues a credit note: returned stock comes back in at the cost it went out at, and negative earnings
+// rows take the sale, its GST and its cost back out. Unrestocked (damaged) goods are refunded only.
+const createReturn = asyncHandler(async (req, res) => {
+  const value = validateBody(salesSchemas.createReturn, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const bill = await loadBill(supabase, userId, req.params.id);
+  if (!bill) return sendNotFound(res);
+  if (bill.status === salesBillService.statuses.RETURNED) {
+    return res.status(409).json({ success: false, error: "Everything on this bill has already been returned", data: null });
+  }
+
+  const billLines = bill.sales_bill_lines || [];
+  const plan = salesBillService.planReturn(billLines, value.lines || salesBillService.fullReturn(billLines));
+  if (plan.error) {
+    return res.status(400).json({ success: false, error: plan.error, data: null });
+  }
+
+  const location = await locationService.resolveLocation(supabase, userId, value.location_id || bill.location_id || null);
+  if (!location) {
+    return res.status(404).json({ success: false, error: "Location not found", data: null });
+  }
+
+  const noteDate = value.note_date || today();
+  const returnedAt = postedAt(value.note_date);
+  // Goods that are not restocked stay written off, so their cost stays in cost of goods sold
+  const returnLines = plan.lines.map((line) =>
+    value.restock ? line : { ...line, cost_total: 0, ledger_cost: 0 }
+  );
+  const totals = salesBillService.totalsFromLines(returnLines);
+  delete totals.discount_total;
+
+  const { data: creditNote, error: noteError } = await supabase
+    .from("credit_notes")
+    .insert({
+      user_id: userId,
+      sales_bill_id: bill.id,
+      credit_note_number: salesBillService.nextNumber(await latestNumber(supabase, userId, "credit_notes", "credit_note_number"), "CN-"),
+      note_date: noteDate,
+      reason: value.reason,
+      restocked: value.restock,
+      location_id: value.restock ? location.id : null,
+      ...totals,
+    })
+    .select()
+    .single();
+
+  if (noteError) {
+    console.error("Credit note save error:", noteError);
+    return res.status(500).json({ success: false, error: "Failed to save credit note", data: null });
+  }
+
+  const { data: savedLines, error: linesError } = await supabase
+    .from("credit_note_lines")
+    .insert(returnLines.map((line) => ({ ...line, user_id: userId, credit_note_id: creditNote.id })))
+    .select();
+
+  if (linesError) {
+    console.error("Credit note lines save error:", linesError);
+    await rollback(supabase, userId, [["credit_notes", "id", [creditNote.id]]]);
+    return res.status(500).json({ success: false, error: "Failed to save credit note", data: null });
+  }
+
+  // Restocked goods go back into the batches they were sold from
+  let movements = [];
+  const batchReturns = [];
+  if (value.restock) {
+    const { data: sales } = await supabase
+      .from("inventory_stock_ledger")
+      .select("reference_id, metadata")
+      .eq("user_id", userId)
+      .eq("source", salesBillService.movementSource)
+      .in("reference_id", billLines.map((line) => line.id));
+    const saleByLine = new Map((sales || []).map((sale) => [sale.reference_id, sale]));
+    const billLinesById = new Map(billLines.map((line) => [line.id, line]));
+
+    const rows = savedLines.map((line) => {
+      const billLine = billLinesById.get(line.bill_line_id);
+      const factor = (Number(billLine.base_quantity) || 0) / (Number(billLine.quantity) || 1);
+      const batches = salesBillService.returnAllocations(
+        saleByLine.get(line.bill_line_id)?.metadata?.batches,
+        (Number(billLine.quantity_returned) || 0) * factor,
+        line.base_quantity
+      );
+      if (batches.length) batchReturns.push(batches);
+      return salesBillService.buildReturnMovement(userId, bill, creditNote, line, { locationId: location.id, batches, returnedAt });
+    });
+
+    const { data, error } = await supabase.from("inventory_stock_ledger").insert(rows).select();
+    if (error) {
+      console.error("Credit note stock movement error:", error);
+      await rollback(supabase, userId, [
+        ["credit_note_lines", "credit_note_id", [creditNote.id]],
+        ["credit_notes", "id", [creditNote.id]],
+      ]);
+      return res.status(500).json({ success: false, error: "Failed to return stock", data: null });
+    }
+    movements = data || [];
+  }
+
+  const { data: earnings, error: earningsError } = await supabase
+    .from("earnings")
+    .insert(salesBillService.buildEarnings(userId, creditNote, savedLines, {
+      docType: salesBillService.returnDocType,
+      sign: -1,
+      date: noteDate,
+      number: creditNote.credit_note_number,
+      customerName: bill.customer_name,
+      placeOfSupply: bill.place_of_supply,
+      text: `Credit note ${creditNote.credit_note_number} against bill ${bill.bill_number}: ${value.reason}`,
+    }))
+    .select();
+
+  if (earningsError) {
+    console.error("Credit note earnings error:", earningsError);
+    await rollback(supabase, userId, [
+      ["inventory_stock_ledger", "id", movements.map((m) => m.id)],
+      ["credit_note_lines", "credit_note_id", [creditNote.id]],
+      ["credit_notes", "id", [creditNote.id]],
+    ]);
+    return res.status(500).json({ success: false, error: "Failed to record the return in earnings", data: null });
+  }
+
+  const earningIds = (earnings || []).map((earning) => earning.id);
+  await supabase.from("credit_notes").update({ earning_ids: earningIds }).eq("id", creditNote.id).eq("user_id", userId);
+
+  for (const allocations of batchReturns) {
+    await batchService.restoreAllocations(supabase, userId, allocations).catch((batchError) =>
+      console.error("Credit note batch update error:", batchError)
+    );
+  }
+
+  const journalEntries = [];
+  for (const movement of movements) {
+    const entry = await ledgerService.safePost("credit note stock", () => ledgerService.postStockMovement(supabase, userId, movement));
+    if (entry) journalEntries.push(entry.id);
+  }
+  for (const earning of earnings || []) {
+    const entry = await ledgerService.safePost("credit note", () => ledgerService.postEarning(supabase, userId, earning));
+    if (entry) journalEntries.push(entry.id);
+  }
+
+  const returnedByLine = new Map(savedLines.map((line) => [line.bill_line_id, Number(line.quantity) || 0]));
+  const updatedLines = billLines.map((line) =>
+    returnedByLine.has(line.id)
+      ? { ...line, quantity_returned: (Number(line.quantity_returned) || 0) + returnedByLine.get(line.id) }
+      : line
+  );
+
+  for (const line of updatedLines.filter((l) => returnedByLine.has(l.id))) {
+    const { error } = await supabase
+      .from("sales_bill_lines")
+      .update({ quantity_returned: line.quantity_returned })
+      .eq("id", line.id)
+      .eq("user_id", userId);
+    if (error) console.error("Sales bill line return update error:", error);
+  }
+
+  const status = salesBillService.statusAfterReturn(updatedLines);
+  const { data: updated, error: updateError } = await supabase
+    .from("sales_bills")
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq("id", bill.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error("Sales bill status update error:", updateError);
+  }
+
+  if (movements.length > 0) {
+    notificationService.notifyStockUpdate(userId, {
+      product_name: `${movements.length} item${movements.length === 1 ? "" : "s"}`,
+      current_stock: creditNote.total,
+      operation: "returned",
+    }, `returned on credit note ${creditNote.credit_note_number}`);
+  }
+
+  const savedNote = { ...creditNote, earning_ids: earningIds, credit_note_lines: savedLines };
+  res.status(201).json({
+    success: true,
+    data: {
+      credit_note: savedNote,
+      bill: salesBillService.withComputedFields(
+        { ...bill, ...(updated || { status }), credit_notes: [...(bill.credit_notes || []), savedNote] },
+        updatedLines
+      ),
+      movements,
+      earnings: earnings || [],
+      journal_entry_ids: journalEntries,
+    },
+    error: null,
+  });
+});
+
+// GET /api/sales/credit-notes?from=&to=
+const listCreditNotes = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const { from, to } = req.query;
+
+  let query = supabase
+    .from("credit_notes")
+    .select("*, credit_note_lines(*), sales_bills(id, bill_number, bill_date, customer_name)")
+    .eq("user_id", req.user.id)
+    .order("created_at", { ascending: false });
+
+  if (from) query = query.gte("note_date", from);
+  if (to) query = query.lte("note_date", to);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("Credit notes list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load credit notes", data: null });
+  }
+
+  res.json({ success: true, data: data || [], error: null });
+});
+
+module.exports = {
+  listBills,
+  getBill,
+  createBill,
+  createReturn,
+  listCreditNotes,
+};
@@ -0,0 +1,534 @@
+const { getAuthenticatedClient } = require("../config/supabase");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { stockCountSchemas } = require("../middleware/validation");
+const barcodeService = require("../services/barcodeService");
+const batchService = require("../services/batchService");
+const inventoryValuationService = require("../services/inventoryValuationService");
+const ledgerService = require("../services/ledgerService");
+const locationService = require("../services/locationService");
+const stockCountService = require("../services/stockCountService");
+const unitService = require("../services/unitService");
+const { AdvancedVoiceService } = require("../services/advancedVoiceService");
+const { notificationService } = require("../services/notificationService");
+
+const voiceService = new AdvancedVoiceService();
+
+const ITEM_COLUMNS = "id, product_name, aliases, unit, pack_sizes, category, custom_attributes, barcode";
+
+// Validate a body against a schema; sends the 400 and returns null on failure
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ success: false, error: `Validation error: ${error.details[0].message}`, data: null });
+    return null;
+  }
+  return value;
+};
+
+const emptyToNull = (value) => (value === "" ? null : value);
+
+const sendNotFound = (res) =>
+  res.status(404).json({ success: false, error: "Stock count not found", data: null });
+
+const sendStatusConflict = (res, session, action) =>
+  res.status(409).json({
+    success: false,
+    error: `Cannot ${action} a stock count that is ${session.status.replace("_", " ")}`,
+    data: null,
+  });
+
+const loadSession = async (supabase, userId, id) => {
+  const { data, error } = await supabase
+    .from("stock_counts")
+    .select("*, stock_count_lines(*)")
+    .eq("id", id)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const loadItems = async (supabase, userId) => {
+  const { data, error } = await supabase.from("inventory_items").select(ITEM_COLUMNS).eq("user_id", userId);
+  if (error) throw error;
+  return data || [];
+};
+
+// Book stock per item at one location; untagged rows belong to the default location
+const loadBookAtLocation = async (supabase, userId, locationId) => {
+  const [defaultLocation, { data: rows, error }] = await Promise.all([
+    locationService.getDefaultLocation(supabase, userId),
+    supabase.from("inventory_stock_ledger").select("item_id, direction, quantity, location_id").eq("user_id", userId),
+  ]);
+  if (error) throw error;
+
+  const stock = locationService.stockByLocation(rows || [], defaultLocation.id);
+  const atLocation = new Map();
+  stock.forEach((byLocation, itemId) => atLocation.set(itemId, byLocation.get(locationId) || 0));
+  return atLocation;
+};
+
+// Full ledger history and costing method, for unit costs and costing shortages
+const loadCosting = async (supabase, userId) => {
+  const [method, { data: movements, error }] = await Promise.all([
+    inventoryValuationService.getMethod(supabase, userId),
+    supabase
+      .from("inventory_stock_ledger")
+      .select("id, item_id, direction, quantity, source, metadata, created_at")
+      .eq("user_id", userId),
+  ]);
+  if (error) throw error;
+  return { method, movements: movements || [] };
+};
+
+// Current unit cost per item from its open cost layers, else the item's cost price
+const unitCostsFor = (items, { method, movements }) => {
+  const valuation = inventoryValuationService.valueAt(items, movements, null, method);
+  const costs = new Map(valuation.items.map((line) => [line.item_id, line.unit_cost]));
+  for (const item of items) {
+    const costPrice = item.custom_attributes?.cost_price;
+    if (!costs.has(item.id) && costPrice !== undefined && costPrice !== null && costPrice !== "") {
+      costs.set(item.id, Number(costPrice) || 0);
+    }
+  }
+  return costs;
+};
+
+const buildReport = async (supabase, userId, session, { zeroUncounted = false } = {}) => {
+  const [items, book, costing] = await Promise.all([
+    loadItems(supabase, userId),
+    loadBookAtLocation(supabase, userId, session.location_id),
+    loadCosting(supabase, userId),
+  ]);
+  const report = stockCountService.variance(session.stock_count_lines || [], book, unitCostsFor(items, costing), { zeroUncounted });
+  return { items, costing, report };
+};
+
+// Record counted quantities against a session's lines. Items counted outside the session's scope get a
+// line of their own. Returns { updated, unmatched }.
+const applyCounts = async (supabase, userId, session, entries, items) => {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const itemLines = items.map((item) => ({ item_id: item.id, product_name: item.product_name }));
+  const lines = [...(session.stock_count_lines || [])];
+  const updated = [];
+  const unmatched = [];
+  let book = null;
+
+  for (const entry of entries) {
+    const byBarcode = entry.barcode ? barcodeService.findItem(items, entry.barcode) : null;
+    if (entry.barcode && !byBarcode) {
+      unmatched.push({ ...entry, reason: "No item has this barcode" });
+      continue;
+    }
+
+    const lookup = byBarcode ? { item_id: byBarcode.id } : entry;
+    let line = stockCountService.findLine(lines, lookup, itemsById);
+
+    // Not in scope: add a line if the item itself can be found
+    if (!line) {
+      const match = lookup.item_id ? { item_id: lookup.item_id } : stockCountService.findLine(itemLines, lookup, itemsById);
+      const resolved = match ? itemsById.get(match.item_id) : null;
+      if (!resolved) {
+        unmatched.push({ ...entry, reason: "No matching item" });
+        continue;
+      }
+
+      if (!book) book = await loadBookAtLocation(supabase, userId, session.location_id);
+      const [newLine] = stockCountService.buildLines([resolved], book);
+      const { data: created, error } = await supabase
+        .from("stock_count_lines")
+        .insert({ ...newLine, user_id: userId, stock_count_id: session.id })
+        .select()
+        .single();
+      if (error) {
+        console.error("Stock count line create error:", error);
+        unmatched.push({ ...entry, reason: "Failed to add item to count" });
+        continue;
+      }
+      lines.push(created);
+      line = created;
+    }
+
+    const conversion = unitService.toBase(itemsById.get(line.item_id) || {}, entry.counted_quantity, entry.unit);
+    if (conversion.error) {
+      unmatched.push({ ...entry, reason: conversion.error });
+      continue;
+    }
+
+    const counted = entry.increment
+      ? (Number(line.counted_quantity) || 0) + conversion.quantity
+      : conversion.quantity;
+
+    const { data: saved, error } = await supabase
+      .from("stock_count_lines")
+      .update({
+        counted_quantity: Math.round(counted * 10000) / 10000,
+        count_method: entry.method || (entry.barcode ? "barcode" : "manual"),
+        counted_at: new Date().toISOString(),
+        notes: emptyToNull(entry.notes) ?? line.notes ?? null,
+      })
+      .eq("id", line.id)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Stock count line update error:", error);
+      unmatched.push({ ...entry, reason: "Failed to save count" });
+      continue;
+    }
+
+    lines.splice(lines.indexOf(line), 1, saved);
+    updated.push(saved);
+  }
+
+  return { updated, unmatched };
+};
+
+// Product words of a spoken phrase: everything but numbers, units and number words
+const spokenProduct = (tokens) =>
+  tokens
+    .filter((token) => Number.isNaN(parseFloat(token)))
+    .filter((token) => !unitService.normalize(token) && voiceService.numberWords[token] === undefined)
+    .join(" ")
+    .trim();
+
+// GET /api/stock-counts?status=
+const listCounts = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+
+  let query = supabase
+    .from("stock_counts")
+    .select("*, stock_count_lines(id, counted_quantity)")
+    .eq("user_id", req.user.id)
+    .order("created_at", { ascending: false });
+  if (req.query.status) query = query.eq("status", req.query.status);
+
+  const { data: sessions, error } = await query;
+
+  if (error) {
+    console.error("Stock counts list error:", error);
+    return res.status(500).json({ success: false, error: "Failed to load stock counts", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: (sessions || []).map(({ stock_count_lines: lines = [], ...session }) => ({
+      ...session,
+      line_count: lines.length,
+      counted_count: lines.filter((line) => line.counted_quantity !== null).length,
+    })),
+    error: null,
+  });
+});
+
+// POST /api/stock-counts
+// Body: { scope: 'full' | 'cycle', location_id?, category?, item_ids?, notes? }
+// Starts a session with a line per item in scope and its book quantity at the location
+const createCount = asyncHandler(async (req, res) => {
+  const value = validateBody(stockCountSchemas.createCount, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const location = await locationService.resolveLocation(supabase, userId, value.location_id || null);
+  if (!location) {
+    return res.status(404).json({ success: false, error: "Location not found", data: null });
+  }
+
+  const [items, book, { data: lastCounts }] = await Promise.all([
+    loadItems(supabase, userId),
+    loadBookAtLocation(supabase, userId, location.id),
+    supabase.from("stock_counts").select("count_number").eq("user_id", userId).order("created_at", { ascending: false }).limit(1),
+  ]);
+
+  const inScope = stockCountService.itemsInScope(items, value);
+  if (inScope.length === 0) {
+    return res.status(422).json({ success: false, error: "No inventory items match this count", data: null });
+  }
+
+  const { data: session, error } = await supabase
+    .from("stock_counts")
+    .insert({
+      user_id: userId,
+      count_number: stockCountService.nextCountNumber(lastCounts?.[0]?.count_number),
+      scope: value.scope,
+      location_id: location.id,
+      category: value.scope === stockCountService.scopes.CYCLE ? value.category || null : null,
+      status: stockCountService.statuses.IN_PROGRESS,
+      notes: emptyToNull(value.notes) || null,
+      started_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Stock count create error:", error);
+    return res.status(500).json({ success: false, error: "Failed to start stock count", data: null });
+  }
+
+  const { data: lines, error: linesError } = await supabase
+    .from("stock_count_lines")
+    .insert(stockCountService.buildLines(inScope, book).map((line) => ({ ...line, user_id: userId, stock_count_id: session.id })))
+    .select();
+
+  if (linesError) {
+    console.error("Stock count lines create error:", linesError);
+    await supabase.from("stock_counts").delete().eq("id", session.id).eq("user_id", userId);
+    return res.status(500).json({ success: false, error: "Failed to start stock count", data: null });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { ...session, location_name: location.name, stock_count_lines: lines || [] },
+    error: null,
+  });
+});
+
+// GET /api/stock-counts/:id
+const getCount = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const session = await loadSession(supabase, req.user.id, req.params.id);
+  if (!session) return sendNotFound(res);
+
+  res.json({ success: true, data: session, error: null });
+});
+
+// PUT /api/stock-counts/:id/lines
+// Body: { counts: [{ line_id | item_id | barcode | product_name, counted_quantity, unit?, increment?, method?, notes? }] }
+// Quantities are converted to the item's base unit. A barcode scan with increment: true adds to the count.
+const recordCounts = asyncHandler(async (req, res) => {
+  const value = validateBody(stockCountSchemas.recordCounts, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const session = await loadSession(supabase, userId, req.params.id);
+  if (!session) return sendNotFound(res);
+  if (!stockCountService.isOpen(session)) return sendStatusConflict(res, session, "record counts on");
+
+  const result = await applyCounts(supabase, userId, session, value.counts, await loadItems(supabase, userId));
+  res.json({ success: true, data: result, error: null });
+});
+
+// POST /api/stock-counts/:id/voice
+// Body: { transcription } - e.g. "cheeni 12 kilo, chawal 5 kilo aur tel 3 litre"
+const recordVoiceCounts = asyncHandler(async (req, res) => {
+  const value = validateBody(stockCountSchemas.voiceCount, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const session = await loadSession(supabase, userId, req.params.id);
+  if (!session) return sendNotFound(res);
+  if (!stockCountService.isOpen(session)) return sendStatusConflict(res, session, "record counts on");
+
+  const entries = [];
+  const unparsed = [];
+  for (const phrase of stockCountService.splitSpokenCounts(value.transcription)) {
+    const tokens = phrase.split(/\s+/);
+    const { quantity, unit } = voiceService.extractQuantityAndUnit(tokens);
+    const productName = spokenProduct(tokens);
+    if (quantity === null || !productName) {
+      unparsed.push(phrase);
+      continue;
+    }
+    entries.push({ product_name: productName, counted_quantity: quantity, unit, method: "voice" });
+  }
+
+  const result = await applyCounts(supabase, userId, session, entries, await loadItems(supabase, userId));
+  res.json({ success: true, data: { ...result, parsed: entries, unparsed }, error: null });
+});
+
+// GET /api/stock-counts/:id/variance?zero_uncounted=true
+// Counted against current book stock at the session's location, with the value of each difference
+const getVariance = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const session = await loadSession(supabase, userId, req.params.id);
+  if (!session) return sendNotFound(res);
+
+  // Approved sessions report what was posted
+  if (session.status === stockCountService.statuses.APPROVED && session.variance_report) {
+    return res.json({ success: true, data: session.variance_report, error: null });
+  }
+
+  let report;
+  try {
+    ({ report } = await buildReport(supabase, userId, session, { zeroUncounted: req.query.zero_uncounted === "true" }));
+  } catch (error) {
+    console.error("Stock count variance error:", error);
+    return res.status(500).json({ success: false, error: "Failed to build variance report", data: null });
+  }
+
+  res.json({
+    success: true,
+    data: { stock_count_id: session.id, count_number: session.count_number, status: session.status, ...report },
+    error: null,
+  });
+});
+
+// POST /api/stock-counts/:id/approve
+// Body: { zero_uncounted?, notes? }
+// Posts each difference from book stock as a `stock_count` movement at the session's location: shortages
+// out at cost (first-expiry-first-out across batches), surpluses in at the current unit cost. Both are
+// posted to the general ledger against Inventory Adjustments.
+const approveCount = asyncHandler(async (req, res) => {
+  const value = validateBody(stockCountSchemas.approve, req, res);
+  if (!value) return;
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const session = await loadSession(supabase, userId, req.params.id);
+  if (!session) return sendNotFound(res);
+  if (!stockCountService.isOpen(session)) return sendStatusConflict(res, session, "approve");
+
+  let built;
+  try {
+    built = await buildReport(supabase, userId, session, { zeroUncounted: value.zero_uncounted });
+  } catch (error) {
+    console.error("Stock count approval load error:", error);
+    return res.status(500).json({ success: false, error: "Failed to build variance report", data: null });
+  }
+
+  const { items, costing, report } = built;
+  if (report.summary.counted_count === 0 && !value.zero_uncounted) {
+    return res.status(422).json({ success: false, error: "Nothing has been counted yet", data: null });
+  }
+
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const adjustments = stockCountService.buildAdjustments(userId, session, report.lines);
+
+  // Shortages are costed from the item's layers, as any other stock out
+  const issueCosts = new Map();
+  const batchPlans = new Map();
+  for (const adjustment of adjustments.filter((a) => a.direction === "out")) {
+    const history = costing.movements.filter((m) => m.item_id === adjustment.item_id);
+    const issueCost = inventoryValuationService.costIssue(history, itemsById.get(adjustment.item_id), adjustment.quantity, costing.method);
+    adjustment.metadata.cost_of_goods = issueCost;
+    issueCosts.set(adjustment.reference_id, issueCost);
+
+    try {
+      const plan = await batchService.planIssue(supabase, userId, {
+        item_id: adjustment.item_id,
+        location_id: session.location_id,
+        quantity: adjustment.quantity,
+        skipExpired: false,
+      });
+      if (plan?.allocations.length) {
+        adjustment.metadata.batches = plan.allocations;
+        batchPlans.set(adjustment.reference_id, plan);
+      }
+    } catch (batchError) {
+      console.error("Stock count batch allocation error:", batchError);
+    }
+  }
+
+  let movements = [];
+  if (adjustments.length > 0) {
+    const { data, error } = await supabase.from("inventory_stock_ledger").insert(adjustments).select();
+    if (error) {
+      console.error("Stock count adjustment error:", error);
+      return res.status(500).json({ success: false, error: "Failed to post stock adjustments", data: null });
+    }
+    movements = data || [];
+  }
+
+  const journalEntries = [];
+  for (const movement of movements) {
+    const issueCost = issueCosts.get(movement.reference_id);
+    const entry = await ledgerService.safePost("stock count adjustment", () =>
+      issueCost
+        ? ledgerService.postStockMovement(supabase, userId, movement, issueCost.ledger_value)
+        : ledgerService.postStockMovement(supabase, userId, movement)
+    );
+    if (entry) journalEntries.push(entry.id);
+
+    const plan = batchPlans.get(movement.reference_id);
+    if (plan) {
+      await batchService.applyAllocations(supabase, userId, plan.allocations).catch((batchError) =>
+        console.error("Stock count batch update error:", batchError)
+      );
+    }
+  }
+
+  const varianceReport = { stock_count_id: session.id, count_number: session.count_number, ...report };
+  const { data: updated, error: updateError } = await supabase
+    .from("stock_counts")
+    .update({
+      status: stockCountService.statuses.APPROVED,
+      approved_at: new Date().toISOString(),
+      approval_notes: emptyToNull(value.notes) || null,
+      variance_report: varianceReport,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", session.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error("Stock count approve error:", updateError);
+  }
+
+  if (movements.length > 0) {
+    notificationService.notifyStockUpdate(userId, {
+      product_name: `${movements.length} item${movements.length === 1 ? "" : "s"}`,
+      current_stock: report.summary.net_value_impact,
+      operation: "adjusted",
+    }, `adjusted by stock count ${session.count_number}`);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      stock_count: { ...session, ...(updated || { status: stockCountService.statuses.APPROVED }) },
+      variance: varianceReport,
+      movements,
+      journal_entry_ids: journalEntries,
+    },
+    error: null,
+  });
+});
+
+// POST /api/stock-counts/:id/cancel - abandon an open session; nothing is posted
+const cancelCount = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const userId = req.user.id;
+
+  const session = await loadSession(supabase, userId, req.params.id);
+  if (!session) return sendNotFound(res);
+  if (!stockCountService.isOpen(session)) return sendStatusConflict(res, session, "cancel");
+
+  const { data: updated, error } = await supabase
+    .from("stock_counts")
+    .update({ status: stockCountService.statuses.CANCELLED, updated_at: new Date().toISOString() })
+    .eq("id", session.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Stock count cancel error:", error);
+    return res.status(500).json({ success: false, error: "Failed to cancel stock count", data: null });
+  }
+
+  res.json({ success: true, data: updated, error: null });
+});
+
+module.exports = {
+  listCounts,
+  createCount,
+  getCount,
+  recordCounts,
+  recordVoiceCounts,
+  getVariance,
+  approveCount,
+  cancelCount,
+};
@@ -1,11 +1,6 @@
-const OpenAI = require('openai');
+const { openai } = require('../config/openai');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Enhanced analysis prompt for better financial document processing
 const getEnhancedAnalysisPrompt = () => {
   return `Extract ALL transactions from this business ledger. Each row is a separate transaction.
@@ -46,7 +41,7 @@ const analyzeDocument = asyncHandler(async (req, res) => {
       });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!openai.isConfigured('vision')) {
       return res.status(500).json({
         success: false,
         error: 'OpenAI API key not configured',
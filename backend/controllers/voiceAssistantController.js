@@ -1,6 +1,11 @@
 const { generateProactiveResponse, generateBusinessAlerts, generateSpeechResponse, interpretInventoryVoiceCommand } = require("../config/openai");
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
+const { correctionSchemas } = require("../middleware/validation");
+const ledgerService = require("../services/ledgerService");
+const budgetService = require("../services/budgetService");
+const stockCorrectionService = require("../services/stockCorrectionService");
+const config = require("../config/env");
 const { recordStockMovement } = require("./inventoryController");
 
 // Proactive Voice Command Processing
@@ -177,6 +182,16 @@ const processInventoryVoice = asyncHandler(async (req, res) => {
     }
 
     const supabase = getAuthenticatedClient(req.accessToken);
+
+    // "Undo" / "galat ho gaya" takes back the last voice movement instead of recording a new one
+    if (stockCorrectionService.isUndoCommand(transcription)) {
+      const undone = await undoLastVoiceMovement(supabase, req.user, transcription);
+      if (undone.error) {
+        return res.status(undone.code).json({ success: false, error: undone.error });
+      }
+      return res.json({ success: true, data: { command: { action: "undo" }, movement: null, undone } });
+    }
+
     const { data: profile } = await supabase
       .from("profiles")
       .select("*")
@@ -250,6 +265,60 @@ const processInventoryVoice = asyncHandler(async (req, res) => {
   }
 });
 
+// Reverse the user's most recent voice movement, if it is still inside the undo window.
+// Returns { movement, reversal, journal_entry_id } or { error, code }.
+const undoLastVoiceMovement = async (supabase, user, reason) => {
+  const windowMinutes = config.stockCorrections.undoWindowMinutes;
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000).toISOString();
+
+  const [{ data: voiceRows, error }, { data: reversals, error: reversalError }] = await Promise.all([
+    supabase
+      .from("inventory_stock_ledger")
+      .select("*")
+      .eq("user_id", user.id)
+      .eq("source", "voice")
+      .gte("created_at", since),
+    supabase
+      .from("inventory_stock_ledger")
+      .select("reference_id")
+      .eq("user_id", user.id)
+      .eq("source", stockCorrectionService.reversalSource)
+      .gte("created_at", since),
+  ]);
+
+  if (error || reversalError) throw error || reversalError;
+
+  const reversedIds = new Set((reversals || []).map((row) => row.reference_id));
+  const movement = stockCorrectionService.latestUndoable(voiceRows || [], reversedIds, { windowMinutes });
+  if (!movement) {
+    return { error: `No voice entry from the last ${windowMinutes} minutes to undo`, code: 404 };
+  }
+
+  const result = await stockCorrectionService.reverse(supabase, user, movement, {
+    reason: reason || "Undo last voice command",
+    action: stockCorrectionService.actions.UNDO_VOICE,
+  });
+
+  return { movement, reversal: result.reversal, journal_entry_id: result.journal_entry_id };
+};
+
+// POST /api/voice-assistant/inventory/undo
+// Body: { reason? } - takes back the last voice stock movement within the undo window
+const undoInventoryVoice = asyncHandler(async (req, res) => {
+  const { error: validationError, value } = correctionSchemas.undoVoice.validate(req.body || {});
+  if (validationError) {
+    return res.status(400).json({ success: false, error: `Validation error: ${validationError.details[0].message}` });
+  }
+
+  const supabase = getAuthenticatedClient(req.accessToken);
+  const undone = await undoLastVoiceMovement(supabase, req.user, value.reason);
+  if (undone.error) {
+    return res.status(undone.code).json({ success: false, error: undone.error });
+  }
+
+  res.json({ success: true, data: undone });
+});
+
 // Generate Intelligent Reports
 const generateReport = asyncHandler(async (req, res) => {
   try {
@@ -350,16 +419,24 @@ const logVoiceInteraction = async (supabase, interaction) => {
 const executeImmediateAction = async (supabase, action, userId) => {
   try {
     switch (action.type) {
-      case 'add_expense':
-        await supabase.from('earnings').insert({
+      case 'add_expense': {
+        const { data: savedEntry } = await supabase.from('earnings').insert({
           user_id: userId,
           amount: 0,
           inventory_cost: action.data.amount,
           earning_date: new Date().toISOString().split('T')[0],
           processed_text: `Voice: ${action.data.description}`,
           doc_type: 'voice_expense'
-        });
+        }).select().single();
+
+        if (savedEntry) {
+          await ledgerService.safePost('voice assistant expense', () =>
+            ledgerService.postEarning(supabase, userId, savedEntry)
+          );
+          await budgetService.safeCheck(supabase, userId, [savedEntry.earning_date]);
+        }
         break;
+      }
       case 'create_alert':
         await supabase.from('business_alerts').insert({
           user_id: userId,
@@ -403,4 +480,5 @@ module.exports = {
   startMonitoring,
   generateReport,
   processInventoryVoice,
+  undoInventoryVoice,
 };
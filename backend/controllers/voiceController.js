@@ -1,14 +1,13 @@
-const { generateFinancialAdvice, generateSpeechResponse } = require("../config/openai");
+const { generateFinancialAdvice, generateSpeechResponse, openai } = require("../config/openai");
 const { getAuthenticatedClient } = require("../config/supabase");
 const { asyncHandler } = require("../middleware/errorHandler");
+const ledgerService = require("../services/ledgerService");
+const budgetService = require("../services/budgetService");
 const { v4: uuidv4 } = require("uuid");
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // Process voice command
 const processVoiceCommand = asyncHandler(async (req, res) => {
   try {
@@ -85,6 +84,13 @@ const processVoiceCommand = asyncHandler(async (req, res) => {
         })
         .select()
         .single();
+
+      if (savedEntry) {
+        await ledgerService.safePost('voice expense', () =>
+          ledgerService.postEarning(supabase, req.user.id, savedEntry)
+        );
+        await budgetService.safeCheck(supabase, req.user.id, [savedEntry.earning_date]);
+      }
       
       action = 'add_expense';
       executionResult = savedEntry;
@@ -102,6 +108,12 @@ const processVoiceCommand = asyncHandler(async (req, res) => {
         })
         .select()
         .single();
+
+      if (savedEntry) {
+        await ledgerService.safePost('voice income', () =>
+          ledgerService.postEarning(supabase, req.user.id, savedEntry)
+        );
+      }
       
       action = 'add_income';
       executionResult = savedEntry;
@@ -38,6 +38,21 @@ const professionalInventoryRoutes = require("./routes/professionalInventory");
 const notificationRoutes = require("./routes/notifications");
 const revenueRoutes = require("./routes/revenue");
 const comparisonRoutes = require("./routes/comparison");
+const ledgerRoutes = require("./routes/ledger");
+const reportsRoutes = require("./routes/reports");
+const bankRoutes = require("./routes/bank");
+const reconciliationRoutes = require("./routes/reconciliation");
+const receivablesRoutes = require("./routes/receivables");
+const payablesRoutes = require("./routes/payables");
+const forecastRoutes = require("./routes/forecast");
+const budgetRoutes = require("./routes/budgets");
+const recurringRoutes = require("./routes/recurring");
+const purchaseOrderRoutes = require("./routes/purchase-orders");
+const stockCountRoutes = require("./routes/stock-counts");
+const salesRoutes = require("./routes/sales");
+const knowledgeRoutes = require("./routes/knowledge");
+const { RecurringTransactionScheduler } = require("./services/recurringScheduler");
+const { ExpiryAlertScheduler } = require("./services/expiryAlertScheduler");
 // const redisRoutes = require("./routes/redis"); // Commented out
 // Optional embedding worker - DISABLED
 let EmbeddingWorker = null;
@@ -177,6 +192,19 @@ app.use("/api/inventory/professional", professionalInventoryRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/revenue", revenueRoutes);
 app.use("/api/comparison", comparisonRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/reports", reportsRoutes);
+app.use("/api/bank", rateLimits.upload, bankRoutes);
+app.use("/api/reconciliation", reconciliationRoutes);
+app.use("/api/receivables", receivablesRoutes);
+app.use("/api/payables", payablesRoutes);
+app.use("/api/forecast", forecastRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/recurring", recurringRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/stock-counts", stockCountRoutes);
+app.use("/api/sales", salesRoutes);
+app.use("/api/knowledge", knowledgeRoutes);
 // app.use("/api/redis", redisRoutes); // Commented out
 
 // 404 handler
@@ -190,6 +218,8 @@ const PORT = config.port;
 
 let serverInstance = null;
 let embeddingWorker = null;
+let recurringScheduler = null;
+let expiryAlertScheduler = null;
 
 const startServer = async () => {
   try {
@@ -243,6 +273,26 @@ const startServer = async () => {
       console.log('ℹ️ EmbeddingWorker not available');
     }
 
+    // Post recurring transactions as they fall due
+    if (config.recurringScheduler.enabled) {
+      try {
+        recurringScheduler = new RecurringTransactionScheduler();
+        recurringScheduler.start();
+      } catch (schedulerErr) {
+        console.log('⚠️ RecurringScheduler failed to start:', schedulerErr.message);
+      }
+    }
+
+    // Alert users to stock batches nearing or past expiry
+    if (config.expiryAlerts.enabled) {
+      try {
+        expiryAlertScheduler = new ExpiryAlertScheduler();
+        expiryAlertScheduler.start();
+      } catch (schedulerErr) {
+        console.log('⚠️ ExpiryAlertScheduler failed to start:', schedulerErr.message);
+      }
+    }
+
     // Handle server errors
     server.on("error", (error) => {
       if (error.code === 'EADDRINUSE') {
@@ -276,6 +326,14 @@ const gracefulShutdown = async () => {
       console.error('Error stopping embedding worker:', wkErr);
     }
 
+    if (recurringScheduler) {
+      recurringScheduler.stop();
+    }
+
+    if (expiryAlertScheduler) {
+      expiryAlertScheduler.stop();
+    }
+
     // Close HTTP server
     if (serverInstance) {
       await new Promise((resolve, reject) => {
@@ -44,9 +44,21 @@ const profileSchemas = {
         "string.pattern.base": "Location contains invalid characters",
       }),
 
+    gstin: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+      .optional()
+      .allow(null, "")
+      .messages({
+        "string.pattern.base": "Invalid GSTIN format",
+      }),
+
     monthly_revenue: Joi.number().min(0).max(1000000000).optional(),
     monthly_expenses: Joi.number().min(0).max(1000000000).optional(),
 
+    inventory_costing_method: Joi.string().valid("fifo", "weighted_average").optional(),
+
     preferred_language: Joi.string()
       .trim()
       .valid(
@@ -78,6 +90,523 @@ const profileSchemas = {
     }),
 };
 
+// Revenue validation schemas
+const revenueSchemas = {
+  updateEarningGst: Joi.object({
+    supply_type: Joi.string().valid("outward", "inward").optional(),
+
+    hsn_sac_code: Joi.string()
+      .trim()
+      .pattern(/^\d{4,8}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "HSN/SAC code must be 4 to 8 digits",
+      }),
+
+    gst_rate: Joi.number().valid(0, 0.25, 3, 5, 12, 18, 28).required().messages({
+      "any.only": "GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28",
+    }),
+
+    taxable_value: Joi.number().min(0).max(1000000000).optional(),
+    tax_inclusive: Joi.boolean().optional(),
+
+    place_of_supply: Joi.string().trim().max(100).optional(),
+
+    counterparty_gstin: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "Invalid GSTIN format",
+      }),
+
+    invoice_number: Joi.string().trim().max(16).optional(),
+  }),
+};
+
+const gstinField = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+  .messages({
+    "string.pattern.base": "Invalid GSTIN format",
+  });
+
+const invoiceLineSchema = Joi.object({
+  description: Joi.string().trim().min(1).max(500).required(),
+  hsn_sac_code: Joi.string()
+    .trim()
+    .pattern(/^\d{4,8}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "HSN/SAC code must be 4 to 8 digits",
+    }),
+  quantity: Joi.number().positive().max(10000000).default(1),
+  unit: Joi.string().trim().max(20).optional(),
+  unit_price: Joi.number().min(0).max(1000000000).required(),
+  discount: Joi.number().min(0).max(1000000000).optional(),
+  gst_rate: Joi.number().valid(0, 0.25, 3, 5, 12, 18, 28).default(0).messages({
+    "any.only": "GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28",
+  }),
+});
+
+// Accounts receivable validation schemas
+const receivablesSchemas = {
+  createCustomer: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    email: Joi.string().trim().email().max(200).allow("", null).optional(),
+    phone: Joi.string().trim().max(20).allow("", null).optional(),
+    gstin: gstinField.allow("", null).optional(),
+    billing_address: Joi.string().trim().max(500).allow("", null).optional(),
+    state: Joi.string().trim().max(100).allow("", null).optional(),
+    payment_terms_days: Joi.number().integer().min(0).max(365).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }),
+
+  updateCustomer: Joi.object({
+    name: Joi.string().trim().min(1).max(200).optional(),
+    email: Joi.string().trim().email().max(200).allow("", null).optional(),
+    phone: Joi.string().trim().max(20).allow("", null).optional(),
+    gstin: gstinField.allow("", null).optional(),
+    billing_address: Joi.string().trim().max(500).allow("", null).optional(),
+    state: Joi.string().trim().max(100).allow("", null).optional(),
+    payment_terms_days: Joi.number().integer().min(0).max(365).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }).min(1),
+
+  createInvoice: Joi.object({
+    customer_id: Joi.string().trim().required(),
+    invoice_number: Joi.string().trim().max(16).optional(),
+    issue_date: Joi.date().iso().raw().optional(),
+    due_date: Joi.date().iso().raw().optional(),
+    place_of_supply: Joi.string().trim().max(100).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+    lines: Joi.array().items(invoiceLineSchema).min(1).max(200).required(),
+    send: Joi.boolean().optional(),
+  }),
+
+  updateInvoice: Joi.object({
+    due_date: Joi.date().iso().raw().optional(),
+    issue_date: Joi.date().iso().raw().optional(),
+    place_of_supply: Joi.string().trim().max(100).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+    lines: Joi.array().items(invoiceLineSchema).min(1).max(200).optional(),
+  }).min(1),
+
+  recordPayment: Joi.object({
+    amount: Joi.number().positive().max(1000000000).required(),
+    payment_date: Joi.date().iso().max("now").raw().optional(),
+    method: Joi.string().valid("cash", "bank_transfer", "upi", "cheque", "card", "other").default("bank_transfer"),
+    reference: Joi.string().trim().max(100).allow("", null).optional(),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+  }),
+
+  writeOff: Joi.object({
+    amount: Joi.number().positive().max(1000000000).optional(),
+    reason: Joi.string().trim().max(500).required(),
+    write_off_date: Joi.date().iso().max("now").raw().optional(),
+  }),
+};
+
+// Point-of-sale bills and credit notes
+const salesBillLineSchema = Joi.object({
+  item_id: Joi.string().uuid(),
+  barcode: Joi.string().trim().max(50),
+  quantity: Joi.number().positive().max(10000000).default(1),
+  unit: Joi.string().trim().max(20).allow("", null).optional(),
+  unit_price: Joi.number().min(0).max(1000000000).required(),
+  discount: Joi.number().min(0).max(1000000000).default(0),
+  gst_rate: Joi.number().valid(0, 0.25, 3, 5, 12, 18, 28).default(0).messages({
+    "any.only": "GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28",
+  }),
+  hsn_sac_code: Joi.string().trim().pattern(/^\d{4,8}$/).optional().messages({
+    "string.pattern.base": "HSN/SAC code must be 4 to 8 digits",
+  }),
+}).xor("item_id", "barcode");
+
+const salesSchemas = {
+  createBill: Joi.object({
+    bill_date: Joi.date().iso().max("now").raw().optional(),
+    customer_name: Joi.string().trim().max(200).allow("", null).optional(),
+    customer_phone: Joi.string().trim().max(20).allow("", null).optional(),
+    place_of_supply: Joi.string().trim().max(100).optional(),
+    payment_mode: Joi.string().valid("cash", "upi", "card").default("cash"),
+    // Defaults to the user's default location
+    location_id: Joi.string().uuid().optional(),
+    // MRP-style prices that already include GST
+    prices_include_tax: Joi.boolean().default(true),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+    lines: Joi.array().items(salesBillLineSchema).min(1).max(200).required(),
+  }),
+
+  // Without lines, everything on the bill not yet returned is returned
+  createReturn: Joi.object({
+    lines: Joi.array().items(Joi.object({
+      line_id: Joi.string().trim().required(),
+      quantity: Joi.number().positive().max(10000000).required(),
+    })).min(1).max(200).optional(),
+    reason: Joi.string().trim().max(500).required(),
+    // Damaged goods are refunded without going back on the shelf
+    restock: Joi.boolean().default(true),
+    note_date: Joi.date().iso().max("now").raw().optional(),
+    location_id: Joi.string().uuid().optional(),
+  }),
+};
+
+// Bill lines carry an expense category for budgets
+const billLineSchema = invoiceLineSchema.keys({
+  category: Joi.string().trim().max(100).optional(),
+});
+
+// Accounts payable validation schemas
+const payablesSchemas = {
+  createBill: Joi.object({
+    supplier_id: Joi.string().trim().required(),
+    bill_number: Joi.string().trim().min(1).max(50).required(),
+    bill_date: Joi.date().iso().raw().optional(),
+    due_date: Joi.date().iso().raw().optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+    lines: Joi.array().items(billLineSchema).min(1).max(200).required(),
+  }),
+
+  billFromDocument: Joi.object({
+    document_id: Joi.string().trim().required(),
+    supplier_id: Joi.string().trim().optional(),
+    bill_number: Joi.string().trim().min(1).max(50).optional(),
+    due_date: Joi.date().iso().raw().optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }),
+
+  recordPayment: Joi.object({
+    amount: Joi.number().positive().max(1000000000).required(),
+    payment_date: Joi.date().iso().max("now").raw().optional(),
+    method: Joi.string().valid("cash", "bank_transfer", "upi", "cheque", "card", "other").default("bank_transfer"),
+    reference: Joi.string().trim().max(100).allow("", null).optional(),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+  }),
+
+  paymentRun: Joi.object({
+    bill_ids: Joi.array().items(Joi.string().trim()).min(1).max(200).unique().required(),
+    payment_date: Joi.date().iso().max("now").raw().optional(),
+    method: Joi.string().valid("cash", "bank_transfer", "upi", "cheque", "card", "other").default("bank_transfer"),
+    reference: Joi.string().trim().max(100).allow("", null).optional(),
+  }),
+};
+
+// Budget validation schemas
+const monthField = Joi.string()
+  .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .messages({
+    "string.pattern.base": "month must be in YYYY-MM format",
+  });
+
+const budgetSchemas = {
+  createBudget: Joi.object({
+    category: Joi.string().trim().min(1).max(100).required(),
+    amount: Joi.number().min(0).max(1000000000).required(),
+    month: monthField.allow(null).optional(),
+    alert_threshold_pct: Joi.number().integer().min(1).max(100).optional(),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+  }),
+
+  updateBudget: Joi.object({
+    category: Joi.string().trim().min(1).max(100).optional(),
+    amount: Joi.number().min(0).max(1000000000).optional(),
+    month: monthField.allow(null).optional(),
+    alert_threshold_pct: Joi.number().integer().min(1).max(100).allow(null).optional(),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+  }).min(1),
+};
+
+// Recurring transaction validation schemas
+const recurringFields = {
+  name: Joi.string().trim().min(1).max(100),
+  type: Joi.string().valid("expense", "income"),
+  amount: Joi.number().positive().max(1000000000),
+  category: Joi.string().trim().max(100).allow("", null),
+  vendor_name: Joi.string().trim().max(200).allow("", null),
+  frequency: Joi.string().valid("daily", "weekly", "monthly", "custom"),
+  interval_count: Joi.number().integer().min(1).max(365),
+  day_of_month: Joi.number().integer().min(1).max(31).allow(null),
+  cron_expression: Joi.string().trim().max(100).allow(null),
+  start_date: Joi.date().iso().raw(),
+  end_date: Joi.date().iso().raw().allow(null),
+  escalation_pct: Joi.number().min(-100).max(1000),
+  escalation_interval_months: Joi.number().integer().min(1).max(120),
+  notes: Joi.string().trim().max(500).allow("", null),
+};
+
+const recurringSchemas = {
+  createTemplate: Joi.object({
+    ...recurringFields,
+    name: recurringFields.name.required(),
+    type: recurringFields.type.default("expense"),
+    amount: recurringFields.amount.required(),
+    frequency: recurringFields.frequency.required(),
+    interval_count: recurringFields.interval_count.default(1),
+    cron_expression: recurringFields.cron_expression.when("frequency", {
+      is: "custom",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    start_date: recurringFields.start_date.required(),
+    escalation_pct: recurringFields.escalation_pct.default(0),
+    escalation_interval_months: recurringFields.escalation_interval_months.default(12),
+    // Post occurrences dated before today on the first run; otherwise the schedule starts from today
+    post_past_occurrences: Joi.boolean().default(false),
+  }),
+
+  updateTemplate: Joi.object({
+    ...recurringFields,
+    status: Joi.string().valid("active", "paused"),
+  }).min(1),
+
+  // Skip one occurrence, or change its amount and/or the date it posts on
+  occurrence: Joi.object({
+    action: Joi.string().valid("skip", "modify").required(),
+    amount: Joi.number().positive().max(1000000000).when("action", { is: "skip", then: Joi.forbidden() }),
+    date: Joi.date().iso().raw().when("action", { is: "skip", then: Joi.forbidden() }),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+  }).when(Joi.object({ action: Joi.valid("modify") }).unknown(), {
+    then: Joi.object().or("amount", "date"),
+  }),
+};
+
+// Per-item stock levels; null clears a level so the item falls back to suggested levels
+const inventoryLevelSchemas = {
+  levels: Joi.object({
+    reorder_level: Joi.number().min(0).max(100000000).allow(null),
+    max_level: Joi.number().min(0).max(100000000).allow(null),
+    safety_stock: Joi.number().min(0).max(100000000).allow(null),
+    lead_time_days: Joi.number().integer().min(0).max(365).allow(null),
+    reorder_quantity: Joi.number().min(0).max(100000000).allow(null),
+  }).min(1),
+
+  // Save suggested levels; items with manually set levels are left alone unless overwrite_manual is set
+  applySuggestions: Joi.object({
+    item_ids: Joi.array().items(Joi.string().uuid()).min(1).optional(),
+    overwrite_manual: Joi.boolean().default(false),
+  }),
+};
+
+// Stock locations and transfers between them
+const locationFields = {
+  name: Joi.string().trim().min(1).max(100),
+  code: Joi.string().trim().max(20).allow("", null),
+  type: Joi.string().valid("shop", "storeroom", "warehouse", "other"),
+  address: Joi.string().trim().max(500).allow("", null),
+  notes: Joi.string().trim().max(1000).allow("", null),
+  is_default: Joi.boolean(),
+};
+
+const locationSchemas = {
+  createLocation: Joi.object({
+    ...locationFields,
+    name: locationFields.name.required(),
+    type: locationFields.type.default("storeroom"),
+  }),
+
+  updateLocation: Joi.object({
+    ...locationFields,
+    is_active: Joi.boolean(),
+  }).min(1),
+
+  transfer: Joi.object({
+    item_id: Joi.string().uuid().required(),
+    from_location_id: Joi.string().uuid().required(),
+    to_location_id: Joi.string().uuid().invalid(Joi.ref("from_location_id")).required()
+      .messages({ "any.invalid": "to_location_id must differ from from_location_id" }),
+    quantity: Joi.number().positive().max(100000000).required(),
+    // Unit the quantity is in; defaults to the item's base unit
+    unit: Joi.string().trim().max(20).allow("", null).optional(),
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+    // Allow moving more than the source location holds (e.g. stock that was never booked in there)
+    allow_negative: Joi.boolean().default(false),
+  }),
+};
+
+// Inventory batch (lot) corrections
+const batchSchemas = {
+  updateBatch: Joi.object({
+    batch_number: Joi.string().trim().min(1).max(50),
+    expiry_date: Joi.date().iso().raw().allow(null),
+    manufactured_date: Joi.date().iso().raw().allow(null),
+  }).min(1),
+};
+
+// Base unit and pack sizes per item, and quantity conversion previews
+const unitSchemas = {
+  itemUnits: Joi.object({
+    unit: Joi.string().trim().min(1).max(20),
+    pack_sizes: Joi.array().items(Joi.object({
+      unit: Joi.string().trim().min(1).max(20).required(),
+      quantity: Joi.number().positive().max(100000).required(),
+      // The unit the pack holds; defaults to the item's base unit
+      per_unit: Joi.string().trim().max(20).allow("", null).optional(),
+    })).max(20),
+  }).min(1),
+
+  convert: Joi.object({
+    item_id: Joi.string().uuid().required(),
+    quantity: Joi.number().positive().max(100000000).required(),
+    unit: Joi.string().trim().max(20).required(),
+  }),
+};
+
+// Item barcodes and scan-to-move
+const barcodeSchemas = {
+  itemBarcode: Joi.object({
+    barcode: Joi.string().trim().max(50).allow("", null).required(),
+  }),
+
+  scan: Joi.object({
+    barcode: Joi.string().trim().min(1).max(50).required(),
+    direction: Joi.string().valid("in", "out").required(),
+    quantity: Joi.number().positive().max(100000000).default(1),
+    unit: Joi.string().trim().max(20).allow("", null).optional(),
+    unit_cost: Joi.number().min(0).max(1000000000).allow(null).optional(),
+    // Defaults to the user's default location
+    location_id: Joi.string().uuid().optional(),
+    // Add a catalogue product to inventory when it is scanned in for the first time
+    create_item: Joi.boolean().default(true),
+  }),
+};
+
+// Reversing and correcting stock ledger rows
+const correctionSchemas = {
+  reverse: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+
+  // Fields left out keep the original's value; quantity and unit_cost are in `unit`
+  edit: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+    quantity: Joi.number().positive().max(100000000).optional(),
+    unit: Joi.string().trim().max(20).allow("", null).optional(),
+    unit_cost: Joi.number().min(0).max(1000000000).allow(null).optional(),
+    item_id: Joi.string().uuid().optional(),
+    location_id: Joi.string().uuid().optional(),
+  }).or("quantity", "unit", "unit_cost", "item_id", "location_id"),
+
+  undoVoice: Joi.object({
+    reason: Joi.string().trim().max(500).allow("", null).optional(),
+  }),
+};
+
+// Stock count (stock-take) sessions
+const stockCountSchemas = {
+  createCount: Joi.object({
+    scope: Joi.string().valid("full", "cycle").default("full"),
+    // Defaults to the user's default location
+    location_id: Joi.string().uuid().optional(),
+    // Cycle counts cover one category or a list of items
+    category: Joi.string().trim().max(100).when("scope", { is: "cycle", then: Joi.when("item_ids", { is: Joi.exist(), otherwise: Joi.required() }) }),
+    item_ids: Joi.array().items(Joi.string().uuid()).min(1).max(1000).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }),
+
+  // One entry per counted item, identified by line, item, barcode or name
+  recordCounts: Joi.object({
+    counts: Joi.array().items(Joi.object({
+      line_id: Joi.string().trim().optional(),
+      item_id: Joi.string().uuid().optional(),
+      barcode: Joi.string().trim().max(50).optional(),
+      product_name: Joi.string().trim().max(200).optional(),
+      counted_quantity: Joi.number().min(0).max(100000000).required(),
+      unit: Joi.string().trim().max(20).allow("", null).optional(),
+      // Add to what is already counted (e.g. one scan per unit) instead of replacing it
+      increment: Joi.boolean().default(false),
+      method: Joi.string().valid("manual", "voice", "barcode").optional(),
+      notes: Joi.string().trim().max(500).allow("", null).optional(),
+    }).or("line_id", "item_id", "barcode", "product_name")).min(1).max(1000).required(),
+  }),
+
+  voiceCount: Joi.object({
+    transcription: Joi.string().trim().min(1).max(2000).required(),
+  }),
+
+  approve: Joi.object({
+    // Treat lines nobody counted as zero on the shelf; otherwise they are left unchanged
+    zero_uncounted: Joi.boolean().default(false),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }),
+};
+
+// Purchase order validation schemas
+const purchaseOrderLineSchema = Joi.object({
+  item_id: Joi.string().uuid().required(),
+  quantity: Joi.number().positive().max(100000000).required(),
+  unit_cost: Joi.number().min(0).max(1000000000).default(0),
+  unit: Joi.string().trim().max(20).allow("", null).optional(),
+});
+
+const purchaseOrderSchemas = {
+  createOrder: Joi.object({
+    supplier_id: Joi.string().trim().required(),
+    order_date: Joi.date().iso().raw().optional(),
+    expected_date: Joi.date().iso().raw().optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+    lines: Joi.array().items(purchaseOrderLineSchema).min(1).max(200).required(),
+  }),
+
+  // Only drafts can be edited; lines, when given, replace the existing ones
+  updateOrder: Joi.object({
+    supplier_id: Joi.string().trim(),
+    order_date: Joi.date().iso().raw(),
+    expected_date: Joi.date().iso().raw().allow(null),
+    notes: Joi.string().trim().max(1000).allow("", null),
+    lines: Joi.array().items(purchaseOrderLineSchema).min(1).max(200),
+  }).min(1),
+
+  // Draft from the current reorder recommendations
+  fromRecommendations: Joi.object({
+    supplier_id: Joi.string().trim().required(),
+    item_ids: Joi.array().items(Joi.string().uuid()).min(1).optional(),
+    urgencies: Joi.array().items(Joi.string().valid("critical", "high", "medium", "low")).min(1).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional(),
+  }),
+
+  // Without lines, everything still outstanding is received
+  receive: Joi.object({
+    received_date: Joi.date().iso().max("now").raw().optional(),
+    // Where the goods are put away; defaults to the user's default location
+    location_id: Joi.string().uuid().optional(),
+    allow_over_receipt: Joi.boolean().default(false),
+    lines: Joi.array().items(Joi.object({
+      line_id: Joi.string().trim().required(),
+      quantity: Joi.number().min(0).max(100000000).required(),
+      unit_cost: Joi.number().min(0).max(1000000000).optional(),
+      batch_number: Joi.string().trim().max(50).allow("", null).optional(),
+      expiry_date: Joi.date().iso().raw().allow(null).optional(),
+      manufactured_date: Joi.date().iso().raw().allow(null).optional(),
+    })).min(1).max(200).optional(),
+  }),
+};
+
+// Cash-flow forecast scenario overrides
+const forecastSchemas = {
+  scenario: Joi.object({
+    opening_balance: Joi.number().min(-1000000000).max(1000000000).optional(),
+    revenue_change_pct: Joi.number().min(-100).max(500).optional(),
+    expense_change_pct: Joi.number().min(-100).max(500).optional(),
+    collection_delay_days: Joi.number().integer().min(0).max(180).optional(),
+    payment_delay_days: Joi.number().integer().min(0).max(180).optional(),
+    min_balance: Joi.number().min(0).max(1000000000).optional(),
+    exclude_recurring: Joi.array().items(Joi.string().trim().max(200)).max(100).optional(),
+    one_off: Joi.array()
+      .items(
+        Joi.object({
+          date: Joi.date().iso().raw().required(),
+          amount: Joi.number().min(-1000000000).max(1000000000).invalid(0).required(),
+          description: Joi.string().trim().max(200).optional(),
+        })
+      )
+      .max(100)
+      .optional(),
+  }),
+};
+
 // Chat validation schemas
 const chatSchemas = {
   sendMessage: Joi.object({
@@ -91,6 +620,38 @@ const chatSchemas = {
         "string.pattern.base": "Message contains invalid characters",
       }),
   }),
+
+  // Rename, pin or archive a conversation thread
+  updateConversation: Joi.object({
+    title: Joi.string().trim().min(1).max(80),
+    pinned: Joi.boolean(),
+    archived: Joi.boolean(),
+  }).min(1),
+};
+
+// Knowledge graph (GraphRAG memory) editing schemas
+const knowledgeSchemas = {
+  updateEntity: Joi.object({
+    entity_name: Joi.string().trim().min(1).max(200),
+    entity_type: Joi.string().trim().min(1).max(50),
+    category: Joi.string().trim().max(100).allow(""),
+    context: Joi.string().trim().max(200).allow(""),
+    confidence: Joi.number().min(0).max(1),
+    // Pinned facts are always given to the assistant and never cleaned up
+    pinned: Joi.boolean(),
+  }).min(1),
+
+  // The sources are folded into the target and deleted
+  mergeEntities: Joi.object({
+    target_id: Joi.string().uuid().required(),
+    source_ids: Joi.array().items(Joi.string().uuid()).min(1).max(50).unique().required(),
+  }),
+
+  updateRelationship: Joi.object({
+    relationship_type: Joi.string().trim().min(1).max(50),
+    strength: Joi.number().min(0).max(1),
+    pinned: Joi.boolean(),
+  }).min(1),
 };
 
 // Document validation schemas
@@ -216,7 +777,23 @@ const commonValidation = {
 
 module.exports = {
   profileSchemas,
+  revenueSchemas,
+  receivablesSchemas,
+  payablesSchemas,
+  salesSchemas,
+  forecastSchemas,
+  budgetSchemas,
+  recurringSchemas,
+  inventoryLevelSchemas,
+  purchaseOrderSchemas,
+  locationSchemas,
+  batchSchemas,
+  unitSchemas,
+  barcodeSchemas,
+  correctionSchemas,
+  stockCountSchemas,
   chatSchemas,
+  knowledgeSchemas,
   documentSchemas,
   businessIdeasSchemas,
   authSchemas,
@@ -1,6 +1,14 @@
 const express = require('express');
 const { generateBusinessInsights } = require('../config/openai');
 const { streamChatAssistant, chatAssistant, getChatHistory, getFinancialInsights } = require('../controllers/aiController');
+const {
+  listConversations,
+  searchConversations,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+  exportConversation
+} = require('../controllers/conversationController');
 const { authenticateToken } = require('../middleware/auth');
 const { rateLimits } = require('../middleware/security');
 const router = express.Router();
@@ -28,6 +36,28 @@ router.post('/stream', authenticateToken, rateLimits.aiChat, streamChatAssistant
 // Chat history endpoint
 router.get('/chat/history', authenticateToken, getChatHistory);
 
+// =====================================================
+// CONVERSATION THREADS
+// =====================================================
+
+// Threads (pinned first); ?archived=true for the archive
+router.get('/conversations', authenticateToken, listConversations);
+
+// Full-text search across past messages and titles
+router.get('/conversations/search', authenticateToken, searchConversations);
+
+// One thread with its messages
+router.get('/conversations/:id', authenticateToken, getConversation);
+
+// Rename, pin or archive
+router.patch('/conversations/:id', authenticateToken, updateConversation);
+
+// Delete the thread and its messages
+router.delete('/conversations/:id', authenticateToken, deleteConversation);
+
+// Export as Markdown (?format=markdown) or JSON for the app's PDF export
+router.get('/conversations/:id/export', authenticateToken, exportConversation);
+
 // Financial insights endpoint
 router.get('/insights', authenticateToken, getFinancialInsights);
 
@@ -0,0 +1,38 @@
+const express = require("express");
+const multer = require("multer");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getProfiles,
+  importStatement,
+  listImports,
+  listTransactions,
+  updateTransactionCategory,
+} = require("../controllers/bankController");
+
+const router = express.Router();
+
+// Statements are parsed in memory; CSV/OFX/MT940 exports are small text files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// All bank routes require authentication
+router.use(authenticateToken);
+
+// GET /api/bank/profiles - Supported formats and CSV column profiles (SBI, HDFC, ICICI, generic)
+router.get("/profiles", getProfiles);
+
+// POST /api/bank/import - Parse a statement, dedupe against earnings and import new lines (?preview=true to dry-run)
+router.post("/import", upload.single("statement"), importStatement);
+
+// GET /api/bank/imports - Previous statement imports
+router.get("/imports", listImports);
+
+// GET /api/bank/transactions - Imported statement lines
+router.get("/transactions", listTransactions);
+
+// PATCH /api/bank/transactions/:id/category - Recategorise a line and learn from the correction
+router.patch("/transactions/:id/category", updateTransactionCategory);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getVarianceReport,
+  listAlerts,
+} = require("../controllers/budgetController");
+
+const router = express.Router();
+
+// All budget routes require authentication
+router.use(authenticateToken);
+
+// GET /api/budgets/variance - Budget vs actual per category for a month
+router.get("/variance", getVarianceReport);
+
+// GET /api/budgets/alerts - Overspend alerts sent (also pushed over /api/notifications/stream)
+router.get("/alerts", listAlerts);
+
+// Per-category monthly budgets; month-specific budgets override the standing one
+router.get("/", listBudgets);
+router.post("/", createBudget);
+router.patch("/:id", updateBudget);
+router.delete("/:id", deleteBudget);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { getCashFlowForecast } = require("../controllers/forecastController");
+
+const router = express.Router();
+
+// All forecast routes require authentication
+router.use(authenticateToken);
+
+// GET /api/forecast/cashflow - 13-week cash-flow forecast with a low-balance warning date
+router.get("/cashflow", getCashFlowForecast);
+
+// POST /api/forecast/cashflow - Same forecast under scenario overrides (revenue/expense changes, delays, one-off items)
+router.post("/cashflow", getCashFlowForecast);
+
+module.exports = router;
@@ -9,6 +9,50 @@ const {
   getInventorySummary,
   getInventoryInsights,
 } = require("../controllers/inventoryController");
+const {
+  getValuation,
+  getCostOfGoodsSold,
+  setCostingMethod,
+} = require("../controllers/inventoryValuationController");
+const {
+  listLevels,
+  getReorderRecommendations,
+  applySuggestedLevels,
+  getItemLevels,
+  updateItemLevels,
+} = require("../controllers/inventoryLevelsController");
+const {
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+  createTransfer,
+  listTransfers,
+} = require("../controllers/inventoryLocationController");
+const {
+  listBatches,
+  getExpiringBatches,
+  updateBatch,
+} = require("../controllers/inventoryBatchController");
+const {
+  listUnits,
+  updateItemUnits,
+  convertQuantity,
+} = require("../controllers/inventoryUnitController");
+const {
+  lookupBarcode,
+  setItemBarcode,
+  scanMovement,
+  searchCatalogue,
+  seedCatalogue,
+} = require("../controllers/inventoryBarcodeController");
+const {
+  reverseMovement,
+  editMovement,
+  getItemAudit,
+} = require("../controllers/inventoryCorrectionController");
+const { getAuthenticatedClient } = require("../config/supabase");
 const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
 const { PerformanceOptimizationService } = require("../services/performanceOptimizationService");
 
@@ -35,6 +79,49 @@ router.post("/movements", recordStockMovement);
 router.get("/summary", getInventorySummary);
 router.get("/insights", getInventoryInsights);
 
+// Stock value from open cost layers, COGS per period, and the FIFO / weighted-average policy
+router.get("/valuation", getValuation);
+router.get("/valuation/cogs", getCostOfGoodsSold);
+router.put("/valuation/method", setCostingMethod);
+
+// Min/max levels, safety stock and lead time per item, suggested from usage velocity
+router.get("/reorder-levels", listLevels);
+router.post("/reorder-levels/apply", applySuggestedLevels);
+router.get("/reorder-recommendations", getReorderRecommendations);
+router.get("/items/:id/levels", getItemLevels);
+router.put("/items/:id/levels", updateItemLevels);
+
+// Stock locations (shop, storeroom, godown) and transfers between them
+router.get("/locations", listLocations);
+router.post("/locations", createLocation);
+router.patch("/locations/:id", updateLocation);
+router.delete("/locations/:id", deleteLocation);
+router.get("/locations/:id/stock", getLocationStock);
+router.get("/transfers", listTransfers);
+router.post("/transfers", createTransfer);
+
+// Batch/lot and expiry tracking; stock out is drawn first-expiry-first-out
+router.get("/batches", listBatches);
+router.get("/batches/expiring", getExpiringBatches);
+router.patch("/batches/:id", updateBatch);
+
+// Units of measure: stock is kept in each item's base unit, other units convert via factors and pack sizes
+router.get("/units", listUnits);
+router.post("/units/convert", convertQuantity);
+router.put("/items/:id/units", updateItemUnits);
+
+// Barcodes: EAN/UPC lookup against items and the product catalogue, and one-scan stock in/out
+router.get("/barcodes/catalogue", searchCatalogue);
+router.post("/barcodes/catalogue/seed", seedCatalogue);
+router.get("/barcodes/:code", lookupBarcode);
+router.put("/items/:id/barcode", setItemBarcode);
+router.post("/scan", scanMovement);
+
+// Corrections: ledger rows are reversed or edited (reversal + corrected row) with a reason, never changed in place
+router.post("/movements/:id/reverse", reverseMovement);
+router.patch("/movements/:id", editMovement);
+router.get("/items/:id/audit", getItemAudit);
+
 // Advanced analytics endpoint
 router.get("/analytics/advanced", async (req, res) => {
   try {
@@ -45,7 +132,10 @@ router.get("/analytics/advanced", async (req, res) => {
       return res.json({ success: true, data: cached });
     }
 
-    const reorderRecs = await reorderService.generateReorderRecommendations(userId);
+    const reorderRecs = await reorderService.generateReorderRecommendations(
+      userId,
+      getAuthenticatedClient(req.accessToken)
+    );
 
     const analytics = {
       inventory_summary: {
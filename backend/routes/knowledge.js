@@ -0,0 +1,53 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getGraph,
+  listEntities,
+  searchEntities,
+  getEntity,
+  updateEntity,
+  mergeEntities,
+  deleteEntity,
+  listRelationships,
+  getRelationship,
+  updateRelationship,
+  deleteRelationship,
+} = require("../controllers/knowledgeController");
+
+const router = express.Router();
+
+// All knowledge routes require authentication
+router.use(authenticateToken);
+
+// GET /api/knowledge/graph - Nodes and edges for the graph view
+router.get("/graph", getGraph);
+
+// GET /api/knowledge/search - Keyword + semantic entity search
+router.get("/search", searchEntities);
+
+// GET /api/knowledge/entities - List and filter what the assistant remembers
+router.get("/entities", listEntities);
+
+// POST /api/knowledge/entities/merge - Fold duplicate entities into one
+router.post("/entities/merge", mergeEntities);
+
+// GET /api/knowledge/entities/:id - Entity with its relationships and source conversations
+router.get("/entities/:id", getEntity);
+
+// PATCH /api/knowledge/entities/:id - Correct, rename or pin an entity
+router.patch("/entities/:id", updateEntity);
+
+router.delete("/entities/:id", deleteEntity);
+
+// GET /api/knowledge/relationships - List relationships, optionally around one entity
+router.get("/relationships", listRelationships);
+
+// GET /api/knowledge/relationships/:id - Relationship with its source conversations
+router.get("/relationships/:id", getRelationship);
+
+// PATCH /api/knowledge/relationships/:id - Correct or pin a relationship
+router.patch("/relationships/:id", updateRelationship);
+
+router.delete("/relationships/:id", deleteRelationship);
+
+module.exports = router;
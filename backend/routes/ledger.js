@@ -0,0 +1,39 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listAccounts,
+  createAccount,
+  getJournal,
+  createJournalEntry,
+  reverseJournalEntry,
+  getTrialBalance,
+  syncEarnings,
+} = require("../controllers/ledgerController");
+
+const router = express.Router();
+
+// All ledger routes require authentication
+router.use(authenticateToken);
+
+// GET /api/ledger/accounts - Chart of accounts (seeded with defaults on first use)
+router.get("/accounts", listAccounts);
+
+// POST /api/ledger/accounts - Add a custom account
+router.post("/accounts", createAccount);
+
+// GET /api/ledger/journal - Journal entries with their lines
+router.get("/journal", getJournal);
+
+// POST /api/ledger/journal - Post a balanced manual journal entry
+router.post("/journal", createJournalEntry);
+
+// POST /api/ledger/journal/:id/reverse - Reverse a posted entry
+router.post("/journal/:id/reverse", reverseJournalEntry);
+
+// GET /api/ledger/trial-balance?as_of=YYYY-MM-DD - Trial balance
+router.get("/trial-balance", getTrialBalance);
+
+// POST /api/ledger/sync - Post earnings entries not yet in the ledger
+router.post("/sync", syncEarnings);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require("express");
 const { authenticateToken } = require("../middleware/auth");
 const { notificationService } = require("../services/notificationService");
 const { ReorderIntelligenceService } = require("../services/reorderIntelligenceService");
+const { getAuthenticatedClient } = require("../config/supabase");
+const batchService = require("../services/batchService");
 
 const router = express.Router();
 
@@ -11,13 +13,21 @@ router.get("/stream", authenticateToken, (req, res) => {
   notificationService.addClient(userId, res);
 });
 
-// Trigger reorder check and notify
+// Trigger reorder check and notify: a low-stock alert per item at or below its reorder level,
+// plus one reorder notification for the critical ones
 router.post("/check-reorders", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const reorderService = new ReorderIntelligenceService();
-    const recommendations = await reorderService.generateReorderRecommendations(userId);
-    
+    const recommendations = await reorderService.generateReorderRecommendations(
+      userId,
+      getAuthenticatedClient(req.accessToken)
+    );
+
+    recommendations
+      .filter(r => reorderService.isLowStatus(r.stock_status))
+      .forEach(r => notificationService.notifyLowStock(userId, r));
+
     const criticalItems = recommendations.filter(r => r.urgency === 'critical');
     if (criticalItems.length > 0) {
       notificationService.notifyReorderRecommendation(userId, criticalItems);
@@ -30,6 +40,35 @@ router.post("/check-reorders", authenticateToken, async (req, res) => {
   }
 });
 
+// Check expiring batches on demand; the expiry alert scheduler does the same in the background
+router.post("/check-expiry", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const supabase = getAuthenticatedClient(req.accessToken);
+    const { data: batches, error } = await supabase
+      .from("inventory_batches")
+      .select("*, inventory_items(product_name, unit)")
+      .eq("user_id", userId)
+      .gt("quantity_remaining", 0)
+      .not("expiry_date", "is", null);
+
+    if (error) throw error;
+
+    const report = batchService.expiringSoon(batches || [], {
+      days: parseInt(req.body?.days, 10) || batchService.nearExpiryDays
+    });
+    if (report.batches.length > 0) {
+      notificationService.notifyExpiringStock(userId, report.batches);
+      await batchService.markAlerted(supabase, batchService.pendingAlerts(report));
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("Expiry check error:", error);
+    res.status(500).json({ success: false, error: "Failed to check expiring stock" });
+  }
+});
+
 // Manual notification trigger (for testing)
 router.post("/test", authenticateToken, (req, res) => {
   const { type, message } = req.body;
@@ -0,0 +1,48 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listBills,
+  createBill,
+  createBillFromDocument,
+  getBill,
+  recordPayment,
+  getPaymentRunProposal,
+  createPaymentRun,
+  listPaymentRuns,
+  getOutstandingBySupplier,
+  getSupplierHistory,
+} = require("../controllers/payablesController");
+
+const router = express.Router();
+
+// All payables routes require authentication
+router.use(authenticateToken);
+
+// GET /api/payables/bills - Supplier bills with outstanding balance and overdue days
+router.get("/bills", listBills);
+
+// POST /api/payables/bills - Record a supplier bill and book the payable
+router.post("/bills", createBill);
+
+// POST /api/payables/bills/from-document - Create a bill from a processed purchase invoice
+router.post("/bills/from-document", createBillFromDocument);
+
+router.get("/bills/:id", getBill);
+
+// POST /api/payables/bills/:id/payments - Record a (partial) payment; also creates the earnings row
+router.post("/bills/:id/payments", recordPayment);
+
+// GET /api/payables/payment-runs/proposal - Bills due by a date, grouped per supplier
+router.get("/payment-runs/proposal", getPaymentRunProposal);
+
+// POST /api/payables/payment-runs - Pay a batch of bills in full
+router.get("/payment-runs", listPaymentRuns);
+router.post("/payment-runs", createPaymentRun);
+
+// GET /api/payables/outstanding - Outstanding and overdue balance per supplier
+router.get("/outstanding", getOutstandingBySupplier);
+
+// GET /api/payables/suppliers/:id/history - Payment timeliness and price history for supplier scoring
+router.get("/suppliers/:id/history", getSupplierHistory);
+
+module.exports = router;
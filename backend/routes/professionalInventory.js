@@ -236,12 +236,14 @@ router.post('/batch/analysis', async (req, res) => {
     
     const seasonalDemandService = require('../services/seasonalDemandService');
     const supplierPrioritizationService = require('../services/supplierPrioritizationService');
+    const { getAuthenticatedClient } = require('../config/supabase');
+    const supabase = getAuthenticatedClient(req.accessToken);
     
     const batchAnalysis = await Promise.all(
       products.map(async (product) => {
         const [seasonal, suppliers] = await Promise.all([
           seasonalDemandService.analyzeSeasonalPatterns(userId, product.productName, product.category),
-          supplierPrioritizationService.getPrioritizedSuppliers(userId, product.productName, product.category)
+          supplierPrioritizationService.getPrioritizedSuppliers(userId, product.productName, product.category, {}, supabase)
         ]);
         
         return {
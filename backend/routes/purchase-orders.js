@@ -0,0 +1,42 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listOrders,
+  createOrder,
+  createFromRecommendations,
+  getOrder,
+  updateOrder,
+  deleteOrder,
+  sendOrder,
+  receiveOrder,
+  closeOrder,
+} = require("../controllers/purchaseOrderController");
+
+const router = express.Router();
+
+// All purchase order routes require authentication
+router.use(authenticateToken);
+
+// GET /api/purchase-orders - Orders with lines and how much has been received
+router.get("/", listOrders);
+
+// POST /api/purchase-orders - Create a draft order for a supplier
+router.post("/", createOrder);
+
+// POST /api/purchase-orders/from-recommendations - Draft an order from the current reorder recommendations
+router.post("/from-recommendations", createFromRecommendations);
+
+router.get("/:id", getOrder);
+router.patch("/:id", updateOrder);
+router.delete("/:id", deleteOrder);
+
+// POST /api/purchase-orders/:id/send - Draft -> sent
+router.post("/:id/send", sendOrder);
+
+// POST /api/purchase-orders/:id/receive - Post received stock against the order's lines
+router.post("/:id/receive", receiveOrder);
+
+// POST /api/purchase-orders/:id/close - Close an order short
+router.post("/:id/close", closeOrder);
+
+module.exports = router;
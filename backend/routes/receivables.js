@@ -0,0 +1,54 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listCustomers,
+  createCustomer,
+  updateCustomer,
+  listInvoices,
+  createInvoice,
+  getInvoice,
+  getInvoiceDocument,
+  updateInvoice,
+  sendInvoice,
+  recordPayment,
+  writeOffInvoice,
+  deleteInvoice,
+  getAgingReport,
+} = require("../controllers/receivablesController");
+
+const router = express.Router();
+
+// All receivables routes require authentication
+router.use(authenticateToken);
+
+// Customers, with their outstanding balance
+router.get("/customers", listCustomers);
+router.post("/customers", createCustomer);
+router.patch("/customers/:id", updateCustomer);
+
+// GET /api/receivables/invoices - Invoices with outstanding balance and overdue days
+router.get("/invoices", listInvoices);
+
+// POST /api/receivables/invoices - Create a draft invoice (send: true to issue immediately)
+router.post("/invoices", createInvoice);
+
+router.get("/invoices/:id", getInvoice);
+router.patch("/invoices/:id", updateInvoice);
+router.delete("/invoices/:id", deleteInvoice);
+
+// GET /api/receivables/invoices/:id/document - Send-ready invoice JSON for PDF rendering
+router.get("/invoices/:id/document", getInvoiceDocument);
+
+// POST /api/receivables/invoices/:id/send - Issue a draft and book the receivable
+router.post("/invoices/:id/send", sendInvoice);
+
+// POST /api/receivables/invoices/:id/payments - Record a (partial) payment; also creates the earnings row
+router.post("/invoices/:id/payments", recordPayment);
+
+// POST /api/receivables/invoices/:id/write-off - Write off all or part of the unpaid balance
+router.post("/invoices/:id/write-off", writeOffInvoice);
+
+// GET /api/receivables/aging - Outstanding balances in 0-30/31-60/61-90/90+ day buckets
+router.get("/aging", getAgingReport);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  getProposals,
+  acceptMatch,
+  splitMatch,
+  ignoreLine,
+  resetLine,
+  getUnreconciledSummary,
+} = require("../controllers/reconciliationController");
+
+const router = express.Router();
+
+// All reconciliation routes require authentication
+router.use(authenticateToken);
+
+// GET /api/reconciliation/proposals - Suggested earnings/document matches for unreconciled bank lines
+router.get("/proposals", getProposals);
+
+// POST /api/reconciliation/accept - Match a bank line to one earnings row or document
+router.post("/accept", acceptMatch);
+
+// POST /api/reconciliation/split - Match a bank line across several earnings rows or documents
+router.post("/split", splitMatch);
+
+// POST /api/reconciliation/ignore - Exclude a bank line from reconciliation
+router.post("/ignore", ignoreLine);
+
+// POST /api/reconciliation/reset - Remove manual matches and reopen a bank line
+router.post("/reset", resetLine);
+
+// GET /api/reconciliation/unreconciled - Unreconciled bank lines and unmatched book items per month
+router.get("/unreconciled", getUnreconciledSummary);
+
+module.exports = router;
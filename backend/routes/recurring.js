@@ -0,0 +1,41 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listTemplates,
+  createTemplate,
+  getUpcoming,
+  runDueNow,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  setOccurrence,
+  resetOccurrence,
+} = require("../controllers/recurringController");
+
+const router = express.Router();
+
+// All recurring transaction routes require authentication
+router.use(authenticateToken);
+
+// GET /api/recurring/upcoming - Occurrences of every active template over the next N days
+router.get("/upcoming", getUpcoming);
+
+// POST /api/recurring/run - Post due occurrences now (the scheduler also does this hourly)
+router.post("/run", runDueNow);
+
+// Recurring transaction templates (daily/weekly/monthly/custom cron, end date, escalation)
+router.get("/", listTemplates);
+router.post("/", createTemplate);
+router.get("/:id", getTemplate);
+router.patch("/:id", updateTemplate);
+router.delete("/:id", deleteTemplate);
+
+// GET /api/recurring/:id/preview - Upcoming occurrences with skips and changes applied
+router.get("/:id/preview", previewTemplate);
+
+// Skip or modify a single occurrence, or undo that
+router.put("/:id/occurrences/:date", setOccurrence);
+router.delete("/:id/occurrences/:date", resetOccurrence);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { getFinancialStatements } = require("../controllers/reportsController");
+
+const router = express.Router();
+
+// All report routes require authentication
+router.use(authenticateToken);
+
+// GET /api/reports/statements?from=YYYY-MM-DD&to=YYYY-MM-DD - P&L, balance sheet and cash flow
+router.get("/statements", getFinancialStatements);
+
+module.exports = router;
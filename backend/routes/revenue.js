@@ -5,6 +5,9 @@ const {
   getRevenueComparison,
   getRevenueBreakdown,
   getRevenueInsights,
+  getGstSummary,
+  getGstReturnExport,
+  updateEarningGst,
 } = require("../controllers/revenueController");
 
 const router = express.Router();
@@ -24,4 +27,14 @@ router.get("/breakdown", getRevenueBreakdown);
 // GET /api/revenue/insight?month=YYYY-MM - Get AI insights
 router.get("/insight", getRevenueInsights);
 
+// GET /api/revenue/gst-summary?month=YYYY-MM - Get output tax, input credit and net GST
+router.get("/gst-summary", getGstSummary);
+
+// GET /api/revenue/gst-returns/gstr1?month=YYYY-MM - GSTR-1 style JSON export
+// GET /api/revenue/gst-returns/gstr3b?month=YYYY-MM - GSTR-3B style JSON export
+router.get("/gst-returns/:returnType", getGstReturnExport);
+
+// PATCH /api/revenue/earnings/:id/gst - Set HSN/SAC, rate and place of supply on an entry
+router.patch("/earnings/:id/gst", updateEarningGst);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listBills,
+  getBill,
+  createBill,
+  createReturn,
+  listCreditNotes,
+} = require("../controllers/salesBillController");
+
+const router = express.Router();
+
+// All sales routes require authentication
+router.use(authenticateToken);
+
+// GET /api/sales/bills - Bills with their lines and what has been returned
+router.get("/bills", listBills);
+
+// POST /api/sales/bills - Ring up a bill: stock goes out and the takings go to earnings together
+router.post("/bills", createBill);
+
+router.get("/bills/:id", getBill);
+
+// POST /api/sales/bills/:id/returns - Credit note for returned goods; reverses stock and earnings
+router.post("/bills/:id/returns", createReturn);
+
+// GET /api/sales/credit-notes - Credit notes issued against bills
+router.get("/credit-notes", listCreditNotes);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  listCounts,
+  createCount,
+  getCount,
+  recordCounts,
+  recordVoiceCounts,
+  getVariance,
+  approveCount,
+  cancelCount,
+} = require("../controllers/stockCountController");
+
+const router = express.Router();
+
+// All stock count routes require authentication
+router.use(authenticateToken);
+
+// GET /api/stock-counts - Sessions with how many lines have been counted
+router.get("/", listCounts);
+
+// POST /api/stock-counts - Start a full or cycle count at a location
+router.post("/", createCount);
+
+router.get("/:id", getCount);
+
+// PUT /api/stock-counts/:id/lines - Enter counted quantities (UI or barcode scans)
+router.put("/:id/lines", recordCounts);
+
+// POST /api/stock-counts/:id/voice - Enter counted quantities from a spoken transcription
+router.post("/:id/voice", recordVoiceCounts);
+
+// GET /api/stock-counts/:id/variance - Counted vs book stock with value impact
+router.get("/:id/variance", getVariance);
+
+// POST /api/stock-counts/:id/approve - Post the variances as stock_count adjustments
+router.post("/:id/approve", approveCount);
+
+// POST /api/stock-counts/:id/cancel - Abandon the session
+router.post("/:id/cancel", cancelCount);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const {
   startMonitoring,
   generateReport,
   processInventoryVoice,
+  undoInventoryVoice,
 } = require('../controllers/voiceAssistantController');
 
 // Proactive voice command processing
@@ -28,6 +29,9 @@ router.post('/report', authenticateToken, generateReport);
 // Inventory-specific voice commands (stock in/out/check stock)
 router.post('/inventory', authenticateToken, processInventoryVoice);
 
+// Take back the last voice stock movement while it is still inside the undo window
+router.post('/inventory/undo', authenticateToken, undoInventoryVoice);
+
 // Send business alert
 router.post('/alert/send', authenticateToken, async (req, res) => {
   // Implementation for sending alerts via various channels
@@ -1,5 +1,6 @@
 const { openai } = require("../config/openai");
 const { InventoryLearningService } = require("./inventoryLearningService");
+const unitService = require("./unitService");
 const natural = require("natural");
 
 /**
@@ -35,6 +36,15 @@ class AdvancedVoiceService {
         english: ['today', 'yesterday', 'tomorrow', 'morning', 'evening']
       }
     };
+
+    // Spoken quantities ("ek darjan", "dedh kilo"); digits take precedence when both are present
+    this.numberWords = {
+      ek: 1, one: 1, do: 2, two: 2, teen: 3, three: 3, char: 4, chaar: 4, four: 4,
+      paanch: 5, panch: 5, five: 5, chhe: 6, chhah: 6, six: 6, saat: 7, seven: 7,
+      aath: 8, eight: 8, nau: 9, nine: 9, das: 10, ten: 10, bees: 20, twenty: 20,
+      pachas: 50, fifty: 50, sau: 100, hundred: 100,
+      aadha: 0.5, adha: 0.5, half: 0.5, sawa: 1.25, dedh: 1.5, dhai: 2.5, dhaai: 2.5
+    };
   }
 
   /**
@@ -320,29 +330,36 @@ class AdvancedVoiceService {
     return null;
   }
 
+  // Quantity and canonical unit (see unitService) from a command: "2 kilo", "2kg", "ek darjan", "darjan".
+  // A unit spoken without a number means one of it.
   extractQuantityAndUnit(tokens) {
     let quantity = null;
     let unit = null;
+    let spokenQuantity = null;
 
     for (let i = 0; i < tokens.length; i++) {
       const token = tokens[i];
-      
-      // Check for numbers
-      const num = parseFloat(token);
-      if (!isNaN(num)) {
+      const attached = token.match(/^(\d+(?:\.\d+)?)([^\d.]+)$/);
+      const num = attached ? parseFloat(attached[1]) : Number(token);
+
+      if (!isNaN(num) && token !== '') {
         quantity = num;
-        
-        // Check next token for unit
-        if (i + 1 < tokens.length) {
-          const nextToken = tokens[i + 1];
-          if (this.hindiEnglishPatterns.units.hindi.includes(nextToken) ||
-              this.hindiEnglishPatterns.units.english.includes(nextToken)) {
-            unit = nextToken;
-          }
-        }
+        unit = (attached && unitService.normalize(attached[2])) ||
+          (i + 1 < tokens.length ? unitService.normalize(tokens[i + 1]) : null) ||
+          unit;
+        continue;
+      }
+
+      if (this.numberWords[token] !== undefined && spokenQuantity === null) {
+        spokenQuantity = this.numberWords[token];
+        if (!unit && i + 1 < tokens.length) unit = unitService.normalize(tokens[i + 1]);
+        continue;
       }
+
+      if (!unit) unit = unitService.normalize(token);
     }
 
+    if (quantity === null) quantity = spokenQuantity ?? (unit ? 1 : null);
     return { quantity, unit };
   }
 
@@ -364,7 +381,9 @@ class AdvancedVoiceService {
     
     const unitWords = [
       ...this.hindiEnglishPatterns.units.hindi,
-      ...this.hindiEnglishPatterns.units.english
+      ...this.hindiEnglishPatterns.units.english,
+      ...unitService.aliasIndex.keys(),
+      ...Object.keys(this.numberWords)
     ];
     
     const timeWords = [
@@ -0,0 +1,426 @@
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Lowercase and drop everything but letters and digits so "Withdrawal Amt." matches "withdrawalamt"
+const normaliseHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toIsoDate = (year, month, day) => {
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${y}-${pad(month)}-${pad(day)}`;
+};
+
+class BankStatementService {
+  constructor() {
+    this.formats = ['csv', 'ofx', 'mt940'];
+
+    // Column names as they appear in each bank's net-banking CSV/XLS-to-CSV export
+    this.profiles = {
+      sbi: {
+        label: 'State Bank of India',
+        columns: {
+          date: ['Txn Date', 'Transaction Date'],
+          description: ['Description', 'Narration'],
+          reference: ['Ref No./Cheque No.', 'Ref No', 'Cheque No.'],
+          debit: ['Debit', 'Withdrawal'],
+          credit: ['Credit', 'Deposit'],
+          balance: ['Balance']
+        }
+      },
+      hdfc: {
+        label: 'HDFC Bank',
+        columns: {
+          date: ['Date', 'Transaction Date'],
+          description: ['Narration'],
+          reference: ['Chq./Ref.No.', 'Chq/Ref Number'],
+          debit: ['Withdrawal Amt.', 'Withdrawal Amount', 'Debit Amount'],
+          credit: ['Deposit Amt.', 'Deposit Amount', 'Credit Amount'],
+          balance: ['Closing Balance']
+        }
+      },
+      icici: {
+        label: 'ICICI Bank',
+        columns: {
+          date: ['Transaction Date', 'Value Date'],
+          description: ['Transaction Remarks', 'Remarks'],
+          reference: ['Cheque Number', 'Cheque No.'],
+          debit: ['Withdrawal Amount (INR )', 'Withdrawal Amount (INR)', 'Withdrawal Amount'],
+          credit: ['Deposit Amount (INR )', 'Deposit Amount (INR)', 'Deposit Amount'],
+          balance: ['Balance (INR )', 'Balance (INR)', 'Balance']
+        }
+      },
+      generic: {
+        label: 'Generic (Date, Description, Amount or Debit/Credit)',
+        columns: {
+          date: ['Date', 'Transaction Date', 'Txn Date', 'Posting Date'],
+          description: ['Description', 'Narration', 'Particulars', 'Details', 'Remarks'],
+          reference: ['Reference', 'Ref No', 'Cheque No'],
+          debit: ['Debit', 'Withdrawal', 'Dr'],
+          credit: ['Credit', 'Deposit', 'Cr'],
+          amount: ['Amount'],
+          balance: ['Balance', 'Closing Balance']
+        }
+      }
+    };
+  }
+
+  getProfiles() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({
+      id,
+      label: profile.label,
+      columns: profile.columns
+    }));
+  }
+
+  // Pick a format from the file extension, falling back to the content
+  detectFormat(content, fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (['ofx', 'qfx'].includes(extension)) return 'ofx';
+    if (['sta', 'mt940', '940'].includes(extension)) return 'mt940';
+    if (/OFXHEADER|<OFX>/i.test(content)) return 'ofx';
+    if (/^:20:/m.test(content) && /^:61:/m.test(content)) return 'mt940';
+    return 'csv';
+  }
+
+  parse(content, { format, profile, fileName } = {}) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const resolvedFormat = format || this.detectFormat(text, fileName);
+
+    if (!this.formats.includes(resolvedFormat)) {
+      const error = new Error(`Unsupported statement format: ${resolvedFormat}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const result = resolvedFormat === 'ofx'
+      ? this.parseOfx(text)
+      : resolvedFormat === 'mt940'
+        ? this.parseMt940(text)
+        : this.parseCsvStatement(text, profile);
+
+    return { format: resolvedFormat, ...result };
+  }
+
+  // Accepts ISO, dd/mm/yyyy, dd-mm-yy and "01 Apr 2024" / "01-Apr-24" dates
+  parseDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (match) return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+    match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s,-]+(\d{2,4})$/);
+    if (match && MONTHS[match[2].toLowerCase()]) {
+      return toIsoDate(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1]));
+    }
+
+    return null;
+  }
+
+  // "1,23,456.00", "(500.00)", "500.00 Dr" -> signed number; blanks return null
+  parseAmount(value) {
+    let text = String(value ?? '').trim();
+    if (!text || text === '-') return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+      sign = -1;
+      text = text.slice(1, -1);
+    }
+    if (/dr\.?$/i.test(text)) sign = -1;
+
+    const number = parseFloat(text.replace(/cr\.?$|dr\.?$/i, '').replace(/[₹,\s]|INR|Rs\.?/gi, ''));
+    return Number.isFinite(number) ? sign * number : null;
+  }
+
+  // Quote-aware CSV split; handles escaped quotes and commas inside fields
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field.trim());
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field.trim());
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field.trim());
+      rows.push(row);
+    }
+
+    return rows.filter((r) => r.some((cell) => cell !== ''));
+  }
+
+  // Map a header row onto a profile's columns; null when the required columns are missing
+  mapColumns(headerRow, profile) {
+    const headers = headerRow.map(normaliseHeader);
+    const mapping = {};
+
+    for (const [field, candidates] of Object.entries(profile.columns)) {
+      const index = candidates
+        .map(normaliseHeader)
+        .map((candidate) => headers.indexOf(candidate))
+        .find((i) => i !== -1);
+      if (index !== undefined) mapping[field] = index;
+    }
+
+    const hasAmounts = mapping.amount !== undefined || (mapping.debit !== undefined && mapping.credit !== undefined);
+    return mapping.date !== undefined && mapping.description !== undefined && hasAmounts ? mapping : null;
+  }
+
+  // Bank exports carry account details above the table, so scan for the first row that maps to a profile
+  findHeader(rows, profileId) {
+    const candidates = profileId
+      ? [[profileId, this.profiles[profileId]]]
+      : Object.entries(this.profiles);
+
+    for (let i = 0; i < Math.min(rows.length, 40); i++) {
+      for (const [id, profile] of candidates) {
+        const mapping = this.mapColumns(rows[i], profile);
+        if (mapping) return { headerIndex: i, profile: id, mapping };
+      }
+    }
+
+    return null;
+  }
+
+  parseCsvStatement(text, profileId) {
+    if (profileId && !this.profiles[profileId]) {
+      const error = new Error(`Unknown bank profile: ${profileId}. Use one of ${Object.keys(this.profiles).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rows = this.parseCsv(text);
+    const header = this.findHeader(rows, profileId);
+
+    if (!header) {
+      const error = new Error('Could not find a transaction header row in the CSV. Check the bank profile or column names.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { headerIndex, mapping } = header;
+    const transactions = [];
+    const skipped = [];
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      const rowNumber = headerIndex + offset + 2;
+      const date = this.parseDate(row[mapping.date]);
+      // Footer rows ("Closing balance", "** End of statement **") have no parsable date
+      if (!date) {
+        skipped.push({ row: rowNumber, reason: 'No transaction date' });
+        return;
+      }
+
+      let signed;
+      if (mapping.amount !== undefined) {
+        signed = this.parseAmount(row[mapping.amount]);
+      } else {
+        const debit = this.parseAmount(row[mapping.debit]) || 0;
+        const credit = this.parseAmount(row[mapping.credit]) || 0;
+        signed = credit - debit;
+      }
+
+      if (!signed) {
+        skipped.push({ row: rowNumber, reason: 'No amount' });
+        return;
+      }
+
+      transactions.push(this.buildTransaction({
+        date,
+        description: row[mapping.description],
+        reference: mapping.reference !== undefined ? row[mapping.reference] : null,
+        signed,
+        balance: mapping.balance !== undefined ? this.parseAmount(row[mapping.balance]) : null,
+        row: rowNumber
+      }));
+    });
+
+    return { profile: header.profile, transactions, skipped };
+  }
+
+  // OFX 1.x is SGML (closing tags optional), 2.x is XML; read tag values up to the next tag or newline
+  parseOfx(text) {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    const tag = (block, name) => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : null;
+    };
+
+    const transactions = [];
+    const skipped = [];
+
+    blocks.forEach((block, index) => {
+      const posted = tag(block, 'DTPOSTED') || '';
+      const dateMatch = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+      const date = dateMatch ? toIsoDate(Number(dateMatch[1]), Number(dateMatch[2]), Number(dateMatch[3])) : null;
+      const signed = this.parseAmount(tag(block, 'TRNAMT'));
+
+      if (!date || !signed) {
+        skipped.push({ row: index + 1, reason: !date ? 'No transaction date' : 'No amount' });
+        return;
+      }
+
+      const name = tag(block, 'NAME');
+      const memo = tag(block, 'MEMO');
+
+      transactions.push(this.buildTransaction({
+        date,
+        description: [name, memo].filter(Boolean).join(' - ') || tag(block, 'TRNTYPE'),
+        reference: tag(block, 'FITID') || tag(block, 'CHECKNUM'),
+        signed,
+        balance: null,
+        row: index + 1
+      }));
+    });
+
+    return { profile: null, transactions, skipped };
+  }
+
+  // MT940: each :61: statement line is followed by an optional multi-line :86: narrative
+  parseMt940(text) {
+    const lines = text.split(/\r?\n/);
+    const transactions = [];
+    const skipped = [];
+    let current = null;
+    let inNarrative = false;
+
+    const flush = () => {
+      if (current) transactions.push(this.buildTransaction(current));
+      current = null;
+    };
+
+    lines.forEach((raw, index) => {
+      const line = raw.trim();
+
+      if (line.startsWith(':61:')) {
+        flush();
+        inNarrative = false;
+
+        // YYMMDD [MMDD] C|D|RC|RD [funds code] amount(comma decimal) N<type><reference>
+        const match = line.slice(4).match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)N?[A-Z0-9]{0,3}(.*)$/);
+        if (!match) {
+          skipped.push({ row: index + 1, reason: 'Unrecognised :61: line' });
+          return;
+        }
+
+        const date = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+        const amount = parseFloat(match[6].replace(',', '.'));
+        // RC/RD are reversals of a credit/debit, so they move money the other way
+        const isCredit = match[5] === 'C' || match[5] === 'RD';
+        const reference = match[7].split('//')[0].trim();
+
+        current = {
+          date,
+          description: '',
+          reference: reference && reference !== 'NONREF' ? reference : null,
+          signed: isCredit ? amount : -amount,
+          balance: null,
+          row: index + 1
+        };
+      } else if (line.startsWith(':86:') && current) {
+        current.description = line.slice(4).trim();
+        inNarrative = true;
+      } else if (line.startsWith(':') || line.startsWith('-')) {
+        inNarrative = false;
+      } else if (inNarrative && current && line) {
+        current.description = `${current.description} ${line}`.trim();
+      }
+    });
+
+    flush();
+
+    return {
+      profile: null,
+      transactions: transactions.filter((t) => t.transaction_date && t.amount > 0),
+      skipped
+    };
+  }
+
+  buildTransaction({ date, description, reference, signed, balance, row }) {
+    return {
+      transaction_date: date,
+      description: String(description || '').replace(/\s+/g, ' ').trim() || 'Bank transaction',
+      reference: reference ? String(reference).trim() : null,
+      amount: round2(Math.abs(signed)),
+      direction: signed > 0 ? 'credit' : 'debit',
+      balance: balance === null || balance === undefined ? null : round2(balance),
+      source_row: row
+    };
+  }
+
+  // Same shape the duplicate checker hashes for documents, so bank lines and earnings compare directly
+  toFingerprintData(transaction) {
+    return {
+      vendor: transaction.description,
+      amount: transaction.amount,
+      date: transaction.transaction_date
+    };
+  }
+
+  earningToFingerprintData(earning) {
+    const revenue = Number(earning.amount) || 0;
+    return {
+      vendor: earning.vendor_name || earning.processed_text || '',
+      amount: revenue > 0 ? revenue : Number(earning.inventory_cost) || 0,
+      date: earning.earning_date
+    };
+  }
+
+  isSameDirection(transaction, earning) {
+    const isRevenue = (Number(earning.amount) || 0) > 0;
+    return transaction.direction === 'credit' ? isRevenue : !isRevenue;
+  }
+
+  // Credits become revenue, debits become expenses
+  buildEarningRow(userId, transaction, category) {
+    return {
+      user_id: userId,
+      earning_date: transaction.transaction_date,
+      amount: transaction.direction === 'credit' ? transaction.amount : 0,
+      inventory_cost: transaction.direction === 'debit' ? transaction.amount : 0,
+      processed_text: `Bank: ${transaction.description}`.slice(0, 500),
+      doc_type: 'bank_import',
+      vendor_name: transaction.description.slice(0, 255),
+      transaction_category: category
+    };
+  }
+}
+
+module.exports = new BankStatementService();
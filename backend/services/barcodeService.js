@@ -0,0 +1,186 @@
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Barcodes on inventory items and the shared product catalogue.
+// Retail codes (EAN-13, UPC-A, EAN-8, GTIN-14) are check-digit validated and stored in one canonical
+// form so the same product matches whichever way it was scanned or typed: UPC-A and GTIN-14 codes
+// that are really EAN-13s are kept as 13 digits. Shop-printed labels (Code 128 and the like) carry
+// no check digit and are stored as read.
+class BarcodeService {
+  constructor() {
+    this.formats = {
+      EAN_13: 'EAN-13',
+      UPC_A: 'UPC-A',
+      EAN_8: 'EAN-8',
+      GTIN_14: 'GTIN-14',
+      INTERNAL: 'internal'
+    };
+
+    // Lengths of numeric codes that carry a GS1 check digit
+    this.gtinLengths = { 8: 'EAN_8', 12: 'UPC_A', 13: 'EAN_13', 14: 'GTIN_14' };
+
+    // Shop labels: letters, digits and a few separators
+    this.internalPattern = /^[0-9A-Z][0-9A-Z.\-/]{2,47}$/;
+
+    // Fields of a products row that may hold its barcode, in order of preference
+    this.productFields = ['barcode', 'ean', 'ean_code', 'upc', 'gtin'];
+
+    // inventory_stock_ledger.source of movements recorded by scanning
+    this.movementSource = 'barcode';
+  }
+
+  // GS1 mod-10 check digit for the digits before it
+  checkDigit(body) {
+    const sum = String(body)
+      .split('')
+      .reverse()
+      .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  // Parse a scanned or typed code. Returns { code, format, entered } or { error }.
+  parse(raw) {
+    const entered = String(raw ?? '').trim();
+    if (!entered) return { error: 'Barcode is required' };
+
+    // Digits are often written in groups ("4 006381 333931")
+    const compact = entered.replace(/[\s-]/g, '');
+    if (/^\d+$/.test(compact) && this.gtinLengths[compact.length]) {
+      const format = this.formats[this.gtinLengths[compact.length]];
+      if (this.checkDigit(compact.slice(0, -1)) !== compact.slice(-1)) {
+        return { error: `${entered} is not a valid ${format} barcode (check digit mismatch)` };
+      }
+
+      // UPC-A is an EAN-13 with a leading zero; GTIN-14 with indicator 0 is the EAN-13 inside it
+      if (compact.length === 12) return { code: `0${compact}`, format, entered };
+      if (compact.length === 14 && compact.startsWith('0')) return { code: compact.slice(1), format, entered };
+      return { code: compact, format, entered };
+    }
+
+    const label = entered.replace(/\s+/g, '').toUpperCase();
+    if (!this.internalPattern.test(label)) {
+      return { error: `${entered} is not a recognised barcode` };
+    }
+    return { code: label, format: this.formats.INTERNAL, entered };
+  }
+
+  // Canonical code or null, for comparing stored values
+  canonical(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    return this.parse(raw).code || null;
+  }
+
+  // The item in a list carrying a code
+  findItem(items, code) {
+    const wanted = this.canonical(code);
+    if (!wanted) return null;
+    return items.find((item) => this.canonical(item.barcode) === wanted) || null;
+  }
+
+  // The user's item with this (canonical) code
+  async findUserItem(supabase, userId, code) {
+    const { data, error } = await supabase
+      .from('inventory_items')
+      .select('id, product_name, brand, category, unit, pack_sizes, barcode')
+      .eq('user_id', userId)
+      .eq('barcode', code)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  async findCatalogueEntry(supabase, code) {
+    const { data, error } = await supabase
+      .from('product_catalogue')
+      .select('*')
+      .eq('barcode', code)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  // What a code identifies: the user's own item first, else the shared catalogue entry
+  async resolve(supabase, userId, raw) {
+    const parsed = this.parse(raw);
+    if (parsed.error) return parsed;
+
+    const [item, catalogue] = await Promise.all([
+      this.findUserItem(supabase, userId, parsed.code),
+      this.findCatalogueEntry(supabase, parsed.code)
+    ]);
+    return { ...parsed, item, catalogue };
+  }
+
+  // An inventory_items row for a product known only from the catalogue
+  itemFromCatalogue(userId, entry) {
+    return {
+      user_id: userId,
+      product_name: entry.product_name,
+      brand: entry.brand || null,
+      category: entry.category || null,
+      unit: entry.unit || null,
+      barcode: entry.barcode
+    };
+  }
+
+  // The barcode a products row carries, from its own columns or its specifications
+  codeFromProduct(product) {
+    const sources = [product, product?.specifications || {}, product?.metadata || {}];
+    for (const source of sources) {
+      for (const field of this.productFields) {
+        const parsed = source?.[field] ? this.parse(source[field]) : null;
+        if (parsed?.code) return parsed.code;
+      }
+    }
+    return null;
+  }
+
+  // Catalogue rows for the products that carry a valid barcode. The first product wins a shared code.
+  // Returns { entries, skipped } where skipped counts products without a usable code.
+  catalogueFromProducts(products) {
+    const byCode = new Map();
+    let skipped = 0;
+
+    for (const product of products || []) {
+      const code = this.codeFromProduct(product);
+      if (!code || !product.product_name) {
+        skipped += 1;
+        continue;
+      }
+      if (byCode.has(code)) continue;
+
+      byCode.set(code, {
+        barcode: code,
+        product_name: product.product_name,
+        brand: product.brand || product.vendor_name || null,
+        category: product.category || null,
+        unit: product.unit || null,
+        mrp: product.price === undefined || product.price === null ? null : round2(product.price),
+        product_id: product.id,
+        source: 'products',
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    return { entries: [...byCode.values()], skipped };
+  }
+
+  // Check barcodes read off a product photo. Only retail codes are accepted, since their check digit
+  // catches a misread digit; anything else is reported, not matched.
+  checkDecoded(items) {
+    return (items || []).map((item) => {
+      const raw = item?.barcode ? String(item.barcode) : '';
+      if (!raw) return { ...item, barcode: null, barcode_valid: false };
+      const parsed = this.parse(raw);
+      if (parsed.format === this.formats.INTERNAL) {
+        return { ...item, barcode: raw, barcode_valid: false, barcode_error: `${raw} is not an EAN/UPC barcode` };
+      }
+      return parsed.error
+        ? { ...item, barcode: raw, barcode_valid: false, barcode_error: parsed.error }
+        : { ...item, barcode: parsed.code, barcode_format: parsed.format, barcode_valid: true };
+    });
+  }
+}
+
+module.exports = new BarcodeService();
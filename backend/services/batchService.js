@@ -0,0 +1,288 @@
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+const EPSILON = 1e-9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Batches (lots) of an item at a location, with their expiry. Inbound movements that carry a batch number or
+// expiry date open or top up a batch; outbound movements draw from batches first-expiry-first-out (FEFO).
+class BatchService {
+  constructor() {
+    // Batches expiring within this many days are reported and alerted as expiring soon
+    this.nearExpiryDays = 30;
+
+    this.alertStages = {
+      NEAR_EXPIRY: 'near_expiry',
+      EXPIRED: 'expired'
+    };
+  }
+
+  // Batch fields from a movement body or its metadata. Returns { batch } (null when none given) or { error }.
+  parseBatchInput(input = {}) {
+    const metadata = input.metadata || {};
+    const batchNumber = String(input.batch_number ?? metadata.batch_number ?? '').trim();
+    const expiryDate = input.expiry_date ?? metadata.expiry_date ?? null;
+    const manufacturedDate = input.manufactured_date ?? metadata.manufactured_date ?? null;
+
+    if (!batchNumber && !expiryDate && !manufacturedDate) return { batch: null };
+
+    for (const [field, value] of [['expiry_date', expiryDate], ['manufactured_date', manufacturedDate]]) {
+      if (value && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+        return { error: `${field} must be a date in YYYY-MM-DD format` };
+      }
+    }
+    if (expiryDate && manufacturedDate && manufacturedDate > expiryDate) {
+      return { error: 'manufactured_date cannot be after expiry_date' };
+    }
+    if (batchNumber.length > 50) return { error: 'batch_number must be at most 50 characters' };
+
+    return {
+      batch: {
+        // Stock captured with only an expiry date is grouped into one lot per date
+        batch_number: batchNumber || `EXP-${expiryDate ? expiryDate.replace(/-/g, '') : manufacturedDate.replace(/-/g, '')}`,
+        expiry_date: expiryDate || null,
+        manufactured_date: manufacturedDate || null
+      }
+    };
+  }
+
+  // Open a batch, or add to the one with the same number at the same location
+  async receive(supabase, userId, { item_id, location_id = null, quantity, unit_cost = null, batch }) {
+    let query = supabase
+      .from('inventory_batches')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('item_id', item_id)
+      .eq('batch_number', batch.batch_number)
+      .limit(1);
+    query = location_id ? query.eq('location_id', location_id) : query.is('location_id', null);
+
+    const { data: existing, error: findError } = await query;
+    if (findError) throw findError;
+
+    if (existing?.length) {
+      const current = existing[0];
+      const { data: updated, error } = await supabase
+        .from('inventory_batches')
+        .update({
+          quantity_received: round4(Number(current.quantity_received) + Number(quantity)),
+          quantity_remaining: round4(Number(current.quantity_remaining) + Number(quantity)),
+          expiry_date: current.expiry_date || batch.expiry_date,
+          manufactured_date: current.manufactured_date || batch.manufactured_date,
+          unit_cost: unit_cost ?? current.unit_cost,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', current.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return updated;
+    }
+
+    const { data: created, error } = await supabase
+      .from('inventory_batches')
+      .insert({
+        user_id: userId,
+        item_id,
+        location_id,
+        batch_number: batch.batch_number,
+        expiry_date: batch.expiry_date,
+        manufactured_date: batch.manufactured_date,
+        quantity_received: round4(quantity),
+        quantity_remaining: round4(quantity),
+        unit_cost
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return created;
+  }
+
+  // Batches ordered for FEFO: earliest expiry first, batches without expiry last, then oldest first
+  sortFefo(batches) {
+    return batches.slice().sort((a, b) => {
+      if (a.expiry_date !== b.expiry_date) {
+        if (!a.expiry_date) return 1;
+        if (!b.expiry_date) return -1;
+        return a.expiry_date.localeCompare(b.expiry_date);
+      }
+      return String(a.created_at || '').localeCompare(String(b.created_at || ''));
+    });
+  }
+
+  // Which batches an outbound quantity comes from. A named batch is drawn first, then FEFO.
+  // Expired batches are skipped unless skipExpired is false (e.g. when writing off expired stock).
+  allocate(batches, quantity, { batchId = null, batchNumber = null, asOf = today(), skipExpired = true } = {}) {
+    const open = batches.filter((b) => Number(b.quantity_remaining) > EPSILON);
+    const named = open.filter((b) => (batchId && b.id === batchId) || (batchNumber && b.batch_number === batchNumber));
+    const rest = this.sortFefo(open.filter((b) => !named.includes(b)))
+      .filter((b) => !skipExpired || !b.expiry_date || b.expiry_date >= asOf);
+
+    const allocations = [];
+    let remaining = Number(quantity) || 0;
+    for (const batch of [...named, ...rest]) {
+      if (remaining <= EPSILON) break;
+      const taken = Math.min(Number(batch.quantity_remaining), remaining);
+      allocations.push({
+        batch_id: batch.id,
+        batch_number: batch.batch_number,
+        expiry_date: batch.expiry_date || null,
+        quantity: round4(taken)
+      });
+      remaining -= taken;
+    }
+
+    return { allocations, unallocated: round4(Math.max(0, remaining)) };
+  }
+
+  // Open batches of an item at a location (all locations when locationId is not given)
+  async openBatches(supabase, userId, itemId, locationId = undefined) {
+    let query = supabase
+      .from('inventory_batches')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('item_id', itemId)
+      .gt('quantity_remaining', 0);
+    if (locationId) query = query.eq('location_id', locationId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Plan an outbound movement against the item's batches; nothing is written until applyAllocations
+  async planIssue(supabase, userId, { item_id, location_id = null, quantity, batch_id = null, batch_number = null, skipExpired = true }) {
+    const batches = await this.openBatches(supabase, userId, item_id, location_id);
+    if (batches.length === 0) return null;
+    return this.allocate(batches, quantity, { batchId: batch_id, batchNumber: batch_number, skipExpired });
+  }
+
+  async applyAllocations(supabase, userId, allocations) {
+    for (const allocation of allocations) {
+      const { data: batch, error: findError } = await supabase
+        .from('inventory_batches')
+        .select('quantity_remaining')
+        .eq('id', allocation.batch_id)
+        .eq('user_id', userId)
+        .single();
+      if (findError) throw findError;
+
+      const { error } = await supabase
+        .from('inventory_batches')
+        .update({
+          quantity_remaining: round4(Math.max(0, Number(batch.quantity_remaining) - allocation.quantity)),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', allocation.batch_id)
+        .eq('user_id', userId);
+      if (error) throw error;
+    }
+  }
+
+  // Put quantities back into the batches they were drawn from, e.g. goods a customer returned
+  async restoreAllocations(supabase, userId, allocations) {
+    for (const allocation of allocations) {
+      const { data: batch, error: findError } = await supabase
+        .from('inventory_batches')
+        .select('quantity_remaining')
+        .eq('id', allocation.batch_id)
+        .eq('user_id', userId)
+        .single();
+      if (findError) throw findError;
+
+      const { error } = await supabase
+        .from('inventory_batches')
+        .update({
+          quantity_remaining: round4(Number(batch.quantity_remaining) + allocation.quantity),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', allocation.batch_id)
+        .eq('user_id', userId);
+      if (error) throw error;
+    }
+  }
+
+  // Move drawn quantities into the same-numbered batches at another location, keeping expiry and cost
+  async transferAllocations(supabase, userId, allocations, { item_id, to_location_id }) {
+    await this.applyAllocations(supabase, userId, allocations);
+
+    for (const allocation of allocations) {
+      const { data: source, error } = await supabase
+        .from('inventory_batches')
+        .select('*')
+        .eq('id', allocation.batch_id)
+        .eq('user_id', userId)
+        .single();
+      if (error) throw error;
+
+      await this.receive(supabase, userId, {
+        item_id,
+        location_id: to_location_id,
+        quantity: allocation.quantity,
+        unit_cost: source.unit_cost,
+        batch: {
+          batch_number: source.batch_number,
+          expiry_date: source.expiry_date,
+          manufactured_date: source.manufactured_date
+        }
+      });
+    }
+  }
+
+  // Expired and soon-to-expire batches still holding stock, soonest first
+  expiringSoon(batches, { asOf = today(), days = this.nearExpiryDays } = {}) {
+    const horizon = new Date(`${asOf}T00:00:00Z`);
+    horizon.setUTCDate(horizon.getUTCDate() + Number(days));
+    const until = horizon.toISOString().split('T')[0];
+
+    const rows = batches
+      .filter((b) => b.expiry_date && b.expiry_date <= until && Number(b.quantity_remaining) > EPSILON)
+      .map((b) => {
+        const daysToExpiry = daysBetween(asOf, b.expiry_date);
+        return {
+          ...b,
+          days_to_expiry: daysToExpiry,
+          status: daysToExpiry < 0 ? this.alertStages.EXPIRED : this.alertStages.NEAR_EXPIRY,
+          value_at_risk: round2(Number(b.quantity_remaining) * (Number(b.unit_cost) || 0))
+        };
+      })
+      .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date));
+
+    const expired = rows.filter((r) => r.status === this.alertStages.EXPIRED);
+    return {
+      as_of: asOf,
+      days: Number(days),
+      expired_count: expired.length,
+      expiring_count: rows.length - expired.length,
+      value_at_risk: round2(rows.reduce((sum, r) => sum + r.value_at_risk, 0)),
+      batches: rows
+    };
+  }
+
+  // Batches due an alert: entering the near-expiry window, or past expiry, each alerted once
+  pendingAlerts(report) {
+    return report.batches.filter((b) =>
+      b.status === this.alertStages.EXPIRED ? !b.expired_alerted_at : !b.near_expiry_alerted_at
+    );
+  }
+
+  async markAlerted(supabase, batches) {
+    const now = new Date().toISOString();
+    for (const batch of batches) {
+      const field = batch.status === this.alertStages.EXPIRED ? 'expired_alerted_at' : 'near_expiry_alerted_at';
+      const { error } = await supabase.from('inventory_batches').update({ [field]: now }).eq('id', batch.id);
+      if (error) console.error('Batch alert mark error:', error);
+    }
+  }
+}
+
+module.exports = new BatchService();
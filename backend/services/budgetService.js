@@ -0,0 +1,312 @@
+const { notificationService } = require('./notificationService');
+const ledgerService = require('./ledgerService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const UNCATEGORISED = 'Uncategorised';
+
+const parseExtracted = (document) => {
+  try {
+    return typeof document.extracted_text === 'string' ? JSON.parse(document.extracted_text) : document.extracted_text || {};
+  } catch {
+    return {};
+  }
+};
+
+const monthRange = (month) => {
+  const [year, m] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return { start: `${month}-01`, end: `${month}-${String(lastDay).padStart(2, '0')}` };
+};
+
+class BudgetService {
+  constructor() {
+    this.statuses = {
+      UNDER: 'under',
+      WARNING: 'warning',
+      OVER: 'over',
+      UNBUDGETED: 'unbudgeted'
+    };
+
+    this.alertLevels = {
+      WARNING: 'warning',
+      EXCEEDED: 'exceeded'
+    };
+
+    // Utilisation at which a category first warns, unless the budget sets its own threshold
+    this.defaultAlertThresholdPct = 90;
+  }
+
+  monthRange(month) {
+    return monthRange(month);
+  }
+
+  categoryKey(category) {
+    return String(category || UNCATEGORISED).trim().toLowerCase();
+  }
+
+  // Budgets in force for a month: a month-specific budget replaces the standing one for its category
+  resolveBudgets(budgets, month) {
+    const resolved = new Map();
+    for (const budget of budgets) {
+      if (budget.month && budget.month !== month) continue;
+      const key = this.categoryKey(budget.category);
+      const existing = resolved.get(key);
+      if (!existing || (!existing.month && budget.month)) resolved.set(key, budget);
+    }
+    return resolved;
+  }
+
+  // Actual spend per category from expense earnings, supplier bill lines and processed documents
+  // whose line items never reached earnings or a bill (e.g. held for review)
+  collectActuals({ earnings = [], bills = [], documents = [], recordedFileUrls = [], billedDocumentIds = [] }, { start, end }) {
+    const actuals = new Map();
+    const add = (category, amount, source) => {
+      if (!(amount > 0)) return;
+      const key = this.categoryKey(category);
+      if (!actuals.has(key)) {
+        actuals.set(key, { category: String(category || UNCATEGORISED).trim(), amount: 0, sources: { earnings: 0, bills: 0, documents: 0 } });
+      }
+      const entry = actuals.get(key);
+      entry.amount = round2(entry.amount + amount);
+      entry.sources[source] = round2(entry.sources[source] + amount);
+    };
+
+    const recorded = new Set(recordedFileUrls);
+    const billed = new Set(billedDocumentIds);
+
+    for (const earning of earnings) {
+      // Bill payments settle spend already counted on the bill
+      if (earning.doc_type === 'bill_payment') continue;
+      // Cost of goods sold over the counter, not spend
+      if (ledgerService.stockCostedDocTypes.includes(earning.doc_type)) continue;
+      if (earning.earning_date < start || earning.earning_date > end) continue;
+      add(earning.transaction_category, Number(earning.inventory_cost) || 0, 'earnings');
+    }
+
+    for (const bill of bills) {
+      if (bill.bill_date < start || bill.bill_date > end) continue;
+      for (const line of bill.supplier_bill_lines || []) {
+        add(line.category || 'Supplier bills', Number(line.line_total) || 0, 'bills');
+      }
+    }
+
+    for (const document of documents) {
+      if (billed.has(document.id) || recorded.has(document.file_url)) continue;
+
+      const extracted = parseExtracted(document);
+      const date = extracted.date_range?.start_date || String(document.created_at || '').split('T')[0];
+      if (!date || date < start || date > end) continue;
+
+      for (const item of extracted.line_items || []) {
+        if (item.type !== 'expense') continue;
+        add(item.category, Number(item.amount) || 0, 'documents');
+      }
+    }
+
+    return actuals;
+  }
+
+  statusFor(actual, budget) {
+    if (!budget) return this.statuses.UNBUDGETED;
+    const amount = Number(budget.amount) || 0;
+    if (actual > amount) return this.statuses.OVER;
+    const threshold = budget.alert_threshold_pct ?? this.defaultAlertThresholdPct;
+    if (amount > 0 && (actual / amount) * 100 >= threshold) return this.statuses.WARNING;
+    return this.statuses.UNDER;
+  }
+
+  // Budget against actual per category for one month. Without category budgets the profile's
+  // monthly_expenses figure acts as the overall budget.
+  buildVarianceReport(budgets, actuals, month, profileMonthlyExpenses = null) {
+    const resolved = this.resolveBudgets(budgets, month);
+    const keys = new Set([...resolved.keys(), ...actuals.keys()]);
+
+    const categories = Array.from(keys).map((key) => {
+      const budget = resolved.get(key) || null;
+      const actual = actuals.get(key)?.amount || 0;
+      const budgeted = budget ? round2(budget.amount) : null;
+
+      return {
+        category: budget?.category || actuals.get(key).category,
+        budget_id: budget?.id || null,
+        budget: budgeted,
+        actual: round2(actual),
+        variance: budgeted === null ? null : round2(budgeted - actual),
+        utilisation_pct: budgeted ? round2((actual / budgeted) * 100) : null,
+        status: this.statusFor(actual, budget),
+        sources: actuals.get(key)?.sources || { earnings: 0, bills: 0, documents: 0 }
+      };
+    }).sort((a, b) => (a.variance ?? Infinity) - (b.variance ?? Infinity) || b.actual - a.actual);
+
+    const totalActual = round2(categories.reduce((sum, c) => sum + c.actual, 0));
+    const categoryBudgetTotal = round2(categories.reduce((sum, c) => sum + (c.budget || 0), 0));
+    const useProfile = resolved.size === 0 && Number(profileMonthlyExpenses) > 0;
+    const totalBudget = useProfile ? round2(profileMonthlyExpenses) : categoryBudgetTotal;
+
+    return {
+      month,
+      categories,
+      totals: {
+        budget: totalBudget,
+        budget_source: useProfile ? 'profile_monthly_expenses' : 'category_budgets',
+        actual: totalActual,
+        unbudgeted_actual: round2(categories.filter((c) => c.budget === null).reduce((sum, c) => sum + c.actual, 0)),
+        variance: round2(totalBudget - totalActual),
+        utilisation_pct: totalBudget > 0 ? round2((totalActual / totalBudget) * 100) : null,
+        status: totalBudget > 0
+          ? this.statusFor(totalActual, { amount: totalBudget, alert_threshold_pct: this.defaultAlertThresholdPct })
+          : this.statuses.UNBUDGETED
+      }
+    };
+  }
+
+  // Alerts a report calls for, before de-duplication against alerts already sent this month.
+  // Total spend only alerts when the profile figure is the budget; otherwise the categories already cover it.
+  alertsFor(report) {
+    const alerts = [];
+    const rows = [
+      ...report.categories.filter((c) => c.budget !== null),
+      ...(report.totals.budget_source === 'profile_monthly_expenses' && report.totals.budget > 0
+        ? [{ ...report.totals, category: 'Total spend', budget_id: null }]
+        : [])
+    ];
+
+    for (const row of rows) {
+      const level = row.status === this.statuses.OVER
+        ? this.alertLevels.EXCEEDED
+        : row.status === this.statuses.WARNING ? this.alertLevels.WARNING : null;
+      if (!level) continue;
+
+      alerts.push({
+        month: report.month,
+        category: row.category,
+        budget_id: row.budget_id,
+        level,
+        budget: row.budget,
+        actual: row.actual,
+        utilisation_pct: row.utilisation_pct
+      });
+    }
+    return alerts;
+  }
+
+  async loadMonthData(supabase, userId, month) {
+    const { start, end } = monthRange(month);
+    // Documents are dated by their contents and usually uploaded after the purchase
+    const uploadedBy = new Date(`${end}T23:59:59Z`);
+    uploadedBy.setUTCDate(uploadedBy.getUTCDate() + 60);
+
+    const [budgetsResult, earningsResult, billsResult, documentsResult, profileResult] = await Promise.all([
+      supabase.from('budgets').select('*').eq('user_id', userId),
+      supabase
+        .from('earnings')
+        .select('earning_date, inventory_cost, transaction_category, doc_type')
+        .eq('user_id', userId)
+        .gte('earning_date', start)
+        .lte('earning_date', end)
+        .gt('inventory_cost', 0),
+      supabase
+        .from('supplier_bills')
+        .select('id, bill_date, supplier_bill_lines(category, line_total)')
+        .eq('user_id', userId)
+        .gte('bill_date', start)
+        .lte('bill_date', end),
+      supabase
+        .from('documents')
+        .select('id, file_url, extracted_text, created_at')
+        .eq('user_id', userId)
+        .gte('created_at', `${start}T00:00:00Z`)
+        .lte('created_at', uploadedBy.toISOString()),
+      supabase.from('profiles').select('monthly_expenses').eq('id', userId).single()
+    ]);
+
+    const failed = [budgetsResult, earningsResult, billsResult, documentsResult].find((r) => r.error);
+    if (failed) throw failed.error;
+
+    // Documents already turned into earnings rows or bills are counted there, whatever their date
+    const documents = documentsResult.data || [];
+    const fileUrls = documents.map((d) => d.file_url).filter(Boolean);
+    const [{ data: documentEarnings }, { data: documentBills }] = documents.length
+      ? await Promise.all([
+        supabase.from('earnings').select('file_url').eq('user_id', userId).in('file_url', fileUrls),
+        supabase.from('supplier_bills').select('document_id').eq('user_id', userId).in('document_id', documents.map((d) => d.id))
+      ])
+      : [{ data: [] }, { data: [] }];
+
+    return {
+      budgets: budgetsResult.data || [],
+      earnings: earningsResult.data || [],
+      bills: billsResult.data || [],
+      documents,
+      recordedFileUrls: (documentEarnings || []).map((e) => e.file_url),
+      billedDocumentIds: (documentBills || []).map((b) => b.document_id),
+      monthlyExpenses: profileResult.data?.monthly_expenses ?? null
+    };
+  }
+
+  async buildReport(supabase, userId, month) {
+    const data = await this.loadMonthData(supabase, userId, month);
+    const actuals = this.collectActuals(data, monthRange(month));
+    return this.buildVarianceReport(data.budgets, actuals, month, data.monthlyExpenses);
+  }
+
+  // Record and push any warning/exceeded alert not already sent for this month, category and level
+  async checkOverspend(supabase, userId, month, report = null) {
+    const variance = report || await this.buildReport(supabase, userId, month);
+    const candidates = this.alertsFor(variance);
+    if (candidates.length === 0) return [];
+
+    const { data: sent, error } = await supabase
+      .from('budget_alerts')
+      .select('category, level')
+      .eq('user_id', userId)
+      .eq('month', month);
+
+    if (error) throw error;
+
+    const sentKeys = new Set((sent || []).map((a) => `${this.categoryKey(a.category)}|${a.level}`));
+    const fresh = candidates.filter((a) => !sentKeys.has(`${this.categoryKey(a.category)}|${a.level}`));
+    if (fresh.length === 0) return [];
+
+    const { data: saved, error: insertError } = await supabase
+      .from('budget_alerts')
+      .insert(fresh.map((alert) => ({ user_id: userId, ...alert })))
+      .select();
+
+    if (insertError) throw insertError;
+
+    for (const alert of fresh) {
+      this.notify(userId, alert);
+    }
+    return saved || fresh;
+  }
+
+  notify(userId, alert) {
+    const exceeded = alert.level === this.alertLevels.EXCEEDED;
+    notificationService.notifyUser(userId, {
+      type: 'budget_overspend',
+      priority: exceeded ? 'high' : 'medium',
+      title: exceeded ? 'Budget Exceeded' : 'Budget Nearly Spent',
+      message: exceeded
+        ? `${alert.category} spend of ₹${alert.actual} is over the ₹${alert.budget} budget for ${alert.month}`
+        : `${alert.category} has used ${alert.utilisation_pct}% of its ₹${alert.budget} budget for ${alert.month}`,
+      data: alert,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Hook for expense write paths: checks each month touched; failures are logged, never surfaced
+  async safeCheck(supabase, userId, dates) {
+    const months = new Set((dates || []).filter(Boolean).map((date) => String(date).substring(0, 7)));
+    for (const month of months) {
+      try {
+        await this.checkOverspend(supabase, userId, month);
+      } catch (error) {
+        console.error(`Budget check error (${month}):`, error);
+      }
+    }
+  }
+}
+
+module.exports = new BudgetService();
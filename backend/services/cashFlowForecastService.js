@@ -0,0 +1,324 @@
+const seasonalDemandService = require('./seasonalDemandService');
+const formalLearningService = require('./formalLearningService');
+const ledgerService = require('./ledgerService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const monthOf = (date) => Number(String(date).substring(5, 7));
+
+// Earnings rows that settle invoices or bills; those balances are forecast from their due dates instead
+const SETTLEMENT_DOC_TYPES = ['invoice_payment', 'bill_payment'];
+// Earnings rows posted from recurring templates; the templates themselves are forecast instead
+const RECURRING_DOC_TYPE = 'recurring';
+
+const EMPTY_DAY = { receivables: 0, payables: 0, recurring: 0, recurring_in: 0, one_off_in: 0, one_off_out: 0 };
+
+class CashFlowForecastService {
+  constructor() {
+    this.weeks = 13;
+    // Trailing window used for the weekly run rate
+    this.historyWeeks = 13;
+    // An expense is treated as recurring once it appears in this many distinct months at a steady amount,
+    // about once a month (frequent purchases from one vendor stay in the run rate)
+    this.recurringMinMonths = 3;
+    this.recurringMaxPerMonth = 1.5;
+    this.recurringMaxVariation = 0.2;
+  }
+
+  addDays(date, days) {
+    return addDays(date, days);
+  }
+
+  // Monthly seasonal multipliers from the business's own revenue history, through the same
+  // trend analysis seasonalDemandService runs on product demand. Falls back to its default pattern.
+  buildSeasonalMultipliers(earnings, businessCategory) {
+    const monthlyData = {};
+    for (const earning of earnings) {
+      const revenue = Number(earning.amount) || 0;
+      if (revenue <= 0 || SETTLEMENT_DOC_TYPES.includes(earning.doc_type)) continue;
+
+      const key = String(earning.earning_date).substring(0, 7);
+      if (!monthlyData[key]) {
+        monthlyData[key] = { month: monthOf(earning.earning_date), year: Number(key.substring(0, 4)), totalQuantity: 0 };
+      }
+      monthlyData[key].totalQuantity += revenue;
+    }
+
+    const trends = seasonalDemandService.identifySeasonalTrends(monthlyData);
+    const learned = Object.keys(trends.seasonal_multipliers).length >= 6;
+    const multipliers = learned
+      ? trends.seasonal_multipliers
+      : seasonalDemandService.getDefaultSeasonalPattern(null, businessCategory).seasonalTrends.seasonal_multipliers;
+
+    const result = {};
+    for (let month = 1; month <= 12; month++) {
+      result[month] = round2(multipliers[month] || 1);
+    }
+    return { multipliers: result, source: learned ? 'history' : 'default' };
+  }
+
+  // Steady monthly expenses (rent, salaries, subscriptions) keyed by vendor or category
+  detectRecurringExpenses(earnings) {
+    const groups = new Map();
+
+    for (const earning of earnings) {
+      const cost = Number(earning.inventory_cost) || 0;
+      if (cost <= 0 || SETTLEMENT_DOC_TYPES.includes(earning.doc_type) || earning.doc_type === RECURRING_DOC_TYPE) continue;
+      if (ledgerService.stockCostedDocTypes.includes(earning.doc_type)) continue;
+
+      const key = formalLearningService.normaliseDescription(earning.vendor_name) ||
+        formalLearningService.normaliseDescription(earning.transaction_category);
+      if (!key) continue;
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(earning);
+    }
+
+    const recurring = [];
+    for (const [key, rows] of groups) {
+      const byMonth = new Map();
+      for (const row of rows) {
+        const month = String(row.earning_date).substring(0, 7);
+        byMonth.set(month, (byMonth.get(month) || 0) + Number(row.inventory_cost));
+      }
+      if (byMonth.size < this.recurringMinMonths || rows.length / byMonth.size > this.recurringMaxPerMonth) continue;
+
+      const amounts = Array.from(byMonth.values());
+      const mean = amounts.reduce((sum, a) => sum + a, 0) / amounts.length;
+      const deviation = Math.sqrt(amounts.reduce((sum, a) => sum + (a - mean) ** 2, 0) / amounts.length);
+      if (mean <= 0 || deviation / mean > this.recurringMaxVariation) continue;
+
+      const days = rows.map((row) => Number(String(row.earning_date).substring(8, 10))).sort((a, b) => a - b);
+      const latest = rows.reduce((a, b) => (a.earning_date > b.earning_date ? a : b));
+
+      recurring.push({
+        key,
+        description: latest.vendor_name || latest.transaction_category || key,
+        category: latest.transaction_category || null,
+        amount: round2(mean),
+        day_of_month: days[Math.floor(days.length / 2)],
+        months_seen: byMonth.size,
+        earning_ids: rows.map((row) => row.id)
+      });
+    }
+
+    return recurring.sort((a, b) => b.amount - a.amount);
+  }
+
+  // Dates in [start, end] falling on the given day of the month (clamped to short months)
+  monthlyDates(dayOfMonth, start, end) {
+    const dates = [];
+    let year = Number(start.substring(0, 4));
+    let month = Number(start.substring(5, 7));
+
+    while (true) {
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(Math.min(dayOfMonth, lastDay)).padStart(2, '0')}`;
+      if (date > end) break;
+      if (date >= start) dates.push(date);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return dates;
+  }
+
+  // Average weekly receipts and spend over the trailing window, with recurring, templated and settlement rows left out
+  // and the seasonal effect of the window's months divided back out
+  buildRunRate(earnings, recurring, multipliers, asOf) {
+    const windowStart = addDays(asOf, -this.historyWeeks * 7);
+    const recurringIds = new Set(recurring.flatMap((r) => r.earning_ids));
+    const inWindow = earnings.filter((e) => e.earning_date > windowStart && e.earning_date <= asOf);
+
+    let receipts = 0;
+    let spend = 0;
+    for (const earning of inWindow) {
+      if (SETTLEMENT_DOC_TYPES.includes(earning.doc_type) || earning.doc_type === RECURRING_DOC_TYPE) continue;
+      receipts += Number(earning.amount) || 0;
+      // The cost of goods on sales bills and credit notes is stock already paid for, not spend
+      if (recurringIds.has(earning.id) || ledgerService.stockCostedDocTypes.includes(earning.doc_type)) continue;
+      spend += Number(earning.inventory_cost) || 0;
+    }
+
+    // Average multiplier across the days of the window
+    let multiplierSum = 0;
+    for (let i = 1; i <= this.historyWeeks * 7; i++) {
+      multiplierSum += multipliers[monthOf(addDays(windowStart, i))] || 1;
+    }
+    const windowMultiplier = multiplierSum / (this.historyWeeks * 7) || 1;
+
+    // Businesses younger than the window are averaged over the weeks they actually have
+    const firstDate = earnings.reduce((min, e) => (!min || e.earning_date < min ? e.earning_date : min), null);
+    const weeksOfHistory = firstDate
+      ? Math.min(this.historyWeeks, Math.max(1, Math.ceil((daysBetween(firstDate, asOf) + 1) / 7)))
+      : this.historyWeeks;
+
+    return {
+      weekly_receipts: round2(receipts / weeksOfHistory / windowMultiplier),
+      weekly_spend: round2(spend / weeksOfHistory / windowMultiplier),
+      weeks_of_history: weeksOfHistory,
+      window_multiplier: round2(windowMultiplier)
+    };
+  }
+
+  // Occurrences in the horizon per recurring template
+  summariseScheduled(scheduled, excluded) {
+    const byTemplate = new Map();
+    for (const occurrence of scheduled) {
+      if (!byTemplate.has(occurrence.template_id)) {
+        byTemplate.set(occurrence.template_id, {
+          template_id: occurrence.template_id,
+          name: occurrence.name,
+          type: occurrence.type,
+          occurrences: 0,
+          total: 0,
+          excluded: excluded.has(occurrence.template_id)
+        });
+      }
+      const entry = byTemplate.get(occurrence.template_id);
+      entry.occurrences += 1;
+      entry.total = round2(entry.total + occurrence.amount);
+    }
+    return Array.from(byTemplate.values());
+  }
+
+  // Day-by-day projection rolled up into weeks.
+  // scenario: { opening_balance, revenue_change_pct, expense_change_pct, collection_delay_days,
+  //             payment_delay_days, min_balance, exclude_recurring: [key], one_off: [{ date, amount, description }] }
+  // scheduled: pending occurrences of recurring templates ({ template_id, name, date, amount, type });
+  //            exclude_recurring also takes template ids
+  buildForecast({ asOf, openingBalance, earnings, invoices, bills, multipliers, recurring, scheduled = [], scenario = {} }) {
+    const start = addDays(asOf, 1);
+    const end = addDays(asOf, this.weeks * 7);
+    const runRate = this.buildRunRate(earnings, recurring, multipliers, asOf);
+
+    const revenueFactor = 1 + (Number(scenario.revenue_change_pct) || 0) / 100;
+    const expenseFactor = 1 + (Number(scenario.expense_change_pct) || 0) / 100;
+    const collectionDelay = Number(scenario.collection_delay_days) || 0;
+    const paymentDelay = Number(scenario.payment_delay_days) || 0;
+    const threshold = Number(scenario.min_balance) || 0;
+    const excluded = new Set(scenario.exclude_recurring || []);
+
+    // Dated items: overdue balances are expected on the first forecast day
+    const dated = new Map();
+    const addDated = (date, field, amount) => {
+      const day = date < start ? start : date;
+      if (day > end || !amount) return;
+      if (!dated.has(day)) dated.set(day, { ...EMPTY_DAY });
+      dated.get(day)[field] += amount;
+    };
+
+    for (const invoice of invoices) {
+      const due = addDays(invoice.due_date || invoice.issue_date, collectionDelay);
+      addDated(due, 'receivables', Number(invoice.outstanding) || 0);
+    }
+    for (const bill of bills) {
+      const due = addDays(bill.due_date || bill.bill_date, paymentDelay);
+      addDated(due, 'payables', Number(bill.outstanding) || 0);
+    }
+    for (const item of recurring) {
+      if (excluded.has(item.key)) continue;
+      for (const date of this.monthlyDates(item.day_of_month, start, end)) {
+        addDated(date, 'recurring', item.amount * expenseFactor);
+      }
+    }
+    for (const occurrence of scheduled) {
+      if (excluded.has(occurrence.template_id)) continue;
+      if (occurrence.type === 'income') addDated(occurrence.date, 'recurring_in', occurrence.amount);
+      else addDated(occurrence.date, 'recurring', occurrence.amount * expenseFactor);
+    }
+    for (const item of scenario.one_off || []) {
+      const amount = Number(item.amount) || 0;
+      addDated(item.date, amount >= 0 ? 'one_off_in' : 'one_off_out', Math.abs(amount));
+    }
+
+    const weeks = [];
+    let balance = round2(openingBalance);
+    let lowBalanceDate = null;
+    let lowest = { balance, date: asOf };
+
+    for (let w = 0; w < this.weeks; w++) {
+      const weekStart = addDays(start, w * 7);
+      const week = {
+        week_number: w + 1,
+        week_start: weekStart,
+        week_end: addDays(weekStart, 6),
+        opening_balance: balance,
+        inflows: { sales: 0, receivables: 0, recurring: 0, one_off: 0, total: 0 },
+        outflows: { expenses: 0, recurring: 0, payables: 0, one_off: 0, total: 0 },
+        seasonal_multiplier: multipliers[monthOf(addDays(weekStart, 3))] || 1
+      };
+
+      for (let d = 0; d < 7; d++) {
+        const day = addDays(weekStart, d);
+        const multiplier = multipliers[monthOf(day)] || 1;
+        const items = dated.get(day) || EMPTY_DAY;
+
+        const sales = (runRate.weekly_receipts / 7) * multiplier * revenueFactor;
+        const expenses = (runRate.weekly_spend / 7) * multiplier * expenseFactor;
+
+        week.inflows.sales += sales;
+        week.inflows.receivables += items.receivables;
+        week.inflows.recurring += items.recurring_in;
+        week.inflows.one_off += items.one_off_in;
+        week.outflows.expenses += expenses;
+        week.outflows.recurring += items.recurring;
+        week.outflows.payables += items.payables;
+        week.outflows.one_off += items.one_off_out;
+
+        balance += sales + items.receivables + items.recurring_in + items.one_off_in - expenses - items.recurring - items.payables - items.one_off_out;
+
+        if (balance < lowest.balance) lowest = { balance: round2(balance), date: day };
+        if (!lowBalanceDate && balance < threshold) lowBalanceDate = day;
+      }
+
+      for (const group of [week.inflows, week.outflows]) {
+        for (const key of Object.keys(group)) group[key] = round2(group[key]);
+        group.total = round2(Object.entries(group).reduce((sum, [key, v]) => (key === 'total' ? sum : sum + v), 0));
+      }
+      week.net = round2(week.inflows.total - week.outflows.total);
+      balance = round2(balance);
+      week.closing_balance = balance;
+      weeks.push(week);
+    }
+
+    return {
+      as_of: asOf,
+      horizon: { start, end, weeks: this.weeks },
+      opening_balance: round2(openingBalance),
+      closing_balance: balance,
+      low_balance_warning: {
+        threshold,
+        breached: Boolean(lowBalanceDate),
+        date: lowBalanceDate,
+        week_number: lowBalanceDate ? Math.floor(daysBetween(start, lowBalanceDate) / 7) + 1 : null,
+        lowest_balance: lowest.balance,
+        lowest_balance_date: lowest.date
+      },
+      weeks,
+      assumptions: {
+        ...runRate,
+        recurring_expenses: recurring.map(({ earning_ids, ...item }) => ({ ...item, excluded: excluded.has(item.key) })),
+        scheduled_transactions: this.summariseScheduled(scheduled, excluded),
+        open_receivables: round2(invoices.reduce((sum, i) => sum + (Number(i.outstanding) || 0), 0)),
+        open_payables: round2(bills.reduce((sum, b) => sum + (Number(b.outstanding) || 0), 0)),
+        seasonal_multipliers: multipliers
+      }
+    };
+  }
+}
+
+module.exports = new CashFlowForecastService();
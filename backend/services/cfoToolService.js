@@ -0,0 +1,340 @@
+const { getAuthenticatedClient } = require('../config/supabase');
+const budgetService = require('./budgetService');
+const { getMonthlyRevenue, getRevenueBreakdown, getRevenueComparison } = require('../controllers/revenueController');
+const { getDetailedComparison } = require('../controllers/comparisonController');
+const { getInventorySummary } = require('../controllers/inventoryController');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// Run a GET handler for the chat's own request and hand back its payload; 4xx/5xx replies reject.
+// The handler reads with req.accessToken, so a tool sees exactly what the caller could fetch themselves.
+const runHandler = (handler, req, query = {}) =>
+  new Promise((resolve, reject) => {
+    const fakeReq = { ...req, method: 'GET', query, params: {}, body: {} };
+    const fakeRes = {
+      status: (code) => ({
+        json: (payload) => {
+          if (code >= 400) reject(Object.assign(new Error(payload?.error || 'Request failed'), { code }));
+          else resolve(payload);
+        }
+      }),
+      json: (payload) => resolve(payload)
+    };
+
+    Promise.resolve(handler(fakeReq, fakeRes, reject)).catch(reject);
+  });
+
+const dataOf = (payload) => (payload && payload.data !== undefined ? payload.data : payload);
+
+const monthProperty = { type: 'string', description: 'Month as YYYY-MM' };
+const rangeProperties = {
+  from: { type: 'string', description: 'First day, YYYY-MM-DD' },
+  to: { type: 'string', description: 'Last day, YYYY-MM-DD' }
+};
+
+// Read-only data tools for the CFO chat. Each tool is described to the model as a function and runs under
+// the caller's Supabase token; nothing here writes. Results are trimmed before they go back to the model.
+class CfoToolService {
+  constructor() {
+    // Longest list passed back to the model from any one tool result
+    this.maxListLength = 25;
+
+    // Model round trips allowed for tool calls before it has to answer
+    this.maxToolRounds = 4;
+
+    this.tools = {
+      get_monthly_revenue: {
+        description: 'Revenue, expenses, net profit, cost of goods sold and gross profit for one month.',
+        parameters: { type: 'object', properties: { month: monthProperty }, required: ['month'] },
+        run: async (req, { month }) => dataOf(await runHandler(getMonthlyRevenue, req, { month }))
+      },
+
+      get_revenue_breakdown: {
+        description: 'Day-by-day and week-by-week revenue, expenses and profit for one month, with its best and worst day.',
+        parameters: { type: 'object', properties: { month: monthProperty }, required: ['month'] },
+        run: async (req, { month }) => dataOf(await runHandler(getRevenueBreakdown, req, { month }))
+      },
+
+      compare_months: {
+        description: 'One month against the month before it: revenue, expenses, profit, the changes and what drove them.',
+        parameters: { type: 'object', properties: { month: monthProperty }, required: ['month'] },
+        run: async (req, { month }) => {
+          const [detailed, summary] = await Promise.all([
+            runHandler(getDetailedComparison, req, { month }),
+            runHandler(getRevenueComparison, req, { month })
+          ]);
+          return { ...dataOf(summary), detailed: dataOf(detailed) };
+        }
+      },
+
+      get_inventory_summary: {
+        description: 'Current stock per item with reorder levels and low-stock status. Optionally only low-stock items.',
+        parameters: {
+          type: 'object',
+          properties: { low_stock_only: { type: 'boolean', description: 'Only items at or below their reorder level' } }
+        },
+        run: async (req, { low_stock_only: lowStockOnly = false }) => {
+          const { items = [] } = dataOf(await runHandler(getInventorySummary, req)) || {};
+          const listed = lowStockOnly ? items.filter((item) => item.is_low_stock) : items;
+          return { item_count: items.length, items: listed };
+        }
+      },
+
+      get_spending_by_category: {
+        description: 'Money spent per expense category between two dates, from recorded expenses and supplier bills. '
+          + 'Use for questions like "what did I spend on packaging last quarter".',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...rangeProperties,
+            category: { type: 'string', description: 'Only categories whose name contains this text' }
+          },
+          required: ['from', 'to']
+        },
+        run: async (req, args) => this.spendingByCategory(req, args)
+      },
+
+      get_top_suppliers: {
+        description: 'Suppliers and vendors ranked by spend between two dates.',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...rangeProperties,
+            limit: { type: 'integer', description: 'How many suppliers to return (default 10)' }
+          },
+          required: ['from', 'to']
+        },
+        run: async (req, args) => this.topSuppliers(req, args)
+      }
+    };
+  }
+
+  // System prompt for a tool-calling chat: the business context, today's date for working out periods
+  // such as "last quarter", and the rule that figures come from tools rather than guesses
+  instructions(profile = {}, today = new Date().toISOString().split('T')[0]) {
+    return `You are a Virtual CFO assistant for small and medium businesses in India.
+Provide practical, actionable financial advice based on the user's business context and their own books.
+
+User Business Context:
+- Business Name: ${profile?.business_name || 'Not specified'}
+- Business Type: ${profile?.business_type || 'Not specified'}
+- Location: ${profile?.location || 'India'}
+- Today's date: ${today}
+
+Guidelines:
+- For any figure about this business (revenue, spend, profit, stock, suppliers), call a tool and answer from its result
+- Work out date ranges yourself (e.g. last quarter, this financial year from 1 April) before calling a tool
+- If the tools return no data for the period, say so instead of estimating
+- Use ₹ for amounts and mention the period the numbers cover
+- Keep responses concise, with specific next steps`;
+  }
+
+  // Function definitions in the chat completions `tools` format
+  definitions() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      type: 'function',
+      function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  checkArguments(args) {
+    if (args.month !== undefined && !MONTH_PATTERN.test(String(args.month))) return 'month must be YYYY-MM';
+    for (const field of ['from', 'to']) {
+      if (args[field] !== undefined && !DATE_PATTERN.test(String(args[field]))) return `${field} must be YYYY-MM-DD`;
+    }
+    if (args.from && args.to && args.from > args.to) return 'from must not be after to';
+    return null;
+  }
+
+  // Run a tool call from the model. Never throws: failures come back as { ok: false, error } for the model to read.
+  async execute(name, rawArguments, req) {
+    const tool = this.tools[name];
+    if (!tool) return { ok: false, error: `Unknown tool ${name}` };
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+      return { ok: false, error: 'Arguments were not valid JSON' };
+    }
+
+    const invalid = this.checkArguments(args);
+    if (invalid) return { ok: false, error: invalid };
+
+    try {
+      return { ok: true, result: this.compact(await tool.run(req, args)) };
+    } catch (error) {
+      console.error(`CFO chat tool ${name} error:`, error);
+      return { ok: false, error: error.code ? error.message : 'The data could not be read' };
+    }
+  }
+
+  // Answer a conversation, letting the model call tools as it goes. Text streams through onEvent('token'),
+  // and each call and its result through onEvent('tool_call') / onEvent('tool_result'). After maxToolRounds
+  // the model must answer from what it has. Returns { text, tool_calls, token_count }.
+  async converse(client, req, { messages, model, maxTokens = 1500, temperature = 0.7, signal, onEvent = () => {} }) {
+    const conversation = [...messages];
+    const toolCalls = [];
+    let text = '';
+    let tokenCount = 0;
+
+    for (let round = 0; round <= this.maxToolRounds; round += 1) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages: conversation,
+        tools: this.definitions(),
+        tool_choice: round < this.maxToolRounds ? 'auto' : 'none',
+        max_tokens: maxTokens,
+        temperature,
+        stream: true
+      }, { signal });
+
+      // Tool call arguments arrive in fragments, keyed by the call's index
+      const pending = [];
+      let roundText = '';
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) {
+          roundText += delta.content;
+          tokenCount += 1;
+          onEvent('token', { text: delta.content, tokenCount });
+        }
+        for (const fragment of delta?.tool_calls || []) {
+          const call = pending[fragment.index] || (pending[fragment.index] = { id: null, name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        }
+      }
+
+      text += roundText;
+      const calls = pending.filter(Boolean);
+      if (calls.length === 0) break;
+
+      conversation.push({
+        role: 'assistant',
+        content: roundText || null,
+        tool_calls: calls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+      });
+
+      for (const call of calls) {
+        onEvent('tool_call', { id: call.id, name: call.name, arguments: call.arguments });
+        const outcome = await this.execute(call.name, call.arguments, req);
+        onEvent('tool_result', { id: call.id, name: call.name, ...outcome });
+        toolCalls.push({ name: call.name, arguments: call.arguments, ok: outcome.ok });
+
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error })
+        });
+      }
+    }
+
+    return { text, tool_calls: toolCalls, token_count: tokenCount };
+  }
+
+  // Cut long lists down so a result stays a reasonable size for the model
+  compact(value, depth = 0) {
+    if (Array.isArray(value)) {
+      const kept = value.slice(0, this.maxListLength).map((entry) => this.compact(entry, depth + 1));
+      return value.length > kept.length ? { items: kept, total: value.length, truncated: true } : kept;
+    }
+    if (value && typeof value === 'object' && depth < 6) {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.compact(entry, depth + 1)]));
+    }
+    return value;
+  }
+
+  async spendingByCategory(req, { from, to, category = null }) {
+    const supabase = getAuthenticatedClient(req.accessToken);
+    const [earningsResult, billsResult] = await Promise.all([
+      supabase
+        .from('earnings')
+        .select('earning_date, inventory_cost, transaction_category, doc_type')
+        .eq('user_id', req.user.id)
+        .gte('earning_date', from)
+        .lte('earning_date', to)
+        .gt('inventory_cost', 0),
+      supabase
+        .from('supplier_bills')
+        .select('id, bill_date, supplier_bill_lines(category, line_total)')
+        .eq('user_id', req.user.id)
+        .gte('bill_date', from)
+        .lte('bill_date', to)
+    ]);
+
+    const failed = [earningsResult, billsResult].find((result) => result.error);
+    if (failed) throw failed.error;
+
+    // Sales carry the cost of the goods sold, which is not spending
+    const earnings = (earningsResult.data || []).filter((e) => !['sales_bill', 'sales_return'].includes(e.doc_type));
+    const actuals = budgetService.collectActuals({ earnings, bills: billsResult.data || [] }, { start: from, end: to });
+
+    const wanted = category ? String(category).trim().toLowerCase() : null;
+    const categories = [...actuals.values()]
+      .filter((entry) => !wanted || entry.category.toLowerCase().includes(wanted))
+      .sort((a, b) => b.amount - a.amount);
+
+    return {
+      from,
+      to,
+      total: round2(categories.reduce((sum, entry) => sum + entry.amount, 0)),
+      categories
+    };
+  }
+
+  async topSuppliers(req, { from, to, limit = 10 }) {
+    const supabase = getAuthenticatedClient(req.accessToken);
+    const [billsResult, earningsResult] = await Promise.all([
+      supabase
+        .from('supplier_bills')
+        .select('total, bill_date, supplier_profiles(id, name)')
+        .eq('user_id', req.user.id)
+        .gte('bill_date', from)
+        .lte('bill_date', to),
+      supabase
+        .from('earnings')
+        .select('vendor_name, inventory_cost, doc_type')
+        .eq('user_id', req.user.id)
+        .gte('earning_date', from)
+        .lte('earning_date', to)
+        .gt('inventory_cost', 0)
+    ]);
+
+    const failed = [billsResult, earningsResult].find((result) => result.error);
+    if (failed) throw failed.error;
+
+    const bySupplier = new Map();
+    const add = (name, amount, source) => {
+      if (!name || !(amount > 0)) return;
+      const key = name.trim().toLowerCase();
+      if (!bySupplier.has(key)) bySupplier.set(key, { name: name.trim(), spend: 0, bills: 0, expenses: 0 });
+      const entry = bySupplier.get(key);
+      entry.spend = round2(entry.spend + amount);
+      entry[source] += 1;
+    };
+
+    for (const bill of billsResult.data || []) {
+      add(bill.supplier_profiles?.name, Number(bill.total) || 0, 'bills');
+    }
+    // Bill payments settle spend already counted on the bill; sales name customers, not suppliers
+    for (const earning of earningsResult.data || []) {
+      if (['bill_payment', 'sales_bill', 'sales_return'].includes(earning.doc_type)) continue;
+      add(earning.vendor_name, Number(earning.inventory_cost) || 0, 'expenses');
+    }
+
+    const ranked = [...bySupplier.values()].sort((a, b) => b.spend - a.spend);
+    return {
+      from,
+      to,
+      supplier_count: ranked.length,
+      suppliers: ranked.slice(0, Math.min(Math.max(parseInt(limit, 10) || 10, 1), this.maxListLength))
+    };
+  }
+}
+
+module.exports = new CfoToolService();
@@ -0,0 +1,396 @@
+const { openai } = require('../config/openai');
+
+// Conversation threads. Messages stay in conversation_history keyed by conversation_id; a
+// conversation_threads row (id = conversation_id) holds what the user sets on the thread: its title,
+// whether it is pinned or archived. Threads that predate the table get a row the first time they are listed.
+class ConversationService {
+  constructor() {
+    this.titleSources = {
+      AUTO: 'auto',
+      USER: 'user'
+    };
+
+    this.titleMaxLength = 80;
+    this.previewLength = 120;
+    // Earlier messages sent back to the model when a thread is continued
+    this.contextMessageLimit = 20;
+    this.searchResultLimit = 50;
+  }
+
+  // First few words of the opening message, used when the model cannot title the thread
+  fallbackTitle(message) {
+    const words = String(message || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    if (words.length === 0) return 'New conversation';
+    const title = words.slice(0, 6).join(' ');
+    return (words.length > 6 ? `${title}...` : title).slice(0, this.titleMaxLength);
+  }
+
+  // Short title for a new thread from its first exchange
+  async generateTitle(userMessage, aiResponse) {
+    try {
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content: 'Write a title of at most 6 words for this conversation between a small business owner and their financial assistant. Reply with the title only, no quotes or punctuation at the end.'
+          },
+          { role: 'user', content: `Question: ${userMessage}\n\nAnswer: ${String(aiResponse || '').slice(0, 500)}` }
+        ],
+        max_tokens: 20,
+        temperature: 0.3
+      });
+
+      const title = (completion.choices[0]?.message?.content || '').split('\n')[0].replace(/^["'\s]+|["'.\s]+$/g, '');
+      return title ? title.slice(0, this.titleMaxLength) : this.fallbackTitle(userMessage);
+    } catch (error) {
+      console.error('Conversation title error:', error.message);
+      return this.fallbackTitle(userMessage);
+    }
+  }
+
+  async loadThread(supabase, userId, conversationId) {
+    const { data } = await supabase
+      .from('conversation_threads')
+      .select('*')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    return data || null;
+  }
+
+  // Called after each stored exchange: a new thread gets an auto title, an existing one is brought back
+  // from the archive and moved to the top
+  async touchThread(supabase, userId, conversationId, userMessage, aiResponse) {
+    const now = new Date().toISOString();
+    const existing = await this.loadThread(supabase, userId, conversationId);
+
+    if (existing) {
+      const { error } = await supabase
+        .from('conversation_threads')
+        .update({ archived: false, updated_at: now })
+        .eq('id', conversationId)
+        .eq('user_id', userId);
+      if (error) throw error;
+      return existing;
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .insert({
+        id: conversationId,
+        user_id: userId,
+        title: await this.generateTitle(userMessage, aiResponse),
+        title_source: this.titleSources.AUTO,
+        pinned: false,
+        archived: false,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Message count, preview and first/last times per conversation_id
+  summarize(messages) {
+    const summaries = new Map();
+
+    messages.forEach((message) => {
+      let summary = summaries.get(message.conversation_id);
+      if (!summary) {
+        summary = {
+          first_message: message.message_content,
+          last_message: message.message_content,
+          started_at: message.created_at,
+          last_message_at: message.created_at,
+          message_count: 0
+        };
+        summaries.set(message.conversation_id, summary);
+      }
+
+      summary.message_count += 1;
+      if (message.created_at < summary.started_at) {
+        summary.started_at = message.created_at;
+        summary.first_message = message.message_content;
+      }
+      if (message.created_at >= summary.last_message_at) {
+        summary.last_message_at = message.created_at;
+        summary.last_message = message.message_content;
+      }
+    });
+
+    return summaries;
+  }
+
+  toThread(row, summary) {
+    return {
+      id: row.id,
+      conversation_id: row.id,
+      title: row.title,
+      title_source: row.title_source,
+      pinned: Boolean(row.pinned),
+      archived: Boolean(row.archived),
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      last_message: String(summary?.last_message || '').slice(0, this.previewLength),
+      last_message_at: summary?.last_message_at || row.updated_at,
+      message_count: summary?.message_count || 0
+    };
+  }
+
+  // Pinned threads first, then the most recently active
+  sortThreads(threads) {
+    return threads.sort((a, b) => {
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      return new Date(b.last_message_at) - new Date(a.last_message_at);
+    });
+  }
+
+  // Threads with their message stats; archived: true for the archive, null for both. Conversations
+  // without a thread row get one, titled from their first message.
+  async listThreads(supabase, userId, { archived = false } = {}) {
+    const [{ data: messages, error: messagesError }, { data: rows, error: threadsError }] = await Promise.all([
+      supabase
+        .from('conversation_history')
+        .select('conversation_id, message_type, message_content, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('conversation_threads')
+        .select('*')
+        .eq('user_id', userId)
+    ]);
+    if (messagesError) throw messagesError;
+    if (threadsError) throw threadsError;
+
+    const summaries = this.summarize(messages || []);
+    const threads = new Map((rows || []).map((row) => [row.id, row]));
+
+    const missing = [...summaries.entries()]
+      .filter(([conversationId]) => conversationId && !threads.has(conversationId))
+      .map(([conversationId, summary]) => ({
+        id: conversationId,
+        user_id: userId,
+        title: this.fallbackTitle(summary.first_message),
+        title_source: this.titleSources.AUTO,
+        pinned: false,
+        archived: false,
+        created_at: summary.started_at,
+        updated_at: summary.last_message_at
+      }));
+
+    if (missing.length > 0) {
+      const { data: created, error } = await supabase.from('conversation_threads').insert(missing).select();
+      if (error) {
+        console.error('Conversation thread backfill error:', error);
+      }
+      (created || missing).forEach((row) => threads.set(row.id, row));
+    }
+
+    const list = [...threads.values()]
+      .filter((row) => archived === null || Boolean(row.archived) === archived)
+      .map((row) => this.toThread(row, summaries.get(row.id)));
+
+    return this.sortThreads(list);
+  }
+
+  async loadMessages(supabase, userId, conversationId) {
+    const { data, error } = await supabase
+      .from('conversation_history')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The thread and its messages, or null when the user has no such conversation
+  async loadConversation(supabase, userId, conversationId) {
+    const [row, messages] = await Promise.all([
+      this.loadThread(supabase, userId, conversationId),
+      this.loadMessages(supabase, userId, conversationId)
+    ]);
+    if (!row && messages.length === 0) return null;
+
+    const summary = this.summarize(messages).get(conversationId);
+    const thread = row
+      ? this.toThread(row, summary)
+      : this.toThread({
+        id: conversationId,
+        title: this.fallbackTitle(summary.first_message),
+        title_source: this.titleSources.AUTO,
+        created_at: summary.started_at,
+        updated_at: summary.last_message_at
+      }, summary);
+
+    return { thread, messages };
+  }
+
+  // Earlier turns of a thread as chat messages, oldest first, for continuing it
+  contextMessages(messages) {
+    return messages
+      .slice(-this.contextMessageLimit)
+      .filter((message) => message.message_content)
+      .map((message) => ({
+        role: message.message_type === 'user' ? 'user' : 'assistant',
+        content: message.message_content
+      }));
+  }
+
+  // Title, pinned and archived changes. Upserts so threads not yet listed can be changed too.
+  async updateThread(supabase, userId, conversation, changes) {
+    const now = new Date().toISOString();
+    const update = {
+      id: conversation.thread.id,
+      user_id: userId,
+      title: conversation.thread.title,
+      title_source: conversation.thread.title_source,
+      pinned: conversation.thread.pinned,
+      archived: conversation.thread.archived,
+      created_at: conversation.thread.created_at,
+      updated_at: now
+    };
+
+    if (changes.title !== undefined) {
+      update.title = changes.title;
+      update.title_source = this.titleSources.USER;
+    }
+    if (changes.pinned !== undefined) update.pinned = changes.pinned;
+    if (changes.archived !== undefined) {
+      update.archived = changes.archived;
+      // An archived thread drops out of the pinned list
+      if (changes.archived) update.pinned = false;
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .upsert(update, { onConflict: 'id' })
+      .select()
+      .single();
+    if (error) throw error;
+
+    return this.toThread(data, this.summarize(conversation.messages).get(conversation.thread.id));
+  }
+
+  async deleteThread(supabase, userId, conversationId) {
+    const { error: historyError } = await supabase
+      .from('conversation_history')
+      .delete()
+      .eq('user_id', userId)
+      .eq('conversation_id', conversationId);
+    if (historyError) throw historyError;
+
+    const { error } = await supabase
+      .from('conversation_threads')
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', conversationId);
+    if (error) throw error;
+  }
+
+  // Text around the first match of any search term
+  snippet(content, terms) {
+    const text = String(content || '').replace(/\s+/g, ' ');
+    const lower = text.toLowerCase();
+    const index = terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0).sort((a, b) => a - b)[0];
+    if (index === undefined) return text.slice(0, this.previewLength);
+
+    const start = Math.max(0, index - 40);
+    const end = Math.min(text.length, start + this.previewLength);
+    return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+  }
+
+  // Full-text search over every message plus thread titles; one result per thread with the matching
+  // messages, archived threads included
+  async search(supabase, userId, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const [{ data: matches, error: searchError }, threads] = await Promise.all([
+      supabase
+        .from('conversation_history')
+        .select('id, conversation_id, message_type, message_content, created_at')
+        .eq('user_id', userId)
+        .textSearch('message_content', query, { type: 'websearch', config: 'english' })
+        .order('created_at', { ascending: false })
+        .limit(this.searchResultLimit),
+      this.listThreads(supabase, userId, { archived: null })
+    ]);
+    if (searchError) throw searchError;
+
+    const threadsById = new Map(threads.map((thread) => [thread.id, thread]));
+    const results = new Map();
+
+    const resultFor = (thread) => {
+      if (!results.has(thread.id)) {
+        results.set(thread.id, { thread, title_match: false, matches: [] });
+      }
+      return results.get(thread.id);
+    };
+
+    threads
+      .filter((thread) => terms.every((term) => thread.title.toLowerCase().includes(term)))
+      .forEach((thread) => {
+        resultFor(thread).title_match = true;
+      });
+
+    (matches || []).forEach((message) => {
+      const thread = threadsById.get(message.conversation_id);
+      if (!thread) return;
+      resultFor(thread).matches.push({
+        message_id: message.id,
+        message_type: message.message_type,
+        snippet: this.snippet(message.message_content, terms),
+        created_at: message.created_at
+      });
+    });
+
+    return [...results.values()].sort((a, b) => {
+      if (a.title_match !== b.title_match) return a.title_match ? -1 : 1;
+      return b.matches.length - a.matches.length || new Date(b.thread.last_message_at) - new Date(a.thread.last_message_at);
+    });
+  }
+
+  // The thread as a Markdown document
+  toMarkdown({ thread, messages }) {
+    const lines = [
+      `# ${thread.title}`,
+      '',
+      `_Started ${new Date(thread.created_at).toLocaleString('en-IN')} · ${messages.length} messages_`,
+      ''
+    ];
+
+    messages.forEach((message) => {
+      const speaker = message.message_type === 'user' ? 'You' : 'Assistant';
+      lines.push(`## ${speaker} · ${new Date(message.created_at).toLocaleString('en-IN')}`, '', message.message_content || '', '');
+    });
+
+    return lines.join('\n');
+  }
+
+  // Export JSON: the thread, its messages and the same content as Markdown (the app renders the PDF)
+  buildExport(conversation) {
+    return {
+      title: conversation.thread.title,
+      conversation_id: conversation.thread.id,
+      created_at: conversation.thread.created_at,
+      exported_at: new Date().toISOString(),
+      messages: conversation.messages.map((message) => ({
+        role: message.message_type === 'user' ? 'user' : 'assistant',
+        content: message.message_content || '',
+        created_at: message.created_at
+      })),
+      markdown: this.toMarkdown(conversation)
+    };
+  }
+
+  // Safe download filename from the thread title
+  fileName(thread, extension) {
+    const slug = thread.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${slug || 'conversation'}.${extension}`;
+  }
+}
+
+module.exports = new ConversationService();
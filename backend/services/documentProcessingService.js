@@ -1,8 +1,6 @@
-const OpenAI = require('openai');
+const { openai } = require('../config/openai');
 const { getAuthenticatedClient } = require('../config/supabase');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // Enhanced document processing with comprehensive financial extraction
 class DocumentProcessingService {
   
@@ -50,7 +48,8 @@ class DocumentProcessingService {
         content: `You are an expert financial document analyzer for Indian businesses. Extract ALL financial data from documents including:
         - Individual line items with amounts
         - Total expenses and revenue
-        - Tax information (GST, VAT)
+        - Tax information (GST, VAT) including HSN/SAC codes, GST rate and CGST/SGST/IGST split per line
+        - Invoice number and place of supply
         - Payment methods
         - Vendor/customer details
         - Date ranges for recurring transactions
@@ -100,7 +99,13 @@ class DocumentProcessingService {
                   type: { type: "string", enum: ["expense", "revenue", "tax", "fee"] },
                   category: { type: "string" },
                   quantity: { type: "number" },
-                  unit_price: { type: "number" }
+                  unit_price: { type: "number" },
+                  hsn_sac_code: { type: "string", description: "HSN code for goods or SAC code for services" },
+                  taxable_value: { type: "number", description: "Line value before GST" },
+                  gst_rate: { type: "number", description: "GST rate percentage for this line" },
+                  cgst_amount: { type: "number" },
+                  sgst_amount: { type: "number" },
+                  igst_amount: { type: "number" }
                 }
               }
             },
@@ -113,6 +118,8 @@ class DocumentProcessingService {
                 address: { type: "string" }
               }
             },
+            invoice_number: { type: "string" },
+            place_of_supply: { type: "string", description: "State name or two digit GST state code of the place of supply" },
             tax_details: {
               type: "object",
               properties: {
@@ -141,7 +148,7 @@ class DocumentProcessingService {
       temperature: 0.1
     });
 
-    const functionCall = response?.choices?.[0]?.function_call;
+    const functionCall = response?.choices?.[0]?.message?.function_call;
     if (functionCall && functionCall.name === "extract_comprehensive_financial_data") {
       return JSON.parse(functionCall.arguments);
     }
@@ -211,7 +218,7 @@ class DocumentProcessingService {
       temperature: 0.3
     });
 
-    const functionCall = response?.choices?.[0]?.function_call;
+    const functionCall = response?.choices?.[0]?.message?.function_call;
     if (functionCall) {
       return JSON.parse(functionCall.arguments);
     }
@@ -0,0 +1,78 @@
+const { supabaseAdmin } = require('../config/supabase');
+const batchService = require('./batchService');
+const { notificationService } = require('./notificationService');
+const config = require('../config/env');
+
+class ExpiryAlertScheduler {
+  constructor({ intervalMs = config.expiryAlerts.intervalMs, days = config.expiryAlerts.days } = {}) {
+    this.intervalMs = intervalMs;
+    this.days = days;
+    this.running = false;
+    this.timer = null;
+    this._lock = false;
+  }
+
+  async runOnce() {
+    if (this._lock) return;
+    this._lock = true;
+    try {
+      const report = batchService.expiringSoon(await this.loadBatches(), { days: this.days });
+
+      const pendingByUser = new Map();
+      for (const batch of batchService.pendingAlerts(report)) {
+        if (!pendingByUser.has(batch.user_id)) pendingByUser.set(batch.user_id, []);
+        pendingByUser.get(batch.user_id).push(batch);
+      }
+
+      let alerted = 0;
+      for (const [userId, batches] of pendingByUser) {
+        // Alerts only reach open streams; users who are offline are alerted on a later run
+        if (!notificationService.hasClients(userId)) continue;
+        notificationService.notifyExpiringStock(userId, batches);
+        await batchService.markAlerted(supabaseAdmin, batches);
+        alerted += batches.length;
+      }
+
+      if (alerted > 0) {
+        console.log(`[ExpiryAlertScheduler] Alerted ${alerted} batches`);
+      }
+    } catch (err) {
+      console.error('[ExpiryAlertScheduler] Unexpected error:', err);
+    } finally {
+      this._lock = false;
+    }
+  }
+
+  // Batches with stock that expire within the alert window, for every user
+  async loadBatches() {
+    const horizon = new Date();
+    horizon.setUTCDate(horizon.getUTCDate() + this.days);
+
+    const { data, error } = await supabaseAdmin
+      .from('inventory_batches')
+      .select('*, inventory_items(product_name, unit)')
+      .gt('quantity_remaining', 0)
+      .not('expiry_date', 'is', null)
+      .lte('expiry_date', horizon.toISOString().split('T')[0]);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.runOnce().catch((e) => console.error('[ExpiryAlertScheduler] runOnce error:', e));
+    this.timer = setInterval(() => this.runOnce().catch((e) => console.error('[ExpiryAlertScheduler] runOnce error:', e)), this.intervalMs);
+    console.log(`[ExpiryAlertScheduler] Started — interval: ${this.intervalMs}ms`);
+  }
+
+  stop() {
+    if (!this.running) return;
+    clearInterval(this.timer);
+    this.running = false;
+    console.log('[ExpiryAlertScheduler] Stopped');
+  }
+}
+
+module.exports = { ExpiryAlertScheduler };
@@ -0,0 +1,253 @@
+const ledgerService = require('./ledgerService');
+const inventoryValuationService = require('./inventoryValuationService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const sumBy = (rows, fn) => round2(rows.reduce((sum, row) => sum + fn(row), 0));
+
+// Group { label, amount } pairs by label, largest first
+const groupLines = (entries) => {
+  const totals = new Map();
+  for (const { label, amount } of entries) {
+    if (!amount) continue;
+    totals.set(label, round2((totals.get(label) || 0) + amount));
+  }
+  return Array.from(totals.entries())
+    .map(([label, amount]) => ({ label, amount }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+const dayBefore = (date) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().split('T')[0];
+};
+
+class FinancialStatementsService {
+  // Per-account closing balances (in each account's normal direction) from lines up to a date
+  accountBalancesAsOf(lines, asOf, accounts) {
+    const typeByCode = new Map(accounts.map((a) => [a.code, a.type]));
+    const balances = {};
+
+    for (const line of lines) {
+      if (line.entry_date > asOf) continue;
+      const net = (Number(line.debit) || 0) - (Number(line.credit) || 0);
+      const type = typeByCode.get(line.account_code) || 'asset';
+      const signed = ledgerService.isDebitNormal(type) ? net : -net;
+      balances[line.account_code] = round2((balances[line.account_code] || 0) + signed);
+    }
+
+    return balances;
+  }
+
+  // Activity on an account between two dates (inclusive), in the account's normal direction
+  accountActivity(lines, code, from, to, accountType) {
+    return sumBy(
+      lines.filter((l) => l.account_code === code && l.entry_date >= from && l.entry_date <= to),
+      (l) => {
+        const net = (Number(l.debit) || 0) - (Number(l.credit) || 0);
+        return ledgerService.isDebitNormal(accountType) ? net : -net;
+      }
+    );
+  }
+
+  // Value stock as at a date from the cost layers left open under the user's costing method
+  valueInventory(items, movements, asOf, method) {
+    const valuation = inventoryValuationService.valueAt(items, movements, asOf, method);
+    return {
+      method: valuation.method,
+      total: valuation.total,
+      items: valuation.items.map(({ layers, ledger_value, unvalued_quantity, ...line }) => line),
+      unvalued_items: valuation.unvalued_items
+    };
+  }
+
+  // Revenue and expenses by category from earnings; COGS and stock adjustments from the ledger.
+  // Invoices count as revenue when issued and supplier bills as expenses when received,
+  // so the payments settling either are left out. Credit notes come off revenue; the cost of goods on
+  // sales bills and credit notes is already in COGS through their stock movements.
+  buildProfitAndLoss(earnings, ledgerLines, { from, to }, invoices = [], bills = []) {
+    const isRevenue = (e) => (e.amount > 0 && e.doc_type !== 'invoice_payment') || (e.amount < 0 && e.doc_type === 'sales_return');
+    const isExpense = (e) => e.inventory_cost > 0 && e.doc_type !== 'bill_payment' &&
+      !ledgerService.stockCostedDocTypes.includes(e.doc_type);
+
+    const revenueLines = groupLines([
+      ...earnings.map((e) => ({
+        label: isRevenue(e) ? (e.transaction_category || 'Sales') : null,
+        amount: e.gst_supply_type === 'outward' && e.taxable_value !== null && e.taxable_value !== undefined
+          ? Number(e.taxable_value) || 0
+          : Number(e.amount) || 0
+      })),
+      ...invoices
+        .filter((i) => i.status !== 'draft' && i.issue_date >= from && i.issue_date <= to)
+        .map((i) => ({ label: 'Invoiced sales', amount: Number(i.subtotal) || 0 }))
+    ].filter((l) => l.label));
+
+    const expenseLines = groupLines([
+      ...earnings.map((e) => ({
+        label: isExpense(e) ? (e.transaction_category || 'General expenses') : null,
+        amount: e.gst_supply_type === 'inward' && e.taxable_value !== null && e.taxable_value !== undefined
+          ? Number(e.taxable_value) || 0
+          : Number(e.inventory_cost) || 0
+      })),
+      ...bills
+        .filter((b) => b.bill_date >= from && b.bill_date <= to)
+        .map((b) => ({ label: 'Supplier bills', amount: Number(b.subtotal) || 0 })),
+      {
+        label: 'Bad debts written off',
+        amount: this.accountActivity(ledgerLines, ledgerService.accounts.BAD_DEBTS, from, to, 'expense')
+      }
+    ].filter((l) => l.label));
+
+    const cogs = this.accountActivity(ledgerLines, ledgerService.accounts.COGS, from, to, 'expense');
+    const adjustments = this.accountActivity(ledgerLines, ledgerService.accounts.INVENTORY_ADJUSTMENTS, from, to, 'expense');
+
+    const totalRevenue = sumBy(revenueLines, (l) => l.amount);
+    const totalCogs = round2(cogs + adjustments);
+    const grossProfit = round2(totalRevenue - totalCogs);
+    const totalExpenses = sumBy(expenseLines, (l) => l.amount);
+    const netProfit = round2(grossProfit - totalExpenses);
+
+    return {
+      title: 'Profit & Loss Statement',
+      sections: [
+        {
+          title: 'Revenue',
+          lines: revenueLines,
+          total: { label: 'Total Revenue', amount: totalRevenue }
+        },
+        {
+          title: 'Cost of Goods Sold',
+          lines: [
+            { label: 'Stock issued at cost', amount: cogs },
+            { label: 'Stock adjustments', amount: adjustments }
+          ].filter((l) => l.amount),
+          total: { label: 'Gross Profit', amount: grossProfit }
+        },
+        {
+          title: 'Operating Expenses',
+          lines: expenseLines,
+          total: { label: 'Total Operating Expenses', amount: totalExpenses }
+        }
+      ],
+      summary: {
+        total_revenue: totalRevenue,
+        cost_of_goods_sold: totalCogs,
+        gross_profit: grossProfit,
+        operating_expenses: totalExpenses,
+        net_profit: netProfit,
+        net_margin: totalRevenue > 0 ? round2((netProfit / totalRevenue) * 100) : 0
+      }
+    };
+  }
+
+  // Ledger balances as at a date, with inventory replaced by the stock valuation.
+  // The gap between valued stock and stock recorded in the ledger (e.g. opening stock) is shown under equity.
+  buildBalanceSheet(ledgerLines, accounts, inventory, asOf) {
+    const { accounts: codes } = ledgerService;
+    const balances = this.accountBalancesAsOf(ledgerLines, asOf, accounts);
+    const byType = (type) => accounts.filter((a) => a.type === type);
+    const balanceOf = (code) => balances[code] || 0;
+
+    const assetLines = byType('asset')
+      .filter((a) => a.code !== codes.INVENTORY)
+      .map((a) => ({ label: a.name, amount: balanceOf(a.code) }))
+      .filter((l) => l.amount);
+    assetLines.push({ label: 'Inventory (valued stock)', amount: inventory.total });
+
+    const liabilityLines = byType('liability')
+      .map((a) => ({ label: a.name, amount: balanceOf(a.code) }))
+      .filter((l) => l.amount);
+
+    const retainedEarnings = round2(
+      sumBy(byType('revenue'), (a) => balanceOf(a.code)) - sumBy(byType('expense'), (a) => balanceOf(a.code))
+    );
+    const valuationAdjustment = round2(inventory.total - balanceOf(codes.INVENTORY));
+
+    const equityLines = [
+      ...byType('equity').map((a) => ({ label: a.name, amount: balanceOf(a.code) })),
+      { label: 'Retained Earnings', amount: retainedEarnings },
+      { label: 'Opening Stock / Valuation Adjustment', amount: valuationAdjustment }
+    ].filter((l) => l.amount);
+
+    const totalAssets = sumBy(assetLines, (l) => l.amount);
+    const totalLiabilities = sumBy(liabilityLines, (l) => l.amount);
+    const totalEquity = sumBy(equityLines, (l) => l.amount);
+
+    return {
+      title: 'Balance Sheet',
+      as_of: asOf,
+      sections: [
+        { title: 'Assets', lines: assetLines, total: { label: 'Total Assets', amount: totalAssets } },
+        { title: 'Liabilities', lines: liabilityLines, total: { label: 'Total Liabilities', amount: totalLiabilities } },
+        { title: 'Equity', lines: equityLines, total: { label: 'Total Equity', amount: totalEquity } }
+      ],
+      inventory,
+      summary: {
+        total_assets: totalAssets,
+        total_liabilities: totalLiabilities,
+        total_equity: totalEquity,
+        is_balanced: Math.abs(totalAssets - totalLiabilities - totalEquity) < 0.01
+      }
+    };
+  }
+
+  // Indirect method: net profit adjusted for working capital movements in the ledger
+  buildCashFlow(ledgerLines, accounts, netProfit, { from, to }) {
+    const { accounts: codes } = ledgerService;
+    const opening = this.accountBalancesAsOf(ledgerLines, dayBefore(from), accounts);
+    const closing = this.accountBalancesAsOf(ledgerLines, to, accounts);
+    const change = (code) => round2((closing[code] || 0) - (opening[code] || 0));
+
+    // An increase in a working-capital asset uses cash; an increase in a liability provides it
+    const workingCapital = [
+      { label: 'Change in inventory', amount: -change(codes.INVENTORY) },
+      { label: 'Change in accounts receivable', amount: -change(codes.RECEIVABLES) },
+      { label: 'Change in GST input credit', amount: -change(codes.GST_INPUT) },
+      { label: 'Change in accounts payable', amount: change(codes.PAYABLES) },
+      { label: 'Change in GST payable', amount: change(codes.GST_OUTPUT) }
+    ].map((l) => ({ ...l, amount: round2(l.amount) })).filter((l) => l.amount);
+
+    const operating = round2(netProfit + sumBy(workingCapital, (l) => l.amount));
+    const financingLines = [
+      { label: "Owner's capital introduced / (drawings)", amount: change(codes.EQUITY) }
+    ].filter((l) => l.amount);
+    const financing = sumBy(financingLines, (l) => l.amount);
+    const netChange = round2(operating + financing);
+
+    const cashCodes = [codes.CASH, codes.BANK];
+    const openingCash = sumBy(cashCodes, (c) => opening[c] || 0);
+    const closingCash = sumBy(cashCodes, (c) => closing[c] || 0);
+
+    return {
+      title: 'Cash Flow Statement',
+      method: 'indirect',
+      sections: [
+        {
+          title: 'Operating Activities',
+          lines: [{ label: 'Net profit', amount: netProfit }, ...workingCapital],
+          total: { label: 'Net cash from operating activities', amount: operating }
+        },
+        {
+          title: 'Investing Activities',
+          lines: [],
+          total: { label: 'Net cash from investing activities', amount: 0 }
+        },
+        {
+          title: 'Financing Activities',
+          lines: financingLines,
+          total: { label: 'Net cash from financing activities', amount: financing }
+        }
+      ],
+      summary: {
+        net_change_in_cash: netChange,
+        opening_cash: openingCash,
+        closing_cash: closingCash,
+        // Non-zero when earnings are missing from the ledger; POST /api/ledger/sync closes the gap
+        unreconciled_difference: round2(closingCash - openingCash - netChange)
+      }
+    };
+  }
+}
+
+module.exports = new FinancialStatementsService();
@@ -29,10 +29,8 @@ class FormalLearningService {
   }
 
   // Record user correction and learn from it
-  async recordUserCorrection(userId, originalData, correctedData, context = {}) {
+  async recordUserCorrection(userId, originalData, correctedData, context = {}, supabase = getAuthenticatedClient()) {
     try {
-      const supabase = getAuthenticatedClient();
-      
       // Calculate correction patterns
       const correctionPatterns = this.analyzeCorrectionPatterns(originalData, correctedData);
       
@@ -662,6 +660,79 @@ class FormalLearningService {
     }
   }
 
+  // Category rules learned from corrections where the user changed a transaction's category
+  async getCategoryCorrections(userId, supabase = getAuthenticatedClient()) {
+    try {
+      const { data } = await supabase
+        .from('user_corrections')
+        .select('original_data, corrected_data, created_at')
+        .eq('user_id', userId)
+        .not('corrected_data->>transaction_category', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(500);
+
+      const rules = new Map();
+      for (const correction of data || []) {
+        const description = correction.original_data?.description || correction.corrected_data?.description;
+        const category = correction.corrected_data?.transaction_category;
+        if (!description || !category) continue;
+
+        const key = this.normaliseDescription(description);
+        if (!key) continue;
+
+        // Newest correction wins for a description; repeats raise confidence
+        const existing = rules.get(key);
+        if (existing) {
+          existing.occurrences++;
+        } else {
+          rules.set(key, { key, category, occurrences: 1, last_corrected: correction.created_at });
+        }
+      }
+
+      return Array.from(rules.values());
+    } catch (error) {
+      console.error('Error getting category corrections:', error);
+      return [];
+    }
+  }
+
+  // Strip reference numbers, dates and punctuation so "UPI/123456/SHARMA TRADERS" matches later statements
+  normaliseDescription(description) {
+    return String(description || '')
+      .toLowerCase()
+      .replace(/[0-9]{3,}/g, ' ')
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !['upi', 'neft', 'imps', 'rtgs', 'ach', 'pos', 'txn', 'ref'].includes(word))
+      .join(' ')
+      .trim();
+  }
+
+  // Pick the learned category whose description is closest to this one
+  suggestCategory(description, rules, minSimilarity = 0.75) {
+    const key = this.normaliseDescription(description);
+    if (!key || rules.length === 0) return null;
+
+    let best = null;
+    for (const rule of rules) {
+      const similarity = rule.key === key || key.includes(rule.key) || rule.key.includes(key)
+        ? 1
+        : this.calculateStringSimilarity(key, rule.key);
+
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+        best = { category: rule.category, similarity, occurrences: rule.occurrences };
+      }
+    }
+
+    if (!best) return null;
+
+    return {
+      category: best.category,
+      confidence: Math.min(0.95, best.similarity * 0.8 + Math.min(best.occurrences, 5) * 0.03),
+      source: 'user_corrections'
+    };
+  }
+
   async generateAdaptiveSuggestions(userId, profile, patterns, context) {
     const suggestions = [];
     
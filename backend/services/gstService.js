@@ -0,0 +1,453 @@
+// GST state codes, as used in the first two digits of a GSTIN and as place of supply
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// B2C invoices above this value that cross state lines are reported individually (B2CL)
+const B2CL_THRESHOLD = 250000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Convert YYYY-MM into the MMYYYY return period used by GSTN
+const toReturnPeriod = (month) => {
+  const [year, m] = month.split('-');
+  return `${m}${year}`;
+};
+
+// Convert YYYY-MM-DD into the DD-MM-YYYY invoice date used by GSTN
+const toGstnDate = (date) => {
+  const [year, m, d] = String(date).split('T')[0].split('-');
+  return `${d}-${m}-${year}`;
+};
+
+class GstService {
+  constructor() {
+    this.supplyTypes = {
+      OUTWARD: 'outward',
+      INWARD: 'inward'
+    };
+  }
+
+  normaliseGstin(gstin) {
+    if (!gstin || typeof gstin !== 'string') return null;
+    const cleaned = gstin.replace(/\s+/g, '').toUpperCase();
+    return GSTIN_PATTERN.test(cleaned) ? cleaned : null;
+  }
+
+  isValidGstin(gstin) {
+    return this.normaliseGstin(gstin) !== null;
+  }
+
+  // Accepts a GSTIN, a two digit state code or a state name (also inside a free-text location)
+  resolveStateCode(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+    const gstin = this.normaliseGstin(text);
+    if (gstin) return gstin.slice(0, 2);
+
+    if (/^\d{1,2}$/.test(text)) {
+      const code = text.padStart(2, '0');
+      return STATE_CODES[code] ? code : null;
+    }
+
+    const lowered = text.toLowerCase();
+    const match = Object.entries(STATE_CODES)
+      .sort((a, b) => b[1].length - a[1].length)
+      .find(([, name]) => lowered.includes(name.toLowerCase()));
+
+    return match ? match[0] : null;
+  }
+
+  getStateName(code) {
+    return STATE_CODES[code] || null;
+  }
+
+  // Home state of the business, preferring the registered GSTIN over the free-text location
+  getBusinessStateCode(profile = {}) {
+    return this.resolveStateCode(profile.gstin) || this.resolveStateCode(profile.location);
+  }
+
+  isInterState(originState, destinationState) {
+    if (!originState || !destinationState) return false;
+    return originState !== destinationState;
+  }
+
+  // Split tax for a single supply. Amount is treated as taxable value unless taxInclusive is set.
+  calculateTax({ amount, gstRate, taxInclusive = false, originState, destinationState }) {
+    const rate = Number(gstRate) || 0;
+    const gross = Number(amount) || 0;
+    const taxableValue = taxInclusive ? gross / (1 + rate / 100) : gross;
+    const totalTax = taxableValue * rate / 100;
+    const interState = this.isInterState(originState, destinationState);
+    const tax = round2(totalTax);
+    // SGST takes the odd paisa so the two halves always add back up to the tax on the invoice
+    const cgst = interState ? 0 : round2(tax / 2);
+
+    return {
+      taxable_value: round2(taxableValue),
+      gst_rate: rate,
+      cgst_amount: cgst,
+      sgst_amount: interState ? 0 : round2(tax - cgst),
+      igst_amount: interState ? tax : 0,
+      total_tax: tax,
+      invoice_value: round2(taxableValue + totalTax),
+      is_inter_state: interState
+    };
+  }
+
+  // Build the GST columns stored on an earnings row
+  buildEarningTaxFields(input, businessState) {
+    const supplyType = input.supply_type === this.supplyTypes.INWARD
+      ? this.supplyTypes.INWARD
+      : this.supplyTypes.OUTWARD;
+    const counterpartyGstin = this.normaliseGstin(input.counterparty_gstin);
+    const placeOfSupply = this.resolveStateCode(input.place_of_supply) || businessState;
+
+    // Outward supplies move from us to the place of supply; inward ones from the supplier to us
+    const originState = supplyType === this.supplyTypes.OUTWARD
+      ? businessState
+      : (counterpartyGstin ? counterpartyGstin.slice(0, 2) : placeOfSupply);
+    const destinationState = supplyType === this.supplyTypes.OUTWARD ? placeOfSupply : businessState;
+
+    const hasExplicitSplit = ['cgst_amount', 'sgst_amount', 'igst_amount']
+      .some((field) => input[field] !== undefined && input[field] !== null);
+
+    let tax;
+    if (hasExplicitSplit && input.taxable_value !== undefined && input.taxable_value !== null) {
+      const cgst = round2(input.cgst_amount);
+      const sgst = round2(input.sgst_amount);
+      const igst = round2(input.igst_amount);
+      const taxableValue = round2(input.taxable_value);
+      tax = {
+        taxable_value: taxableValue,
+        gst_rate: input.gst_rate !== undefined && input.gst_rate !== null
+          ? Number(input.gst_rate)
+          : (taxableValue > 0 ? round2(((cgst + sgst + igst) / taxableValue) * 100) : 0),
+        cgst_amount: cgst,
+        sgst_amount: sgst,
+        igst_amount: igst
+      };
+    } else {
+      tax = this.calculateTax({
+        amount: input.taxable_value ?? input.amount,
+        gstRate: input.gst_rate,
+        taxInclusive: input.taxable_value === undefined || input.taxable_value === null
+          ? Boolean(input.tax_inclusive)
+          : false,
+        originState,
+        destinationState
+      });
+    }
+
+    return {
+      gst_supply_type: supplyType,
+      hsn_sac_code: input.hsn_sac_code ? String(input.hsn_sac_code).trim() : null,
+      gst_rate: tax.gst_rate,
+      taxable_value: tax.taxable_value,
+      cgst_amount: tax.cgst_amount,
+      sgst_amount: tax.sgst_amount,
+      igst_amount: tax.igst_amount,
+      place_of_supply: placeOfSupply || null,
+      counterparty_gstin: counterpartyGstin,
+      invoice_number: input.invoice_number || null
+    };
+  }
+
+  // Map a line item from documentProcessingService.processFinancialDocument onto earnings GST columns.
+  // Returns null when the document carries no usable GST information for the line.
+  buildLineItemTaxFields(item, extractedData, businessState) {
+    const taxDetails = extractedData.tax_details || {};
+    const gstRate = item.gst_rate ?? taxDetails.gst_rate;
+    const hasSplit = [item.cgst_amount, item.sgst_amount, item.igst_amount].some((v) => v !== undefined && v !== null);
+
+    if ((gstRate === undefined || gstRate === null) && !hasSplit) {
+      return null;
+    }
+
+    return this.buildEarningTaxFields({
+      supply_type: item.type === 'revenue' ? this.supplyTypes.OUTWARD : this.supplyTypes.INWARD,
+      hsn_sac_code: item.hsn_sac_code,
+      gst_rate: gstRate,
+      // Invoices list line amounts before tax, so the line amount is the taxable value
+      taxable_value: item.taxable_value ?? item.amount,
+      cgst_amount: item.cgst_amount,
+      sgst_amount: item.sgst_amount,
+      igst_amount: item.igst_amount,
+      place_of_supply: extractedData.place_of_supply,
+      counterparty_gstin: extractedData.vendor_customer_info?.gst_number,
+      invoice_number: extractedData.invoice_number
+    }, businessState);
+  }
+
+  isGstEntry(earning) {
+    return earning && earning.gst_rate !== null && earning.gst_rate !== undefined && earning.gst_supply_type;
+  }
+
+  emptyTotals() {
+    return { taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total_tax: 0, count: 0 };
+  }
+
+  addToTotals(totals, earning) {
+    const cgst = Number(earning.cgst_amount) || 0;
+    const sgst = Number(earning.sgst_amount) || 0;
+    const igst = Number(earning.igst_amount) || 0;
+    totals.taxable_value = round2(totals.taxable_value + (Number(earning.taxable_value) || 0));
+    totals.cgst = round2(totals.cgst + cgst);
+    totals.sgst = round2(totals.sgst + sgst);
+    totals.igst = round2(totals.igst + igst);
+    totals.total_tax = round2(totals.total_tax + cgst + sgst + igst);
+    totals.count += 1;
+    return totals;
+  }
+
+  // Output tax, input tax credit and net liability for a set of earnings rows
+  summarise(earnings = []) {
+    const gstEntries = earnings.filter((e) => this.isGstEntry(e));
+    const output = this.emptyTotals();
+    const input = this.emptyTotals();
+    const byRate = {};
+    const byHsn = {};
+
+    for (const earning of gstEntries) {
+      const isOutward = earning.gst_supply_type === this.supplyTypes.OUTWARD;
+      this.addToTotals(isOutward ? output : input, earning);
+
+      const rateKey = String(Number(earning.gst_rate));
+      if (!byRate[rateKey]) {
+        byRate[rateKey] = { gst_rate: Number(earning.gst_rate), output: this.emptyTotals(), input: this.emptyTotals() };
+      }
+      this.addToTotals(isOutward ? byRate[rateKey].output : byRate[rateKey].input, earning);
+
+      const hsnKey = earning.hsn_sac_code || 'UNSPECIFIED';
+      if (!byHsn[hsnKey]) {
+        byHsn[hsnKey] = { hsn_sac_code: hsnKey, output: this.emptyTotals(), input: this.emptyTotals() };
+      }
+      this.addToTotals(isOutward ? byHsn[hsnKey].output : byHsn[hsnKey].input, earning);
+    }
+
+    const netCgst = round2(output.cgst - input.cgst);
+    const netSgst = round2(output.sgst - input.sgst);
+    const netIgst = round2(output.igst - input.igst);
+
+    return {
+      output_tax: output,
+      input_tax_credit: input,
+      net_liability: {
+        cgst: netCgst,
+        sgst: netSgst,
+        igst: netIgst,
+        total: round2(netCgst + netSgst + netIgst)
+      },
+      by_rate: Object.values(byRate).sort((a, b) => a.gst_rate - b.gst_rate),
+      by_hsn: Object.values(byHsn),
+      entries_with_gst: gstEntries.length,
+      entries_without_gst: earnings.length - gstEntries.length
+    };
+  }
+
+  // GSTR-1 style outward supply statement (B2B, B2CL, B2CS and HSN summary)
+  buildGstr1(earnings = [], { gstin, month, businessState }) {
+    const outward = earnings.filter((e) => this.isGstEntry(e) && e.gst_supply_type === this.supplyTypes.OUTWARD);
+    const b2bByCustomer = new Map();
+    const b2cl = new Map();
+    const b2cs = new Map();
+    const hsn = new Map();
+
+    for (const earning of outward) {
+      const pos = earning.place_of_supply || businessState;
+      const itemDetails = {
+        rt: Number(earning.gst_rate),
+        txval: round2(earning.taxable_value),
+        iamt: round2(earning.igst_amount),
+        camt: round2(earning.cgst_amount),
+        samt: round2(earning.sgst_amount),
+        csamt: 0
+      };
+      const invoiceValue = round2(itemDetails.txval + itemDetails.iamt + itemDetails.camt + itemDetails.samt);
+      const invoiceNumber = earning.invoice_number || earning.id;
+      const interState = this.isInterState(businessState, pos);
+
+      if (earning.counterparty_gstin) {
+        const invoices = b2bByCustomer.get(earning.counterparty_gstin) || new Map();
+        const invoice = invoices.get(invoiceNumber) || {
+          inum: invoiceNumber,
+          idt: toGstnDate(earning.earning_date),
+          val: 0,
+          pos,
+          rchrg: 'N',
+          inv_typ: 'R',
+          itms: []
+        };
+        invoice.val = round2(invoice.val + invoiceValue);
+        invoice.itms.push({ num: invoice.itms.length + 1, itm_det: itemDetails });
+        invoices.set(invoiceNumber, invoice);
+        b2bByCustomer.set(earning.counterparty_gstin, invoices);
+      } else if (interState && invoiceValue > B2CL_THRESHOLD) {
+        const group = b2cl.get(pos) || { pos, inv: [] };
+        group.inv.push({
+          inum: invoiceNumber,
+          idt: toGstnDate(earning.earning_date),
+          val: invoiceValue,
+          itms: [{ num: 1, itm_det: { rt: itemDetails.rt, txval: itemDetails.txval, iamt: itemDetails.iamt, csamt: 0 } }]
+        });
+        b2cl.set(pos, group);
+      } else {
+        const key = `${interState ? 'INTER' : 'INTRA'}|${pos}|${itemDetails.rt}`;
+        const row = b2cs.get(key) || {
+          sply_ty: interState ? 'INTER' : 'INTRA',
+          pos,
+          typ: 'OE',
+          rt: itemDetails.rt,
+          txval: 0,
+          iamt: 0,
+          camt: 0,
+          samt: 0,
+          csamt: 0
+        };
+        row.txval = round2(row.txval + itemDetails.txval);
+        row.iamt = round2(row.iamt + itemDetails.iamt);
+        row.camt = round2(row.camt + itemDetails.camt);
+        row.samt = round2(row.samt + itemDetails.samt);
+        b2cs.set(key, row);
+      }
+
+      const hsnKey = `${earning.hsn_sac_code || 'NA'}|${itemDetails.rt}`;
+      const hsnRow = hsn.get(hsnKey) || {
+        num: hsn.size + 1,
+        hsn_sc: earning.hsn_sac_code || 'NA',
+        uqc: 'NA',
+        qty: 0,
+        rt: itemDetails.rt,
+        val: 0,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0
+      };
+      hsnRow.val = round2(hsnRow.val + invoiceValue);
+      hsnRow.txval = round2(hsnRow.txval + itemDetails.txval);
+      hsnRow.iamt = round2(hsnRow.iamt + itemDetails.iamt);
+      hsnRow.camt = round2(hsnRow.camt + itemDetails.camt);
+      hsnRow.samt = round2(hsnRow.samt + itemDetails.samt);
+      hsn.set(hsnKey, hsnRow);
+    }
+
+    return {
+      gstin: gstin || null,
+      fp: toReturnPeriod(month),
+      b2b: Array.from(b2bByCustomer.entries()).map(([ctin, invoices]) => ({
+        ctin,
+        inv: Array.from(invoices.values())
+      })),
+      b2cl: Array.from(b2cl.values()),
+      b2cs: Array.from(b2cs.values()),
+      hsn: { data: Array.from(hsn.values()) }
+    };
+  }
+
+  // GSTR-3B style monthly summary return
+  buildGstr3b(earnings = [], { gstin, month, businessState }) {
+    const gstEntries = earnings.filter((e) => this.isGstEntry(e));
+    const taxable = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    const nilRated = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    const itc = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    const unregistered = new Map();
+
+    const add = (target, earning) => {
+      target.txval = round2(target.txval + (Number(earning.taxable_value) || 0));
+      target.iamt = round2(target.iamt + (Number(earning.igst_amount) || 0));
+      target.camt = round2(target.camt + (Number(earning.cgst_amount) || 0));
+      target.samt = round2(target.samt + (Number(earning.sgst_amount) || 0));
+    };
+
+    for (const earning of gstEntries) {
+      if (earning.gst_supply_type === this.supplyTypes.OUTWARD) {
+        add(Number(earning.gst_rate) > 0 ? taxable : nilRated, earning);
+
+        const pos = earning.place_of_supply || businessState;
+        if (!earning.counterparty_gstin && this.isInterState(businessState, pos)) {
+          const row = unregistered.get(pos) || { pos, txval: 0, iamt: 0 };
+          row.txval = round2(row.txval + (Number(earning.taxable_value) || 0));
+          row.iamt = round2(row.iamt + (Number(earning.igst_amount) || 0));
+          unregistered.set(pos, row);
+        }
+      } else {
+        itc.iamt = round2(itc.iamt + (Number(earning.igst_amount) || 0));
+        itc.camt = round2(itc.camt + (Number(earning.cgst_amount) || 0));
+        itc.samt = round2(itc.samt + (Number(earning.sgst_amount) || 0));
+      }
+    }
+
+    const zero = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+    return {
+      gstin: gstin || null,
+      ret_period: toReturnPeriod(month),
+      sup_details: {
+        osup_det: taxable,
+        osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+        osup_nil_exmp: { txval: nilRated.txval },
+        isup_rev: { txval: 0, ...zero },
+        osup_nongst: { txval: 0 }
+      },
+      inter_sup: {
+        unreg_details: Array.from(unregistered.values()),
+        comp_details: [],
+        uin_details: []
+      },
+      itc_elg: {
+        itc_avl: [{ ty: 'OTH', ...itc }],
+        itc_rev: [],
+        itc_net: { ...itc },
+        itc_inelg: []
+      },
+      tax_payable: {
+        iamt: round2(taxable.iamt - itc.iamt),
+        camt: round2(taxable.camt - itc.camt),
+        samt: round2(taxable.samt - itc.samt),
+        csamt: 0
+      }
+    };
+  }
+}
+
+module.exports = new GstService();
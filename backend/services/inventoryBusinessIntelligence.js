@@ -63,7 +63,7 @@ class InventoryBusinessIntelligenceService {
       // Get all inventory items with movement history
       const { data: items, error: itemsError } = await supabase
         .from("inventory_items")
-        .select("id, product_name, unit, category")
+        .select("id, product_name, unit, category, reorder_level, lead_time_days, reorder_quantity")
         .eq("user_id", userId);
 
       if (itemsError || !items) {
@@ -412,14 +412,15 @@ class InventoryBusinessIntelligenceService {
     // Calculate average usage rate
     const usageRate = this.calculateUsageRate(movements);
     
-    // Calculate lead time (simplified)
-    const leadTime = 7; // days
+    // Supplier lead time set on the item, else a week
+    const leadTime = Number(item.lead_time_days) || 7;
     
-    // Calculate reorder point
-    const reorderPoint = usageRate * leadTime * 1.2; // 20% safety stock
+    // The item's saved reorder level, else lead-time usage plus 20% safety stock
+    const hasReorderLevel = item.reorder_level !== null && item.reorder_level !== undefined;
+    const reorderPoint = hasReorderLevel ? Number(item.reorder_level) : usageRate * leadTime * 1.2;
 
     const needsReorder = currentStock <= reorderPoint;
-    const urgencyScore = needsReorder ? (reorderPoint - currentStock) / reorderPoint : 0;
+    const urgencyScore = needsReorder ? (reorderPoint - currentStock) / (reorderPoint || 1) : 0;
 
     return {
       item_id: item.id,
@@ -427,7 +428,7 @@ class InventoryBusinessIntelligenceService {
       current_stock: currentStock,
       usage_rate: usageRate,
       reorder_point: reorderPoint,
-      suggested_quantity: usageRate * 30, // 30 days supply
+      suggested_quantity: Number(item.reorder_quantity) || usageRate * 30, // 30 days supply
       needs_reorder: needsReorder,
       urgency_score: urgencyScore,
       days_until_stockout: currentStock / (usageRate || 1)
@@ -443,7 +444,8 @@ class InventoryBusinessIntelligenceService {
   }
 
   calculateUsageRate(movements) {
-    const outMovements = movements.filter(m => m.direction === 'out');
+    // Transfers between locations are not usage
+    const outMovements = movements.filter(m => m.direction === 'out' && m.source !== 'transfer');
     if (outMovements.length === 0) return 0;
 
     const totalOut = outMovements.reduce((sum, m) => sum + Number(m.quantity), 0);
@@ -0,0 +1,334 @@
+const ledgerService = require('./ledgerService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+const EPSILON = 1e-9;
+
+const dateOf = (movement) => String(movement.created_at || '').split('T')[0];
+
+const layerValue = (layers, filter = () => true) =>
+  layers.filter(filter).reduce((sum, layer) => sum + layer.quantity * layer.unit_cost, 0);
+
+// Replays the stock ledger in time order. Inbound movements open cost layers; outbound movements consume
+// them oldest first (FIFO) or pro rata across every layer on hand, which is a moving weighted average.
+class InventoryValuationService {
+  constructor() {
+    this.methods = {
+      FIFO: 'fifo',
+      WEIGHTED_AVERAGE: 'weighted_average'
+    };
+
+    this.defaultMethod = this.methods.FIFO;
+  }
+
+  resolveMethod(method) {
+    return Object.values(this.methods).includes(method) ? method : this.defaultMethod;
+  }
+
+  // The user's costing policy from their profile
+  async getMethod(supabase, userId) {
+    const { data } = await supabase
+      .from('profiles')
+      .select('inventory_costing_method')
+      .eq('id', userId)
+      .single();
+
+    return this.resolveMethod(data?.inventory_costing_method);
+  }
+
+  // Unit cost of an inbound movement: the cost captured on it, then a receipt line total,
+  // then the item's cost price. Layers without any cost are carried at zero and reported as unvalued.
+  inboundUnitCost(movement, item = null) {
+    const metadata = movement.metadata || {};
+    const quantity = Number(movement.quantity) || 0;
+
+    const unitCost = movement.unit_cost ?? metadata.unit_cost;
+    if (unitCost !== undefined && unitCost !== null && unitCost !== '') {
+      return { unit_cost: Number(unitCost) || 0, source: 'movement' };
+    }
+    if (metadata.total_cost !== undefined && metadata.total_cost !== null && quantity > 0) {
+      return { unit_cost: (Number(metadata.total_cost) || 0) / quantity, source: 'movement' };
+    }
+    if (metadata.line_total && quantity > 0) {
+      return { unit_cost: (Number(metadata.line_total) || 0) / quantity, source: 'receipt' };
+    }
+    const costPrice = item?.custom_attributes?.cost_price;
+    if (costPrice !== undefined && costPrice !== null && costPrice !== '') {
+      return { unit_cost: Number(costPrice) || 0, source: 'item_cost_price' };
+    }
+    return { unit_cost: null, source: null };
+  }
+
+  newState() {
+    // deficit: units issued beyond stock on hand, already costed at the last known cost
+    return { layers: [], deficit: 0, lastUnitCost: null, lastPosted: false };
+  }
+
+  // Open a layer for an inbound movement. `posted` marks layers whose purchase was debited to the Inventory
+  // account; stock from expensed receipts was not, so issuing it must not credit Inventory again.
+  receive(state, movement, item = null) {
+    let quantity = Number(movement.quantity) || 0;
+    if (quantity <= 0) return;
+
+    const { unit_cost: unitCost, source } = this.inboundUnitCost(movement, item);
+    const layer = {
+      movement_id: movement.id || null,
+      date: dateOf(movement),
+      unit_cost: unitCost === null ? 0 : round4(unitCost),
+      cost_source: source,
+      valued: unitCost !== null,
+      posted: ledgerService.getMovementValue(movement) > 0
+    };
+
+    if (layer.valued) {
+      state.lastUnitCost = layer.unit_cost;
+      state.lastPosted = layer.posted;
+    }
+
+    // Stock that arrives after going negative first covers the units already issued
+    const covered = Math.min(state.deficit, quantity);
+    state.deficit -= covered;
+    quantity -= covered;
+
+    if (quantity > EPSILON) state.layers.push({ ...layer, quantity });
+  }
+
+  // Consume stock for an outbound movement and return what it cost
+  issue(state, movement, method) {
+    const quantity = Number(movement.quantity) || 0;
+    const onHand = state.layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const fromStock = Math.min(quantity, onHand);
+    const consumed = [];
+    let cost = 0;
+    let ledgerCost = 0;
+    let unvaluedQuantity = 0;
+
+    const take = (layer, taken) => {
+      layer.quantity -= taken;
+      cost += taken * layer.unit_cost;
+      if (layer.posted) ledgerCost += taken * layer.unit_cost;
+      if (!layer.valued) unvaluedQuantity += taken;
+    };
+
+    if (method === this.methods.WEIGHTED_AVERAGE) {
+      const ratio = onHand > 0 ? fromStock / onHand : 0;
+      const before = layerValue(state.layers);
+      for (const layer of state.layers) take(layer, layer.quantity * ratio);
+      if (fromStock > 0) {
+        consumed.push({ movement_id: null, quantity: round4(fromStock), unit_cost: round4(before / onHand) });
+      }
+    } else {
+      let remaining = fromStock;
+      for (const layer of state.layers) {
+        if (remaining <= EPSILON) break;
+        const taken = Math.min(layer.quantity, remaining);
+        take(layer, taken);
+        remaining -= taken;
+        consumed.push({ movement_id: layer.movement_id, quantity: round4(taken), unit_cost: layer.unit_cost });
+      }
+    }
+
+    state.layers = state.layers.filter((layer) => layer.quantity > EPSILON);
+
+    // Issuing more than is on hand: the shortfall is costed at the last known unit cost
+    const shortfall = quantity - fromStock;
+    if (shortfall > EPSILON) {
+      state.deficit += shortfall;
+      if (state.lastUnitCost === null) {
+        unvaluedQuantity += shortfall;
+      } else {
+        cost += shortfall * state.lastUnitCost;
+        if (state.lastPosted) ledgerCost += shortfall * state.lastUnitCost;
+        consumed.push({ movement_id: null, quantity: round4(shortfall), unit_cost: state.lastUnitCost, estimated: true });
+      }
+    }
+
+    return {
+      method,
+      quantity,
+      unit_cost: quantity > 0 ? round4(cost / quantity) : 0,
+      total_cost: round2(cost),
+      ledger_value: round2(ledgerCost),
+      unvalued_quantity: round4(unvaluedQuantity),
+      layers: consumed
+    };
+  }
+
+  // Replay movements (any order; sorted here) up to and including `asOf`. Valuation is per item across all locations.
+  // Returns per-item state plus the cost of every outbound movement.
+  replay(movements, items, method, asOf = null) {
+    const resolved = this.resolveMethod(method);
+    const itemsById = new Map((items || []).map((item) => [item.id, item]));
+    const states = new Map();
+    const issues = [];
+
+    // A reversed movement and the row reversing it cancel out, so neither opens or consumes a layer
+    const reversed = new Set(
+      movements
+        .filter((m) => ledgerService.reversalSources.includes(m.source) && (!asOf || dateOf(m) <= asOf))
+        .map((m) => m.metadata?.reverses_movement_id)
+        .filter(Boolean)
+    );
+
+    // Transfers between locations move stock without changing its cost
+    const ordered = movements
+      .filter((m) => m.item_id && !ledgerService.transferSources.includes(m.source) && (!asOf || dateOf(m) <= asOf))
+      .filter((m) => !ledgerService.reversalSources.includes(m.source) && !reversed.has(m.id))
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+    for (const movement of ordered) {
+      if (!states.has(movement.item_id)) states.set(movement.item_id, this.newState());
+      const state = states.get(movement.item_id);
+
+      if (movement.direction === 'in') {
+        this.receive(state, movement, itemsById.get(movement.item_id));
+      } else {
+        issues.push({ movement, cost: this.issue(state, movement, resolved) });
+      }
+    }
+
+    return { method: resolved, states, issues };
+  }
+
+  // Cost of the next outbound movement for one item, from that item's movement history
+  costIssue(movements, item, quantity, method) {
+    const { states, method: resolved } = this.replay(movements, item ? [item] : [], method);
+    const state = states.get(item?.id) || this.newState();
+    return this.issue(state, { quantity }, resolved);
+  }
+
+  // Stock on hand and its value per item as at a date, with the cost layers still open
+  valueAt(items, movements, asOf, method) {
+    const { states, method: resolved } = this.replay(movements, items, method, asOf);
+    const lines = [];
+    const unvalued = [];
+
+    for (const item of items) {
+      const state = states.get(item.id);
+      if (!state) continue;
+
+      const quantity = state.layers.reduce((sum, layer) => sum + layer.quantity, 0) - state.deficit;
+      if (quantity <= EPSILON) continue;
+
+      const valuedLayers = state.layers.filter((layer) => layer.valued);
+      const unvaluedQuantity = round4(state.layers.filter((layer) => !layer.valued).reduce((sum, l) => sum + l.quantity, 0));
+      if (valuedLayers.length === 0) {
+        unvalued.push({ item_id: item.id, product_name: item.product_name, quantity: round4(quantity) });
+        continue;
+      }
+
+      const value = layerValue(state.layers);
+      lines.push({
+        item_id: item.id,
+        product_name: item.product_name,
+        category: item.category || null,
+        quantity: round4(quantity),
+        unit_cost: round4(value / quantity),
+        value: round2(value),
+        ledger_value: round2(layerValue(state.layers, (layer) => layer.posted)),
+        unvalued_quantity: unvaluedQuantity,
+        layers: state.layers.map((layer) => ({
+          movement_id: layer.movement_id,
+          date: layer.date,
+          quantity: round4(layer.quantity),
+          unit_cost: layer.unit_cost,
+          cost_source: layer.cost_source
+        }))
+      });
+    }
+
+    return {
+      as_of: asOf,
+      method: resolved,
+      total: round2(lines.reduce((sum, line) => sum + line.value, 0)),
+      items: lines.sort((a, b) => b.value - a.value),
+      unvalued_items: unvalued
+    };
+  }
+
+  // Cost of goods sold for a period: outbound movements at layer cost, with stock adjustments
+  // (counts, wastage) reported separately as they are in the ledger
+  costOfGoodsSold(items, movements, { from, to }, method) {
+    const { issues, method: resolved } = this.replay(movements, items, method, to);
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+    const byItem = new Map();
+    const byMonth = new Map();
+    let cogs = 0;
+    let adjustments = 0;
+    let unvaluedQuantity = 0;
+
+    for (const { movement, cost } of issues) {
+      const date = dateOf(movement);
+      if (date < from) continue;
+
+      const isAdjustment = ledgerService.adjustmentSources.includes(movement.source);
+      if (isAdjustment) adjustments += cost.total_cost;
+      else cogs += cost.total_cost;
+      unvaluedQuantity += cost.unvalued_quantity;
+
+      if (!byItem.has(movement.item_id)) {
+        byItem.set(movement.item_id, {
+          item_id: movement.item_id,
+          product_name: itemsById.get(movement.item_id)?.product_name || null,
+          quantity: 0,
+          cogs: 0,
+          adjustments: 0
+        });
+      }
+      const itemEntry = byItem.get(movement.item_id);
+      itemEntry.quantity = round4(itemEntry.quantity + cost.quantity);
+      itemEntry[isAdjustment ? 'adjustments' : 'cogs'] = round2(itemEntry[isAdjustment ? 'adjustments' : 'cogs'] + cost.total_cost);
+
+      const month = date.substring(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, { month, cogs: 0, adjustments: 0 });
+      const monthEntry = byMonth.get(month);
+      monthEntry[isAdjustment ? 'adjustments' : 'cogs'] = round2(monthEntry[isAdjustment ? 'adjustments' : 'cogs'] + cost.total_cost);
+    }
+
+    // Goods customers returned come back out of cost of goods sold at the cost they went out at
+    let returns = 0;
+    const returned = movements.filter((m) => m.direction === 'in' && ledgerService.returnSources.includes(m.source));
+    for (const movement of returned) {
+      const date = dateOf(movement);
+      if (date < from || date > to) continue;
+
+      const { unit_cost: unitCost } = this.inboundUnitCost(movement, itemsById.get(movement.item_id));
+      const cost = round2((unitCost || 0) * (Number(movement.quantity) || 0));
+      returns += cost;
+
+      if (!byItem.has(movement.item_id)) {
+        byItem.set(movement.item_id, {
+          item_id: movement.item_id,
+          product_name: itemsById.get(movement.item_id)?.product_name || null,
+          quantity: 0,
+          cogs: 0,
+          adjustments: 0
+        });
+      }
+      const itemEntry = byItem.get(movement.item_id);
+      itemEntry.quantity = round4(itemEntry.quantity - (Number(movement.quantity) || 0));
+      itemEntry.cogs = round2(itemEntry.cogs - cost);
+
+      const month = date.substring(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, { month, cogs: 0, adjustments: 0 });
+      byMonth.get(month).cogs = round2(byMonth.get(month).cogs - cost);
+    }
+    cogs -= returns;
+
+    return {
+      from,
+      to,
+      method: resolved,
+      cogs: round2(cogs),
+      returns: round2(returns),
+      adjustments: round2(adjustments),
+      total: round2(cogs + adjustments),
+      unvalued_quantity: round4(unvaluedQuantity),
+      by_item: Array.from(byItem.values()).sort((a, b) => b.cogs - a.cogs),
+      by_month: Array.from(byMonth.values()).sort((a, b) => a.month.localeCompare(b.month))
+    };
+  }
+}
+
+module.exports = new InventoryValuationService();
@@ -0,0 +1,441 @@
+const { v4: uuidv4 } = require('uuid');
+const { openai } = require('../config/openai');
+const graphRAG = require('../config/graphRAG');
+const knowledgeGraphService = require('./knowledgeGraphService');
+
+// Structured knowledge extraction. Each conversation turn and processed document is read by the model,
+// which returns typed entities (with a value, unit and date where the text gives one) and typed
+// relationships between them, each with its own extraction confidence. New entities are matched
+// against the user's knowledge_entities by name and then by embedding similarity: a match updates the
+// existing row (its conversations, value and confidence) instead of adding a duplicate. When no model
+// is configured, or the call fails, GraphRAG's keyword extraction is used as before.
+class KnowledgeExtractionService {
+  constructor() {
+    this.extractionMethod = 'llm_extraction';
+    this.model = 'gpt-4o-mini';
+    // Text sent to the model per turn or document
+    this.maxInputChars = 6000;
+    this.maxEntities = 20;
+    this.maxRelationships = 15;
+    // Facts the model is less sure of than this are dropped
+    this.minConfidence = 0.5;
+    // Cosine similarity above which two entities of the same type are the same thing
+    this.dedupeThreshold = 0.88;
+
+    // Category and tier stored with each entity type; tier 1 is what the assistant needs most
+    this.entityTypes = {
+      supplier: { category: 'operations', tier: 2 },
+      customer: { category: 'revenue', tier: 2 },
+      product: { category: 'inventory', tier: 2 },
+      product_line: { category: 'inventory', tier: 2 },
+      revenue: { category: 'income', tier: 1 },
+      expense: { category: 'cost', tier: 1 },
+      metric: { category: 'performance', tier: 1 },
+      loan: { category: 'financing', tier: 2 },
+      asset: { category: 'working_capital', tier: 3 },
+      employee: { category: 'operations', tier: 3 },
+      location: { category: 'operations', tier: 3 },
+      event: { category: 'trends', tier: 3 },
+      goal: { category: 'growth', tier: 2 },
+      business: { category: 'business_domain', tier: 1 },
+      other: { category: 'general', tier: 3 }
+    };
+
+    this.relationshipTypes = [
+      'supplies', 'buys_from', 'sells', 'sold_to', 'pays', 'owes', 'costs', 'earns',
+      'affects', 'depends_on', 'part_of', 'located_in', 'works_for', 'relates_to'
+    ];
+  }
+
+  // Function schema the model fills in
+  extractionFunction() {
+    return {
+      name: 'record_business_facts',
+      description: 'Record the business facts stated in the text as typed entities and relationships',
+      parameters: {
+        type: 'object',
+        properties: {
+          entities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Canonical name, e.g. "Sharma Traders", "Basmati rice", "Shop rent"' },
+                type: { type: 'string', enum: Object.keys(this.entityTypes) },
+                value: { type: 'string', description: 'Amount or quantity stated for it, digits only, e.g. "45000"' },
+                unit: { type: 'string', description: 'Unit of the value, e.g. "INR", "kg", "INR/month", "%"' },
+                date: { type: 'string', description: 'Date the fact applies to as YYYY-MM-DD' },
+                context: { type: 'string', description: 'The fact in one short sentence' },
+                confidence: { type: 'number', description: 'How sure you are that the text states this, 0 to 1' }
+              },
+              required: ['name', 'type', 'confidence']
+            }
+          },
+          relationships: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', description: 'Name of an entity listed above' },
+                to: { type: 'string', description: 'Name of an entity listed above' },
+                type: { type: 'string', enum: this.relationshipTypes },
+                context: { type: 'string' },
+                confidence: { type: 'number' }
+              },
+              required: ['from', 'to', 'type', 'confidence']
+            }
+          }
+        },
+        required: ['entities', 'relationships']
+      }
+    };
+  }
+
+  systemPrompt(source, userProfile = {}) {
+    const today = new Date().toISOString().split('T')[0];
+    return `You extract facts about the user's ${userProfile.business_type || 'small'} business in India from a ${source}.
+Today is ${today}; resolve relative dates ("yesterday", "last month") against it.
+Only record facts the text actually states about this business: suppliers, customers, products, amounts earned or spent, loans, goals, dates.
+Skip generic advice, hypotheticals and examples. Use one entity per real-world thing and reuse its exact name in relationships.
+Amounts in rupees use unit "INR". Lower the confidence for anything implied rather than stated.`;
+  }
+
+  clamp(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.min(1, Math.max(0, number));
+  }
+
+  validDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return null;
+    return Number.isNaN(new Date(value).getTime()) ? null : value;
+  }
+
+  // Model output -> GraphRAG's entity / relationship shape, deduplicated by name within the batch
+  normalize(extraction, source) {
+    const entities = new Map();
+    (extraction.entities || []).forEach((item) => {
+      const name = String(item?.name || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+      const confidence = this.clamp(item?.confidence);
+      if (!name || confidence < this.minConfidence) return;
+
+      const type = this.entityTypes[item.type] ? item.type : 'other';
+      const key = knowledgeGraphService.nameKey(name);
+      const existing = entities.get(key);
+      if (existing && existing.extraction_confidence >= confidence) return;
+
+      entities.set(key, {
+        entity: name,
+        type,
+        category: this.entityTypes[type].category,
+        tier: this.entityTypes[type].tier,
+        context: String(item.context || '').trim().slice(0, 200),
+        confidence,
+        extraction_confidence: confidence,
+        extraction_method: this.extractionMethod,
+        value: item.value !== undefined && item.value !== null && String(item.value).trim() ? String(item.value).trim().slice(0, 100) : null,
+        unit: item.unit ? String(item.unit).trim().slice(0, 30) : null,
+        date: this.validDate(item.date),
+        source
+      });
+    });
+
+    const relationships = [];
+    const seen = new Set();
+    (extraction.relationships || []).forEach((item) => {
+      const from = entities.get(knowledgeGraphService.nameKey(item?.from));
+      const to = entities.get(knowledgeGraphService.nameKey(item?.to));
+      const confidence = this.clamp(item?.confidence);
+      if (!from || !to || from === to || confidence < this.minConfidence) return;
+
+      const type = this.relationshipTypes.includes(item.type) ? item.type : 'relates_to';
+      const key = `${knowledgeGraphService.nameKey(from.entity)}|${knowledgeGraphService.nameKey(to.entity)}|${type}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      relationships.push({
+        from: from.entity,
+        to: to.entity,
+        type,
+        strength: confidence,
+        extraction_confidence: confidence,
+        context: { source, note: String(item.context || '').trim().slice(0, 200) }
+      });
+    });
+
+    return {
+      entities: [...entities.values()]
+        .sort((a, b) => a.tier - b.tier || b.confidence - a.confidence)
+        .slice(0, this.maxEntities),
+      relationships: relationships
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, this.maxRelationships)
+    };
+  }
+
+  // Ask the model for the facts in a piece of text; null when no model is available or the call fails
+  async extract(text, { source = 'conversation', userProfile = {} } = {}) {
+    if (!text || !text.trim() || !openai.isConfigured('functions')) return null;
+
+    try {
+      const response = await openai.chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: this.systemPrompt(source, userProfile) },
+          { role: 'user', content: text.slice(0, this.maxInputChars) }
+        ],
+        functions: [this.extractionFunction()],
+        function_call: { name: 'record_business_facts' },
+        max_tokens: 1500,
+        temperature: 0
+      });
+
+      const functionCall = response?.choices?.[0]?.message?.function_call;
+      if (!functionCall || functionCall.name !== 'record_business_facts') return null;
+      return this.normalize(JSON.parse(functionCall.arguments || '{}'), source);
+    } catch (error) {
+      console.error('Knowledge extraction failed, falling back to keywords:', error.message);
+      return null;
+    }
+  }
+
+  embeddingText(entity) {
+    return `${entity.entity} ${entity.category || ''} ${entity.context || ''}`.trim();
+  }
+
+  // One embedding per entity, or nulls when embeddings are unavailable (dedupe then matches names only)
+  async embed(entities) {
+    if (entities.length === 0) return [];
+    try {
+      const { VectorEmbeddingService } = require('./vectorService');
+      const vectorService = new VectorEmbeddingService();
+      return await vectorService.generateEmbeddingsBatch(entities.map((entity) => this.embeddingText(entity)));
+    } catch (error) {
+      console.error('Knowledge embeddings unavailable, deduplicating by name only:', error.message);
+      return entities.map(() => null);
+    }
+  }
+
+  // The existing entity this one refers to: same name first, then the closest embedding of the same type
+  async findExisting(supabase, userId, entity, embedding) {
+    const named = await knowledgeGraphService.entityRowsNamed(supabase, userId, entity.entity);
+    if (named.length > 0) {
+      return named.sort((a, b) => (b.pinned === true) - (a.pinned === true) || (b.confidence || 0) - (a.confidence || 0))[0];
+    }
+    if (!embedding) return null;
+
+    const { data, error } = await supabase.rpc('find_similar_entities', {
+      user_id_param: userId,
+      embedding_param: embedding,
+      similarity_threshold: this.dedupeThreshold,
+      limit_count: 5
+    });
+    if (error) {
+      console.error('Knowledge similarity lookup failed:', error.message);
+      return null;
+    }
+
+    const match = (data || []).find((row) => row.entity_type === entity.type);
+    return match ? knowledgeGraphService.loadEntity(supabase, userId, match.id) : null;
+  }
+
+  // Fold a new mention into the existing row; names and notes the user edited are left alone
+  async updateExisting(supabase, userId, existing, entity, { conversationId, documentId }) {
+    const conversationIds = new Set(knowledgeGraphService.conversationIdsOf(existing));
+    if (conversationId) conversationIds.add(conversationId);
+    conversationIds.delete(existing.conversation_id);
+
+    const update = {
+      source_conversation_ids: [...conversationIds],
+      confidence: Math.max(existing.confidence || 0, entity.confidence),
+      extraction_confidence: entity.extraction_confidence,
+      tier: Math.min(existing.tier || 3, entity.tier),
+      updated_at: new Date().toISOString()
+    };
+    if (entity.value !== null) {
+      update.entity_value = entity.value;
+      update.value_unit = entity.unit;
+    }
+    if (entity.date) update.entity_date = entity.date;
+    if (documentId && !existing.document_id) update.document_id = documentId;
+    if (entity.context && existing.extraction_method !== knowledgeGraphService.userEditMethod) {
+      update.context = entity.context;
+    }
+
+    const { error } = await supabase
+      .from('knowledge_entities')
+      .update(update)
+      .eq('id', existing.id)
+      .eq('user_id', userId);
+    if (error) throw error;
+  }
+
+  async insertEntity(supabase, userId, entity, embedding, { conversationId, documentId }) {
+    const id = uuidv4();
+    const { error } = await supabase.from('knowledge_entities').insert({
+      id,
+      user_id: userId,
+      conversation_id: conversationId || null,
+      document_id: documentId || null,
+      entity_name: entity.entity,
+      entity_type: entity.type,
+      category: entity.category,
+      context: entity.context,
+      confidence: entity.confidence,
+      extraction_confidence: entity.extraction_confidence,
+      tier: entity.tier,
+      extraction_method: entity.extraction_method,
+      entity_value: entity.value,
+      value_unit: entity.unit,
+      entity_date: entity.date,
+      ...(embedding && { embedding }),
+      created_at: new Date().toISOString()
+    });
+    if (error) throw error;
+
+    if (embedding) {
+      await supabase.from('entity_embeddings').upsert({ entity_id: id, user_id: userId, embedding });
+    }
+  }
+
+  // Store entities, merging each into an existing one where it matches. Returns how names map onto the
+  // stored (canonical) names so relationships point at the right rows.
+  async storeEntities(supabase, userId, entities, origin) {
+    const embeddings = await this.embed(entities);
+    const canonicalNames = new Map();
+    let merged = 0;
+
+    for (let i = 0; i < entities.length; i++) {
+      const entity = entities[i];
+      try {
+        const existing = await this.findExisting(supabase, userId, entity, embeddings[i]);
+        if (existing) {
+          await this.updateExisting(supabase, userId, existing, entity, origin);
+          canonicalNames.set(knowledgeGraphService.nameKey(entity.entity), existing.entity_name);
+          merged++;
+        } else {
+          await this.insertEntity(supabase, userId, entity, embeddings[i], origin);
+          canonicalNames.set(knowledgeGraphService.nameKey(entity.entity), entity.entity);
+        }
+      } catch (error) {
+        console.error(`Error storing knowledge entity ${entity.entity}:`, error.message);
+      }
+    }
+
+    return { canonicalNames, merged };
+  }
+
+  async storeRelationships(supabase, userId, relationships, canonicalNames, { conversationId, documentId }) {
+    const stored = [];
+
+    for (const rel of relationships) {
+      const from = canonicalNames.get(knowledgeGraphService.nameKey(rel.from));
+      const to = canonicalNames.get(knowledgeGraphService.nameKey(rel.to));
+      if (!from || !to || knowledgeGraphService.nameKey(from) === knowledgeGraphService.nameKey(to)) continue;
+
+      try {
+        const { data: existing } = await supabase
+          .from('knowledge_relationships')
+          .select('id, conversation_id, source_conversation_ids, strength')
+          .eq('user_id', userId)
+          .ilike('from_entity', knowledgeGraphService.exactPattern(from))
+          .ilike('to_entity', knowledgeGraphService.exactPattern(to))
+          .eq('relationship_type', rel.type)
+          .limit(1)
+          .maybeSingle();
+
+        if (existing) {
+          const conversationIds = new Set(knowledgeGraphService.conversationIdsOf(existing));
+          if (conversationId) conversationIds.add(conversationId);
+          conversationIds.delete(existing.conversation_id);
+
+          await supabase
+            .from('knowledge_relationships')
+            .update({
+              source_conversation_ids: [...conversationIds],
+              strength: Math.max(existing.strength || 0, rel.strength),
+              extraction_confidence: rel.extraction_confidence
+            })
+            .eq('id', existing.id)
+            .eq('user_id', userId);
+        } else {
+          const { error } = await supabase.from('knowledge_relationships').insert({
+            id: uuidv4(),
+            user_id: userId,
+            conversation_id: conversationId || null,
+            document_id: documentId || null,
+            from_entity: from,
+            to_entity: to,
+            relationship_type: rel.type,
+            strength: rel.strength,
+            extraction_confidence: rel.extraction_confidence,
+            context: JSON.stringify({ ...rel.context, conversation_id: conversationId || null, document_id: documentId || null }).substring(0, 500),
+            created_at: new Date().toISOString()
+          });
+          if (error) throw error;
+        }
+        stored.push({ ...rel, from, to });
+      } catch (error) {
+        console.error(`Error storing knowledge relationship ${from} -> ${to}:`, error.message);
+      }
+    }
+
+    return stored;
+  }
+
+  // Extract, deduplicate and store. Never throws: knowledge is a side effect of chatting and uploading.
+  async learn(userId, text, { source, userProfile = {}, conversationId = null, documentId = null, fallbackContext = {} }) {
+    try {
+      const extraction = await this.extract(text, { source, userProfile });
+
+      if (!extraction) {
+        const entities = graphRAG.extractEntities(text, userProfile);
+        const relationships = graphRAG.buildRelationships(entities, fallbackContext);
+        await graphRAG.storeKnowledge(userId, entities, relationships, conversationId);
+        return { method: 'keyword', entities, relationships, merged: 0 };
+      }
+
+      const supabase = graphRAG.getSupabaseClient();
+      const origin = { conversationId, documentId };
+      const { canonicalNames, merged } = await this.storeEntities(supabase, userId, extraction.entities, origin);
+      const relationships = await this.storeRelationships(supabase, userId, extraction.relationships, canonicalNames, origin);
+
+      graphRAG.updateMemoryGraph(userId, extraction.entities, relationships);
+      console.log(
+        `[Graph RAG] Extracted ${extraction.entities.length} entities (${merged} matched existing), ${relationships.length} relationships from ${source}`
+      );
+
+      return { method: this.extractionMethod, entities: extraction.entities, relationships, merged };
+    } catch (error) {
+      console.error('Knowledge extraction error:', error);
+      return { method: 'failed', entities: [], relationships: [], merged: 0 };
+    }
+  }
+
+  // Both sides of a chat turn: the user's message carries most of the facts about their business
+  async learnFromTurn(userId, conversationId, { userMessage, aiResponse, userProfile = {} }) {
+    const text = `User: ${userMessage || ''}\n\nAssistant: ${aiResponse || ''}`;
+    return this.learn(userId, text, {
+      source: 'conversation',
+      userProfile,
+      conversationId,
+      fallbackContext: { conversation_id: conversationId, type: 'chat_response' }
+    });
+  }
+
+  // The structured data documentProcessingService pulled out of an uploaded document
+  async learnFromDocument(userId, { documentId = null, fileName, extractedData, userProfile = {} }) {
+    const { financial_summary: summary, processing_metadata: metadata, ...data } = extractedData || {};
+    const text = `Document: ${fileName || metadata?.file_name || 'upload'}\n${JSON.stringify(data)}${
+      summary ? `\nSummary: ${JSON.stringify(summary)}` : ''
+    }`;
+    return this.learn(userId, text, {
+      source: 'document',
+      userProfile,
+      documentId,
+      fallbackContext: { document_id: documentId, type: 'document', file_name: fileName }
+    });
+  }
+}
+
+module.exports = new KnowledgeExtractionService();
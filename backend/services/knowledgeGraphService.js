@@ -0,0 +1,454 @@
+// User-facing view of the GraphRAG memory. knowledge_entities has a row per mention (entity_name +
+// the conversation it came from); knowledge_relationships points at entities by name (from_entity /
+// to_entity). Merging folds rows into one and keeps every conversation behind them in
+// source_conversation_ids. Pinned entities and relationships are always given to the model and are
+// never cleaned up.
+class KnowledgeGraphService {
+  constructor() {
+    this.defaultListLimit = 50;
+    this.maxListLimit = 200;
+    this.defaultGraphLimit = 150;
+    // Manual edits are as certain as it gets
+    this.userEditMethod = 'user_edit';
+    // Everything but the embedding vector
+    this.entityColumns = 'id, user_id, conversation_id, source_conversation_ids, document_id, entity_name, entity_type, category, context, entity_value, value_unit, entity_date, confidence, extraction_confidence, tier, extraction_method, pinned, created_at, updated_at';
+  }
+
+  nameKey(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  // Case-insensitive exact match for ilike
+  exactPattern(name) {
+    return String(name || '').trim().replace(/[\\%_]/g, (ch) => `\\${ch}`);
+  }
+
+  // exactPattern as a double-quoted PostgREST value, so names with commas or parentheses survive .or()
+  quotedPattern(name) {
+    return `"${this.exactPattern(name).replace(/[\\"]/g, (ch) => `\\${ch}`)}"`;
+  }
+
+  // Every conversation a row came from: its own plus those merged into it
+  conversationIdsOf(row) {
+    return [row.conversation_id, ...(row.source_conversation_ids || [])].filter(Boolean);
+  }
+
+  parseContext(context) {
+    if (typeof context !== 'string') return context || null;
+    try {
+      return JSON.parse(context);
+    } catch (error) {
+      return context;
+    }
+  }
+
+  async listEntities(supabase, userId, { q, type, pinned, limit, offset = 0 } = {}) {
+    const pageSize = Math.min(parseInt(limit) || this.defaultListLimit, this.maxListLimit);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('knowledge_entities')
+      .select(this.entityColumns, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('pinned', { ascending: false, nullsFirst: false })
+      .order('confidence', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (q) {
+      const term = String(q).replace(/[%_,()]/g, ' ').trim();
+      query = query.or(`entity_name.ilike.%${term}%,context.ilike.%${term}%,category.ilike.%${term}%`);
+    }
+    if (type) query = query.eq('entity_type', type);
+    if (pinned !== undefined) query = query.eq('pinned', pinned);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { entities: data || [], total: count || 0 };
+  }
+
+  async listRelationships(supabase, userId, { entity, type, pinned, limit, offset = 0 } = {}) {
+    const pageSize = Math.min(parseInt(limit) || this.defaultListLimit, this.maxListLimit);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('knowledge_relationships')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('pinned', { ascending: false, nullsFirst: false })
+      .order('strength', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (entity) {
+      const name = this.quotedPattern(entity);
+      query = query.or(`from_entity.ilike.${name},to_entity.ilike.${name}`);
+    }
+    if (type) query = query.eq('relationship_type', type);
+    if (pinned !== undefined) query = query.eq('pinned', pinned);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return {
+      relationships: (data || []).map((row) => ({ ...row, context: this.parseContext(row.context) })),
+      total: count || 0
+    };
+  }
+
+  async loadEntity(supabase, userId, entityId) {
+    const { data } = await supabase
+      .from('knowledge_entities')
+      .select(this.entityColumns)
+      .eq('id', entityId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    return data || null;
+  }
+
+  async loadRelationship(supabase, userId, relationshipId) {
+    const { data } = await supabase
+      .from('knowledge_relationships')
+      .select('*')
+      .eq('id', relationshipId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    return data ? { ...data, context: this.parseContext(data.context) } : null;
+  }
+
+  async entityRowsNamed(supabase, userId, name) {
+    const { data, error } = await supabase
+      .from('knowledge_entities')
+      .select(this.entityColumns)
+      .eq('user_id', userId)
+      .ilike('entity_name', this.exactPattern(name));
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Conversations behind a set of rows, with their thread titles where the thread still exists
+  async describeSources(supabase, userId, rows) {
+    const sources = new Map();
+    rows.forEach((row) => {
+      this.conversationIdsOf(row).forEach((conversationId) => {
+        if (!sources.has(conversationId)) {
+          sources.set(conversationId, {
+            conversation_id: conversationId,
+            title: null,
+            context: typeof row.context === 'string' ? row.context : null,
+            first_seen_at: row.created_at
+          });
+        }
+        const source = sources.get(conversationId);
+        if (row.created_at < source.first_seen_at) source.first_seen_at = row.created_at;
+      });
+    });
+
+    const ids = [...sources.keys()];
+    if (ids.length > 0) {
+      const { data: threads } = await supabase
+        .from('conversation_threads')
+        .select('id, title')
+        .eq('user_id', userId)
+        .in('id', ids);
+      (threads || []).forEach((thread) => {
+        sources.get(thread.id).title = thread.title;
+      });
+    }
+
+    return [...sources.values()].sort((a, b) => new Date(b.first_seen_at) - new Date(a.first_seen_at));
+  }
+
+  // The conversations an entity was mentioned in, across every row with the same name
+  async entitySources(supabase, userId, entity) {
+    const rows = await this.entityRowsNamed(supabase, userId, entity.entity_name);
+    return this.describeSources(supabase, userId, rows.length > 0 ? rows : [entity]);
+  }
+
+  // The conversations a relationship was seen in, across every row linking the same two entities the same way
+  async relationshipSources(supabase, userId, relationship) {
+    const { data, error } = await supabase
+      .from('knowledge_relationships')
+      .select('conversation_id, source_conversation_ids, created_at')
+      .eq('user_id', userId)
+      .ilike('from_entity', this.exactPattern(relationship.from_entity))
+      .ilike('to_entity', this.exactPattern(relationship.to_entity))
+      .eq('relationship_type', relationship.relationship_type);
+    if (error) throw error;
+    return this.describeSources(supabase, userId, data && data.length > 0 ? data : [relationship]);
+  }
+
+  // Point relationships at a renamed or merged entity
+  async renameReferences(supabase, userId, fromName, toName) {
+    const pattern = this.exactPattern(fromName);
+    const [{ error: fromError }, { error: toError }] = await Promise.all([
+      supabase.from('knowledge_relationships').update({ from_entity: toName }).eq('user_id', userId).ilike('from_entity', pattern),
+      supabase.from('knowledge_relationships').update({ to_entity: toName }).eq('user_id', userId).ilike('to_entity', pattern)
+    ]);
+    if (fromError) throw fromError;
+    if (toError) throw toError;
+  }
+
+  // After a merge: drop self-links and fold relationships that now say the same thing into the strongest one
+  async collapseRelationships(supabase, userId, name) {
+    const pattern = this.quotedPattern(name);
+    const { data, error } = await supabase
+      .from('knowledge_relationships')
+      .select('*')
+      .eq('user_id', userId)
+      .or(`from_entity.ilike.${pattern},to_entity.ilike.${pattern}`);
+    if (error) throw error;
+
+    const groups = new Map();
+    const removed = [];
+    (data || []).forEach((row) => {
+      if (this.nameKey(row.from_entity) === this.nameKey(row.to_entity)) {
+        removed.push(row.id);
+        return;
+      }
+      const key = `${this.nameKey(row.from_entity)}|${this.nameKey(row.to_entity)}|${row.relationship_type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    for (const rows of groups.values()) {
+      if (rows.length < 2) continue;
+      rows.sort((a, b) => (b.pinned === true) - (a.pinned === true) || (b.strength || 0) - (a.strength || 0));
+      const [kept, ...duplicates] = rows;
+      const conversationIds = new Set(rows.flatMap((row) => this.conversationIdsOf(row)));
+      conversationIds.delete(kept.conversation_id);
+
+      const { error: updateError } = await supabase
+        .from('knowledge_relationships')
+        .update({
+          source_conversation_ids: [...conversationIds],
+          pinned: rows.some((row) => row.pinned === true)
+        })
+        .eq('id', kept.id)
+        .eq('user_id', userId);
+      if (updateError) throw updateError;
+      removed.push(...duplicates.map((row) => row.id));
+    }
+
+    if (removed.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('knowledge_relationships')
+        .delete()
+        .eq('user_id', userId)
+        .in('id', removed);
+      if (deleteError) throw deleteError;
+    }
+    return removed.length;
+  }
+
+  // Re-embed an entity whose name or context changed so semantic search finds it by the new text
+  async refreshEmbedding(supabase, userId, entity) {
+    try {
+      const { VectorEmbeddingService } = require('./vectorService');
+      const vectorService = new VectorEmbeddingService();
+      const embedding = await vectorService.generateEmbedding(
+        `${entity.entity_name} ${entity.category || ''} ${entity.context || ''}`
+      );
+
+      await supabase.from('entity_embeddings').upsert({ entity_id: entity.id, user_id: userId, embedding });
+      await supabase.from('knowledge_entities').update({ embedding }).eq('id', entity.id).eq('user_id', userId);
+    } catch (error) {
+      console.error(`Knowledge embedding refresh failed for ${entity.id}:`, error.message);
+    }
+  }
+
+  async updateEntity(supabase, userId, entity, changes) {
+    const update = { ...changes, updated_at: new Date().toISOString() };
+    if (changes.entity_name !== undefined || changes.context !== undefined || changes.entity_type !== undefined) {
+      update.extraction_method = this.userEditMethod;
+    }
+
+    const { data, error } = await supabase
+      .from('knowledge_entities')
+      .update(update)
+      .eq('id', entity.id)
+      .eq('user_id', userId)
+      .select(this.entityColumns)
+      .single();
+    if (error) throw error;
+
+    const renamed = changes.entity_name !== undefined && this.nameKey(changes.entity_name) !== this.nameKey(entity.entity_name);
+    if (renamed) {
+      // Relationships follow the rename once no other row carries the old name
+      const remaining = await this.entityRowsNamed(supabase, userId, entity.entity_name);
+      if (remaining.length === 0) {
+        await this.renameReferences(supabase, userId, entity.entity_name, data.entity_name);
+      }
+    }
+    if (renamed || changes.context !== undefined || changes.category !== undefined) {
+      await this.refreshEmbedding(supabase, userId, data);
+    }
+
+    return data;
+  }
+
+  // Fold the source rows into the target: relationships are repointed, conversations and pins carried
+  // over, and the target keeps the highest confidence
+  async mergeEntities(supabase, userId, target, sources) {
+    const conversationIds = new Set(this.conversationIdsOf(target));
+    sources.forEach((source) => this.conversationIdsOf(source).forEach((id) => conversationIds.add(id)));
+    conversationIds.delete(target.conversation_id);
+
+    const sourceIds = sources.map((source) => source.id);
+    const { error: deleteError } = await supabase
+      .from('knowledge_entities')
+      .delete()
+      .eq('user_id', userId)
+      .in('id', sourceIds);
+    if (deleteError) throw deleteError;
+
+    await supabase.from('entity_embeddings').delete().eq('user_id', userId).in('entity_id', sourceIds);
+
+    const renamedFrom = [...new Set(sources.map((source) => source.entity_name))]
+      .filter((name) => this.nameKey(name) !== this.nameKey(target.entity_name));
+    for (const name of renamedFrom) {
+      const remaining = await this.entityRowsNamed(supabase, userId, name);
+      if (remaining.length === 0) {
+        await this.renameReferences(supabase, userId, name, target.entity_name);
+      }
+    }
+
+    const { data: merged, error } = await supabase
+      .from('knowledge_entities')
+      .update({
+        source_conversation_ids: [...conversationIds],
+        confidence: Math.max(target.confidence || 0, ...sources.map((source) => source.confidence || 0)),
+        tier: Math.min(target.tier || 3, ...sources.map((source) => source.tier || 3)),
+        pinned: [target, ...sources].some((row) => row.pinned === true),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', target.id)
+      .eq('user_id', userId)
+      .select(this.entityColumns)
+      .single();
+    if (error) throw error;
+
+    const relationshipsRemoved = await this.collapseRelationships(supabase, userId, target.entity_name);
+
+    return { entity: merged, merged_ids: sourceIds, relationships_removed: relationshipsRemoved };
+  }
+
+  // Removes the row; when it was the last one with its name, the relationships pointing at it go too
+  async deleteEntity(supabase, userId, entity) {
+    const { error } = await supabase
+      .from('knowledge_entities')
+      .delete()
+      .eq('id', entity.id)
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    await supabase.from('entity_embeddings').delete().eq('user_id', userId).eq('entity_id', entity.id);
+
+    const remaining = await this.entityRowsNamed(supabase, userId, entity.entity_name);
+    if (remaining.length > 0) return { relationships_removed: 0 };
+
+    const pattern = this.quotedPattern(entity.entity_name);
+    const { data: removed, error: relationshipsError } = await supabase
+      .from('knowledge_relationships')
+      .delete()
+      .eq('user_id', userId)
+      .or(`from_entity.ilike.${pattern},to_entity.ilike.${pattern}`)
+      .select('id');
+    if (relationshipsError) throw relationshipsError;
+
+    return { relationships_removed: (removed || []).length };
+  }
+
+  async updateRelationship(supabase, userId, relationship, changes) {
+    const { data, error } = await supabase
+      .from('knowledge_relationships')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', relationship.id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+    if (error) throw error;
+    return { ...data, context: this.parseContext(data.context) };
+  }
+
+  async deleteRelationship(supabase, userId, relationship) {
+    const { error } = await supabase
+      .from('knowledge_relationships')
+      .delete()
+      .eq('id', relationship.id)
+      .eq('user_id', userId);
+    if (error) throw error;
+  }
+
+  // Nodes (one per entity name, rows folded together) and the edges between them, for the graph view
+  async buildGraph(supabase, userId, { limit } = {}) {
+    const nodeLimit = Math.min(parseInt(limit) || this.defaultGraphLimit, this.maxListLimit * 2);
+
+    const [{ data: entities, error: entitiesError }, { data: relationships, error: relationshipsError }] = await Promise.all([
+      supabase
+        .from('knowledge_entities')
+        .select('id, entity_name, entity_type, category, confidence, tier, pinned, conversation_id, source_conversation_ids, created_at')
+        .eq('user_id', userId)
+        .order('confidence', { ascending: false }),
+      supabase
+        .from('knowledge_relationships')
+        .select('id, from_entity, to_entity, relationship_type, strength, pinned')
+        .eq('user_id', userId)
+        .order('strength', { ascending: false })
+    ]);
+    if (entitiesError) throw entitiesError;
+    if (relationshipsError) throw relationshipsError;
+
+    const nodes = new Map();
+    (entities || []).forEach((row) => {
+      const key = this.nameKey(row.entity_name);
+      if (!nodes.has(key)) {
+        nodes.set(key, {
+          id: row.id,
+          key,
+          label: row.entity_name,
+          type: row.entity_type,
+          category: row.category,
+          confidence: row.confidence || 0,
+          pinned: false,
+          entity_ids: [],
+          conversation_ids: new Set()
+        });
+      }
+      const node = nodes.get(key);
+      node.entity_ids.push(row.id);
+      node.pinned = node.pinned || row.pinned === true;
+      node.confidence = Math.max(node.confidence, row.confidence || 0);
+      this.conversationIdsOf(row).forEach((id) => node.conversation_ids.add(id));
+    });
+
+    const selected = [...nodes.values()]
+      .sort((a, b) => (b.pinned - a.pinned) || (b.conversation_ids.size - a.conversation_ids.size) || (b.confidence - a.confidence))
+      .slice(0, nodeLimit);
+    const selectedKeys = new Set(selected.map((node) => node.key));
+
+    const edges = (relationships || [])
+      .filter((rel) => selectedKeys.has(this.nameKey(rel.from_entity)) && selectedKeys.has(this.nameKey(rel.to_entity)))
+      .map((rel) => ({
+        id: rel.id,
+        source: this.nameKey(rel.from_entity),
+        target: this.nameKey(rel.to_entity),
+        type: rel.relationship_type,
+        strength: rel.strength || 0,
+        pinned: rel.pinned === true
+      }));
+
+    return {
+      nodes: selected.map(({ conversation_ids: conversationIds, ...node }) => ({
+        ...node,
+        mentions: conversationIds.size
+      })),
+      edges,
+      stats: {
+        entities: (entities || []).length,
+        distinct_entities: nodes.size,
+        relationships: (relationships || []).length,
+        pinned: selected.filter((node) => node.pinned).length + edges.filter((edge) => edge.pinned).length
+      }
+    };
+  }
+}
+
+module.exports = new KnowledgeGraphService();
@@ -0,0 +1,555 @@
+// Default chart of accounts seeded for every user on first posting
+const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Cash', type: 'asset' },
+  { code: '1010', name: 'Bank', type: 'asset' },
+  { code: '1100', name: 'Accounts Receivable', type: 'asset' },
+  { code: '1200', name: 'Inventory', type: 'asset' },
+  { code: '1300', name: 'GST Input Tax Credit', type: 'asset' },
+  { code: '2000', name: 'Accounts Payable', type: 'liability' },
+  { code: '2100', name: 'GST Output Tax Payable', type: 'liability' },
+  { code: '3000', name: "Owner's Equity", type: 'equity' },
+  { code: '4000', name: 'Sales Revenue', type: 'revenue' },
+  { code: '5000', name: 'Cost of Goods Sold', type: 'expense' },
+  { code: '5100', name: 'Purchases and Operating Expenses', type: 'expense' },
+  { code: '5200', name: 'Inventory Adjustments', type: 'expense' },
+  { code: '5300', name: 'Bad Debts', type: 'expense' },
+];
+
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+const toPaise = (value) => Math.round((Number(value) || 0) * 100);
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class LedgerService {
+  constructor() {
+    this.accounts = {
+      CASH: '1000',
+      BANK: '1010',
+      RECEIVABLES: '1100',
+      INVENTORY: '1200',
+      GST_INPUT: '1300',
+      PAYABLES: '2000',
+      GST_OUTPUT: '2100',
+      EQUITY: '3000',
+      SALES: '4000',
+      COGS: '5000',
+      EXPENSES: '5100',
+      INVENTORY_ADJUSTMENTS: '5200',
+      BAD_DEBTS: '5300'
+    };
+
+    this.sourceTypes = {
+      EARNING: 'earning',
+      STOCK_MOVEMENT: 'stock_movement',
+      MANUAL: 'manual',
+      REVERSAL: 'reversal',
+      INVOICE: 'invoice',
+      INVOICE_WRITE_OFF: 'invoice_write_off',
+      SUPPLIER_BILL: 'supplier_bill'
+    };
+
+    this.accountTypes = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+
+    // Stock-out sources booked as inventory adjustments rather than cost of goods sold
+    this.adjustmentSources = ['adjustment', 'stock_count', 'wastage'];
+
+    // Stock moved between locations; the item's value does not change, so nothing is posted
+    this.transferSources = ['transfer'];
+
+    // Stock customers bring back; it returns to inventory at cost out of cost of goods sold
+    this.returnSources = ['sales_return'];
+
+    // Rows cancelling an earlier movement; the earlier movement's entry is reversed instead of posting these
+    this.reversalSources = ['reversal'];
+
+    // Earnings rows from sales bills and credit notes. Their inventory_cost is the cost of the goods, which
+    // the bill's stock movements post between Inventory and COGS, so it is never an expense of its own.
+    this.stockCostedDocTypes = ['sales_bill', 'sales_return'];
+
+    // Users whose default accounts have already been seeded by this process
+    this.seededUsers = new Set();
+
+    // PostgREST returns at most this many rows per select
+    this.pageSize = 1000;
+  }
+
+  // Every row a query matches, a page at a time; buildQuery must return a fresh, consistently ordered
+  // query. Resolves to { data, error } like a single select.
+  async selectAll(buildQuery) {
+    const rows = [];
+    for (let start = 0; ; start += this.pageSize) {
+      const { data, error } = await buildQuery().range(start, start + this.pageSize - 1);
+      if (error) return { data: null, error };
+      rows.push(...(data || []));
+      if (!data || data.length < this.pageSize) return { data: rows, error: null };
+    }
+  }
+
+  getDefaultAccounts() {
+    return DEFAULT_ACCOUNTS.map((account) => ({ ...account }));
+  }
+
+  isDebitNormal(accountType) {
+    return DEBIT_NORMAL_TYPES.includes(accountType);
+  }
+
+  async ensureChartOfAccounts(supabase, userId) {
+    if (this.seededUsers.has(userId)) return;
+
+    const rows = DEFAULT_ACCOUNTS.map((account) => ({
+      user_id: userId,
+      ...account,
+      is_system: true
+    }));
+
+    const { error } = await supabase
+      .from('ledger_accounts')
+      .upsert(rows, { onConflict: 'user_id,code', ignoreDuplicates: true });
+
+    if (error) throw error;
+    this.seededUsers.add(userId);
+  }
+
+  // Throws a 400-style error unless the lines form a balanced journal entry
+  validateLines(lines) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    if (!Array.isArray(lines) || lines.length < 2) {
+      fail('A journal entry needs at least two lines');
+    }
+
+    let debitTotal = 0;
+    let creditTotal = 0;
+
+    for (const line of lines) {
+      const debit = toPaise(line.debit);
+      const credit = toPaise(line.credit);
+
+      if (!line.account_code) fail('Every journal line needs an account_code');
+      if (debit < 0 || credit < 0) fail('Debit and credit amounts cannot be negative');
+      if (debit > 0 && credit > 0) fail('A journal line cannot carry both a debit and a credit');
+      if (debit === 0 && credit === 0) fail('A journal line must carry a debit or a credit');
+
+      debitTotal += debit;
+      creditTotal += credit;
+    }
+
+    if (debitTotal !== creditTotal) {
+      fail(`Journal entry is not balanced (debits ${debitTotal / 100}, credits ${creditTotal / 100})`);
+    }
+
+    return { total: debitTotal / 100 };
+  }
+
+  // Drop zero lines so callers can describe optional legs (tax, etc.) unconditionally
+  compactLines(lines) {
+    return lines
+      .map((line) => ({ ...line, debit: round2(line.debit), credit: round2(line.credit) }))
+      .filter((line) => line.debit > 0 || line.credit > 0);
+  }
+
+  // Fingerprint of the source values an entry was posted from, used to detect edits
+  earningFingerprint(earning) {
+    return [
+      earning.earning_date,
+      round2(earning.amount),
+      round2(earning.inventory_cost),
+      earning.gst_supply_type || '',
+      round2(earning.taxable_value),
+      round2(earning.cgst_amount),
+      round2(earning.sgst_amount),
+      round2(earning.igst_amount)
+    ].join('|');
+  }
+
+  // Cash sales and cash expenses recorded on an earnings row, with GST on the tagged side
+  buildEarningLines(earning) {
+    const lines = [];
+    const tax = round2((Number(earning.cgst_amount) || 0) + (Number(earning.sgst_amount) || 0) + (Number(earning.igst_amount) || 0));
+    const hasTaxableValue = earning.taxable_value !== null && earning.taxable_value !== undefined;
+    const revenue = Number(earning.amount) || 0;
+    const expense = Number(earning.inventory_cost) || 0;
+    // Rows imported from a bank statement settle through the bank account rather than cash
+    const settlement = earning.doc_type === 'bank_import' ? this.accounts.BANK : this.accounts.CASH;
+
+    // Invoice payments collect a receivable; the sale and its GST were booked when the invoice was sent
+    if (revenue > 0 && earning.doc_type === 'invoice_payment') {
+      lines.push(
+        { account_code: settlement, debit: revenue, credit: 0, memo: 'Invoice payment received' },
+        { account_code: this.accounts.RECEIVABLES, debit: 0, credit: revenue, memo: earning.invoice_number || 'Invoice payment' }
+      );
+    } else if (revenue < 0 && earning.doc_type === 'sales_return') {
+      // A credit note takes the sale and its GST back out and refunds the customer
+      const outwardGst = earning.gst_supply_type === 'outward' && hasTaxableValue;
+      const sales = outwardGst ? -Number(earning.taxable_value) : -revenue;
+      const outputTax = outwardGst ? -tax : 0;
+
+      lines.push(
+        { account_code: this.accounts.SALES, debit: sales, credit: 0, memo: 'Sales returned' },
+        { account_code: this.accounts.GST_OUTPUT, debit: outputTax, credit: 0, memo: 'GST on sales returned' },
+        { account_code: settlement, debit: 0, credit: sales + outputTax, memo: 'Refund paid' }
+      );
+    } else if (revenue > 0) {
+      const outwardGst = earning.gst_supply_type === 'outward' && hasTaxableValue;
+      const sales = outwardGst ? Number(earning.taxable_value) : revenue;
+      const outputTax = outwardGst ? tax : 0;
+
+      lines.push(
+        { account_code: settlement, debit: sales + outputTax, credit: 0, memo: 'Cash received' },
+        { account_code: this.accounts.SALES, debit: 0, credit: sales, memo: 'Sales' },
+        { account_code: this.accounts.GST_OUTPUT, debit: 0, credit: outputTax, memo: 'GST on sales' }
+      );
+    }
+
+    if (this.stockCostedDocTypes.includes(earning.doc_type)) {
+      return this.compactLines(lines);
+    }
+
+    // Bill payments settle a payable; the expense and its input GST were booked when the bill was recorded
+    if (expense > 0 && earning.doc_type === 'bill_payment') {
+      lines.push(
+        { account_code: this.accounts.PAYABLES, debit: expense, credit: 0, memo: earning.invoice_number || 'Bill payment' },
+        { account_code: settlement, debit: 0, credit: expense, memo: 'Bill paid' }
+      );
+    } else if (expense > 0) {
+      const inwardGst = earning.gst_supply_type === 'inward' && hasTaxableValue;
+      const cost = inwardGst ? Number(earning.taxable_value) : expense;
+      const inputTax = inwardGst ? tax : 0;
+
+      lines.push(
+        { account_code: this.accounts.EXPENSES, debit: cost, credit: 0, memo: earning.transaction_category || 'Expense' },
+        { account_code: this.accounts.GST_INPUT, debit: inputTax, credit: 0, memo: 'GST input credit' },
+        { account_code: settlement, debit: 0, credit: cost + inputTax, memo: 'Cash paid' }
+      );
+    }
+
+    return this.compactLines(lines);
+  }
+
+  // Sending an invoice books the sale on credit
+  buildInvoiceLines(invoice) {
+    return this.compactLines([
+      { account_code: this.accounts.RECEIVABLES, debit: invoice.total, credit: 0, memo: invoice.invoice_number },
+      { account_code: this.accounts.SALES, debit: 0, credit: invoice.subtotal, memo: 'Invoiced sales' },
+      { account_code: this.accounts.GST_OUTPUT, debit: 0, credit: invoice.tax_total, memo: 'GST on invoice' }
+    ]);
+  }
+
+  // Recording a supplier bill books the purchase on credit
+  buildBillLines(bill) {
+    return this.compactLines([
+      { account_code: this.accounts.EXPENSES, debit: bill.subtotal, credit: 0, memo: `Bill ${bill.bill_number}` },
+      { account_code: this.accounts.GST_INPUT, debit: bill.tax_total, credit: 0, memo: 'GST on bill' },
+      { account_code: this.accounts.PAYABLES, debit: 0, credit: bill.total, memo: bill.bill_number }
+    ]);
+  }
+
+  // Inventory in at cost against cash or payables; inventory out to COGS or adjustments
+  buildStockMovementLines(movement, value) {
+    const amount = round2(value);
+    if (amount <= 0) return [];
+
+    const metadata = movement.metadata || {};
+
+    if (movement.direction === 'in') {
+      // Stock found on a count was never bought; it is a gain on adjustments, not a purchase
+      if (this.adjustmentSources.includes(movement.source)) {
+        return this.compactLines([
+          { account_code: this.accounts.INVENTORY, debit: amount, credit: 0, memo: 'Stock adjusted in' },
+          { account_code: this.accounts.INVENTORY_ADJUSTMENTS, debit: 0, credit: amount, memo: 'Stock adjusted in' }
+        ]);
+      }
+      if (this.returnSources.includes(movement.source)) {
+        return this.compactLines([
+          { account_code: this.accounts.INVENTORY, debit: amount, credit: 0, memo: 'Stock returned by customer' },
+          { account_code: this.accounts.COGS, debit: 0, credit: amount, memo: 'Stock returned by customer' }
+        ]);
+      }
+      const creditAccount = metadata.payment_mode === 'credit' ? this.accounts.PAYABLES : this.accounts.CASH;
+      return this.compactLines([
+        { account_code: this.accounts.INVENTORY, debit: amount, credit: 0, memo: 'Stock received' },
+        { account_code: creditAccount, debit: 0, credit: amount, memo: 'Stock purchase' }
+      ]);
+    }
+
+    const debitAccount = this.adjustmentSources.includes(movement.source)
+      ? this.accounts.INVENTORY_ADJUSTMENTS
+      : this.accounts.COGS;
+
+    return this.compactLines([
+      { account_code: debitAccount, debit: amount, credit: 0, memo: 'Stock issued' },
+      { account_code: this.accounts.INVENTORY, debit: 0, credit: amount, memo: 'Stock issued' }
+    ]);
+  }
+
+  // Value of a movement from the cost captured on it, if any
+  getMovementValue(movement) {
+    const metadata = movement.metadata || {};
+    if (metadata.total_cost !== undefined && metadata.total_cost !== null) {
+      return Number(metadata.total_cost) || 0;
+    }
+    const unitCost = movement.unit_cost ?? metadata.unit_cost;
+    if (unitCost === undefined || unitCost === null) return 0;
+    return (Number(unitCost) || 0) * (Number(movement.quantity) || 0);
+  }
+
+  async findActiveEntry(supabase, userId, sourceType, sourceId) {
+    const { data, error } = await supabase
+      .from('journal_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('source_type', sourceType)
+      .eq('source_id', sourceId)
+      .eq('is_reversed', false)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  async postEntry(supabase, userId, { entry_date, description, source_type, source_id, lines, metadata = {}, reverses_entry_id = null }) {
+    const compacted = this.compactLines(lines);
+    this.validateLines(compacted);
+    await this.ensureChartOfAccounts(supabase, userId);
+
+    const entryDate = entry_date || new Date().toISOString().split('T')[0];
+
+    const { data: entry, error: entryError } = await supabase
+      .from('journal_entries')
+      .insert({
+        user_id: userId,
+        entry_date: entryDate,
+        description: description || null,
+        source_type: source_type || this.sourceTypes.MANUAL,
+        source_id: source_id || null,
+        reverses_entry_id,
+        is_reversed: false,
+        metadata
+      })
+      .select('*')
+      .single();
+
+    if (entryError) throw entryError;
+
+    const lineRows = compacted.map((line) => ({
+      user_id: userId,
+      entry_id: entry.id,
+      entry_date: entryDate,
+      account_code: line.account_code,
+      debit: line.debit,
+      credit: line.credit,
+      memo: line.memo || null
+    }));
+
+    const { data: savedLines, error: linesError } = await supabase
+      .from('journal_lines')
+      .insert(lineRows)
+      .select('*');
+
+    if (linesError) {
+      // No transactions through PostgREST; remove the header so no unbalanced entry is left behind
+      await supabase.from('journal_entries').delete().eq('id', entry.id).eq('user_id', userId);
+      throw linesError;
+    }
+
+    return { ...entry, lines: savedLines || [] };
+  }
+
+  // Post the mirror image of an entry and mark the original as reversed
+  async reverseEntry(supabase, userId, entryId, reason = null) {
+    const { data: entry, error } = await supabase
+      .from('journal_entries')
+      .select('*, journal_lines(*)')
+      .eq('id', entryId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !entry) {
+      const notFound = new Error('Journal entry not found');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    if (entry.is_reversed) {
+      const conflict = new Error('Journal entry has already been reversed');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    const reversal = await this.postEntry(supabase, userId, {
+      entry_date: new Date().toISOString().split('T')[0],
+      description: `Reversal of: ${entry.description || entry.id}`,
+      source_type: this.sourceTypes.REVERSAL,
+      source_id: entry.id,
+      reverses_entry_id: entry.id,
+      metadata: { reason },
+      lines: (entry.journal_lines || []).map((line) => ({
+        account_code: line.account_code,
+        debit: line.credit,
+        credit: line.debit,
+        memo: line.memo
+      }))
+    });
+
+    await supabase
+      .from('journal_entries')
+      .update({ is_reversed: true })
+      .eq('id', entry.id)
+      .eq('user_id', userId);
+
+    return reversal;
+  }
+
+  // Post (or re-post after an edit) the entry for an earnings row. Safe to call repeatedly.
+  async postEarning(supabase, userId, earning) {
+    if (!earning?.id) return null;
+
+    const fingerprint = this.earningFingerprint(earning);
+    const existing = await this.findActiveEntry(supabase, userId, this.sourceTypes.EARNING, earning.id);
+
+    if (existing) {
+      if (existing.metadata?.fingerprint === fingerprint) return existing;
+      await this.reverseEntry(supabase, userId, existing.id, 'Earnings entry changed');
+    }
+
+    const lines = this.buildEarningLines(earning);
+    if (lines.length === 0) return null;
+
+    return this.postEntry(supabase, userId, {
+      entry_date: earning.earning_date,
+      description: earning.processed_text ? String(earning.processed_text).slice(0, 200) : 'Earnings entry',
+      source_type: this.sourceTypes.EARNING,
+      source_id: earning.id,
+      metadata: { fingerprint, doc_type: earning.doc_type || null },
+      lines
+    });
+  }
+
+  // Post the receivable for a sent invoice. Safe to call repeatedly.
+  async postInvoice(supabase, userId, invoice) {
+    if (!invoice?.id) return null;
+
+    const existing = await this.findActiveEntry(supabase, userId, this.sourceTypes.INVOICE, invoice.id);
+    if (existing) return existing;
+
+    return this.postEntry(supabase, userId, {
+      entry_date: invoice.issue_date,
+      description: `Invoice ${invoice.invoice_number}`,
+      source_type: this.sourceTypes.INVOICE,
+      source_id: invoice.id,
+      lines: this.buildInvoiceLines(invoice)
+    });
+  }
+
+  // Clear the unpaid balance of an invoice to bad debts
+  async postInvoiceWriteOff(supabase, userId, invoice, amount, entryDate) {
+    return this.postEntry(supabase, userId, {
+      entry_date: entryDate,
+      description: `Write-off of invoice ${invoice.invoice_number}`,
+      source_type: this.sourceTypes.INVOICE_WRITE_OFF,
+      source_id: invoice.id,
+      lines: [
+        { account_code: this.accounts.BAD_DEBTS, debit: amount, credit: 0, memo: invoice.invoice_number },
+        { account_code: this.accounts.RECEIVABLES, debit: 0, credit: amount, memo: 'Written off' }
+      ]
+    });
+  }
+
+  // Post the payable for a supplier bill. Safe to call repeatedly.
+  async postBill(supabase, userId, bill) {
+    if (!bill?.id) return null;
+
+    const existing = await this.findActiveEntry(supabase, userId, this.sourceTypes.SUPPLIER_BILL, bill.id);
+    if (existing) return existing;
+
+    return this.postEntry(supabase, userId, {
+      entry_date: bill.bill_date,
+      description: `Supplier bill ${bill.bill_number}`,
+      source_type: this.sourceTypes.SUPPLIER_BILL,
+      source_id: bill.id,
+      lines: this.buildBillLines(bill)
+    });
+  }
+
+  // Post the entry for an inventory_stock_ledger row. Unvalued movements are not posted.
+  async postStockMovement(supabase, userId, movement, value = this.getMovementValue(movement)) {
+    if (!movement?.id || this.transferSources.includes(movement.source)) return null;
+    if (this.reversalSources.includes(movement.source)) return null;
+
+    const existing = await this.findActiveEntry(supabase, userId, this.sourceTypes.STOCK_MOVEMENT, movement.id);
+    if (existing) return existing;
+
+    const lines = this.buildStockMovementLines(movement, value);
+    if (lines.length === 0) return null;
+
+    return this.postEntry(supabase, userId, {
+      entry_date: (movement.created_at || new Date().toISOString()).split('T')[0],
+      description: `Stock ${movement.direction === 'in' ? 'in' : 'out'} (${movement.source || 'manual'})`,
+      source_type: this.sourceTypes.STOCK_MOVEMENT,
+      source_id: movement.id,
+      metadata: { item_id: movement.item_id, quantity: movement.quantity },
+      lines
+    });
+  }
+
+  // Wrapper for hooks on existing write paths: posting failures are logged, never surfaced
+  async safePost(label, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      console.error(`Ledger posting error (${label}):`, error);
+      return null;
+    }
+  }
+
+  // Aggregate journal lines into per-account debit/credit totals and balances
+  buildTrialBalance(accounts, lines) {
+    const totals = new Map();
+    for (const line of lines) {
+      const current = totals.get(line.account_code) || { debit: 0, credit: 0 };
+      current.debit += toPaise(line.debit);
+      current.credit += toPaise(line.credit);
+      totals.set(line.account_code, current);
+    }
+
+    let debitTotal = 0;
+    let creditTotal = 0;
+
+    const rows = accounts
+      .map((account) => {
+        const sums = totals.get(account.code) || { debit: 0, credit: 0 };
+        const net = sums.debit - sums.credit;
+        const debitBalance = net > 0 ? net : 0;
+        const creditBalance = net < 0 ? -net : 0;
+        debitTotal += debitBalance;
+        creditTotal += creditBalance;
+
+        return {
+          code: account.code,
+          name: account.name,
+          type: account.type,
+          total_debits: sums.debit / 100,
+          total_credits: sums.credit / 100,
+          debit_balance: debitBalance / 100,
+          credit_balance: creditBalance / 100,
+          balance: (this.isDebitNormal(account.type) ? net : -net) / 100
+        };
+      })
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    return {
+      accounts: rows,
+      totals: {
+        debit: debitTotal / 100,
+        credit: creditTotal / 100
+      },
+      is_balanced: debitTotal === creditTotal
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+// Stock locations (shop, storeroom, godown). Every inventory_stock_ledger row carries a location_id;
+// rows written before locations existed have none and count towards the user's default location.
+class LocationService {
+  constructor() {
+    this.types = ['shop', 'storeroom', 'warehouse', 'other'];
+
+    // Created the first time a user records stock without having set up any location
+    this.defaultLocation = { name: 'Main store', type: 'shop' };
+
+    // inventory_stock_ledger.source for both legs of a transfer between locations
+    this.transferSource = 'transfer';
+  }
+
+  isTransfer(movement) {
+    return movement?.source === this.transferSource;
+  }
+
+  // The user's default location, creating one if they have none yet
+  async getDefaultLocation(supabase, userId) {
+    const { data: locations, error } = await supabase
+      .from('inventory_locations')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    if (locations?.length) return locations[0];
+
+    const { data: created, error: createError } = await supabase
+      .from('inventory_locations')
+      .insert({ user_id: userId, ...this.defaultLocation, is_default: true, is_active: true })
+      .select()
+      .single();
+
+    if (createError) throw createError;
+    return created;
+  }
+
+  // The requested active location, or the default when none is given. Returns null for an unknown location.
+  async resolveLocation(supabase, userId, locationId = null) {
+    if (!locationId) return this.getDefaultLocation(supabase, userId);
+
+    const { data } = await supabase
+      .from('inventory_locations')
+      .select('*')
+      .eq('id', locationId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .single();
+
+    return data || null;
+  }
+
+  // Tag movements recorded without a location with the current default location
+  async pinUntaggedStock(supabase, userId) {
+    const { data: current } = await supabase
+      .from('inventory_locations')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('is_default', true)
+      .limit(1);
+
+    if (!current?.length) return;
+
+    const { error } = await supabase
+      .from('inventory_stock_ledger')
+      .update({ location_id: current[0].id })
+      .eq('user_id', userId)
+      .is('location_id', null);
+
+    if (error) throw error;
+  }
+
+  // item_id -> location_id -> quantity on hand. Untagged rows count towards defaultLocationId.
+  stockByLocation(rows, defaultLocationId = null) {
+    const stock = new Map();
+    for (const row of rows) {
+      const locationId = row.location_id || defaultLocationId;
+      if (!stock.has(row.item_id)) stock.set(row.item_id, new Map());
+      const byLocation = stock.get(row.item_id);
+      const delta = row.direction === 'in' ? Number(row.quantity || 0) : -Number(row.quantity || 0);
+      byLocation.set(locationId, round4((byLocation.get(locationId) || 0) + delta));
+    }
+    return stock;
+  }
+
+  // Per-location quantities for one item, named, without empty locations
+  describeStock(byLocation, locations) {
+    const names = new Map(locations.map((location) => [location.id, location.name]));
+    return Array.from((byLocation || new Map()).entries())
+      .filter(([, quantity]) => Math.abs(quantity) > 1e-9)
+      .map(([locationId, quantity]) => ({
+        location_id: locationId,
+        location_name: names.get(locationId) || null,
+        quantity
+      }))
+      .sort((a, b) => b.quantity - a.quantity);
+  }
+
+  // The two ledger rows of a transfer, linked by a shared reference_id. Neither is posted to the
+  // general ledger or treated as usage: stock only changes place.
+  buildTransfer(userId, { item_id, quantity, from_location_id, to_location_id, notes = null }, createdAt = new Date().toISOString()) {
+    const transferId = crypto.randomUUID();
+    const metadata = { transfer_id: transferId, from_location_id, to_location_id, notes: notes || null };
+    const base = {
+      user_id: userId,
+      item_id,
+      quantity: round4(quantity),
+      source: this.transferSource,
+      reference_id: transferId,
+      created_at: createdAt,
+      metadata
+    };
+
+    return {
+      transferId,
+      rows: [
+        { ...base, direction: 'out', location_id: from_location_id },
+        { ...base, direction: 'in', location_id: to_location_id }
+      ]
+    };
+  }
+
+  // Pair transfer legs back into one record per transfer, newest first
+  groupTransfers(rows) {
+    const transfers = new Map();
+    for (const row of rows) {
+      const id = row.reference_id || row.metadata?.transfer_id;
+      if (!id) continue;
+      if (!transfers.has(id)) {
+        transfers.set(id, {
+          transfer_id: id,
+          item_id: row.item_id,
+          product_name: row.inventory_items?.product_name || null,
+          quantity: Number(row.quantity),
+          from_location_id: row.metadata?.from_location_id || null,
+          to_location_id: row.metadata?.to_location_id || null,
+          notes: row.metadata?.notes || null,
+          created_at: row.created_at
+        });
+      }
+    }
+    return Array.from(transfers.values()).sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  }
+}
+
+module.exports = new LocationService();
@@ -41,6 +41,11 @@ class NotificationService extends EventEmitter {
     }
   }
 
+  // Whether the user has an open stream to deliver to
+  hasClients(userId) {
+    return this.clients.has(userId);
+  }
+
   sendToClient(res, event, data) {
     try {
       res.write(`event: ${event}\n`);
@@ -94,6 +99,24 @@ class NotificationService extends EventEmitter {
     });
   }
 
+  // Batches that have expired or are about to; expired stock is high priority
+  notifyExpiringStock(userId, batches) {
+    const expired = batches.filter(b => b.status === 'expired').length;
+    const expiring = batches.length - expired;
+    const parts = [];
+    if (expired > 0) parts.push(`${expired} batch${expired === 1 ? '' : 'es'} expired`);
+    if (expiring > 0) parts.push(`${expiring} expiring soon`);
+
+    this.notifyUser(userId, {
+      type: 'expiry_alert',
+      priority: expired > 0 ? 'high' : 'medium',
+      title: 'Stock Expiry Alert',
+      message: parts.join(', '),
+      data: batches,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   // Broadcast to all connected clients
   broadcast(notification) {
     this.clients.forEach((userClients, userId) => {
@@ -1,8 +1,5 @@
-const OpenAI = require("openai");
-const config = require("../config/env");
-
 // Simple wrapper that exports an `openai` client used by vectorService
-const openai = new OpenAI({ apiKey: config.openai.apiKey });
+const { openai } = require("../config/openai");
 
 // Generate completion function
 const generateCompletion = async (prompt, options = {}) => {
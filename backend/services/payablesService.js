@@ -0,0 +1,378 @@
+const gstService = require('./gstService');
+const { calculateContentSimilarity } = require('../controllers/duplicateController');
+const formalLearningService = require('./formalLearningService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) =>
+  Math.floor((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const parseExtracted = (document) => {
+  try {
+    return typeof document.extracted_text === 'string' ? JSON.parse(document.extracted_text) : document.extracted_text || {};
+  } catch {
+    return {};
+  }
+};
+
+class PayablesService {
+  constructor() {
+    this.statuses = {
+      OPEN: 'open',
+      PARTIALLY_PAID: 'partially_paid',
+      PAID: 'paid'
+    };
+
+    this.sources = {
+      MANUAL: 'manual',
+      DOCUMENT: 'document'
+    };
+
+    this.defaultPaymentTermsDays = 30;
+    // Earnings rows created from bill payments; the ledger treats them as settling payables, not new expenses
+    this.paymentDocType = 'bill_payment';
+    // Line descriptions at least this similar are treated as the same item when comparing prices
+    this.itemMatchThreshold = 0.8;
+  }
+
+  addDays(date, days) {
+    return addDays(date, days);
+  }
+
+  // Tax each bill line. Goods move from the supplier's state to ours; extracted CGST/SGST/IGST amounts are kept as billed.
+  buildBillLines(lines, { businessState, supplierState }) {
+    return lines.map((line, index) => {
+      const quantity = Number(line.quantity) || 1;
+      const unitPrice = Number(line.unit_price) || round2((Number(line.taxable_value) || 0) / quantity);
+      const discount = Number(line.discount) || 0;
+      const hasSplit = ['cgst_amount', 'sgst_amount', 'igst_amount']
+        .some((field) => line[field] !== undefined && line[field] !== null);
+
+      let tax;
+      if (hasSplit && line.taxable_value !== undefined && line.taxable_value !== null) {
+        const cgst = round2(line.cgst_amount);
+        const sgst = round2(line.sgst_amount);
+        const igst = round2(line.igst_amount);
+        const taxableValue = round2(line.taxable_value);
+        tax = {
+          taxable_value: taxableValue,
+          gst_rate: Number(line.gst_rate) || (taxableValue > 0 ? round2(((cgst + sgst + igst) / taxableValue) * 100) : 0),
+          cgst_amount: cgst,
+          sgst_amount: sgst,
+          igst_amount: igst,
+          invoice_value: round2(taxableValue + cgst + sgst + igst)
+        };
+      } else {
+        tax = gstService.calculateTax({
+          amount: quantity * unitPrice - discount,
+          gstRate: line.gst_rate,
+          originState: supplierState || businessState,
+          destinationState: businessState
+        });
+      }
+
+      return {
+        line_number: index + 1,
+        description: String(line.description).trim(),
+        category: line.category || null,
+        hsn_sac_code: line.hsn_sac_code || null,
+        quantity,
+        unit: line.unit || null,
+        unit_price: round2(unitPrice),
+        discount: round2(discount),
+        gst_rate: tax.gst_rate,
+        taxable_value: tax.taxable_value,
+        cgst_amount: tax.cgst_amount,
+        sgst_amount: tax.sgst_amount,
+        igst_amount: tax.igst_amount,
+        line_total: tax.invoice_value
+      };
+    });
+  }
+
+  totalsFromLines(lines) {
+    const sum = (field) => round2(lines.reduce((total, line) => total + (Number(line[field]) || 0), 0));
+    const cgst = sum('cgst_amount');
+    const sgst = sum('sgst_amount');
+    const igst = sum('igst_amount');
+
+    return {
+      subtotal: sum('taxable_value'),
+      cgst_amount: cgst,
+      sgst_amount: sgst,
+      igst_amount: igst,
+      tax_total: round2(cgst + sgst + igst),
+      total: sum('line_total')
+    };
+  }
+
+  // Bill fields and lines from a processed purchase invoice (documents.extracted_text)
+  billFromDocument(document) {
+    const extracted = parseExtracted(document);
+    const items = (extracted.line_items || []).filter((item) => item.type === 'expense' && Number(item.amount) > 0);
+    const taxDetails = extracted.tax_details || {};
+
+    const lines = items.map((item) => {
+      const quantity = Number(item.quantity) > 0 ? Number(item.quantity) : 1;
+      const taxableValue = item.taxable_value ?? item.amount;
+      return {
+        description: item.description || item.category || 'Purchase',
+        category: item.category || null,
+        hsn_sac_code: item.hsn_sac_code || null,
+        quantity,
+        unit_price: Number(item.unit_price) > 0 ? Number(item.unit_price) : round2(Number(taxableValue) / quantity),
+        gst_rate: item.gst_rate ?? taxDetails.gst_rate ?? 0,
+        taxable_value: taxableValue,
+        cgst_amount: item.cgst_amount,
+        sgst_amount: item.sgst_amount,
+        igst_amount: item.igst_amount
+      };
+    });
+
+    // Documents without line items still carry a total we can bill as one line
+    if (lines.length === 0 && Number(extracted.total_expenses) > 0) {
+      lines.push({
+        description: `Purchase per ${document.file_name || 'document'}`,
+        quantity: 1,
+        unit_price: Number(extracted.total_expenses),
+        gst_rate: 0
+      });
+    }
+
+    return {
+      bill_number: extracted.invoice_number || null,
+      bill_date: extracted.date_range?.start_date || String(document.created_at || '').split('T')[0] || null,
+      due_date: extracted.date_range?.end_date && extracted.date_range.end_date !== extracted.date_range.start_date
+        ? extracted.date_range.end_date
+        : null,
+      supplier_name: extracted.vendor_customer_info?.name || null,
+      supplier_gstin: gstService.normaliseGstin(extracted.vendor_customer_info?.gst_number),
+      lines
+    };
+  }
+
+  // Supplier profile for an extracted vendor: GSTIN first, then the closest name
+  // ("Acme Traders" also matches "Acme Traders Pvt Ltd")
+  findSupplier(suppliers, { name, gstin }) {
+    if (gstin) {
+      const byGstin = suppliers.find((s) => gstService.normaliseGstin(s.gstin) === gstin);
+      if (byGstin) return byGstin;
+    }
+    if (!name) return null;
+
+    const target = formalLearningService.normaliseDescription(name);
+    if (!target) return null;
+
+    let best = null;
+    for (const supplier of suppliers) {
+      const candidate = formalLearningService.normaliseDescription(supplier.name);
+      if (!candidate) continue;
+      const score = candidate.startsWith(target) || target.startsWith(candidate)
+        ? 1
+        : calculateContentSimilarity({ vendor: target }, { vendor: candidate });
+      if (score >= this.itemMatchThreshold && (!best || score > best.score)) best = { supplier, score };
+    }
+    return best?.supplier || null;
+  }
+
+  outstanding(bill) {
+    return round2((Number(bill.total) || 0) - (Number(bill.amount_paid) || 0));
+  }
+
+  deriveStatus(bill) {
+    if (this.outstanding(bill) > 0.009) {
+      return Number(bill.amount_paid) > 0 ? this.statuses.PARTIALLY_PAID : this.statuses.OPEN;
+    }
+    return this.statuses.PAID;
+  }
+
+  withComputedFields(bill, asOf = new Date().toISOString().split('T')[0]) {
+    const outstanding = this.outstanding(bill);
+    const daysOverdue = bill.due_date ? daysBetween(bill.due_date, asOf) : 0;
+    const open = outstanding > 0.009;
+
+    return {
+      ...bill,
+      outstanding,
+      is_overdue: open && daysOverdue > 0,
+      days_overdue: open ? Math.max(daysOverdue, 0) : 0,
+      days_until_due: open && bill.due_date ? Math.max(-daysOverdue, 0) : null
+    };
+  }
+
+  // Open bills due on or before payByDate, grouped per supplier, oldest due date first
+  proposePaymentRun(bills, suppliers, payByDate) {
+    const supplierNames = new Map(suppliers.map((s) => [s.id, s.name]));
+    const groups = new Map();
+
+    for (const bill of bills) {
+      const outstanding = this.outstanding(bill);
+      if (outstanding <= 0.009 || !bill.due_date || bill.due_date > payByDate) continue;
+
+      if (!groups.has(bill.supplier_id)) {
+        groups.set(bill.supplier_id, {
+          supplier_id: bill.supplier_id,
+          supplier_name: supplierNames.get(bill.supplier_id) || 'Unknown supplier',
+          total: 0,
+          bills: []
+        });
+      }
+      const group = groups.get(bill.supplier_id);
+      group.total = round2(group.total + outstanding);
+      group.bills.push({
+        id: bill.id,
+        bill_number: bill.bill_number,
+        bill_date: bill.bill_date,
+        due_date: bill.due_date,
+        outstanding
+      });
+    }
+
+    const supplierGroups = Array.from(groups.values()).map((group) => ({
+      ...group,
+      bills: group.bills.sort((a, b) => a.due_date.localeCompare(b.due_date))
+    }));
+
+    return {
+      pay_by: payByDate,
+      total: round2(supplierGroups.reduce((sum, g) => sum + g.total, 0)),
+      bill_count: supplierGroups.reduce((sum, g) => sum + g.bills.length, 0),
+      suppliers: supplierGroups.sort((a, b) => a.bills[0].due_date.localeCompare(b.bills[0].due_date))
+    };
+  }
+
+  // Outstanding, overdue and next due date per supplier
+  summariseBySupplier(bills, suppliers, asOf) {
+    const rows = new Map(suppliers.map((s) => [s.id, {
+      supplier_id: s.id,
+      supplier_name: s.name,
+      total_outstanding: 0,
+      overdue: 0,
+      open_bills: 0,
+      next_due_date: null
+    }]));
+
+    for (const bill of bills) {
+      const outstanding = this.outstanding(bill);
+      if (outstanding <= 0.009) continue;
+
+      if (!rows.has(bill.supplier_id)) {
+        rows.set(bill.supplier_id, {
+          supplier_id: bill.supplier_id,
+          supplier_name: 'Unknown supplier',
+          total_outstanding: 0,
+          overdue: 0,
+          open_bills: 0,
+          next_due_date: null
+        });
+      }
+      const row = rows.get(bill.supplier_id);
+      row.total_outstanding = round2(row.total_outstanding + outstanding);
+      row.open_bills++;
+      if (bill.due_date && bill.due_date < asOf) {
+        row.overdue = round2(row.overdue + outstanding);
+      } else if (bill.due_date && (!row.next_due_date || bill.due_date < row.next_due_date)) {
+        row.next_due_date = bill.due_date;
+      }
+    }
+
+    const supplierRows = Array.from(rows.values())
+      .filter((row) => row.open_bills > 0)
+      .sort((a, b) => b.total_outstanding - a.total_outstanding);
+
+    return {
+      as_of: asOf,
+      total_outstanding: round2(supplierRows.reduce((sum, r) => sum + r.total_outstanding, 0)),
+      total_overdue: round2(supplierRows.reduce((sum, r) => sum + r.overdue, 0)),
+      suppliers: supplierRows
+    };
+  }
+
+  // Payment and price history for one supplier, as used by supplier prioritisation.
+  // onTimeRate: share of settled bills paid in full by their due date.
+  // priceIndex: this supplier's average unit price over what all suppliers charged for matching items (1 = market).
+  buildSupplierHistory(supplierId, bills, asOf = new Date().toISOString().split('T')[0]) {
+    const own = bills.filter((b) => b.supplier_id === supplierId);
+    const settled = own.filter((b) => b.status === this.statuses.PAID && b.paid_at);
+    const onTime = settled.filter((b) => !b.due_date || String(b.paid_at).slice(0, 10) <= b.due_date);
+    const overdueOpen = own.filter((b) => this.outstanding(b) > 0.009 && b.due_date && b.due_date < asOf);
+
+    const ownLines = own.flatMap((b) => b.supplier_bill_lines || []);
+    const otherLines = bills
+      .filter((b) => b.supplier_id !== supplierId)
+      .flatMap((b) => b.supplier_bill_lines || []);
+
+    const ratios = [];
+    for (const line of ownLines) {
+      const price = Number(line.unit_price);
+      if (!(price > 0)) continue;
+
+      const key = formalLearningService.normaliseDescription(line.description);
+      const comparable = otherLines.filter((other) => Number(other.unit_price) > 0 &&
+        calculateContentSimilarity(
+          { vendor: key },
+          { vendor: formalLearningService.normaliseDescription(other.description) }
+        ) >= this.itemMatchThreshold);
+      if (comparable.length === 0) continue;
+
+      const market = (price + comparable.reduce((sum, other) => sum + Number(other.unit_price), 0)) / (comparable.length + 1);
+      ratios.push(price / market);
+    }
+
+    return {
+      billCount: own.length,
+      settledCount: settled.length,
+      onTimeRate: settled.length ? round2(onTime.length / settled.length) : null,
+      overdueOpenCount: overdueOpen.length,
+      comparedLines: ratios.length,
+      priceIndex: ratios.length ? round2(ratios.reduce((sum, r) => sum + r, 0) / ratios.length) : null
+    };
+  }
+
+  // One GST entry per bill line, shaped like inward GST-tagged earnings rows so returns claim input credit on bills
+  toGstEntries(bill, lines, supplier, businessState) {
+    const supplierGstin = gstService.normaliseGstin(supplier?.gstin);
+
+    return lines.map((line) => ({
+      id: `${bill.id}:${line.line_number}`,
+      earning_date: bill.bill_date,
+      gst_supply_type: gstService.supplyTypes.INWARD,
+      gst_rate: Number(line.gst_rate),
+      hsn_sac_code: line.hsn_sac_code,
+      taxable_value: Number(line.taxable_value),
+      cgst_amount: Number(line.cgst_amount),
+      sgst_amount: Number(line.sgst_amount),
+      igst_amount: Number(line.igst_amount),
+      place_of_supply: businessState,
+      counterparty_gstin: supplierGstin,
+      invoice_number: bill.bill_number,
+      amount: 0,
+      inventory_cost: Number(line.line_total)
+    }));
+  }
+
+  // Earnings row for a bill payment; monthly expenses pick it up like any other cash outflow
+  buildPaymentEarning(userId, bill, supplier, payment) {
+    return {
+      user_id: userId,
+      earning_date: payment.payment_date,
+      amount: 0,
+      inventory_cost: round2(payment.amount),
+      processed_text: `Payment to ${supplier?.name || 'supplier'} for bill ${bill.bill_number}${payment.reference ? ` (ref ${payment.reference})` : ''}`,
+      doc_type: this.paymentDocType,
+      vendor_name: supplier?.name || null,
+      transaction_category: 'Bill payment',
+      invoice_number: bill.bill_number
+    };
+  }
+}
+
+module.exports = new PayablesService();
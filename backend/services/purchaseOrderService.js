@@ -0,0 +1,208 @@
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+const EPSILON = 1e-9;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+class PurchaseOrderService {
+  constructor() {
+    this.statuses = {
+      DRAFT: 'draft',
+      SENT: 'sent',
+      PARTIALLY_RECEIVED: 'partially_received',
+      CLOSED: 'closed'
+    };
+
+    this.sources = {
+      MANUAL: 'manual',
+      REORDER: 'reorder'
+    };
+
+    // inventory_stock_ledger.source for goods received against a PO line
+    this.movementSource = 'purchase_order';
+    // Expected delivery when none of the ordered items has a lead time
+    this.defaultLeadTimeDays = 7;
+  }
+
+  // PO-0001 style numbers continuing from the most recent order
+  nextPoNumber(lastNumber, prefix = 'PO-') {
+    const match = String(lastNumber || '').match(/(\d+)$/);
+    const next = match ? Number(match[1]) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  // Delivery is expected after the longest lead time among the ordered items
+  expectedDate(orderDate, items) {
+    const leadTimes = items.map((item) => Number(item?.lead_time_days) || 0).filter((days) => days > 0);
+    return addDays(orderDate, leadTimes.length ? Math.max(...leadTimes) : this.defaultLeadTimeDays);
+  }
+
+  buildLines(lines, itemsById) {
+    return lines.map((line, index) => {
+      const item = itemsById.get(line.item_id) || {};
+      const quantity = round4(line.quantity);
+      const unitCost = round4(line.unit_cost);
+      return {
+        item_id: line.item_id,
+        product_name: item.product_name || line.product_name || null,
+        unit: line.unit || item.unit || null,
+        quantity_ordered: quantity,
+        quantity_received: 0,
+        unit_cost: unitCost,
+        line_total: round2(quantity * unitCost),
+        line_number: index + 1
+      };
+    });
+  }
+
+  totalsFromLines(lines) {
+    return { total_amount: round2(lines.reduce((sum, line) => sum + (Number(line.line_total) || 0), 0)) };
+  }
+
+  // The latest cost the item came in at, else its cost price; used to price lines generated from recommendations
+  lastUnitCost(item, movements) {
+    const inbound = movements
+      .filter((m) => m.item_id === item.id && m.direction === 'in')
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+    for (const movement of inbound) {
+      const metadata = movement.metadata || {};
+      const quantity = Number(movement.quantity) || 0;
+      if (metadata.unit_cost !== undefined && metadata.unit_cost !== null) return round4(metadata.unit_cost);
+      if (metadata.total_cost !== undefined && metadata.total_cost !== null && quantity > 0) {
+        return round4(Number(metadata.total_cost) / quantity);
+      }
+      if (metadata.line_total && quantity > 0) return round4(Number(metadata.line_total) / quantity);
+    }
+
+    const costPrice = item.custom_attributes?.cost_price;
+    return costPrice !== undefined && costPrice !== null && costPrice !== '' ? round4(costPrice) : 0;
+  }
+
+  // Draft lines from reorder recommendations, optionally limited to some items or urgencies
+  linesFromRecommendations(recommendations, items, movements, { itemIds = null, urgencies = null } = {}) {
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+
+    return recommendations
+      .filter((rec) => rec.item_id && rec.recommended_order > 0)
+      .filter((rec) => !itemIds || itemIds.includes(rec.item_id))
+      .filter((rec) => !urgencies || urgencies.includes(rec.urgency))
+      .map((rec) => {
+        const item = itemsById.get(rec.item_id) || { id: rec.item_id };
+        return {
+          item_id: rec.item_id,
+          product_name: rec.product_name,
+          unit: rec.unit,
+          quantity: rec.recommended_order,
+          unit_cost: this.lastUnitCost(item, movements)
+        };
+      });
+  }
+
+  remaining(line) {
+    return round4(Math.max(0, (Number(line.quantity_ordered) || 0) - (Number(line.quantity_received) || 0)));
+  }
+
+  isReceivable(order) {
+    return [this.statuses.SENT, this.statuses.PARTIALLY_RECEIVED].includes(order.status);
+  }
+
+  // Check a receipt against the order's lines. Returns { error } or { receipts: [{ line, quantity, unit_cost, batch }] }.
+  // batch is the entry's parsed batch/expiry (see batchService.parseBatchInput), null when none was given.
+  // Receiving more than is outstanding on a line is refused unless allowOverReceipt is set.
+  planReceipt(lines, requested, { allowOverReceipt = false } = {}) {
+    const linesById = new Map(lines.map((line) => [line.id, line]));
+    const receipts = [];
+
+    for (const entry of requested) {
+      const line = linesById.get(entry.line_id);
+      if (!line) return { error: `Line ${entry.line_id} is not on this purchase order` };
+
+      const quantity = round4(entry.quantity);
+      if (quantity <= 0) continue;
+
+      const outstanding = this.remaining(line);
+      if (!allowOverReceipt && quantity > outstanding + EPSILON) {
+        return { error: `Cannot receive ${quantity} of ${line.product_name || 'line'}; only ${outstanding} outstanding` };
+      }
+
+      receipts.push({
+        line,
+        quantity,
+        unit_cost: entry.unit_cost !== undefined && entry.unit_cost !== null ? round4(entry.unit_cost) : Number(line.unit_cost) || 0,
+        batch: entry.batch || null
+      });
+    }
+
+    if (receipts.length === 0) return { error: 'Nothing to receive' };
+    return { receipts };
+  }
+
+  // Every outstanding quantity on the order
+  fullReceipt(lines) {
+    return lines
+      .filter((line) => this.remaining(line) > EPSILON)
+      .map((line) => ({ line_id: line.id, quantity: this.remaining(line) }));
+  }
+
+  // The `in` ledger row for a received quantity. Goods on a PO are bought on credit, so the
+  // stock-movement entry credits Accounts Payable. A line ordered in another unit than the item's
+  // base unit carries receipt.conversion (unitService.toBase); the row is then in the base unit.
+  buildMovement(userId, order, receipt, receivedAt, locationId = null) {
+    const conversion = receipt.conversion || null;
+    const converted = conversion && conversion.factor !== 1;
+    return {
+      user_id: userId,
+      item_id: receipt.line.item_id,
+      location_id: locationId,
+      direction: 'in',
+      quantity: converted ? conversion.quantity : receipt.quantity,
+      source: this.movementSource,
+      reference_id: receipt.line.id,
+      created_at: receivedAt,
+      metadata: {
+        purchase_order_id: order.id,
+        po_number: order.po_number,
+        supplier_id: order.supplier_id,
+        unit_cost: converted ? round4(receipt.unit_cost / conversion.factor) : receipt.unit_cost,
+        payment_mode: 'credit',
+        ...(conversion?.unit ? { unit: conversion.unit } : {}),
+        ...(converted
+          ? { entered_quantity: receipt.quantity, entered_unit: conversion.entered_unit, conversion_factor: conversion.factor }
+          : {}),
+        ...(receipt.batch || {})
+      }
+    };
+  }
+
+  // Status once the lines' received quantities are up to date
+  statusAfterReceipt(lines) {
+    const anyReceived = lines.some((line) => (Number(line.quantity_received) || 0) > EPSILON);
+    const allReceived = lines.every((line) => this.remaining(line) <= EPSILON);
+    if (allReceived) return this.statuses.CLOSED;
+    return anyReceived ? this.statuses.PARTIALLY_RECEIVED : this.statuses.SENT;
+  }
+
+  withComputedFields(order, lines = order.purchase_order_lines || []) {
+    const ordered = lines.reduce((sum, line) => sum + (Number(line.quantity_ordered) || 0), 0);
+    const received = lines.reduce((sum, line) => sum + Math.min(Number(line.quantity_received) || 0, Number(line.quantity_ordered) || 0), 0);
+    const receivedValue = lines.reduce((sum, line) => sum + (Number(line.quantity_received) || 0) * (Number(line.unit_cost) || 0), 0);
+
+    return {
+      ...order,
+      purchase_order_lines: lines
+        .slice()
+        .sort((a, b) => (a.line_number || 0) - (b.line_number || 0))
+        .map((line) => ({ ...line, quantity_outstanding: this.remaining(line) })),
+      received_pct: ordered > 0 ? round2((received / ordered) * 100) : 0,
+      received_value: round2(receivedValue)
+    };
+  }
+}
+
+module.exports = new PurchaseOrderService();
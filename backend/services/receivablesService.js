@@ -0,0 +1,287 @@
+const gstService = require('./gstService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+class ReceivablesService {
+  constructor() {
+    this.statuses = {
+      DRAFT: 'draft',
+      SENT: 'sent',
+      PARTIALLY_PAID: 'partially_paid',
+      PAID: 'paid',
+      WRITTEN_OFF: 'written_off'
+    };
+
+    // Days past due date; invoices not yet due sit in the first bucket
+    this.agingBuckets = [
+      { key: 'days_0_30', label: '0-30 days', min: null, max: 30 },
+      { key: 'days_31_60', label: '31-60 days', min: 31, max: 60 },
+      { key: 'days_61_90', label: '61-90 days', min: 61, max: 90 },
+      { key: 'days_90_plus', label: '90+ days', min: 91, max: null }
+    ];
+
+    this.defaultPaymentTermsDays = 30;
+    // Earnings rows created from invoice payments; the ledger treats them as collections, not new sales
+    this.paymentDocType = 'invoice_payment';
+  }
+
+  addDays(date, days) {
+    return addDays(date, days);
+  }
+
+  // Price and tax each line. Place of supply decides CGST+SGST vs IGST against the business state.
+  buildInvoiceLines(lines, { businessState, placeOfSupply }) {
+    return lines.map((line, index) => {
+      const quantity = Number(line.quantity) || 1;
+      const unitPrice = Number(line.unit_price) || 0;
+      const discount = Number(line.discount) || 0;
+      const tax = gstService.calculateTax({
+        amount: quantity * unitPrice - discount,
+        gstRate: line.gst_rate,
+        originState: businessState,
+        destinationState: placeOfSupply || businessState
+      });
+
+      return {
+        line_number: index + 1,
+        description: String(line.description).trim(),
+        hsn_sac_code: line.hsn_sac_code || null,
+        quantity,
+        unit: line.unit || null,
+        unit_price: round2(unitPrice),
+        discount: round2(discount),
+        gst_rate: tax.gst_rate,
+        taxable_value: tax.taxable_value,
+        cgst_amount: tax.cgst_amount,
+        sgst_amount: tax.sgst_amount,
+        igst_amount: tax.igst_amount,
+        line_total: tax.invoice_value
+      };
+    });
+  }
+
+  totalsFromLines(lines) {
+    const sum = (field) => round2(lines.reduce((total, line) => total + (Number(line[field]) || 0), 0));
+    const cgst = sum('cgst_amount');
+    const sgst = sum('sgst_amount');
+    const igst = sum('igst_amount');
+
+    return {
+      subtotal: sum('taxable_value'),
+      cgst_amount: cgst,
+      sgst_amount: sgst,
+      igst_amount: igst,
+      tax_total: round2(cgst + sgst + igst),
+      total: sum('line_total')
+    };
+  }
+
+  outstanding(invoice) {
+    return round2((Number(invoice.total) || 0) - (Number(invoice.amount_paid) || 0) - (Number(invoice.amount_written_off) || 0));
+  }
+
+  // Status after a payment or write-off; drafts stay drafts until sent
+  deriveStatus(invoice) {
+    if (invoice.status === this.statuses.DRAFT) return this.statuses.DRAFT;
+    if (this.outstanding(invoice) > 0.009) {
+      return Number(invoice.amount_paid) > 0 ? this.statuses.PARTIALLY_PAID : this.statuses.SENT;
+    }
+    return Number(invoice.amount_written_off) > 0 ? this.statuses.WRITTEN_OFF : this.statuses.PAID;
+  }
+
+  daysOverdue(invoice, asOf) {
+    if (!invoice.due_date) return 0;
+    return Math.floor((new Date(`${asOf}T00:00:00Z`) - new Date(`${invoice.due_date}T00:00:00Z`)) / DAY_MS);
+  }
+
+  withComputedFields(invoice, asOf = new Date().toISOString().split('T')[0]) {
+    const outstanding = this.outstanding(invoice);
+    const daysOverdue = this.daysOverdue(invoice, asOf);
+    const open = invoice.status !== this.statuses.DRAFT && outstanding > 0.009;
+
+    return {
+      ...invoice,
+      outstanding,
+      is_overdue: open && daysOverdue > 0,
+      days_overdue: open ? Math.max(daysOverdue, 0) : 0
+    };
+  }
+
+  bucketFor(daysOverdue) {
+    return this.agingBuckets.find((b) =>
+      (b.min === null || daysOverdue >= b.min) && (b.max === null || daysOverdue <= b.max)
+    );
+  }
+
+  // Outstanding balances by days past due, overall and per customer
+  buildAgingReport(invoices, customers, asOf) {
+    const emptyBuckets = () => Object.fromEntries(this.agingBuckets.map((b) => [b.key, 0]));
+    const customerNames = new Map(customers.map((c) => [c.id, c.name]));
+    const totals = emptyBuckets();
+    const byCustomer = new Map();
+    const openInvoices = [];
+
+    for (const invoice of invoices) {
+      if (invoice.status === this.statuses.DRAFT || invoice.issue_date > asOf) continue;
+
+      const outstanding = this.outstanding(invoice);
+      if (outstanding <= 0.009) continue;
+
+      const daysOverdue = this.daysOverdue(invoice, asOf);
+      const bucket = this.bucketFor(daysOverdue);
+
+      totals[bucket.key] = round2(totals[bucket.key] + outstanding);
+
+      if (!byCustomer.has(invoice.customer_id)) {
+        byCustomer.set(invoice.customer_id, {
+          customer_id: invoice.customer_id,
+          customer_name: customerNames.get(invoice.customer_id) || 'Unknown customer',
+          ...emptyBuckets(),
+          total_outstanding: 0,
+          invoice_count: 0
+        });
+      }
+      const row = byCustomer.get(invoice.customer_id);
+      row[bucket.key] = round2(row[bucket.key] + outstanding);
+      row.total_outstanding = round2(row.total_outstanding + outstanding);
+      row.invoice_count++;
+
+      openInvoices.push({
+        id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        customer_id: invoice.customer_id,
+        customer_name: row.customer_name,
+        issue_date: invoice.issue_date,
+        due_date: invoice.due_date,
+        total: round2(invoice.total),
+        outstanding,
+        days_overdue: Math.max(daysOverdue, 0),
+        bucket: bucket.key
+      });
+    }
+
+    return {
+      as_of: asOf,
+      buckets: this.agingBuckets.map((b) => ({ key: b.key, label: b.label, amount: totals[b.key] })),
+      total_outstanding: round2(Object.values(totals).reduce((sum, v) => sum + v, 0)),
+      customers: Array.from(byCustomer.values()).sort((a, b) => b.total_outstanding - a.total_outstanding),
+      invoices: openInvoices.sort((a, b) => b.days_overdue - a.days_overdue)
+    };
+  }
+
+  // INV-0001 style numbers continuing from the most recent invoice
+  nextInvoiceNumber(lastNumber, prefix = 'INV-') {
+    const match = String(lastNumber || '').match(/(\d+)$/);
+    const next = match ? Number(match[1]) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  // Self-contained invoice payload for rendering (PDF on the client) or sending as JSON
+  buildInvoiceDocument(invoice, lines, customer, profile) {
+    const businessState = gstService.getBusinessStateCode(profile || {});
+    const computed = this.withComputedFields(invoice);
+
+    return {
+      document_type: 'tax_invoice',
+      invoice_number: invoice.invoice_number,
+      issue_date: invoice.issue_date,
+      due_date: invoice.due_date,
+      status: invoice.status,
+      seller: {
+        name: profile?.business_name || null,
+        gstin: gstService.normaliseGstin(profile?.gstin),
+        address: profile?.location || null,
+        state_code: businessState,
+        state: gstService.getStateName(businessState)
+      },
+      buyer: {
+        name: customer?.name || null,
+        gstin: gstService.normaliseGstin(customer?.gstin),
+        email: customer?.email || null,
+        phone: customer?.phone || null,
+        address: customer?.billing_address || null
+      },
+      place_of_supply: invoice.place_of_supply
+        ? { state_code: invoice.place_of_supply, state: gstService.getStateName(invoice.place_of_supply) }
+        : null,
+      lines: lines
+        .slice()
+        .sort((a, b) => a.line_number - b.line_number)
+        .map((line) => ({
+          line_number: line.line_number,
+          description: line.description,
+          hsn_sac_code: line.hsn_sac_code,
+          quantity: Number(line.quantity),
+          unit: line.unit,
+          unit_price: Number(line.unit_price),
+          discount: Number(line.discount) || 0,
+          gst_rate: Number(line.gst_rate),
+          taxable_value: Number(line.taxable_value),
+          cgst_amount: Number(line.cgst_amount),
+          sgst_amount: Number(line.sgst_amount),
+          igst_amount: Number(line.igst_amount),
+          line_total: Number(line.line_total)
+        })),
+      totals: {
+        subtotal: Number(invoice.subtotal),
+        cgst_amount: Number(invoice.cgst_amount),
+        sgst_amount: Number(invoice.sgst_amount),
+        igst_amount: Number(invoice.igst_amount),
+        tax_total: Number(invoice.tax_total),
+        total: Number(invoice.total),
+        amount_paid: Number(invoice.amount_paid) || 0,
+        amount_written_off: Number(invoice.amount_written_off) || 0,
+        balance_due: computed.outstanding
+      },
+      notes: invoice.notes || null,
+      currency: 'INR'
+    };
+  }
+
+  // One GST entry per invoice line, shaped like GST-tagged earnings rows so returns include issued invoices
+  toGstEntries(invoice, lines, customer) {
+    if (invoice.status === this.statuses.DRAFT) return [];
+
+    return lines.map((line) => ({
+      id: `${invoice.id}:${line.line_number}`,
+      earning_date: invoice.issue_date,
+      gst_supply_type: gstService.supplyTypes.OUTWARD,
+      gst_rate: Number(line.gst_rate),
+      hsn_sac_code: line.hsn_sac_code,
+      taxable_value: Number(line.taxable_value),
+      cgst_amount: Number(line.cgst_amount),
+      sgst_amount: Number(line.sgst_amount),
+      igst_amount: Number(line.igst_amount),
+      place_of_supply: invoice.place_of_supply,
+      counterparty_gstin: gstService.normaliseGstin(customer?.gstin),
+      invoice_number: invoice.invoice_number,
+      amount: Number(line.line_total),
+      inventory_cost: 0
+    }));
+  }
+
+  // Earnings row for a payment; getMonthlyRevenue picks it up like any other receipt
+  buildPaymentEarning(userId, invoice, customer, payment) {
+    return {
+      user_id: userId,
+      earning_date: payment.payment_date,
+      amount: round2(payment.amount),
+      inventory_cost: 0,
+      processed_text: `Payment received for invoice ${invoice.invoice_number}${payment.reference ? ` (ref ${payment.reference})` : ''}`,
+      doc_type: this.paymentDocType,
+      vendor_name: customer?.name || null,
+      transaction_category: 'Invoice payment',
+      invoice_number: invoice.invoice_number
+    };
+  }
+}
+
+module.exports = new ReceivablesService();
@@ -0,0 +1,200 @@
+const { calculateContentSimilarity } = require('../controllers/duplicateController');
+const formalLearningService = require('./formalLearningService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (a, b) => Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / DAY_MS;
+
+const parseExtracted = (document) => {
+  try {
+    return typeof document.extracted_text === 'string' ? JSON.parse(document.extracted_text) : document.extracted_text || {};
+  } catch {
+    return {};
+  }
+};
+
+class ReconciliationService {
+  constructor() {
+    this.statuses = {
+      UNRECONCILED: 'unreconciled',
+      RECONCILED: 'reconciled',
+      IGNORED: 'ignored'
+    };
+
+    this.matchTypes = {
+      IMPORT: 'import',
+      ACCEPTED: 'accepted',
+      SPLIT: 'split'
+    };
+
+    this.defaultWindowDays = 3;
+    this.maxWindowDays = 30;
+    this.minScore = 0.75;
+    // Matches within a paisa are treated as settled
+    this.tolerance = 0.01;
+  }
+
+  // Sum matched amounts per key (bank_transaction_id, earning_id or document_id)
+  matchedTotals(matches, key) {
+    const totals = new Map();
+    for (const match of matches) {
+      if (!match[key]) continue;
+      totals.set(match[key], round2((totals.get(match[key]) || 0) + Number(match.amount)));
+    }
+    return totals;
+  }
+
+  // Book-side candidates share one shape so earnings and documents score the same way
+  earningToCandidate(earning, matchedAmount = 0) {
+    const revenue = Number(earning.amount) || 0;
+    const amount = revenue > 0 ? revenue : Number(earning.inventory_cost) || 0;
+
+    return {
+      type: 'earning',
+      id: earning.id,
+      date: earning.earning_date,
+      vendor: earning.vendor_name || earning.processed_text || '',
+      direction: revenue > 0 ? 'credit' : 'debit',
+      amount: round2(amount),
+      remaining: round2(amount - matchedAmount),
+      category: earning.transaction_category || null
+    };
+  }
+
+  documentToCandidate(document, matchedAmount = 0) {
+    const extracted = parseExtracted(document);
+    const revenue = Number(extracted.total_revenue) || 0;
+    const amount = revenue > 0 ? revenue : Number(extracted.total_expenses) || 0;
+
+    return {
+      type: 'document',
+      id: document.id,
+      date: extracted.date_range?.start_date || String(document.created_at || '').split('T')[0],
+      vendor: extracted.vendor_customer_info?.name || document.file_name || '',
+      direction: revenue > 0 ? 'credit' : 'debit',
+      amount: round2(amount),
+      remaining: round2(amount - matchedAmount),
+      file_name: document.file_name
+    };
+  }
+
+  // Vendor and amount through the duplicate checker's similarity, plus closeness of dates within the window
+  scoreCandidate(line, candidate, windowDays) {
+    if (candidate.direction !== line.direction || candidate.remaining <= this.tolerance) return null;
+
+    const dayGap = daysBetween(line.transaction_date, candidate.date);
+    if (!Number.isFinite(dayGap) || dayGap > windowDays) return null;
+
+    const content = calculateContentSimilarity(
+      { vendor: formalLearningService.normaliseDescription(line.description), amount: line.remaining },
+      { vendor: formalLearningService.normaliseDescription(candidate.vendor), amount: candidate.remaining }
+    );
+    const dateScore = 1 - dayGap / (windowDays + 1);
+    const score = round2(content * 0.7 + dateScore * 0.3);
+
+    return score >= this.minScore ? { ...candidate, score, day_gap: dayGap } : null;
+  }
+
+  // Top candidates for each unreconciled bank line
+  proposeMatches(lines, candidates, { windowDays = this.defaultWindowDays, limit = 3 } = {}) {
+    return lines.map((line) => ({
+      bank_transaction: line,
+      candidates: candidates
+        .map((candidate) => this.scoreCandidate(line, candidate, windowDays))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.day_gap - b.day_gap)
+        .slice(0, limit)
+    }));
+  }
+
+  // Allocations must cover what is left on the line without over-allocating any book item
+  validateAllocations(line, allocations, candidatesById) {
+    if (!Array.isArray(allocations) || allocations.length === 0) {
+      return 'allocations must be a non-empty array';
+    }
+
+    // Several allocations in one split may draw on the same book item, so they are checked together
+    const allocatedById = new Map();
+
+    for (const allocation of allocations) {
+      const id = allocation.earning_id || allocation.document_id;
+      if (!id || (allocation.earning_id && allocation.document_id)) {
+        return 'each allocation needs exactly one of earning_id or document_id';
+      }
+      if (!(Number(allocation.amount) > 0)) {
+        return 'each allocation needs a positive amount';
+      }
+
+      const candidate = candidatesById.get(id);
+      if (!candidate) return `Book item ${id} not found`;
+      if (candidate.direction !== line.direction) {
+        return `Book item ${id} is ${candidate.direction === 'credit' ? 'income' : 'an expense'} but the bank line is a ${line.direction}`;
+      }
+      const allocated = round2((allocatedById.get(id) || 0) + Number(allocation.amount));
+      allocatedById.set(id, allocated);
+      if (allocated - candidate.remaining > this.tolerance) {
+        return `Allocation of ${allocated} exceeds the unmatched ${candidate.remaining} on ${id}`;
+      }
+    }
+
+    const total = round2(allocations.reduce((sum, a) => sum + Number(a.amount), 0));
+    if (Math.abs(total - line.remaining) > this.tolerance) {
+      return `Allocations total ${total} but ${line.remaining} of the bank line is unmatched`;
+    }
+
+    return null;
+  }
+
+  // Per-month unreconciled bank lines and book items with no bank match
+  summariseByMonth(lines, candidates) {
+    const months = new Map();
+    const monthOf = (date) => String(date).substring(0, 7);
+    const bucket = (month) => {
+      if (!months.has(month)) {
+        months.set(month, {
+          month,
+          bank: { reconciled: 0, ignored: 0, unreconciled: 0, unreconciled_credits: 0, unreconciled_debits: 0, items: [] },
+          books: { unmatched: 0, unmatched_amount: 0, items: [] }
+        });
+      }
+      return months.get(month);
+    };
+
+    for (const line of lines) {
+      const entry = bucket(monthOf(line.transaction_date)).bank;
+      if (line.reconciliation_status === this.statuses.IGNORED) {
+        entry.ignored++;
+      } else if (line.reconciliation_status === this.statuses.RECONCILED) {
+        entry.reconciled++;
+      } else {
+        entry.unreconciled++;
+        entry[line.direction === 'credit' ? 'unreconciled_credits' : 'unreconciled_debits'] += line.remaining;
+        entry.items.push(line);
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (candidate.remaining <= this.tolerance || candidate.amount <= 0) continue;
+      const entry = bucket(monthOf(candidate.date)).books;
+      entry.unmatched++;
+      entry.unmatched_amount += candidate.remaining;
+      entry.items.push(candidate);
+    }
+
+    return Array.from(months.values())
+      .map((m) => ({
+        ...m,
+        bank: {
+          ...m.bank,
+          unreconciled_credits: round2(m.bank.unreconciled_credits),
+          unreconciled_debits: round2(m.bank.unreconciled_debits)
+        },
+        books: { ...m.books, unmatched_amount: round2(m.books.unmatched_amount) }
+      }))
+      .sort((a, b) => a.month.localeCompare(b.month));
+  }
+}
+
+module.exports = new ReconciliationService();
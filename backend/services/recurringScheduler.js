@@ -0,0 +1,47 @@
+const { supabaseAdmin } = require('../config/supabase');
+const recurringTransactionService = require('./recurringTransactionService');
+const config = require('../config/env');
+
+class RecurringTransactionScheduler {
+  constructor({ intervalMs = config.recurringScheduler.intervalMs } = {}) {
+    this.intervalMs = intervalMs;
+    this.running = false;
+    this.timer = null;
+    this._lock = false;
+  }
+
+  async runOnce() {
+    if (this._lock) return;
+    this._lock = true;
+    try {
+      const asOf = new Date().toISOString().split('T')[0];
+      const result = await recurringTransactionService.runDue(supabaseAdmin, { asOf });
+
+      if (result.posted.length > 0 || result.failures.length > 0) {
+        console.log(`[RecurringScheduler] Posted ${result.posted.length} entries from ${result.templates_run} templates (${result.failures.length} failed)`);
+      }
+    } catch (err) {
+      console.error('[RecurringScheduler] Unexpected error:', err);
+    } finally {
+      this._lock = false;
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    // Catch up on anything that fell due while the server was down, then schedule
+    this.runOnce().catch((e) => console.error('[RecurringScheduler] runOnce error:', e));
+    this.timer = setInterval(() => this.runOnce().catch((e) => console.error('[RecurringScheduler] runOnce error:', e)), this.intervalMs);
+    console.log(`[RecurringScheduler] Started — interval: ${this.intervalMs}ms`);
+  }
+
+  stop() {
+    if (!this.running) return;
+    clearInterval(this.timer);
+    this.running = false;
+    console.log('[RecurringScheduler] Stopped');
+  }
+}
+
+module.exports = { RecurringTransactionScheduler };
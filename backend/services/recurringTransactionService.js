@@ -0,0 +1,480 @@
+const ledgerService = require('./ledgerService');
+const budgetService = require('./budgetService');
+const { notificationService } = require('./notificationService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const dateParts = (date) => ({
+  year: Number(date.substring(0, 4)),
+  month: Number(date.substring(5, 7)),
+  day: Number(date.substring(8, 10))
+});
+
+// The given day in the month `offset` months after (year, month), clamped to short months
+const monthDate = (year, month, offset, day) => {
+  const index = (month - 1) + offset;
+  const y = year + Math.floor(index / 12);
+  const m = (index % 12) + 1;
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return `${y}-${String(m).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+};
+
+// Whole calendar months from one date to another
+const monthsElapsed = (from, to) => {
+  const a = dateParts(from);
+  const b = dateParts(to);
+  return (b.year - a.year) * 12 + (b.month - a.month) - (b.day < a.day ? 1 : 0);
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// One cron field ("*", "1,15", "1-5", "*/2", "mon-fri") as the set of values it allows
+const parseCronField = (field, min, max, names = null) => {
+  const values = new Set();
+  const toNumber = (token) => {
+    const index = names ? names.indexOf(token.toLowerCase()) : -1;
+    const value = index >= 0 ? index + (names === MONTH_NAMES ? 1 : 0) : Number(token);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid cron value "${token}"`);
+    }
+    return value;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}"`);
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      to = end === undefined ? (stepText === undefined ? from : max) : toNumber(end);
+      if (to < from) throw new Error(`Invalid cron range "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+class RecurringTransactionService {
+  constructor() {
+    this.frequencies = {
+      DAILY: 'daily',
+      WEEKLY: 'weekly',
+      MONTHLY: 'monthly',
+      CUSTOM: 'custom'
+    };
+
+    this.statuses = {
+      ACTIVE: 'active',
+      PAUSED: 'paused',
+      ENDED: 'ended'
+    };
+
+    this.occurrenceStatuses = {
+      SCHEDULED: 'scheduled',
+      SKIPPED: 'skipped',
+      MODIFIED: 'modified',
+      POSTED: 'posted'
+    };
+
+    this.docType = 'recurring';
+
+    // How far ahead to look for the next occurrence of a sparse schedule (e.g. a cron on 29 February)
+    this.lookaheadDays = 5 * 366;
+  }
+
+  addDays(date, days) {
+    return addDays(date, days);
+  }
+
+  // Standard five-field cron (minute hour day-of-month month day-of-week). Entries are dated, not timed,
+  // so minute and hour are validated but only the day fields decide which dates match.
+  parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+
+    parseCronField(fields[0], 0, 59);
+    parseCronField(fields[1], 0, 23);
+    const dayOfWeek = parseCronField(fields[4], 0, 7, DAY_NAMES);
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+      daysOfMonth: parseCronField(fields[2], 1, 31),
+      months: parseCronField(fields[3], 1, 12, MONTH_NAMES),
+      daysOfWeek: dayOfWeek,
+      // As in cron, when both day fields are restricted a date matching either one runs
+      dayOfMonthRestricted: fields[2] !== '*',
+      dayOfWeekRestricted: fields[4] !== '*'
+    };
+  }
+
+  cronMatches(cron, date) {
+    const { month, day } = dateParts(date);
+    if (!cron.months.has(month)) return false;
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const domMatch = cron.daysOfMonth.has(day);
+    const dowMatch = cron.daysOfWeek.has(weekday);
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+    if (cron.dayOfMonthRestricted) return domMatch;
+    if (cron.dayOfWeekRestricted) return dowMatch;
+    return true;
+  }
+
+  // Scheduled dates of a template within [from, to], before skips and moves
+  scheduledDates(template, from, to, limit = Infinity) {
+    const start = template.start_date;
+    const last = template.end_date && template.end_date < to ? template.end_date : to;
+    const first = from > start ? from : start;
+    const dates = [];
+    if (first > last) return dates;
+
+    const interval = Number(template.interval_count) || 1;
+
+    if (template.frequency === this.frequencies.CUSTOM) {
+      const cron = this.parseCron(template.cron_expression);
+      for (let date = first; date <= last && dates.length < limit; date = addDays(date, 1)) {
+        if (this.cronMatches(cron, date)) dates.push(date);
+      }
+      return dates;
+    }
+
+    if (template.frequency === this.frequencies.MONTHLY) {
+      const { year, month, day } = dateParts(start);
+      const dayOfMonth = Number(template.day_of_month) || day;
+      // Jump close to `first`, then step forward one interval at a time
+      let offset = Math.max(0, Math.floor(monthsElapsed(start, first) / interval) * interval - interval);
+      while (dates.length < limit) {
+        const date = monthDate(year, month, offset, dayOfMonth);
+        if (date > last) break;
+        if (date >= first && date >= start) dates.push(date);
+        offset += interval;
+      }
+      return dates;
+    }
+
+    const step = interval * (template.frequency === this.frequencies.WEEKLY ? 7 : 1);
+    let date = addDays(start, Math.ceil(Math.max(0, daysBetween(start, first)) / step) * step);
+    while (date <= last && dates.length < limit) {
+      dates.push(date);
+      date = addDays(date, step);
+    }
+    return dates;
+  }
+
+  // Amount due on a date: escalation compounds once per completed escalation interval since the start date
+  amountFor(template, date) {
+    const pct = Number(template.escalation_pct) || 0;
+    const base = Number(template.amount) || 0;
+    if (!pct) return round2(base);
+
+    const every = Number(template.escalation_interval_months) || 12;
+    const steps = Math.max(0, Math.floor(monthsElapsed(template.start_date, date) / every));
+    return round2(base * Math.pow(1 + pct / 100, steps));
+  }
+
+  occurrenceFor(template, scheduledDate, override = null) {
+    return {
+      template_id: template.id,
+      scheduled_date: scheduledDate,
+      date: override?.date_override || scheduledDate,
+      amount: override?.amount_override != null ? round2(override.amount_override) : this.amountFor(template, scheduledDate),
+      type: template.type,
+      status: override?.status || this.occurrenceStatuses.SCHEDULED,
+      earning_id: override?.earning_id || null,
+      notes: override?.notes || null
+    };
+  }
+
+  // Occurrences falling in [from, to] once skips, amount changes and moved dates are applied.
+  // `overrides` are the template's rows from recurring_occurrences.
+  buildOccurrences(template, overrides, from, to, limit = Infinity) {
+    const byDate = new Map((overrides || []).map((o) => [o.scheduled_date, o]));
+    const occurrences = [];
+
+    for (const date of this.scheduledDates(template, from, to)) {
+      const occurrence = this.occurrenceFor(template, date, byDate.get(date));
+      if (occurrence.date >= from && occurrence.date <= to) occurrences.push(occurrence);
+    }
+
+    // Occurrences moved into the range from a scheduled date outside it
+    for (const override of overrides || []) {
+      if (!override.date_override || (override.scheduled_date >= from && override.scheduled_date <= to)) continue;
+      if (override.date_override < from || override.date_override > to) continue;
+      occurrences.push(this.occurrenceFor(template, override.scheduled_date, override));
+    }
+
+    return occurrences
+      .sort((a, b) => a.date.localeCompare(b.date) || a.scheduled_date.localeCompare(b.scheduled_date))
+      .slice(0, limit);
+  }
+
+  isPending(occurrence) {
+    return occurrence.status === this.occurrenceStatuses.SCHEDULED || occurrence.status === this.occurrenceStatuses.MODIFIED;
+  }
+
+  // Upcoming occurrences from a date, for previews; skipped ones are included so they can be restored
+  preview(template, overrides, from, { count = 12, until = null } = {}) {
+    const to = until || addDays(from, this.lookaheadDays);
+    return this.buildOccurrences(template, overrides, from, to, count)
+      .filter((o) => o.status !== this.occurrenceStatuses.POSTED);
+  }
+
+  // Date the template next has something to post on or after `from`, or null when nothing is left
+  nextRunDate(template, overrides, from) {
+    const next = this.buildOccurrences(template, overrides, from, addDays(from, this.lookaheadDays))
+      .find((o) => this.isPending(o));
+    return next ? next.date : null;
+  }
+
+  // What a run up to `asOf` should post: every pending occurrence dated on or before it, including ones
+  // scheduled earlier but moved forward and ones scheduled later but moved back
+  planRun(template, overrides, asOf) {
+    const windowStart = template.last_run_date ? addDays(template.last_run_date, 1) : template.start_date;
+    const due = new Map();
+
+    for (const occurrence of this.buildOccurrences(template, overrides, windowStart, asOf)) {
+      if (this.isPending(occurrence)) due.set(occurrence.scheduled_date, occurrence);
+    }
+    for (const override of overrides || []) {
+      if (override.status !== this.occurrenceStatuses.MODIFIED || due.has(override.scheduled_date)) continue;
+      const occurrence = this.occurrenceFor(template, override.scheduled_date, override);
+      if (occurrence.date <= asOf) due.set(override.scheduled_date, occurrence);
+    }
+
+    const nextRun = this.nextRunDate(template, overrides, addDays(asOf, 1));
+    return {
+      due: Array.from(due.values()).sort((a, b) => a.date.localeCompare(b.date)),
+      last_run_date: asOf,
+      next_run_date: nextRun,
+      ended: !nextRun && Boolean(template.end_date) && template.end_date <= asOf
+    };
+  }
+
+  buildEarning(userId, template, occurrence) {
+    const income = template.type === 'income';
+    return {
+      user_id: userId,
+      earning_date: occurrence.date,
+      amount: income ? occurrence.amount : 0,
+      inventory_cost: income ? 0 : occurrence.amount,
+      processed_text: `Recurring: ${template.name}${occurrence.notes ? ` (${occurrence.notes})` : ''}`,
+      doc_type: this.docType,
+      vendor_name: template.vendor_name || null,
+      transaction_category: template.category || template.name
+    };
+  }
+
+  // Mark an occurrence posted before anything is written for it, so two runs racing over the same template
+  // (a scheduler tick and "run now", or two instances) post it once. A new occurrence is claimed by inserting
+  // its row, which the (template_id, scheduled_date) key lets only one run do; an overridden one by moving
+  // its row out of a pending status. Returns the claimed row, or null when another run got there first.
+  async claimOccurrence(supabase, template, occurrence, existing) {
+    const claim = {
+      status: this.occurrenceStatuses.POSTED,
+      amount_override: occurrence.amount,
+      date_override: occurrence.date,
+      notes: occurrence.notes,
+      posted_at: new Date().toISOString()
+    };
+
+    if (!existing) {
+      const { data, error } = await supabase
+        .from('recurring_occurrences')
+        .insert({ template_id: template.id, user_id: template.user_id, scheduled_date: occurrence.scheduled_date, ...claim })
+        .select()
+        .single();
+
+      if (error && error.code === '23505') return null;
+      if (error) throw error;
+      return data;
+    }
+
+    const { data, error } = await supabase
+      .from('recurring_occurrences')
+      .update(claim)
+      .eq('template_id', template.id)
+      .eq('scheduled_date', occurrence.scheduled_date)
+      .in('status', [this.occurrenceStatuses.SCHEDULED, this.occurrenceStatuses.MODIFIED])
+      .select();
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  // Hand a claimed occurrence back when its earnings row could not be written
+  async releaseOccurrence(supabase, template, occurrence, existing) {
+    const query = existing
+      ? supabase
+        .from('recurring_occurrences')
+        .update({
+          status: existing.status,
+          amount_override: existing.amount_override,
+          date_override: existing.date_override,
+          notes: existing.notes,
+          posted_at: null
+        })
+      : supabase.from('recurring_occurrences').delete();
+
+    const { error } = await query.eq('template_id', template.id).eq('scheduled_date', occurrence.scheduled_date);
+    if (error) console.error(`Recurring occurrence ${template.id}/${occurrence.scheduled_date} release error:`, error);
+  }
+
+  // Post a template's due occurrences into earnings and the ledger and advance its schedule
+  async runTemplate(supabase, template, asOf) {
+    const { data: overrides, error } = await supabase
+      .from('recurring_occurrences')
+      .select('*')
+      .eq('template_id', template.id);
+
+    if (error) throw error;
+
+    const plan = this.planRun(template, overrides || [], asOf);
+    const overridesByDate = new Map((overrides || []).map((o) => [o.scheduled_date, o]));
+    const posted = [];
+
+    for (const occurrence of plan.due) {
+      const existing = overridesByDate.get(occurrence.scheduled_date) || null;
+      if (!(await this.claimOccurrence(supabase, template, occurrence, existing))) continue;
+
+      const { data: earning, error: earningError } = await supabase
+        .from('earnings')
+        .insert(this.buildEarning(template.user_id, template, occurrence))
+        .select()
+        .single();
+
+      if (earningError) {
+        await this.releaseOccurrence(supabase, template, occurrence, existing);
+        throw earningError;
+      }
+
+      const { error: occurrenceError } = await supabase
+        .from('recurring_occurrences')
+        .update({ earning_id: earning.id })
+        .eq('template_id', template.id)
+        .eq('scheduled_date', occurrence.scheduled_date);
+
+      if (occurrenceError) throw occurrenceError;
+
+      await ledgerService.safePost('recurring entry', () => ledgerService.postEarning(supabase, template.user_id, earning));
+      posted.push({ ...occurrence, status: this.occurrenceStatuses.POSTED, earning_id: earning.id });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('recurring_transactions')
+      .update({
+        last_run_date: plan.last_run_date,
+        next_run_date: plan.next_run_date,
+        status: plan.ended ? this.statuses.ENDED : template.status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', template.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return { template: updated, posted };
+  }
+
+  // Recompute next_run_date after the schedule or one of its occurrences changes
+  async refreshSchedule(supabase, template) {
+    const { data: overrides, error } = await supabase
+      .from('recurring_occurrences')
+      .select('*')
+      .eq('template_id', template.id);
+
+    if (error) throw error;
+
+    const from = template.last_run_date ? addDays(template.last_run_date, 1) : template.start_date;
+    const nextRun = this.nextRunDate(template, overrides || [], from);
+    const ended = !nextRun && Boolean(template.end_date);
+
+    const { data: updated, error: updateError } = await supabase
+      .from('recurring_transactions')
+      .update({
+        next_run_date: nextRun,
+        status: ended ? this.statuses.ENDED : template.status === this.statuses.ENDED ? this.statuses.ACTIVE : template.status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', template.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    return updated;
+  }
+
+  // Run every active template due on or before `asOf`, optionally for one user.
+  // The scheduler calls this with the service-role client; the API with the caller's.
+  async runDue(supabase, { asOf, userId = null } = {}) {
+    let query = supabase
+      .from('recurring_transactions')
+      .select('*')
+      .eq('status', this.statuses.ACTIVE)
+      .lte('next_run_date', asOf)
+      .order('next_run_date', { ascending: true });
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: templates, error } = await query;
+    if (error) throw error;
+
+    const postedByUser = new Map();
+    const failures = [];
+
+    for (const template of templates || []) {
+      try {
+        const { posted } = await this.runTemplate(supabase, template, asOf);
+        if (posted.length === 0) continue;
+        if (!postedByUser.has(template.user_id)) postedByUser.set(template.user_id, []);
+        postedByUser.get(template.user_id).push(...posted.map((o) => ({ ...o, name: template.name })));
+      } catch (runError) {
+        console.error(`Recurring template ${template.id} run error:`, runError);
+        failures.push({ template_id: template.id, error: runError.message || String(runError) });
+      }
+    }
+
+    for (const [user, posted] of postedByUser) {
+      const expenseDates = posted.filter((o) => o.type !== 'income').map((o) => o.date);
+      await budgetService.safeCheck(supabase, user, expenseDates);
+      this.notify(user, posted);
+    }
+
+    return {
+      templates_run: (templates || []).length,
+      posted: Array.from(postedByUser.values()).flat(),
+      failures
+    };
+  }
+
+  notify(userId, posted) {
+    notificationService.notifyUser(userId, {
+      type: 'recurring_posted',
+      priority: 'low',
+      title: 'Recurring Entries Posted',
+      message: posted.length === 1
+        ? `${posted[0].name}: ₹${posted[0].amount} recorded for ${posted[0].date}`
+        : `${posted.length} recurring entries recorded (₹${round2(posted.reduce((sum, o) => sum + o.amount, 0))})`,
+      data: posted,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new RecurringTransactionService();
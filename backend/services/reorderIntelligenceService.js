@@ -1,23 +1,212 @@
 const { createChatCompletion } = require("../config/openai");
-const { getAuthenticatedClient } = require("../config/supabase");
+const locationService = require("./locationService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+};
 
 class ReorderIntelligenceService {
-  async generateReorderRecommendations(userId) {
+  constructor() {
+    // Window the usage velocity is measured over
+    this.velocityWindowDays = 30;
+    // Supplier lead time assumed until one is set on the item
+    this.defaultLeadTimeDays = 7;
+    // Days of usage one reorder should cover
+    this.reorderCoverDays = 30;
+    // Service level of ~95%: safety stock covers demand up to 1.65 standard deviations above the mean
+    this.serviceLevelZ = 1.65;
+    // Items due to reach their reorder level within this many days are flagged ahead of time
+    this.lookaheadDays = 7;
+
+    this.levelFields = ["reorder_level", "max_level", "safety_stock", "lead_time_days", "reorder_quantity"];
+  }
+
+  // Items and their movements, with stock on hand and quantity still due on sent purchase orders per item
+  async loadStock(supabase, userId) {
+    const [itemsResult, movementsResult, onOrderResult] = await Promise.all([
+      supabase
+        .from("inventory_items")
+        .select("id, product_name, unit, category, reorder_level, max_level, safety_stock, lead_time_days, reorder_quantity, avg_daily_usage, levels_source, levels_updated_at")
+        .eq("user_id", userId),
+      supabase
+        .from("inventory_stock_ledger")
+        .select("item_id, direction, quantity, source, created_at")
+        .eq("user_id", userId),
+      supabase
+        .from("purchase_order_lines")
+        .select("item_id, quantity_ordered, quantity_received, purchase_orders!inner(status)")
+        .eq("user_id", userId)
+        .in("purchase_orders.status", ["sent", "partially_received"]),
+    ]);
+
+    const failed = [itemsResult, movementsResult].find((r) => r.error);
+    if (failed) throw failed.error;
+    if (onOrderResult.error) console.error("Reorder on-order lookup error:", onOrderResult.error);
+
+    const onOrderByItem = new Map();
+    for (const line of onOrderResult.data || []) {
+      const outstanding = Math.max(0, Number(line.quantity_ordered) - Number(line.quantity_received || 0));
+      onOrderByItem.set(line.item_id, (onOrderByItem.get(line.item_id) || 0) + outstanding);
+    }
+
+    const movementsByItem = new Map();
+    for (const movement of movementsResult.data || []) {
+      if (!movementsByItem.has(movement.item_id)) movementsByItem.set(movement.item_id, []);
+      movementsByItem.get(movement.item_id).push(movement);
+    }
+
+    return (itemsResult.data || []).map((item) => {
+      const movements = movementsByItem.get(item.id) || [];
+      return {
+        item,
+        movements,
+        currentStock: this.calculateCurrentStock(movements),
+        onOrder: onOrderByItem.get(item.id) || 0,
+      };
+    });
+  }
+
+  hasLevels(item) {
+    return item.reorder_level !== null && item.reorder_level !== undefined;
+  }
+
+  // Reorder levels from usage: reorder when stock covers only the lead time plus safety stock,
+  // then order enough to cover reorderCoverDays of usage
+  suggestLevels(movements, { leadTimeDays = null } = {}) {
+    const leadTime = Number(leadTimeDays) || this.defaultLeadTimeDays;
+    const velocity = this.calculateVelocity(movements, this.velocityWindowDays);
+    const deviation = this.calculateDemandDeviation(movements, this.velocityWindowDays);
+
+    const safetyStock = Math.ceil(this.serviceLevelZ * deviation * Math.sqrt(leadTime));
+    const reorderLevel = Math.ceil(velocity * leadTime) + safetyStock;
+    const reorderQuantity = Math.ceil(velocity * this.reorderCoverDays);
+
+    return {
+      avg_daily_usage: Math.round(velocity * 1000) / 1000,
+      demand_std_dev: Math.round(deviation * 1000) / 1000,
+      lead_time_days: leadTime,
+      safety_stock: safetyStock,
+      reorder_level: reorderLevel,
+      reorder_quantity: reorderQuantity,
+      max_level: reorderLevel + reorderQuantity,
+      based_on_days: this.velocityWindowDays,
+    };
+  }
+
+  // The item's saved levels, or ones suggested from its usage when none are saved
+  effectiveLevels(item, movements) {
+    if (this.hasLevels(item)) {
+      return {
+        reorder_level: Number(item.reorder_level) || 0,
+        max_level: item.max_level === null || item.max_level === undefined ? null : Number(item.max_level),
+        safety_stock: Number(item.safety_stock) || 0,
+        lead_time_days: Number(item.lead_time_days) || this.defaultLeadTimeDays,
+        reorder_quantity: Number(item.reorder_quantity) || 0,
+        avg_daily_usage: item.avg_daily_usage !== null && item.avg_daily_usage !== undefined
+          ? Number(item.avg_daily_usage)
+          : this.calculateVelocity(movements, this.velocityWindowDays),
+        source: item.levels_source || "manual",
+      };
+    }
+
+    const suggested = this.suggestLevels(movements, { leadTimeDays: item.lead_time_days });
+    return { ...suggested, source: suggested.avg_daily_usage > 0 ? "suggested" : "none" };
+  }
+
+  // out_of_stock / critical (at or below safety stock) / low (at or below reorder level) / overstock / ok.
+  // Without levels or usage an item is only low once it runs out.
+  stockStatus(currentStock, levels) {
+    if (currentStock <= 0) return "out_of_stock";
+    if (!levels || levels.source === "none") return "ok";
+    if (levels.safety_stock > 0 && currentStock <= levels.safety_stock) return "critical";
+    if (currentStock <= levels.reorder_level) return "low";
+    if (levels.max_level && currentStock > levels.max_level) return "overstock";
+    return "ok";
+  }
+
+  isLowStatus(status) {
+    return ["out_of_stock", "critical", "low"].includes(status);
+  }
+
+  // Order up to the max level, and never less than the item's reorder quantity
+  recommendedOrder(currentStock, levels) {
+    const toMax = levels.max_level ? levels.max_level - currentStock : 0;
+    return Math.max(0, Math.ceil(Math.max(levels.reorder_quantity || 0, toMax)));
+  }
+
+  // Quantity already on order is taken off the recommendation; items fully covered by open orders are left out
+  buildRecommendation(item, movements, currentStock, onOrder = 0) {
+    const levels = this.effectiveLevels(item, movements);
+    if (levels.source === "none" && currentStock > 0) return null;
+
+    const status = this.stockStatus(currentStock, levels);
+    const velocity = levels.avg_daily_usage || 0;
+    const daysOfStock = velocity > 0 ? Math.max(0, currentStock) / velocity : null;
+    const daysToReorderLevel = velocity > 0 ? (currentStock - levels.reorder_level) / velocity : null;
+
+    const due = this.isLowStatus(status);
+    const soon = !due && daysToReorderLevel !== null && daysToReorderLevel <= this.lookaheadDays;
+    if (!due && !soon) return null;
+
+    const urgency = status === "out_of_stock" || status === "critical"
+      ? "critical"
+      : status === "low"
+        ? (daysOfStock !== null && daysOfStock < levels.lead_time_days ? "critical" : "high")
+        : "medium";
+
+    const needed = this.recommendedOrder(currentStock, levels) || Math.max(1, levels.reorder_level - currentStock);
+    const toOrder = Math.max(0, Math.ceil(needed - onOrder));
+    if (toOrder <= 0) return null;
+
+    const reason = status === "out_of_stock"
+      ? "Out of stock"
+      : status === "critical"
+        ? `Stock (${currentStock}) is at or below safety stock (${levels.safety_stock})`
+        : status === "low"
+          ? `Stock (${currentStock}) is at or below the reorder level (${levels.reorder_level})`
+          : `Expected to reach the reorder level (${levels.reorder_level}) in ${Math.ceil(daysToReorderLevel)} days`;
+
+    return {
+      item_id: item.id,
+      product_name: item.product_name,
+      unit: item.unit || null,
+      current_stock: currentStock,
+      on_order: onOrder,
+      recommended_order: toOrder,
+      urgency,
+      reason,
+      optimal_order_date: due ? today() : addDays(today(), Math.max(0, Math.floor(daysToReorderLevel))),
+      expected_stockout_date: daysOfStock !== null ? addDays(today(), Math.floor(daysOfStock)) : null,
+      days_of_stock: daysOfStock !== null ? Math.round(daysOfStock * 10) / 10 : null,
+      stock_status: status,
+      reorder_level: levels.reorder_level,
+      safety_stock: levels.safety_stock,
+      max_level: levels.max_level,
+      lead_time_days: levels.lead_time_days,
+      levels_source: levels.source,
+      confidence: levels.source === "manual" ? 0.9 : levels.source === "suggested" ? 0.7 : 0.5,
+    };
+  }
+
+  // Items at or below their reorder level, or due to reach it within lookaheadDays, most urgent first
+  recommendationsFor(stock) {
+    const rank = { critical: 0, high: 1, medium: 2, low: 3 };
+
+    return stock
+      .map(({ item, movements, currentStock, onOrder }) => this.buildRecommendation(item, movements, currentStock, onOrder))
+      .filter(Boolean)
+      .sort((a, b) => rank[a.urgency] - rank[b.urgency] || (a.days_of_stock ?? 0) - (b.days_of_stock ?? 0));
+  }
+
+  async generateReorderRecommendations(userId, supabase) {
     try {
-      // Mock implementation for now - replace with actual Supabase client when available
-      const mockRecommendations = [
-        {
-          product_name: "Sample Product",
-          current_stock: 5,
-          recommended_order: 20,
-          urgency: "high",
-          reason: "Low stock detected",
-          optimal_order_date: new Date().toISOString().split('T')[0],
-          confidence: 0.85
-        }
-      ];
-      
-      return mockRecommendations;
+      return this.recommendationsFor(await this.loadStock(supabase, userId));
     } catch (error) {
       console.error('Reorder intelligence error:', error);
       return [];
@@ -26,17 +215,35 @@ class ReorderIntelligenceService {
 
   calculateCurrentStock(movements) {
     return movements.reduce((total, movement) => {
-      return total + (movement.direction === 'in' ? movement.quantity : -movement.quantity);
+      return total + (movement.direction === 'in' ? Number(movement.quantity) : -Number(movement.quantity));
     }, 0);
   }
 
-  calculateVelocity(movements) {
+  calculateVelocity(movements, days = 30) {
     const outMovements = movements
-      .filter(m => m.direction === 'out')
-      .filter(m => new Date(m.created_at) > new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+      .filter(m => m.direction === 'out' && !locationService.isTransfer(m))
+      .filter(m => new Date(m.created_at) > new Date(Date.now() - days * DAY_MS));
     
-    const totalOut = outMovements.reduce((sum, m) => sum + m.quantity, 0);
-    return totalOut / 30; // Daily velocity
+    const totalOut = outMovements.reduce((sum, m) => sum + Number(m.quantity), 0);
+    return totalOut / days; // Daily velocity
+  }
+
+  // Standard deviation of daily usage over the window, counting days without any usage
+  calculateDemandDeviation(movements, days = 30) {
+    const since = Date.now() - days * DAY_MS;
+    const daily = new Map();
+    for (const m of movements) {
+      if (m.direction !== 'out' || locationService.isTransfer(m) || new Date(m.created_at) <= new Date(since)) continue;
+      const day = String(m.created_at).split('T')[0];
+      daily.set(day, (daily.get(day) || 0) + Number(m.quantity));
+    }
+
+    const mean = Array.from(daily.values()).reduce((sum, q) => sum + q, 0) / days;
+    let squares = (days - daily.size) * mean * mean;
+    daily.forEach((quantity) => {
+      squares += (quantity - mean) ** 2;
+    });
+    return Math.sqrt(squares / days);
   }
 
   getSeasonalMultiplier(productName, seasonalData) {
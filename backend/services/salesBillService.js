@@ -0,0 +1,286 @@
+const gstService = require('./gstService');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+const EPSILON = 1e-9;
+
+// Point-of-sale bills. A bill's lines post `sale` out movements to inventory_stock_ledger and its
+// takings an earnings row per GST rate, whose inventory_cost is the cost of the stock sold; both come
+// from the same lines, so revenue and stock cannot drift apart. A credit note returns part or all of a
+// bill: stock comes back in (`sales_return`) and negative earnings rows take the sale back out.
+class SalesBillService {
+  constructor() {
+    this.statuses = {
+      COMPLETED: 'completed',
+      PARTIALLY_RETURNED: 'partially_returned',
+      RETURNED: 'returned'
+    };
+
+    this.paymentModes = ['cash', 'upi', 'card'];
+
+    // inventory_stock_ledger.source of bill lines and of stock taken back on a credit note
+    this.movementSource = 'sale';
+    this.returnSource = 'sales_return';
+
+    // earnings.doc_type of bill takings and of credit notes
+    this.earningDocType = 'sales_bill';
+    this.returnDocType = 'sales_return';
+  }
+
+  // BILL-0001 / CN-0001 style numbers continuing from the most recent one
+  nextNumber(lastNumber, prefix) {
+    const match = String(lastNumber || '').match(/(\d+)$/);
+    const next = match ? Number(match[1]) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  // Price and tax each line. Shop prices are usually MRP including GST, so pricesIncludeTax is the default;
+  // the discount comes off the line before tax is worked out. `conversion` is unitService.toBase for the line.
+  priceLines(lines, itemsById, { businessState, placeOfSupply, pricesIncludeTax = true }) {
+    return lines.map((line, index) => {
+      const item = itemsById.get(line.item_id) || {};
+      const quantity = round4(line.quantity);
+      const unitPrice = round2(line.unit_price);
+      const discount = round2(line.discount);
+      const tax = gstService.calculateTax({
+        amount: Math.max(0, quantity * unitPrice - discount),
+        gstRate: line.gst_rate,
+        taxInclusive: pricesIncludeTax,
+        originState: businessState,
+        destinationState: placeOfSupply || businessState
+      });
+
+      return {
+        line_number: index + 1,
+        item_id: line.item_id,
+        product_name: item.product_name || null,
+        hsn_sac_code: line.hsn_sac_code || null,
+        quantity,
+        unit: line.conversion?.entered_unit || item.unit || null,
+        base_quantity: line.conversion ? line.conversion.quantity : quantity,
+        unit_price: unitPrice,
+        discount,
+        gst_rate: tax.gst_rate,
+        taxable_value: tax.taxable_value,
+        cgst_amount: tax.cgst_amount,
+        sgst_amount: tax.sgst_amount,
+        igst_amount: tax.igst_amount,
+        line_total: tax.invoice_value,
+        quantity_returned: 0
+      };
+    });
+  }
+
+  totalsFromLines(lines) {
+    const sum = (field) => round2(lines.reduce((total, line) => total + (Number(line[field]) || 0), 0));
+    const cgst = sum('cgst_amount');
+    const sgst = sum('sgst_amount');
+    const igst = sum('igst_amount');
+
+    return {
+      subtotal: sum('taxable_value'),
+      discount_total: sum('discount'),
+      cgst_amount: cgst,
+      sgst_amount: sgst,
+      igst_amount: igst,
+      tax_total: round2(cgst + sgst + igst),
+      total: sum('line_total'),
+      cost_total: sum('cost_total')
+    };
+  }
+
+  // The `out` ledger row for a bill line, in the item's base unit
+  buildMovement(userId, bill, line, { locationId, issueCost = null, batches = null, soldAt }) {
+    const converted = Math.abs(line.base_quantity - line.quantity) > EPSILON;
+    return {
+      user_id: userId,
+      item_id: line.item_id,
+      location_id: locationId,
+      direction: 'out',
+      quantity: line.base_quantity,
+      source: this.movementSource,
+      reference_id: line.id,
+      created_at: soldAt,
+      batch_id: batches?.length === 1 ? batches[0].batch_id : null,
+      metadata: {
+        sales_bill_id: bill.id,
+        bill_number: bill.bill_number,
+        selling_price: line.unit_price,
+        line_total: line.line_total,
+        ...(issueCost ? { cost_of_goods: issueCost } : {}),
+        ...(batches?.length ? { batches } : {}),
+        ...(line.unit ? { unit: line.unit } : {}),
+        ...(converted
+          ? { entered_quantity: line.quantity, entered_unit: line.unit, conversion_factor: round4(line.base_quantity / line.quantity) }
+          : {})
+      }
+    };
+  }
+
+  // Earnings rows for a bill or credit note: one per GST rate so GST returns stay correct for mixed-rate
+  // bills. sign is -1 for a credit note. inventory_cost is the cost of the goods, which the stock movements
+  // already post to COGS, so the ledger does not expense it again (see ledgerService.buildEarningLines).
+  buildEarnings(userId, doc, lines, { docType, sign = 1, date, number, customerName, placeOfSupply, text }) {
+    const byRate = new Map();
+    for (const line of lines) {
+      const key = String(Number(line.gst_rate) || 0);
+      if (!byRate.has(key)) byRate.set(key, []);
+      byRate.get(key).push(line);
+    }
+
+    return Array.from(byRate.entries()).map(([rate, group]) => {
+      const sum = (field) => round2(sign * group.reduce((total, line) => total + (Number(line[field]) || 0), 0));
+      const hsnCodes = new Set(group.map((line) => line.hsn_sac_code).filter(Boolean));
+
+      return {
+        user_id: userId,
+        earning_date: date,
+        amount: sum('line_total'),
+        inventory_cost: sum('cost_total'),
+        processed_text: text,
+        doc_type: docType,
+        vendor_name: customerName || null,
+        transaction_category: 'Sales',
+        invoice_number: number,
+        gst_supply_type: gstService.supplyTypes.OUTWARD,
+        gst_rate: Number(rate),
+        hsn_sac_code: hsnCodes.size === 1 ? [...hsnCodes][0] : null,
+        taxable_value: sum('taxable_value'),
+        cgst_amount: sum('cgst_amount'),
+        sgst_amount: sum('sgst_amount'),
+        igst_amount: sum('igst_amount'),
+        place_of_supply: placeOfSupply || null
+      };
+    });
+  }
+
+  returnable(line) {
+    return round4(Math.max(0, (Number(line.quantity) || 0) - (Number(line.quantity_returned) || 0)));
+  }
+
+  // Every quantity on the bill not yet returned
+  fullReturn(lines) {
+    return lines
+      .filter((line) => this.returnable(line) > EPSILON)
+      .map((line) => ({ line_id: line.id, quantity: this.returnable(line) }));
+  }
+
+  // Check a return against the bill's lines and work out each returned share.
+  // Returns { error } or { lines: [credit note line] }. Quantities are in the unit the line was sold in;
+  // amounts, tax and cost are the same fraction of the original line.
+  planReturn(billLines, requested) {
+    const linesById = new Map(billLines.map((line) => [line.id, line]));
+    const planned = [];
+
+    for (const entry of requested) {
+      const line = linesById.get(entry.line_id);
+      if (!line) return { error: `Line ${entry.line_id} is not on this bill` };
+
+      const quantity = round4(entry.quantity);
+      if (quantity <= 0) continue;
+
+      const returnable = this.returnable(line);
+      if (quantity > returnable + EPSILON) {
+        return { error: `Cannot return ${quantity} of ${line.product_name || 'line'}; only ${returnable} left to return` };
+      }
+
+      const share = quantity / (Number(line.quantity) || 1);
+      const part = (field) => round2((Number(line[field]) || 0) * share);
+      planned.push({
+        bill_line_id: line.id,
+        item_id: line.item_id,
+        product_name: line.product_name,
+        hsn_sac_code: line.hsn_sac_code,
+        quantity,
+        unit: line.unit,
+        base_quantity: round4((Number(line.base_quantity) || 0) * share),
+        unit_price: Number(line.unit_price) || 0,
+        gst_rate: Number(line.gst_rate) || 0,
+        taxable_value: part('taxable_value'),
+        cgst_amount: part('cgst_amount'),
+        sgst_amount: part('sgst_amount'),
+        igst_amount: part('igst_amount'),
+        line_total: part('line_total'),
+        cost_total: part('cost_total'),
+        ledger_cost: part('ledger_cost'),
+        unit_cost: Number(line.base_quantity) > 0 ? round4((Number(line.cost_total) || 0) / Number(line.base_quantity)) : 0
+      });
+    }
+
+    if (planned.length === 0) return { error: 'Nothing to return' };
+    return { lines: planned };
+  }
+
+  // Batches returned stock goes back into: the sale's allocations, last drawn first, skipping
+  // what earlier returns on the line already put back
+  returnAllocations(saleAllocations, alreadyReturned, quantity) {
+    let skip = Number(alreadyReturned) || 0;
+    let remaining = Number(quantity) || 0;
+    const allocations = [];
+
+    for (const allocation of [...(saleAllocations || [])].reverse()) {
+      if (remaining <= EPSILON) break;
+      let available = Number(allocation.quantity) || 0;
+      const skipped = Math.min(skip, available);
+      skip -= skipped;
+      available -= skipped;
+      if (available <= EPSILON) continue;
+
+      const taken = Math.min(available, remaining);
+      allocations.push({ ...allocation, quantity: round4(taken) });
+      remaining -= taken;
+    }
+    return allocations;
+  }
+
+  // The `in` ledger row for returned stock. It comes back at the cost it went out at; total_cost is the
+  // share of that cost which reached the Inventory account, so only that is debited back to it.
+  buildReturnMovement(userId, bill, creditNote, line, { locationId, batches = null, returnedAt }) {
+    return {
+      user_id: userId,
+      item_id: line.item_id,
+      location_id: locationId,
+      direction: 'in',
+      quantity: line.base_quantity,
+      source: this.returnSource,
+      reference_id: line.id,
+      created_at: returnedAt,
+      batch_id: batches?.length === 1 ? batches[0].batch_id : null,
+      metadata: {
+        sales_bill_id: bill.id,
+        bill_number: bill.bill_number,
+        credit_note_id: creditNote.id,
+        credit_note_number: creditNote.credit_note_number,
+        unit_cost: line.unit_cost,
+        total_cost: line.ledger_cost,
+        ...(line.unit ? { unit: line.unit } : {}),
+        ...(batches?.length ? { batches } : {})
+      }
+    };
+  }
+
+  statusAfterReturn(lines) {
+    const anyReturned = lines.some((line) => (Number(line.quantity_returned) || 0) > EPSILON);
+    const allReturned = lines.every((line) => this.returnable(line) <= EPSILON);
+    if (allReturned) return this.statuses.RETURNED;
+    return anyReturned ? this.statuses.PARTIALLY_RETURNED : this.statuses.COMPLETED;
+  }
+
+  withComputedFields(bill, lines = bill.sales_bill_lines || []) {
+    const returnedValue = lines.reduce((sum, line) => {
+      const share = (Number(line.quantity_returned) || 0) / (Number(line.quantity) || 1);
+      return sum + (Number(line.line_total) || 0) * share;
+    }, 0);
+
+    return {
+      ...bill,
+      sales_bill_lines: lines.slice().sort((a, b) => (a.line_number || 0) - (b.line_number || 0)),
+      returned_value: round2(returnedValue),
+      net_total: round2((Number(bill.total) || 0) - returnedValue),
+      gross_profit: round2((Number(bill.subtotal) || 0) - (Number(bill.cost_total) || 0))
+    };
+  }
+}
+
+module.exports = new SalesBillService();
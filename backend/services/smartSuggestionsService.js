@@ -60,7 +60,7 @@ class SmartSuggestionsService {
           suggestions = await this.generateSupplierSuggestions(query, history, patterns);
           break;
         case this.suggestionTypes.LOCATION:
-          suggestions = await this.generateLocationSuggestions(query, history, patterns);
+          suggestions = await this.generateLocationSuggestions(query, supabase, userId);
           break;
         case this.suggestionTypes.REORDER_POINT:
           suggestions = await this.generateReorderSuggestions(query, history, context);
@@ -184,39 +184,42 @@ class SmartSuggestionsService {
     return this.rankAndDeduplicate(suggestions);
   }
 
-  async generateLocationSuggestions(query, history, patterns) {
-    const suggestions = [];
-    
-    // Extract locations from history
-    const locations = [...new Set(history.map(item => item.location).filter(Boolean))];
-    
-    const locationMatches = locations
-      .filter(loc => loc.toLowerCase().includes(query.toLowerCase()))
-      .map(loc => ({
-        text: loc,
-        confidence: this.calculateFuzzyScore(query, loc),
-        source: 'history',
-        metadata: { usage_count: history.filter(h => h.location === loc).length }
-      }));
+  // Suggestions come from the user's active stock locations, matched by name or code
+  async generateLocationSuggestions(query, supabase, userId) {
+    const [{ data: locations }, { data: movements }] = await Promise.all([
+      supabase
+        .from('inventory_locations')
+        .select('id, name, code, type, is_default')
+        .eq('user_id', userId)
+        .eq('is_active', true),
+      supabase
+        .from('inventory_stock_ledger')
+        .select('location_id')
+        .eq('user_id', userId)
+        .not('location_id', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(500)
+    ]);
 
-    suggestions.push(...locationMatches);
+    const usage = new Map();
+    (movements || []).forEach(m => usage.set(m.location_id, (usage.get(m.location_id) || 0) + 1));
 
-    // Standard warehouse locations
-    const standardLocations = [
-      'Warehouse A', 'Warehouse B', 'Main Storage', 'Cold Storage',
-      'Shelf A1', 'Shelf A2', 'Ground Floor', 'First Floor'
-    ];
-
-    const standardMatches = standardLocations
-      .filter(loc => loc.toLowerCase().includes(query.toLowerCase()))
+    const q = (query || '').toLowerCase();
+    const suggestions = (locations || [])
+      .filter(loc => !q || loc.name.toLowerCase().includes(q) || (loc.code || '').toLowerCase().includes(q))
       .map(loc => ({
-        text: loc,
-        confidence: this.calculateFuzzyScore(query, loc),
-        source: 'standard',
-        metadata: { type: 'standard_location' }
-      }));
-
-    suggestions.push(...standardMatches);
+        text: loc.name,
+        confidence: q ? this.calculateFuzzyScore(q, loc.name) : (loc.is_default ? 1.0 : 0.8),
+        source: 'history',
+        metadata: {
+          location_id: loc.id,
+          code: loc.code,
+          type: loc.type,
+          is_default: loc.is_default,
+          usage_count: usage.get(loc.id) || 0
+        }
+      }))
+      .sort((a, b) => b.metadata.usage_count - a.metadata.usage_count);
 
     return this.rankAndDeduplicate(suggestions);
   }
@@ -0,0 +1,347 @@
+const batchService = require('./batchService');
+const ledgerService = require('./ledgerService');
+const purchaseOrderService = require('./purchaseOrderService');
+
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+// Corrections to the stock ledger. Rows are never changed or deleted: a mistake is undone by a `reversal`
+// row moving the same quantity the other way (reference_id and metadata.reverses_movement_id = the row it
+// cancels), and the original's journal entry is reversed with it. An edit is a reversal plus a corrected
+// row. Each correction is also written to inventory_audit_log with the reason and who made it.
+class StockCorrectionService {
+  constructor() {
+    this.reversalSource = ledgerService.reversalSources[0];
+
+    this.actions = {
+      REVERSE: 'reverse',
+      EDIT: 'edit',
+      UNDO_VOICE: 'undo_voice'
+    };
+
+    // How each movement source is shown on an item's audit trail
+    this.channels = {
+      manual: 'Manual entry',
+      voice: 'Voice',
+      receipt: 'Image',
+      image: 'Image',
+      barcode: 'Barcode scan',
+      purchase_order: 'Purchase order',
+      sale: 'Sale',
+      sales_return: 'Sales return',
+      stock_count: 'Stock count',
+      transfer: 'Transfer',
+      adjustment: 'Adjustment',
+      wastage: 'Wastage',
+      reversal: 'Reversal'
+    };
+
+    // Movements that belong to another document and are corrected there instead
+    this.documentSources = {
+      sale: 'Sales are corrected with a credit note on the bill',
+      sales_return: 'Returns belong to a credit note and cannot be reversed',
+      transfer: 'Transfers are corrected by transferring the stock back'
+    };
+
+    // Receipts against a PO can be reversed (the line's received quantity goes back down) but not edited
+    this.notEditable = {
+      purchase_order: 'Reverse the receipt and receive it again on the purchase order',
+      stock_count: 'Reverse the count adjustment and post a new count instead'
+    };
+
+    // "undo", "cancel that", "galat ho gaya", "radd karo" and the like. "wapas" is left out: it also means
+    // goods going back to a supplier.
+    this.undoPattern = /\b(undo|cancel (that|it|last)|revert|take (that|it) back|galat|radd karo)\b/i;
+
+    // Metadata worked out by recordStockMovement; a corrected row has it worked out again
+    this.derivedMetadata = [
+      'unit_cost', 'total_cost', 'cost_of_goods', 'batches', 'unbatched_quantity', 'unit',
+      'entered_quantity', 'entered_unit', 'conversion_factor', 'recorded_by'
+    ];
+  }
+
+  channel(source) {
+    return this.channels[source || 'manual'] || source;
+  }
+
+  isUndoCommand(transcription) {
+    return this.undoPattern.test(String(transcription || ''));
+  }
+
+  // Who made a change: the signed-in user's email, else their id
+  actor(user) {
+    return user?.email || user?.id || null;
+  }
+
+  async loadMovement(supabase, userId, id) {
+    const { data, error } = await supabase
+      .from('inventory_stock_ledger')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // The row reversing a movement, if there is one
+  async findReversal(supabase, userId, movementId) {
+    const { data, error } = await supabase
+      .from('inventory_stock_ledger')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('source', this.reversalSource)
+      .eq('reference_id', movementId)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  // Why a movement cannot be reversed, or null when it can
+  reversalBlocker(movement, existingReversal) {
+    if (movement.source === this.reversalSource) return 'A reversal cannot itself be reversed; record a new movement instead';
+    if (existingReversal) return 'This movement has already been reversed';
+    return this.documentSources[movement.source] || null;
+  }
+
+  editBlocker(movement, existingReversal) {
+    return this.reversalBlocker(movement, existingReversal) || this.notEditable[movement.source] || null;
+  }
+
+  // The row cancelling a movement: same item, location and quantity in the other direction.
+  // An issue comes back in at the cost it went out at.
+  buildReversal(movement, { reason, actor, action }) {
+    const metadata = movement.metadata || {};
+    const issuedCost = metadata.cost_of_goods;
+
+    return {
+      user_id: movement.user_id,
+      item_id: movement.item_id,
+      location_id: movement.location_id,
+      direction: movement.direction === 'in' ? 'out' : 'in',
+      quantity: movement.quantity,
+      source: this.reversalSource,
+      reference_id: movement.id,
+      batch_id: movement.batch_id || null,
+      metadata: {
+        reverses_movement_id: movement.id,
+        original_source: movement.source || 'manual',
+        reason,
+        action,
+        recorded_by: actor,
+        ...(movement.direction === 'out' && issuedCost ? { unit_cost: issuedCost.unit_cost } : {}),
+        ...(metadata.unit ? { unit: metadata.unit } : {}),
+        ...(metadata.batches?.length ? { batches: metadata.batches } : {})
+      }
+    };
+  }
+
+  // Undo a movement's effect on batches: issued quantities go back, received ones come off
+  async reverseBatches(supabase, userId, movement) {
+    const metadata = movement.metadata || {};
+    if (movement.direction === 'out' && metadata.batches?.length) {
+      await batchService.restoreAllocations(supabase, userId, metadata.batches);
+    } else if (movement.direction === 'in' && movement.batch_id) {
+      await batchService.applyAllocations(supabase, userId, [{ batch_id: movement.batch_id, quantity: Number(movement.quantity) || 0 }]);
+    }
+  }
+
+  // Take a reversed PO receipt back off its line and reopen the order if needed
+  async reversePurchaseOrderReceipt(supabase, userId, movement) {
+    const metadata = movement.metadata || {};
+    const { data: order, error } = await supabase
+      .from('purchase_orders')
+      .select('*, purchase_order_lines(*)')
+      .eq('id', metadata.purchase_order_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!order) return null;
+
+    const received = Number(metadata.entered_quantity ?? movement.quantity) || 0;
+    const lines = (order.purchase_order_lines || []).map((line) =>
+      line.id === movement.reference_id
+        ? { ...line, quantity_received: round4(Math.max(0, (Number(line.quantity_received) || 0) - received)) }
+        : line
+    );
+
+    const line = lines.find((l) => l.id === movement.reference_id);
+    if (line) {
+      const { error: lineError } = await supabase
+        .from('purchase_order_lines')
+        .update({ quantity_received: line.quantity_received })
+        .eq('id', line.id)
+        .eq('user_id', userId);
+      if (lineError) throw lineError;
+    }
+
+    const status = purchaseOrderService.statusAfterReceipt(lines);
+    const { error: orderError } = await supabase
+      .from('purchase_orders')
+      .update({
+        status,
+        closed_at: status === purchaseOrderService.statuses.CLOSED ? order.closed_at : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .eq('user_id', userId);
+    if (orderError) throw orderError;
+
+    return { purchase_order_id: order.id, status };
+  }
+
+  async logAudit(supabase, userId, entry) {
+    const { data, error } = await supabase
+      .from('inventory_audit_log')
+      .insert({ user_id: userId, created_at: new Date().toISOString(), ...entry })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Reverse a movement: write the reversal row, undo its batches, reverse its journal entry, and for a
+  // PO receipt take it back off the order. Returns { reversal, journal_entry_id, purchase_order }.
+  async reverse(supabase, user, movement, { reason, action = this.actions.REVERSE, logged = true }) {
+    const actor = this.actor(user);
+
+    const { data: reversal, error } = await supabase
+      .from('inventory_stock_ledger')
+      .insert(this.buildReversal(movement, { reason, actor, action }))
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    try {
+      await this.reverseBatches(supabase, user.id, movement);
+    } catch (batchError) {
+      console.error('Stock reversal batch update error:', batchError);
+    }
+
+    const journalEntry = await ledgerService.safePost('stock reversal', async () => {
+      const entry = await ledgerService.findActiveEntry(supabase, user.id, ledgerService.sourceTypes.STOCK_MOVEMENT, movement.id);
+      return entry ? ledgerService.reverseEntry(supabase, user.id, entry.id, reason) : null;
+    });
+
+    let purchaseOrder = null;
+    if (movement.source === purchaseOrderService.movementSource && movement.metadata?.purchase_order_id) {
+      try {
+        purchaseOrder = await this.reversePurchaseOrderReceipt(supabase, user.id, movement);
+      } catch (orderError) {
+        console.error('Stock reversal purchase order update error:', orderError);
+      }
+    }
+
+    if (logged) {
+      await this.logAudit(supabase, user.id, {
+        item_id: movement.item_id,
+        action,
+        movement_id: movement.id,
+        related_movement_ids: [reversal.id],
+        reason,
+        actor,
+        details: { original_source: movement.source || 'manual', direction: movement.direction, quantity: movement.quantity }
+      });
+    }
+
+    return { reversal, journal_entry_id: journalEntry?.id || null, purchase_order: purchaseOrder };
+  }
+
+  // The body recordStockMovement needs to record a movement again with some fields corrected.
+  // quantity is in `unit`, else the unit the original was entered in; its cost carries over when the item is unchanged.
+  correctedBody(movement, changes, reason) {
+    const metadata = movement.metadata || {};
+    const itemChanged = Boolean(changes.item_id) && changes.item_id !== movement.item_id;
+    const quantityGiven = changes.quantity !== undefined && changes.quantity !== null;
+
+    const carried = Object.fromEntries(
+      Object.entries(metadata).filter(([key]) => !this.derivedMetadata.includes(key))
+    );
+
+    const body = {
+      item_id: changes.item_id || movement.item_id,
+      direction: movement.direction,
+      quantity: quantityGiven ? changes.quantity : (metadata.entered_quantity ?? movement.quantity),
+      unit: changes.unit || metadata.entered_unit || metadata.unit || null,
+      source: movement.source || 'manual',
+      reference_id: movement.reference_id || null,
+      location_id: changes.location_id || movement.location_id,
+      metadata: { ...carried, corrects_movement_id: movement.id, correction_reason: reason }
+    };
+
+    if (movement.direction === 'in') {
+      if (changes.unit_cost !== undefined && changes.unit_cost !== null) {
+        body.unit_cost = changes.unit_cost;
+      } else if (!itemChanged && metadata.unit_cost !== undefined && metadata.unit_cost !== null) {
+        // Kept per base unit in metadata, which is what the corrected quantity is converted to
+        body.metadata.unit_cost = metadata.unit_cost;
+      }
+    }
+
+    return body;
+  }
+
+  // The most recent voice movement still inside the undo window that has not been reversed
+  latestUndoable(movements, reversedIds, { windowMinutes, now = Date.now() }) {
+    const cutoff = now - windowMinutes * 60 * 1000;
+    return movements
+      .filter((m) => m.source === 'voice' && !reversedIds.has(m.id) && new Date(m.created_at).getTime() >= cutoff)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0] || null;
+  }
+
+  // An item's stock history, newest first: every ledger row with the channel it came in through and who
+  // recorded it, merged with the corrections logged against the item
+  auditTrail(movements, logEntries) {
+    const reversedBy = new Map(
+      movements
+        .filter((m) => m.source === this.reversalSource)
+        .map((m) => [m.metadata?.reverses_movement_id, m.id])
+    );
+
+    const movementEvents = movements.map((m) => ({
+      type: 'movement',
+      at: m.created_at,
+      movement_id: m.id,
+      direction: m.direction,
+      quantity: Number(m.quantity) || 0,
+      source: m.source || 'manual',
+      channel: this.channel(m.source),
+      actor: m.metadata?.recorded_by || null,
+      location_id: m.location_id || null,
+      reference_id: m.reference_id || null,
+      reversed_by: reversedBy.get(m.id) || null,
+      reverses_movement_id: m.metadata?.reverses_movement_id || null,
+      corrects_movement_id: m.metadata?.corrects_movement_id || null,
+      reason: m.metadata?.reason || m.metadata?.correction_reason || null,
+      details: {
+        unit: m.metadata?.unit || null,
+        entered_quantity: m.metadata?.entered_quantity ?? null,
+        entered_unit: m.metadata?.entered_unit || null,
+        raw_transcription: m.metadata?.raw_transcription || null,
+        barcode: m.metadata?.barcode || null,
+        po_number: m.metadata?.po_number || null,
+        bill_number: m.metadata?.bill_number || null
+      }
+    }));
+
+    const correctionEvents = (logEntries || []).map((entry) => ({
+      type: 'correction',
+      at: entry.created_at,
+      action: entry.action,
+      movement_id: entry.movement_id,
+      related_movement_ids: entry.related_movement_ids || [],
+      actor: entry.actor || null,
+      reason: entry.reason || null,
+      details: entry.details || {}
+    }));
+
+    return [...movementEvents, ...correctionEvents]
+      .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  }
+}
+
+module.exports = new StockCorrectionService();
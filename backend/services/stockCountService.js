@@ -0,0 +1,166 @@
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+const EPSILON = 1e-9;
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Stock-take sessions. A session counts one location, either in full or a cycle count of one category
+// or a list of items. Lines are created for the items in scope when the session starts; counted
+// quantities are entered against them, and approval posts the difference from book stock as
+// `stock_count` adjustments in inventory_stock_ledger.
+class StockCountService {
+  constructor() {
+    this.statuses = {
+      IN_PROGRESS: 'in_progress',
+      APPROVED: 'approved',
+      CANCELLED: 'cancelled'
+    };
+
+    this.scopes = {
+      FULL: 'full',
+      CYCLE: 'cycle'
+    };
+
+    this.methods = ['manual', 'voice', 'barcode'];
+
+    // inventory_stock_ledger.source of the adjustments posted on approval
+    this.movementSource = 'stock_count';
+  }
+
+  // SC-0001 style numbers continuing from the most recent session
+  nextCountNumber(lastNumber, prefix = 'SC-') {
+    const match = String(lastNumber || '').match(/(\d+)$/);
+    const next = match ? Number(match[1]) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  // Items a session covers: every item for a full count; a category or explicit items for a cycle count
+  itemsInScope(items, { scope, category = null, item_ids = null }) {
+    if (scope === this.scopes.FULL) return items;
+    if (item_ids?.length) return items.filter((item) => item_ids.includes(item.id));
+    const wanted = normalizeName(category);
+    return items.filter((item) => normalizeName(item.category) === wanted);
+  }
+
+  // One line per item with the book quantity at the location when counting starts
+  buildLines(items, bookAtLocation) {
+    return items.map((item) => ({
+      item_id: item.id,
+      product_name: item.product_name,
+      unit: item.unit || null,
+      expected_quantity: round4(bookAtLocation.get(item.id) || 0),
+      counted_quantity: null
+    }));
+  }
+
+  isOpen(session) {
+    return session.status === this.statuses.IN_PROGRESS;
+  }
+
+  // The line an entry is for: by line id, item id, else by product name or alias
+  findLine(lines, entry, itemsById = new Map()) {
+    if (entry.line_id) return lines.find((line) => line.id === entry.line_id) || null;
+    if (entry.item_id) return lines.find((line) => line.item_id === entry.item_id) || null;
+    if (!entry.product_name) return null;
+
+    const wanted = normalizeName(entry.product_name);
+    const namesOf = (line) => {
+      const item = itemsById.get(line.item_id) || {};
+      return [line.product_name, item.product_name, ...(Array.isArray(item.aliases) ? item.aliases : [])]
+        .filter(Boolean)
+        .map(normalizeName);
+    };
+
+    const exact = lines.find((line) => namesOf(line).includes(wanted));
+    if (exact) return exact;
+
+    // Closest partial match: the shortest name containing, or contained in, what was said
+    const partial = lines
+      .map((line) => ({ line, names: namesOf(line).filter((name) => name.includes(wanted) || wanted.includes(name)) }))
+      .filter((candidate) => candidate.names.length > 0)
+      .sort((a, b) => Math.min(...a.names.map((n) => n.length)) - Math.min(...b.names.map((n) => n.length)));
+    return partial[0]?.line || null;
+  }
+
+  // Split a spoken count ("cheeni 12 kilo, chawal 5 kilo aur tel 3 litre") into one phrase per item
+  splitSpokenCounts(transcription) {
+    return String(transcription || '')
+      .toLowerCase()
+      .split(/[,;\n]|\baur\b|\band\b|\bphir\b/)
+      .map((phrase) => phrase.trim())
+      .filter(Boolean);
+  }
+
+  // Book quantity, counted quantity and value of the difference per line. Lines not counted yet
+  // are reported but carry no variance unless zeroUncounted (a full count where unseen means none).
+  variance(lines, bookAtLocation, unitCosts, { zeroUncounted = false } = {}) {
+    const rows = lines.map((line) => {
+      const book = round4(bookAtLocation.get(line.item_id) || 0);
+      const counted = line.counted_quantity === null || line.counted_quantity === undefined
+        ? (zeroUncounted ? 0 : null)
+        : Number(line.counted_quantity);
+      const variance = counted === null ? null : round4(counted - book);
+      const unitCost = unitCosts.get(line.item_id) ?? null;
+
+      return {
+        line_id: line.id,
+        item_id: line.item_id,
+        product_name: line.product_name,
+        unit: line.unit || null,
+        expected_quantity: Number(line.expected_quantity) || 0,
+        book_quantity: book,
+        counted_quantity: counted,
+        counted: line.counted_quantity !== null && line.counted_quantity !== undefined,
+        variance,
+        unit_cost: unitCost,
+        value_impact: variance === null || unitCost === null ? null : round2(variance * unitCost),
+        count_method: line.count_method || null
+      };
+    });
+
+    const withVariance = rows.filter((row) => row.variance !== null && Math.abs(row.variance) > EPSILON);
+    const shortage = withVariance.filter((row) => row.variance < 0);
+    const surplus = withVariance.filter((row) => row.variance > 0);
+    const sumValue = (list) => round2(list.reduce((sum, row) => sum + (row.value_impact || 0), 0));
+
+    return {
+      lines: rows.sort((a, b) => Math.abs(b.value_impact || 0) - Math.abs(a.value_impact || 0)),
+      summary: {
+        line_count: rows.length,
+        counted_count: rows.filter((row) => row.counted).length,
+        uncounted_count: rows.filter((row) => !row.counted).length,
+        variance_count: withVariance.length,
+        shortage_value: sumValue(shortage),
+        surplus_value: sumValue(surplus),
+        net_value_impact: sumValue(withVariance),
+        unvalued_count: withVariance.filter((row) => row.value_impact === null).length
+      }
+    };
+  }
+
+  // The adjustment ledger rows approval posts: out for shortages, in for surpluses
+  buildAdjustments(userId, session, varianceRows, postedAt = new Date().toISOString()) {
+    return varianceRows
+      .filter((row) => row.variance !== null && Math.abs(row.variance) > EPSILON)
+      .map((row) => ({
+        user_id: userId,
+        item_id: row.item_id,
+        location_id: session.location_id,
+        direction: row.variance > 0 ? 'in' : 'out',
+        quantity: round4(Math.abs(row.variance)),
+        source: this.movementSource,
+        reference_id: row.line_id,
+        created_at: postedAt,
+        metadata: {
+          stock_count_id: session.id,
+          count_number: session.count_number,
+          book_quantity: row.book_quantity,
+          counted_quantity: row.counted_quantity,
+          ...(row.variance > 0 && row.unit_cost !== null ? { unit_cost: row.unit_cost } : {})
+        }
+      }));
+  }
+}
+
+module.exports = new StockCountService();
@@ -1,6 +1,7 @@
 const { getAuthenticatedClient } = require('../config/supabase');
 const { generateCompletion } = require('./openai');
 const redisService = require('./redisService');
+const payablesService = require('./payablesService');
 
 class SupplierPrioritizationService {
   constructor() {
@@ -21,10 +22,10 @@ class SupplierPrioritizationService {
     };
   }
 
-  // Get prioritized suppliers for a product/category
-  async getPrioritizedSuppliers(userId, productName, category, context = {}) {
+  // Get prioritized suppliers for a product/category. supabase is the caller's client: supplier data is
+  // only readable under the user's token.
+  async getPrioritizedSuppliers(userId, productName, category, context = {}, supabase = getAuthenticatedClient()) {
     try {
-      const supabase = getAuthenticatedClient();
       
       // Get all suppliers for this user
       const { data: suppliers } = await supabase
@@ -36,9 +37,12 @@ class SupplierPrioritizationService {
         return await this.generateInitialSupplierSuggestions(userId, productName, category);
       }
 
+      // Bills across all suppliers, loaded once so prices can be compared between them
+      const bills = await this.getSupplierBills(userId, supabase);
+
       // Calculate performance scores
       const scoredSuppliers = await Promise.all(
-        suppliers.map(supplier => this.calculateSupplierScore(userId, supplier, productName, category, context))
+        suppliers.map(supplier => this.calculateSupplierScore(userId, supplier, productName, category, context, bills, supabase))
       );
 
       // Sort by priority score
@@ -63,8 +67,23 @@ class SupplierPrioritizationService {
     }
   }
 
-  async calculateSupplierScore(userId, supplier, productName, category, context) {
-    const supabase = getAuthenticatedClient();
+  // Supplier bills with their line prices, from the payables module
+  async getSupplierBills(userId, supabase = getAuthenticatedClient()) {
+    const { data: bills, error } = await supabase
+      .from('supplier_bills')
+      .select('id, supplier_id, bill_date, due_date, total, amount_paid, status, paid_at, supplier_bill_lines(description, unit_price)')
+      .eq('user_id', userId)
+      .order('bill_date', { ascending: false })
+      .limit(500);
+
+    if (error) {
+      console.error('Supplier bills load error:', error);
+      return [];
+    }
+    return bills || [];
+  }
+
+  async calculateSupplierScore(userId, supplier, productName, category, context, bills = null, supabase = getAuthenticatedClient()) {
     
     // Get historical performance data
     const { data: orders } = await supabase
@@ -81,11 +100,13 @@ class SupplierPrioritizationService {
       .eq('user_id', userId)
       .eq('supplier_id', supplier.id);
 
+    const payables = payablesService.buildSupplierHistory(supplier.id, bills || await this.getSupplierBills(userId, supabase));
+
     // Calculate individual metrics
     const deliveryScore = this.calculateDeliveryScore(orders, feedback);
     const qualityScore = this.calculateQualityScore(feedback);
-    const priceScore = this.calculatePriceCompetitiveness(orders, context);
-    const reliabilityScore = this.calculateReliabilityScore(orders, feedback);
+    const priceScore = this.calculatePriceCompetitiveness(orders, context, payables);
+    const reliabilityScore = this.calculateReliabilityScore(orders, feedback, payables);
     const communicationScore = this.calculateCommunicationScore(feedback);
     const categoryFitScore = this.calculateCategoryFitScore(supplier, category, orders);
     const volumeScore = this.calculateVolumeScore(orders);
@@ -132,7 +153,8 @@ class SupplierPrioritizationService {
         totalFeedback: feedback?.length || 0,
         averageRating: feedback?.length ? feedback.reduce((sum, f) => sum + f.rating, 0) / feedback.length : 0,
         recentFeedback: feedback?.slice(0, 5) || []
-      }
+      },
+      payablesSummary: payables
     };
   }
 
@@ -158,7 +180,15 @@ class SupplierPrioritizationService {
     return qualityFeedback.reduce((sum, f) => sum + f.quality_rating, 0) / (qualityFeedback.length * 5);
   }
 
-  calculatePriceCompetitiveness(orders, context) {
+  calculatePriceCompetitiveness(orders, context, payables = null) {
+    // Billed prices compared with other suppliers for the same items (1 = market average)
+    if (payables?.priceIndex != null && !context.marketPrice) {
+      if (payables.priceIndex <= 0.9) return 1.0;
+      if (payables.priceIndex <= 1) return 0.8;
+      if (payables.priceIndex <= 1.1) return 0.6;
+      return 0.4;
+    }
+
     if (!orders?.length) return 0.5;
     
     const avgPrice = orders.reduce((sum, o) => sum + o.unit_price, 0) / orders.length;
@@ -170,7 +200,20 @@ class SupplierPrioritizationService {
     return 0.4;
   }
 
-  calculateReliabilityScore(orders, feedback) {
+  calculateReliabilityScore(orders, feedback, payables = null) {
+    const baseScore = this.calculateOrderReliability(orders, feedback);
+
+    // Settled bills: a relationship we keep paying on time is one we can rely on
+    if (!payables?.settledCount) return baseScore;
+
+    const overduePenalty = Math.min(0.3, (payables.overdueOpenCount || 0) * 0.1);
+    const paymentScore = Math.max(0, payables.onTimeRate - overduePenalty);
+    const paymentWeight = orders?.length ? 0.3 : 0.6;
+
+    return Math.round((baseScore * (1 - paymentWeight) + paymentScore * paymentWeight) * 100) / 100;
+  }
+
+  calculateOrderReliability(orders, feedback) {
     if (!orders?.length) return 0.5;
     
     // Calculate consistency in delivery and quality
@@ -0,0 +1,179 @@
+const round4 = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+// Units of measure. Every item keeps its stock in one base unit (inventory_items.unit); quantities entered
+// in another unit - typed, spoken or read off a bill - are converted to it before they reach
+// inventory_stock_ledger. Standard units convert within their dimension (kg/g, litre/ml, dozen/piece);
+// pack units (carton, box, packet...) convert through the item's own pack sizes (inventory_items.pack_sizes,
+// e.g. [{ unit: 'carton', quantity: 12, per_unit: 'pack' }, { unit: 'pack', quantity: 10 }]).
+class UnitService {
+  constructor() {
+    // factor = how many of the dimension's smallest unit one of this unit holds
+    this.units = {
+      g: { dimension: 'mass', factor: 1, label: 'g' },
+      kg: { dimension: 'mass', factor: 1000, label: 'kg' },
+      quintal: { dimension: 'mass', factor: 100000, label: 'quintal' },
+      ml: { dimension: 'volume', factor: 1, label: 'ml' },
+      l: { dimension: 'volume', factor: 1000, label: 'litre' },
+      piece: { dimension: 'count', factor: 1, label: 'piece' },
+      pair: { dimension: 'count', factor: 2, label: 'pair' },
+      dozen: { dimension: 'count', factor: 12, label: 'dozen' },
+      // Sizes vary by item, so these only convert through the item's pack sizes
+      pack: { dimension: 'pack', factor: null, label: 'pack' },
+      box: { dimension: 'pack', factor: null, label: 'box' },
+      carton: { dimension: 'pack', factor: null, label: 'carton' },
+      bag: { dimension: 'pack', factor: null, label: 'bag' },
+      bottle: { dimension: 'pack', factor: null, label: 'bottle' },
+      crate: { dimension: 'pack', factor: null, label: 'crate' }
+    };
+
+    // Spoken and written forms, English and Hindi
+    this.aliases = {
+      g: ['g', 'gm', 'gms', 'gram', 'grams', 'gramme'],
+      kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'किलो'],
+      quintal: ['quintal', 'quintals', 'qtl'],
+      ml: ['ml', 'mls', 'millilitre', 'milliliter', 'millilitres', 'milliliters'],
+      l: ['l', 'ltr', 'ltrs', 'litre', 'liter', 'litres', 'liters', 'लीटर'],
+      piece: ['piece', 'pieces', 'pc', 'pcs', 'nag', 'nos'],
+      pair: ['pair', 'pairs', 'jodi', 'joda'],
+      dozen: ['dozen', 'dozens', 'doz', 'dz', 'darjan', 'darzan', 'दर्जन'],
+      pack: ['pack', 'packs', 'packet', 'packets', 'pkt', 'pkts', 'paket'],
+      box: ['box', 'boxes', 'dabba', 'dabbe', 'dibba'],
+      carton: ['carton', 'cartons', 'ctn', 'peti'],
+      bag: ['bag', 'bags', 'bori', 'sack', 'sacks', 'katta'],
+      bottle: ['bottle', 'bottles', 'botal'],
+      crate: ['crate', 'crates']
+    };
+
+    // Said when no particular unit is meant; read as the item's base unit
+    this.genericUnits = ['unit', 'units', 'qty', 'quantity'];
+
+    this.aliasIndex = new Map();
+    Object.entries(this.aliases).forEach(([unit, forms]) => forms.forEach((form) => this.aliasIndex.set(form, unit)));
+
+    // Nested pack sizes are followed at most this deep (carton -> box -> pack -> piece)
+    this.maxPackDepth = 5;
+  }
+
+  // Canonical unit key for a spoken or written unit, or null when it is not a known unit
+  normalize(raw) {
+    if (raw === undefined || raw === null) return null;
+    const key = String(raw).trim().toLowerCase().replace(/\.$/, '');
+    if (!key) return null;
+    if (this.units[key]) return key;
+    return this.aliasIndex.get(key) || null;
+  }
+
+  label(unit) {
+    const key = this.normalize(unit);
+    return key ? this.units[key].label : unit || null;
+  }
+
+  // The unit catalogue, for pickers
+  catalogue() {
+    return Object.entries(this.units).map(([unit, meta]) => ({
+      unit,
+      label: meta.label,
+      dimension: meta.dimension,
+      aliases: this.aliases[unit] || []
+    }));
+  }
+
+  // Item pack sizes keyed by canonical unit (or the unit as typed, for custom pack names)
+  packSizes(item) {
+    const sizes = new Map();
+    for (const size of Array.isArray(item?.pack_sizes) ? item.pack_sizes : []) {
+      const key = this.normalize(size.unit) || String(size.unit || '').trim().toLowerCase();
+      if (key && Number(size.quantity) > 0) sizes.set(key, size);
+    }
+    return sizes;
+  }
+
+  // Factor from one unit to another for an item, following its pack sizes. Returns null when there is no path.
+  factorBetween(item, fromUnit, toUnit, depth = 0) {
+    const from = this.normalize(fromUnit) || String(fromUnit || '').trim().toLowerCase();
+    const to = this.normalize(toUnit) || String(toUnit || '').trim().toLowerCase();
+    if (!from || !to) return null;
+    if (from === to) return 1;
+
+    const fromMeta = this.units[from];
+    const toMeta = this.units[to];
+    if (fromMeta?.factor && toMeta?.factor && fromMeta.dimension === toMeta.dimension) {
+      return fromMeta.factor / toMeta.factor;
+    }
+
+    if (depth >= this.maxPackDepth) return null;
+    const pack = this.packSizes(item).get(from);
+    if (!pack) return null;
+
+    // A pack size without per_unit is given in the item's base unit
+    const inner = this.factorBetween(item, pack.per_unit || item.unit, to, depth + 1);
+    return inner === null ? null : Number(pack.quantity) * inner;
+  }
+
+  // Convert an entered quantity into the item's base unit.
+  // Returns { quantity, unit, entered_quantity, entered_unit, factor, base_unit_set } or { error }.
+  // An item without a base unit takes the entered unit as its base (base_unit_set is then true).
+  toBase(item, quantity, unit) {
+    const qty = Number(quantity);
+    const raw = unit === undefined || unit === null ? '' : String(unit).trim();
+    const entered = !raw || this.genericUnits.includes(raw.toLowerCase()) ? null : raw;
+    const baseUnit = item?.unit || null;
+
+    if (!entered) {
+      return { quantity: qty, unit: baseUnit, entered_quantity: qty, entered_unit: baseUnit, factor: 1, base_unit_set: false };
+    }
+
+    if (!baseUnit) {
+      const adopted = this.normalize(entered) || entered;
+      return { quantity: qty, unit: adopted, entered_quantity: qty, entered_unit: entered, factor: 1, base_unit_set: true };
+    }
+
+    const factor = this.factorBetween(item, entered, baseUnit);
+    if (factor === null) {
+      const standard = this.units[this.normalize(entered)]?.factor;
+      return {
+        error: `Cannot convert ${entered} to ${baseUnit} for ${item.product_name || 'this item'}` +
+          (standard ? '' : `; add a pack size for ${entered}`)
+      };
+    }
+
+    return {
+      quantity: round4(qty * factor),
+      unit: baseUnit,
+      entered_quantity: qty,
+      entered_unit: entered,
+      factor,
+      base_unit_set: false
+    };
+  }
+
+  // Check pack sizes before saving: positive sizes, no unit defined twice, and each resolving to the base unit.
+  // Returns { pack_sizes } (cleaned) or { error }.
+  validatePackSizes(item, packSizes) {
+    const cleaned = [];
+    const seen = new Set();
+    for (const size of packSizes || []) {
+      const unit = this.normalize(size.unit) || String(size.unit || '').trim().toLowerCase();
+      if (!unit) return { error: 'Every pack size needs a unit' };
+      if (seen.has(unit)) return { error: `Pack size for ${unit} is given twice` };
+      if (this.units[unit]?.factor) return { error: `${this.units[unit].label} is a standard unit and cannot be a pack size` };
+      if (!(Number(size.quantity) > 0)) return { error: `Pack size for ${unit} must be a positive quantity` };
+      seen.add(unit);
+      cleaned.push({
+        unit,
+        quantity: round4(size.quantity),
+        ...(size.per_unit ? { per_unit: this.normalize(size.per_unit) || String(size.per_unit).trim().toLowerCase() } : {})
+      });
+    }
+
+    const candidate = { ...item, pack_sizes: cleaned };
+    for (const size of cleaned) {
+      if (this.factorBetween(candidate, size.unit, item.unit) === null) {
+        return { error: `Pack size for ${size.unit} does not convert to ${item.unit || 'the base unit'}` };
+      }
+    }
+    return { pack_sizes: cleaned };
+  }
+}
+
+module.exports = new UnitService();
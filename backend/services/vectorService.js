@@ -400,10 +400,14 @@ class EnhancedGraphRAG extends graphRAG.constructor {
         50
       );
 
+      // Pinned facts are always included, ahead of the search results
+      const pinned = await this.loadPinnedKnowledge(userId);
+      const entities = this.withoutDuplicates([...pinned.entities, ...hybridResults.results]);
+
       // Combine with relationship data
       const supabase = supabaseAdmin;
 
-      const entityNames = hybridResults.results.map((e) => e.entity_name);
+      const entityNames = entities.map((e) => e.entity_name);
 
       const { data: relationships } = await supabase
         .from("knowledge_relationships")
@@ -415,15 +419,20 @@ class EnhancedGraphRAG extends graphRAG.constructor {
             entityNames.map((name) => `to_entity.eq.${name}`).join(",")
         );
 
+      const allRelationships = this.withoutDuplicates([
+        ...pinned.relationships,
+        ...(relationships || []),
+      ]);
+
       // Build enhanced context with vector scores
       const context = this.buildEnhancedContextWithVectors(
-        hybridResults.results,
-        relationships || []
+        entities,
+        allRelationships
       );
 
       return {
-        entities: hybridResults.results,
-        relationships: relationships || [],
+        entities,
+        relationships: allRelationships,
         context,
         search_metadata: {
           search_types: hybridResults.search_types,
@@ -445,10 +454,16 @@ class EnhancedGraphRAG extends graphRAG.constructor {
     let context = "🔍 SEMANTIC SEARCH RESULTS\n";
     context += "========================\n\n";
 
-    // Sort by search score
+    // Sort by search score, pinned entities first and never cut
+    const isPinned = (item) => this.contextPruner.isPinned(item);
+    const pinnedCount = entities.filter(isPinned).length;
     const sortedEntities = entities
-      .sort((a, b) => (b.search_score || 0) - (a.search_score || 0))
-      .slice(0, 10);
+      .sort(
+        (a, b) =>
+          isPinned(b) - isPinned(a) ||
+          (b.search_score || 0) - (a.search_score || 0)
+      )
+      .slice(0, Math.max(10, pinnedCount));
 
     context += "📊 HIGHLY RELEVANT ENTITIES\n";
     context += "---------------------------\n";
@@ -457,7 +472,7 @@ class EnhancedGraphRAG extends graphRAG.constructor {
       const relevanceBar =
         "█".repeat(Math.round((entity.search_score || 0.5) * 10)) +
         "░".repeat(10 - Math.round((entity.search_score || 0.5) * 10));
-      context += `${index + 1}. ${entity.entity_name}\n`;
+      context += `${index + 1}. ${isPinned(entity) ? "📌 " : ""}${entity.entity_name}\n`;
       context += `   Relevance: [${relevanceBar}] ${(
         (entity.search_score || 0.5) * 100
       ).toFixed(0)}%\n`;
@@ -465,8 +480,11 @@ class EnhancedGraphRAG extends graphRAG.constructor {
       context += `   Search Type: ${entity.search_type || "unknown"}\n\n`;
     });
 
-    // Add top relationships
-    const topRelationships = relationships.slice(0, 5);
+    // Add top relationships (pinned ones are at the front)
+    const topRelationships = relationships.slice(
+      0,
+      Math.max(5, relationships.filter(isPinned).length)
+    );
     if (topRelationships.length > 0) {
       context += "🔗 KEY RELATIONSHIPS\n";
       context += "-------------------\n";
@@ -0,0 +1,216 @@
+const cashFlowForecastService = require('../services/cashFlowForecastService');
+
+const AS_OF = '2026-01-31';
+
+// No seasonality, so every week projects the plain run rate
+const FLAT = Object.fromEntries(Array.from({ length: 12 }, (_, i) => [i + 1, 1]));
+
+const forecast = (overrides = {}) => cashFlowForecastService.buildForecast({
+  asOf: AS_OF,
+  openingBalance: 1000,
+  earnings: [],
+  invoices: [],
+  bills: [],
+  multipliers: FLAT,
+  recurring: [],
+  ...overrides
+});
+
+describe('cashFlowForecastService.monthlyDates', () => {
+  test('clamps the day to the end of short months', () => {
+    expect(cashFlowForecastService.monthlyDates(31, '2026-02-01', '2026-04-30'))
+      .toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('skips a date before the start of the range', () => {
+    expect(cashFlowForecastService.monthlyDates(5, '2026-02-10', '2026-03-31')).toEqual(['2026-03-05']);
+  });
+});
+
+describe('cashFlowForecastService.detectRecurringExpenses', () => {
+  const rent = ['2025-10-05', '2025-11-04', '2025-12-05'].map((date, i) => ({
+    id: `rent-${i}`,
+    earning_date: date,
+    inventory_cost: 20000,
+    vendor_name: 'Shree Estates',
+    transaction_category: 'Rent'
+  }));
+
+  test('finds a steady monthly expense and keys it by vendor', () => {
+    const [item] = cashFlowForecastService.detectRecurringExpenses(rent);
+
+    expect(item).toMatchObject({
+      key: 'shree estates',
+      description: 'Shree Estates',
+      amount: 20000,
+      day_of_month: 5,
+      months_seen: 3,
+      earning_ids: ['rent-0', 'rent-1', 'rent-2']
+    });
+  });
+
+  test('leaves out expenses seen in too few months or at uneven amounts', () => {
+    const uneven = rent.map((row, i) => ({ ...row, inventory_cost: [5000, 20000, 40000][i] }));
+
+    expect(cashFlowForecastService.detectRecurringExpenses(rent.slice(0, 2))).toEqual([]);
+    expect(cashFlowForecastService.detectRecurringExpenses(uneven)).toEqual([]);
+  });
+
+  test('leaves out frequent purchases from one vendor', () => {
+    const weekly = [];
+    for (const month of ['10', '11', '12']) {
+      for (const day of ['03', '10', '17', '24']) {
+        weekly.push({ id: `${month}-${day}`, earning_date: `2025-${month}-${day}`, inventory_cost: 1500, vendor_name: 'Metro Wholesale' });
+      }
+    }
+
+    expect(cashFlowForecastService.detectRecurringExpenses(weekly)).toEqual([]);
+  });
+
+  test('ignores settlements and rows posted from recurring templates', () => {
+    const settled = rent.map((row) => ({ ...row, doc_type: 'bill_payment' }));
+    const templated = rent.map((row) => ({ ...row, doc_type: 'recurring' }));
+
+    expect(cashFlowForecastService.detectRecurringExpenses([...settled, ...templated])).toEqual([]);
+  });
+});
+
+describe('cashFlowForecastService.buildRunRate', () => {
+  test('averages receipts and spend over the trailing window', () => {
+    const earnings = [
+      { id: 'old', earning_date: '2025-06-01', amount: 99999 },
+      { id: 'a', earning_date: '2025-12-01', amount: 800, inventory_cost: 260 },
+      { id: 'b', earning_date: '2026-01-20', amount: 500 },
+      { id: 'paid', earning_date: '2026-01-25', amount: 7000, doc_type: 'invoice_payment' },
+      { id: 'rent', earning_date: '2026-01-05', inventory_cost: 20000 }
+    ];
+    const recurring = [{ key: 'rent', earning_ids: ['rent'] }];
+
+    expect(cashFlowForecastService.buildRunRate(earnings, recurring, FLAT, AS_OF)).toEqual({
+      weekly_receipts: 100,
+      weekly_spend: 20,
+      weeks_of_history: 13,
+      window_multiplier: 1
+    });
+  });
+
+  test('nets credit notes off receipts and leaves the cost of goods on sales bills out of spend', () => {
+    const earnings = [
+      { id: 'old', earning_date: '2025-06-01', amount: 0 },
+      { id: 'bill', earning_date: '2026-01-10', amount: 1560, inventory_cost: 900, doc_type: 'sales_bill' },
+      { id: 'note', earning_date: '2026-01-12', amount: -260, inventory_cost: -150, doc_type: 'sales_return' }
+    ];
+
+    const runRate = cashFlowForecastService.buildRunRate(earnings, [], FLAT, AS_OF);
+
+    expect(runRate.weekly_receipts).toBe(100);
+    expect(runRate.weekly_spend).toBe(0);
+  });
+
+  test('averages a young business over the weeks it has', () => {
+    const earnings = [
+      { id: 'a', earning_date: '2026-01-18', amount: 150 },
+      { id: 'b', earning_date: '2026-01-30', amount: 50 }
+    ];
+
+    const runRate = cashFlowForecastService.buildRunRate(earnings, [], FLAT, AS_OF);
+
+    expect(runRate.weeks_of_history).toBe(2);
+    expect(runRate.weekly_receipts).toBe(100);
+  });
+});
+
+describe('cashFlowForecastService.buildForecast', () => {
+  test('projects thirteen weeks from the day after the as-of date', () => {
+    const result = forecast();
+
+    expect(result.horizon).toEqual({ start: '2026-02-01', end: '2026-05-02', weeks: 13 });
+    expect(result.weeks).toHaveLength(13);
+    expect(result.weeks[12].week_end).toBe('2026-05-02');
+    expect(result.closing_balance).toBe(1000);
+  });
+
+  test('collects overdue invoices on the first day and pays bills on their due date', () => {
+    const result = forecast({
+      invoices: [{ due_date: '2026-01-10', outstanding: 500 }],
+      bills: [
+        { due_date: '2026-02-10', outstanding: 800 },
+        { due_date: '2026-09-01', outstanding: 300 }
+      ],
+      scenario: { min_balance: 1000 }
+    });
+
+    expect(result.weeks[0].inflows.receivables).toBe(500);
+    expect(result.weeks[0].closing_balance).toBe(1500);
+    expect(result.weeks[1].outflows.payables).toBe(800);
+    expect(result.closing_balance).toBe(700);
+    expect(result.low_balance_warning).toEqual({
+      threshold: 1000,
+      breached: true,
+      date: '2026-02-10',
+      week_number: 2,
+      lowest_balance: 700,
+      lowest_balance_date: '2026-02-10'
+    });
+    expect(result.assumptions.open_payables).toBe(1100);
+  });
+
+  test('shifts payments by the scenario delay', () => {
+    const result = forecast({
+      bills: [{ due_date: '2026-02-10', outstanding: 800 }],
+      scenario: { payment_delay_days: 30 }
+    });
+
+    expect(result.weeks[1].outflows.payables).toBe(0);
+    expect(result.weeks[5].outflows.payables).toBe(800);
+  });
+
+  test('applies the revenue and expense changes to the run rate', () => {
+    // The first row only dates the business back past the window, so the run rate spans all thirteen weeks
+    const earnings = [
+      { id: 'a', earning_date: '2025-06-01', amount: 0 },
+      { id: 'b', earning_date: '2026-01-20', amount: 1300, inventory_cost: 650 }
+    ];
+
+    const week = forecast({ earnings, scenario: { revenue_change_pct: -50, expense_change_pct: 20 } }).weeks[0];
+
+    expect(week.inflows.sales).toBe(50);
+    expect(week.outflows.expenses).toBe(60);
+    expect(week.net).toBe(-10);
+  });
+
+  test('scales recurring expenses by the expense change and honours exclusions', () => {
+    const recurring = [{ key: 'rent', description: 'Rent', amount: 20000, day_of_month: 5, earning_ids: [] }];
+
+    const raised = forecast({ recurring, scenario: { expense_change_pct: 10 } });
+    const excluded = forecast({ recurring, scenario: { exclude_recurring: ['rent'] } });
+
+    expect(raised.weeks[0].outflows.recurring).toBe(22000);
+    expect(raised.closing_balance).toBe(1000 - 3 * 22000);
+    expect(raised.assumptions.recurring_expenses[0]).not.toHaveProperty('earning_ids');
+    expect(excluded.closing_balance).toBe(1000);
+    expect(excluded.assumptions.recurring_expenses[0].excluded).toBe(true);
+  });
+
+  test('books scheduled income as an inflow and one-off items by sign', () => {
+    const result = forecast({
+      scheduled: [
+        { template_id: 't1', name: 'Retainer', type: 'income', date: '2026-02-03', amount: 400 },
+        { template_id: 't1', name: 'Retainer', type: 'income', date: '2026-03-03', amount: 400 }
+      ],
+      scenario: {
+        one_off: [
+          { date: '2026-02-04', amount: 250 },
+          { date: '2026-02-05', amount: -900 }
+        ]
+      }
+    });
+
+    expect(result.weeks[0].inflows).toMatchObject({ recurring: 400, one_off: 250, total: 650 });
+    expect(result.weeks[0].outflows).toMatchObject({ one_off: 900, total: 900 });
+    expect(result.assumptions.scheduled_transactions).toEqual([
+      { template_id: 't1', name: 'Retainer', type: 'income', occurrences: 2, total: 800, excluded: false }
+    ]);
+    expect(result.closing_balance).toBe(1000 + 800 + 250 - 900);
+  });
+});
@@ -0,0 +1,31 @@
+const financialStatementsService = require('../services/financialStatementsService');
+const ledgerService = require('../services/ledgerService');
+
+const period = { from: '2026-01-01', to: '2026-01-31' };
+
+describe('financialStatementsService.buildProfitAndLoss', () => {
+  // A POS bill and a credit note against it, with the stock movements' cost already posted to COGS
+  const earnings = [
+    { earning_date: '2026-01-10', amount: 1180, inventory_cost: 600, doc_type: 'sales_bill', transaction_category: 'Sales', gst_supply_type: 'outward', taxable_value: 1000 },
+    { earning_date: '2026-01-12', amount: -236, inventory_cost: -120, doc_type: 'sales_return', transaction_category: 'Sales', gst_supply_type: 'outward', taxable_value: -200 },
+    { earning_date: '2026-01-15', amount: 0, inventory_cost: 300, transaction_category: 'Rent' }
+  ];
+  const ledgerLines = [
+    { entry_date: '2026-01-10', account_code: ledgerService.accounts.COGS, debit: 600, credit: 0 },
+    { entry_date: '2026-01-12', account_code: ledgerService.accounts.COGS, debit: 0, credit: 120 }
+  ];
+
+  test('nets credit notes off revenue and takes the cost of goods from the ledger only', () => {
+    const { sections, summary } = financialStatementsService.buildProfitAndLoss(earnings, ledgerLines, period);
+
+    expect(sections[0].lines).toEqual([{ label: 'Sales', amount: 800 }]);
+    expect(sections[2].lines).toEqual([{ label: 'Rent', amount: 300 }]);
+    expect(summary).toMatchObject({
+      total_revenue: 800,
+      cost_of_goods_sold: 480,
+      gross_profit: 320,
+      operating_expenses: 300,
+      net_profit: 20
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const gstService = require('../services/gstService');
+
+const MAHARASHTRA = '27';
+const KARNATAKA = '29';
+const KARNATAKA_GSTIN = '29AAPFU0939F1ZV';
+
+describe('gstService.resolveStateCode', () => {
+  test('reads the state from a GSTIN, a code or a state name', () => {
+    expect(gstService.resolveStateCode(' 29aapfu0939f1zv ')).toBe(KARNATAKA);
+    expect(gstService.resolveStateCode('7')).toBe('07');
+    expect(gstService.resolveStateCode('Andheri, Mumbai, Maharashtra')).toBe(MAHARASHTRA);
+  });
+
+  test('returns null for unknown codes and empty input', () => {
+    expect(gstService.resolveStateCode('25')).toBeNull();
+    expect(gstService.resolveStateCode('')).toBeNull();
+    expect(gstService.resolveStateCode(null)).toBeNull();
+  });
+});
+
+describe('gstService.calculateTax', () => {
+  test('splits intra-state tax evenly between CGST and SGST', () => {
+    expect(gstService.calculateTax({
+      amount: 1000,
+      gstRate: 18,
+      originState: MAHARASHTRA,
+      destinationState: MAHARASHTRA
+    })).toEqual({
+      taxable_value: 1000,
+      gst_rate: 18,
+      cgst_amount: 90,
+      sgst_amount: 90,
+      igst_amount: 0,
+      total_tax: 180,
+      invoice_value: 1180,
+      is_inter_state: false
+    });
+  });
+
+  test('splits an odd-paisa tax so CGST and SGST add up to the total', () => {
+    const tax = gstService.calculateTax({
+      amount: 100.2,
+      gstRate: 5,
+      originState: MAHARASHTRA,
+      destinationState: MAHARASHTRA
+    });
+
+    expect(tax.total_tax).toBe(5.01);
+    expect(tax.cgst_amount).toBe(2.51);
+    expect(tax.sgst_amount).toBe(2.5);
+  });
+
+  test('charges inter-state tax entirely as IGST', () => {
+    const tax = gstService.calculateTax({
+      amount: 1000,
+      gstRate: 12,
+      originState: MAHARASHTRA,
+      destinationState: KARNATAKA
+    });
+
+    expect(tax.cgst_amount).toBe(0);
+    expect(tax.sgst_amount).toBe(0);
+    expect(tax.igst_amount).toBe(120);
+    expect(tax.is_inter_state).toBe(true);
+  });
+
+  test('backs the taxable value out of a tax-inclusive amount', () => {
+    const tax = gstService.calculateTax({
+      amount: 1180,
+      gstRate: 18,
+      taxInclusive: true,
+      originState: MAHARASHTRA,
+      destinationState: MAHARASHTRA
+    });
+
+    expect(tax.taxable_value).toBe(1000);
+    expect(tax.total_tax).toBe(180);
+    expect(tax.invoice_value).toBe(1180);
+  });
+
+  test('treats a missing state as intra-state', () => {
+    const tax = gstService.calculateTax({ amount: 500, gstRate: 5, originState: MAHARASHTRA });
+
+    expect(tax.is_inter_state).toBe(false);
+    expect(tax.cgst_amount + tax.sgst_amount).toBe(25);
+  });
+});
+
+describe('gstService.buildEarningTaxFields', () => {
+  test('taxes an outward supply by its place of supply', () => {
+    const fields = gstService.buildEarningTaxFields({
+      amount: 2000,
+      gst_rate: 18,
+      place_of_supply: 'Karnataka',
+      hsn_sac_code: ' 9983 '
+    }, MAHARASHTRA);
+
+    expect(fields).toMatchObject({
+      gst_supply_type: 'outward',
+      hsn_sac_code: '9983',
+      taxable_value: 2000,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 360,
+      place_of_supply: KARNATAKA
+    });
+  });
+
+  test('takes an inward supply\'s origin from the supplier GSTIN', () => {
+    const fields = gstService.buildEarningTaxFields({
+      supply_type: 'inward',
+      amount: 1000,
+      gst_rate: 18,
+      counterparty_gstin: KARNATAKA_GSTIN
+    }, MAHARASHTRA);
+
+    expect(fields.counterparty_gstin).toBe(KARNATAKA_GSTIN);
+    expect(fields.igst_amount).toBe(180);
+    expect(fields.cgst_amount).toBe(0);
+  });
+
+  test('keeps an explicit split as given and derives the rate from it', () => {
+    const fields = gstService.buildEarningTaxFields({
+      taxable_value: 1000,
+      cgst_amount: 25,
+      sgst_amount: 25
+    }, MAHARASHTRA);
+
+    expect(fields).toMatchObject({
+      taxable_value: 1000,
+      gst_rate: 5,
+      cgst_amount: 25,
+      sgst_amount: 25,
+      igst_amount: 0
+    });
+  });
+
+  test('does not treat the amount as tax-inclusive when a taxable value is given', () => {
+    const fields = gstService.buildEarningTaxFields({
+      taxable_value: 1000,
+      amount: 1180,
+      gst_rate: 18,
+      tax_inclusive: true
+    }, MAHARASHTRA);
+
+    expect(fields.taxable_value).toBe(1000);
+    expect(fields.cgst_amount).toBe(90);
+  });
+});
+
+describe('gstService.buildLineItemTaxFields', () => {
+  test('returns null when the line has no rate and no split', () => {
+    expect(gstService.buildLineItemTaxFields({ type: 'expense', amount: 100 }, {}, MAHARASHTRA)).toBeNull();
+  });
+
+  test('falls back to the document rate and treats the line amount as taxable', () => {
+    const fields = gstService.buildLineItemTaxFields(
+      { type: 'expense', amount: 400 },
+      { tax_details: { gst_rate: 5 }, vendor_customer_info: { gst_number: KARNATAKA_GSTIN }, invoice_number: 'INV-7' },
+      MAHARASHTRA
+    );
+
+    expect(fields).toMatchObject({
+      gst_supply_type: 'inward',
+      taxable_value: 400,
+      igst_amount: 20,
+      invoice_number: 'INV-7'
+    });
+  });
+});
+
+describe('gstService.summarise', () => {
+  test('nets input tax credit against output tax and skips non-GST rows', () => {
+    const summary = gstService.summarise([
+      { gst_supply_type: 'outward', gst_rate: 18, taxable_value: 1000, cgst_amount: 90, sgst_amount: 90, igst_amount: 0, hsn_sac_code: '9983' },
+      { gst_supply_type: 'outward', gst_rate: 12, taxable_value: 500, cgst_amount: 0, sgst_amount: 0, igst_amount: 60 },
+      { gst_supply_type: 'inward', gst_rate: 18, taxable_value: 400, cgst_amount: 36, sgst_amount: 36, igst_amount: 0, hsn_sac_code: '9983' },
+      { amount: 250, gst_rate: null }
+    ]);
+
+    expect(summary.output_tax.total_tax).toBe(240);
+    expect(summary.input_tax_credit.total_tax).toBe(72);
+    expect(summary.net_liability).toEqual({ cgst: 54, sgst: 54, igst: 60, total: 168 });
+    expect(summary.by_rate.map((r) => r.gst_rate)).toEqual([12, 18]);
+    expect(summary.by_hsn.map((h) => h.hsn_sac_code)).toEqual(['9983', 'UNSPECIFIED']);
+    expect(summary.entries_with_gst).toBe(3);
+    expect(summary.entries_without_gst).toBe(1);
+  });
+});
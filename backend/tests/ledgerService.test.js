@@ -0,0 +1,283 @@
+const ledgerService = require('../services/ledgerService');
+
+const { accounts } = ledgerService;
+
+// Lines as { account: [debit, credit] } so a whole entry reads at a glance
+const byAccount = (lines) => Object.fromEntries(lines.map((line) => [line.account_code, [line.debit, line.credit]]));
+
+const expectBalanced = (lines) => {
+  expect(() => ledgerService.validateLines(lines)).not.toThrow();
+};
+
+describe('ledgerService.validateLines', () => {
+  test('accepts a balanced entry and returns its total', () => {
+    expect(ledgerService.validateLines([
+      { account_code: accounts.CASH, debit: 100.1, credit: 0 },
+      { account_code: accounts.SALES, debit: 0, credit: 100.1 }
+    ])).toEqual({ total: 100.1 });
+  });
+
+  test.each([
+    ['a single line', [{ account_code: accounts.CASH, debit: 10, credit: 0 }], /at least two lines/],
+    ['an unbalanced entry', [
+      { account_code: accounts.CASH, debit: 10, credit: 0 },
+      { account_code: accounts.SALES, debit: 0, credit: 9.99 }
+    ], /not balanced/],
+    ['a line with both sides', [
+      { account_code: accounts.CASH, debit: 10, credit: 10 },
+      { account_code: accounts.SALES, debit: 0, credit: 0 }
+    ], /both a debit and a credit/],
+    ['a negative amount', [
+      { account_code: accounts.CASH, debit: -10, credit: 0 },
+      { account_code: accounts.SALES, debit: 0, credit: -10 }
+    ], /cannot be negative/],
+    ['a line without an account', [
+      { debit: 10, credit: 0 },
+      { account_code: accounts.SALES, debit: 0, credit: 10 }
+    ], /account_code/]
+  ])('rejects %s with a 400', (_label, lines, message) => {
+    let thrown;
+    try {
+      ledgerService.validateLines(lines);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toMatch(message);
+    expect(thrown.statusCode).toBe(400);
+  });
+});
+
+describe('ledgerService.buildEarningLines', () => {
+  test('books a GST cash sale net of output tax', () => {
+    const lines = ledgerService.buildEarningLines({
+      amount: 1180,
+      gst_supply_type: 'outward',
+      taxable_value: 1000,
+      cgst_amount: 90,
+      sgst_amount: 90
+    });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.CASH]: [1180, 0],
+      [accounts.SALES]: [0, 1000],
+      [accounts.GST_OUTPUT]: [0, 180]
+    });
+    expectBalanced(lines);
+  });
+
+  test('settles bank imports through the bank account', () => {
+    const lines = ledgerService.buildEarningLines({ amount: 500, doc_type: 'bank_import' });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.BANK]: [500, 0],
+      [accounts.SALES]: [0, 500]
+    });
+  });
+
+  test('books a GST purchase with input credit', () => {
+    const lines = ledgerService.buildEarningLines({
+      inventory_cost: 590,
+      gst_supply_type: 'inward',
+      taxable_value: 500,
+      igst_amount: 90,
+      transaction_category: 'Rent'
+    });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.EXPENSES]: [500, 0],
+      [accounts.GST_INPUT]: [90, 0],
+      [accounts.CASH]: [0, 590]
+    });
+    expectBalanced(lines);
+  });
+
+  test('does not claim input credit on an outward-tagged expense', () => {
+    const lines = ledgerService.buildEarningLines({
+      inventory_cost: 590,
+      gst_supply_type: 'outward',
+      taxable_value: 500,
+      igst_amount: 90
+    });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.EXPENSES]: [590, 0],
+      [accounts.CASH]: [0, 590]
+    });
+  });
+
+  test('collects the receivable on an invoice payment instead of booking a sale', () => {
+    const lines = ledgerService.buildEarningLines({ amount: 2360, doc_type: 'invoice_payment', invoice_number: 'INV-9' });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.CASH]: [2360, 0],
+      [accounts.RECEIVABLES]: [0, 2360]
+    });
+  });
+
+  test('settles the payable on a bill payment instead of booking an expense', () => {
+    const lines = ledgerService.buildEarningLines({ inventory_cost: 800, doc_type: 'bill_payment' });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.PAYABLES]: [800, 0],
+      [accounts.CASH]: [0, 800]
+    });
+  });
+
+  test('reverses the sale and its GST on a credit note', () => {
+    const lines = ledgerService.buildEarningLines({
+      amount: -1180,
+      inventory_cost: 600,
+      doc_type: 'sales_return',
+      gst_supply_type: 'outward',
+      taxable_value: -1000,
+      cgst_amount: -90,
+      sgst_amount: -90
+    });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.SALES]: [1000, 0],
+      [accounts.GST_OUTPUT]: [180, 0],
+      [accounts.CASH]: [0, 1180]
+    });
+    expectBalanced(lines);
+  });
+
+  test('leaves the cost of a sales bill to its stock movements', () => {
+    const lines = ledgerService.buildEarningLines({ amount: 1000, inventory_cost: 650, doc_type: 'sales_bill' });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.CASH]: [1000, 0],
+      [accounts.SALES]: [0, 1000]
+    });
+  });
+
+  test('returns no lines for an empty row', () => {
+    expect(ledgerService.buildEarningLines({ amount: 0, inventory_cost: 0 })).toEqual([]);
+  });
+});
+
+describe('ledgerService invoice and bill lines', () => {
+  test('books an invoice on credit', () => {
+    const lines = ledgerService.buildInvoiceLines({ invoice_number: 'INV-1', total: 1180, subtotal: 1000, tax_total: 180 });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.RECEIVABLES]: [1180, 0],
+      [accounts.SALES]: [0, 1000],
+      [accounts.GST_OUTPUT]: [0, 180]
+    });
+    expectBalanced(lines);
+  });
+
+  test('books a supplier bill on credit and drops a zero tax line', () => {
+    const lines = ledgerService.buildBillLines({ bill_number: 'B-4', total: 750, subtotal: 750, tax_total: 0 });
+
+    expect(byAccount(lines)).toEqual({
+      [accounts.EXPENSES]: [750, 0],
+      [accounts.PAYABLES]: [0, 750]
+    });
+    expectBalanced(lines);
+  });
+});
+
+describe('ledgerService.buildStockMovementLines', () => {
+  test('buys stock for cash unless it was bought on credit', () => {
+    expect(byAccount(ledgerService.buildStockMovementLines({ direction: 'in', source: 'purchase' }, 300))).toEqual({
+      [accounts.INVENTORY]: [300, 0],
+      [accounts.CASH]: [0, 300]
+    });
+    expect(byAccount(ledgerService.buildStockMovementLines(
+      { direction: 'in', source: 'purchase', metadata: { payment_mode: 'credit' } },
+      300
+    ))).toEqual({
+      [accounts.INVENTORY]: [300, 0],
+      [accounts.PAYABLES]: [0, 300]
+    });
+  });
+
+  test('books stock found on a count as an adjustment gain', () => {
+    expect(byAccount(ledgerService.buildStockMovementLines({ direction: 'in', source: 'stock_count' }, 45))).toEqual({
+      [accounts.INVENTORY]: [45, 0],
+      [accounts.INVENTORY_ADJUSTMENTS]: [0, 45]
+    });
+  });
+
+  test('returns customer stock to inventory out of cost of goods sold', () => {
+    expect(byAccount(ledgerService.buildStockMovementLines({ direction: 'in', source: 'sales_return' }, 120))).toEqual({
+      [accounts.INVENTORY]: [120, 0],
+      [accounts.COGS]: [0, 120]
+    });
+  });
+
+  test('issues sold stock to COGS and written-off stock to adjustments', () => {
+    expect(byAccount(ledgerService.buildStockMovementLines({ direction: 'out', source: 'sale' }, 80))).toEqual({
+      [accounts.COGS]: [80, 0],
+      [accounts.INVENTORY]: [0, 80]
+    });
+    expect(byAccount(ledgerService.buildStockMovementLines({ direction: 'out', source: 'wastage' }, 80))).toEqual({
+      [accounts.INVENTORY_ADJUSTMENTS]: [80, 0],
+      [accounts.INVENTORY]: [0, 80]
+    });
+  });
+
+  test('posts nothing for a movement without value', () => {
+    expect(ledgerService.buildStockMovementLines({ direction: 'out', source: 'sale' }, 0)).toEqual([]);
+  });
+});
+
+describe('ledgerService.getMovementValue', () => {
+  test('prefers the captured total cost, then unit cost times quantity', () => {
+    expect(ledgerService.getMovementValue({ quantity: 4, unit_cost: 10, metadata: { total_cost: 42 } })).toBe(42);
+    expect(ledgerService.getMovementValue({ quantity: 4, unit_cost: 10 })).toBe(40);
+    expect(ledgerService.getMovementValue({ quantity: 4, metadata: { unit_cost: 2.5 } })).toBe(10);
+    expect(ledgerService.getMovementValue({ quantity: 4 })).toBe(0);
+  });
+});
+
+describe('ledgerService.buildTrialBalance', () => {
+  test('nets each account to one side and balances the totals', () => {
+    const trialBalance = ledgerService.buildTrialBalance(ledgerService.getDefaultAccounts(), [
+      { account_code: accounts.CASH, debit: 1180, credit: 0 },
+      { account_code: accounts.SALES, debit: 0, credit: 1000 },
+      { account_code: accounts.GST_OUTPUT, debit: 0, credit: 180 },
+      { account_code: accounts.EXPENSES, debit: 200.1, credit: 0 },
+      { account_code: accounts.CASH, debit: 0, credit: 200.1 }
+    ]);
+
+    const row = (code) => trialBalance.accounts.find((account) => account.code === code);
+
+    expect(row(accounts.CASH)).toMatchObject({ total_debits: 1180, total_credits: 200.1, debit_balance: 979.9, balance: 979.9 });
+    expect(row(accounts.SALES)).toMatchObject({ credit_balance: 1000, balance: 1000 });
+    expect(row(accounts.BANK)).toMatchObject({ debit_balance: 0, credit_balance: 0, balance: 0 });
+    expect(trialBalance.totals).toEqual({ debit: 1180, credit: 1180 });
+    expect(trialBalance.is_balanced).toBe(true);
+  });
+});
+
+describe('ledgerService.selectAll', () => {
+  // Stands in for a PostgREST query over `total` rows, honouring .range() like the real client
+  const pagedQuery = (total, calls) => () => ({
+    range: async (from, to) => {
+      calls.push([from, to]);
+      const rows = [];
+      for (let id = from; id <= Math.min(to, total - 1); id += 1) rows.push({ id });
+      return { data: rows, error: null };
+    }
+  });
+
+  test('keeps fetching pages until a short page comes back', async () => {
+    const calls = [];
+    const { data, error } = await ledgerService.selectAll(pagedQuery(2500, calls));
+
+    expect(error).toBeNull();
+    expect(data).toHaveLength(2500);
+    expect(calls).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  test('stops at the first error', async () => {
+    const error = new Error('boom');
+    const result = await ledgerService.selectAll(() => ({ range: async () => ({ data: null, error }) }));
+
+    expect(result).toEqual({ data: null, error });
+  });
+});
@@ -0,0 +1,43 @@
+const reconciliationService = require('../services/reconciliationService');
+
+const line = { id: 'bt-1', direction: 'credit', remaining: 1000 };
+
+const candidates = new Map([
+  ['earning-1', { id: 'earning-1', direction: 'credit', remaining: 600 }],
+  ['earning-2', { id: 'earning-2', direction: 'credit', remaining: 500 }],
+  ['earning-3', { id: 'earning-3', direction: 'debit', remaining: 1000 }]
+]);
+
+describe('reconciliationService.validateAllocations', () => {
+  test('accepts allocations that settle the bank line', () => {
+    expect(reconciliationService.validateAllocations(line, [
+      { earning_id: 'earning-1', amount: 600 },
+      { earning_id: 'earning-2', amount: 400 }
+    ], candidates)).toBeNull();
+  });
+
+  test('checks allocations to the same book item together', () => {
+    expect(reconciliationService.validateAllocations(line, [
+      { earning_id: 'earning-1', amount: 500 },
+      { earning_id: 'earning-1', amount: 500 }
+    ], candidates)).toBe('Allocation of 1000 exceeds the unmatched 600 on earning-1');
+  });
+
+  test('refuses allocations that leave part of the line unmatched', () => {
+    expect(reconciliationService.validateAllocations(line, [{ earning_id: 'earning-1', amount: 600 }], candidates))
+      .toBe('Allocations total 600 but 1000 of the bank line is unmatched');
+  });
+
+  test('refuses a book item on the other side of the bank line', () => {
+    expect(reconciliationService.validateAllocations(line, [{ earning_id: 'earning-3', amount: 1000 }], candidates))
+      .toMatch(/is an expense but the bank line is a credit/);
+  });
+
+  test('refuses an allocation naming both or neither book item', () => {
+    const message = 'each allocation needs exactly one of earning_id or document_id';
+
+    expect(reconciliationService.validateAllocations(line, [{ amount: 1000 }], candidates)).toBe(message);
+    expect(reconciliationService.validateAllocations(line, [{ earning_id: 'earning-1', document_id: 'doc-1', amount: 1000 }], candidates))
+      .toBe(message);
+  });
+});
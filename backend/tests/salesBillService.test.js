@@ -0,0 +1,140 @@
+const salesBillService = require('../services/salesBillService');
+
+// Four boxes of twelve sold at 118 a box including 18% GST; 200 of the 240 cost reached the Inventory account
+const riceLine = {
+  id: 'line-1',
+  item_id: 'item-rice',
+  product_name: 'Rice',
+  hsn_sac_code: '1006',
+  quantity: 4,
+  quantity_returned: 0,
+  unit: 'box',
+  base_quantity: 48,
+  unit_price: 118,
+  gst_rate: 18,
+  taxable_value: 400,
+  cgst_amount: 36,
+  sgst_amount: 36,
+  igst_amount: 0,
+  line_total: 472,
+  cost_total: 240,
+  ledger_cost: 200
+};
+
+describe('salesBillService.planReturn', () => {
+  test('credits the returned share of amounts, tax and cost', () => {
+    const { lines, error } = salesBillService.planReturn([riceLine], [{ line_id: 'line-1', quantity: 1 }]);
+
+    expect(error).toBeUndefined();
+    expect(lines).toEqual([{
+      bill_line_id: 'line-1',
+      item_id: 'item-rice',
+      product_name: 'Rice',
+      hsn_sac_code: '1006',
+      quantity: 1,
+      unit: 'box',
+      base_quantity: 12,
+      unit_price: 118,
+      gst_rate: 18,
+      taxable_value: 100,
+      cgst_amount: 9,
+      sgst_amount: 9,
+      igst_amount: 0,
+      line_total: 118,
+      cost_total: 60,
+      ledger_cost: 50,
+      unit_cost: 5
+    }]);
+  });
+
+  test('returns the whole line at its original values', () => {
+    const { lines } = salesBillService.planReturn([riceLine], [{ line_id: 'line-1', quantity: 4 }]);
+
+    expect(lines[0]).toMatchObject({ base_quantity: 48, taxable_value: 400, line_total: 472, cost_total: 240 });
+  });
+
+  test('rounds each share to the paisa', () => {
+    const line = { ...riceLine, quantity: 3, base_quantity: 3, taxable_value: 84.75, cgst_amount: 7.63, sgst_amount: 7.62, line_total: 100 };
+
+    const { lines } = salesBillService.planReturn([line], [{ line_id: 'line-1', quantity: 1 }]);
+
+    expect(lines[0]).toMatchObject({ taxable_value: 28.25, cgst_amount: 2.54, sgst_amount: 2.54, line_total: 33.33 });
+  });
+
+  test('refuses more than is left to return', () => {
+    const partlyReturned = { ...riceLine, quantity_returned: 2 };
+
+    expect(salesBillService.planReturn([partlyReturned], [{ line_id: 'line-1', quantity: 3 }]))
+      .toEqual({ error: 'Cannot return 3 of Rice; only 2 left to return' });
+  });
+
+  test('refuses a line from another bill', () => {
+    expect(salesBillService.planReturn([riceLine], [{ line_id: 'line-9', quantity: 1 }]))
+      .toEqual({ error: 'Line line-9 is not on this bill' });
+  });
+
+  test('skips zero quantities and refuses an empty return', () => {
+    expect(salesBillService.planReturn([riceLine], [{ line_id: 'line-1', quantity: 0 }]))
+      .toEqual({ error: 'Nothing to return' });
+  });
+});
+
+describe('salesBillService.returnAllocations', () => {
+  // Batch A was drawn first, then B
+  const saleAllocations = [
+    { batch_id: 'A', batch_number: 'A-01', quantity: 5 },
+    { batch_id: 'B', batch_number: 'B-01', quantity: 3 }
+  ];
+
+  test('puts stock back into the last batch drawn first', () => {
+    expect(salesBillService.returnAllocations(saleAllocations, 0, 4)).toEqual([
+      { batch_id: 'B', batch_number: 'B-01', quantity: 3 },
+      { batch_id: 'A', batch_number: 'A-01', quantity: 1 }
+    ]);
+  });
+
+  test('skips what earlier returns already put back', () => {
+    expect(salesBillService.returnAllocations(saleAllocations, 2, 3)).toEqual([
+      { batch_id: 'B', batch_number: 'B-01', quantity: 1 },
+      { batch_id: 'A', batch_number: 'A-01', quantity: 2 }
+    ]);
+    expect(salesBillService.returnAllocations(saleAllocations, 3, 2)).toEqual([
+      { batch_id: 'A', batch_number: 'A-01', quantity: 2 }
+    ]);
+  });
+
+  test('never returns more to a batch than was drawn from it', () => {
+    const allocations = salesBillService.returnAllocations(saleAllocations, 0, 10);
+
+    expect(allocations.reduce((sum, a) => sum + a.quantity, 0)).toBe(8);
+  });
+
+  test('does not modify the sale allocations', () => {
+    salesBillService.returnAllocations(saleAllocations, 0, 4);
+
+    expect(saleAllocations.map((a) => a.batch_id)).toEqual(['A', 'B']);
+    expect(saleAllocations[1].quantity).toBe(3);
+  });
+
+  test('returns nothing for an unbatched sale', () => {
+    expect(salesBillService.returnAllocations(null, 0, 2)).toEqual([]);
+  });
+});
+
+describe('salesBillService return status', () => {
+  const lines = [riceLine, { ...riceLine, id: 'line-2', quantity: 2 }];
+
+  test('returns every unreturned quantity on a full return', () => {
+    expect(salesBillService.fullReturn([{ ...lines[0], quantity_returned: 1 }, { ...lines[1], quantity_returned: 2 }]))
+      .toEqual([{ line_id: 'line-1', quantity: 3 }]);
+  });
+
+  test('moves from completed through partially returned to returned', () => {
+    expect(salesBillService.statusAfterReturn(lines)).toBe('completed');
+    expect(salesBillService.statusAfterReturn([{ ...lines[0], quantity_returned: 1 }, lines[1]])).toBe('partially_returned');
+    expect(salesBillService.statusAfterReturn([
+      { ...lines[0], quantity_returned: 4 },
+      { ...lines[1], quantity_returned: 2 }
+    ])).toBe('returned');
+  });
+});
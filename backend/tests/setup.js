@@ -0,0 +1,9 @@
+// Services load config/env on require, which exits when these are missing. Unit tests never reach
+// Supabase or a model, so placeholders are enough; the mock LLM provider keeps any model call offline.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.RECURRING_SCHEDULER_ENABLED = 'false';
+process.env.EXPIRY_ALERTS_ENABLED = 'false';
@@ -0,0 +1,147 @@
+const stockCorrectionService = require('../services/stockCorrectionService');
+
+const correction = { reason: 'Counted twice', actor: 'owner@example.com', action: 'reverse' };
+
+const issue = {
+  id: 'mv-1',
+  user_id: 'user-1',
+  item_id: 'item-1',
+  location_id: 'loc-1',
+  direction: 'out',
+  quantity: 6,
+  source: 'wastage',
+  reference_id: null,
+  batch_id: null,
+  metadata: {
+    unit: 'kg',
+    cost_of_goods: { unit_cost: 42.5, total_cost: 255 },
+    batches: [{ batch_id: 'b-1', quantity: 4 }, { batch_id: 'b-2', quantity: 2 }]
+  }
+};
+
+const receipt = {
+  id: 'mv-2',
+  user_id: 'user-1',
+  item_id: 'item-1',
+  location_id: 'loc-1',
+  direction: 'in',
+  quantity: 10,
+  source: 'voice',
+  batch_id: 'b-3',
+  metadata: { unit_cost: 40, total_cost: 400, entered_quantity: 1, entered_unit: 'sack', recorded_by: 'owner@example.com', note: 'Morning delivery' }
+};
+
+describe('stockCorrectionService.buildReversal', () => {
+  test('brings an issue back in at the cost it went out at, into the same batches', () => {
+    expect(stockCorrectionService.buildReversal(issue, correction)).toEqual({
+      user_id: 'user-1',
+      item_id: 'item-1',
+      location_id: 'loc-1',
+      direction: 'in',
+      quantity: 6,
+      source: 'reversal',
+      reference_id: 'mv-1',
+      batch_id: null,
+      metadata: {
+        reverses_movement_id: 'mv-1',
+        original_source: 'wastage',
+        reason: 'Counted twice',
+        action: 'reverse',
+        recorded_by: 'owner@example.com',
+        unit_cost: 42.5,
+        unit: 'kg',
+        batches: issue.metadata.batches
+      }
+    });
+  });
+
+  test('takes a receipt back out of its batch without carrying a cost', () => {
+    const reversal = stockCorrectionService.buildReversal(receipt, { ...correction, action: 'undo_voice' });
+
+    expect(reversal).toMatchObject({ direction: 'out', quantity: 10, batch_id: 'b-3', reference_id: 'mv-2' });
+    expect(reversal.metadata).toEqual({
+      reverses_movement_id: 'mv-2',
+      original_source: 'voice',
+      reason: 'Counted twice',
+      action: 'undo_voice',
+      recorded_by: 'owner@example.com'
+    });
+  });
+
+  test('records a movement without a source as manual', () => {
+    const { metadata } = stockCorrectionService.buildReversal({ ...issue, source: null, metadata: null }, correction);
+
+    expect(metadata.original_source).toBe('manual');
+    expect(metadata).not.toHaveProperty('unit_cost');
+    expect(metadata).not.toHaveProperty('batches');
+  });
+});
+
+describe('stockCorrectionService blockers', () => {
+  test('refuses to reverse a reversal or a movement reversed already', () => {
+    expect(stockCorrectionService.reversalBlocker({ source: 'reversal' }, null)).toMatch(/cannot itself be reversed/);
+    expect(stockCorrectionService.reversalBlocker(issue, { id: 'mv-9' })).toBe('This movement has already been reversed');
+  });
+
+  test('sends sales, returns and transfers back to their own documents', () => {
+    expect(stockCorrectionService.reversalBlocker({ source: 'sale' }, null)).toMatch(/credit note/);
+    expect(stockCorrectionService.reversalBlocker({ source: 'transfer' }, null)).toMatch(/transferring the stock back/);
+    expect(stockCorrectionService.reversalBlocker(issue, null)).toBeNull();
+  });
+
+  test('allows reversing a PO receipt but not editing it', () => {
+    const poReceipt = { source: 'purchase_order' };
+
+    expect(stockCorrectionService.reversalBlocker(poReceipt, null)).toBeNull();
+    expect(stockCorrectionService.editBlocker(poReceipt, null)).toMatch(/purchase order/);
+  });
+});
+
+describe('stockCorrectionService.correctedBody', () => {
+  test('re-enters the movement as first entered, dropping derived metadata', () => {
+    expect(stockCorrectionService.correctedBody(receipt, {}, 'Wrong item')).toEqual({
+      item_id: 'item-1',
+      direction: 'in',
+      quantity: 1,
+      unit: 'sack',
+      source: 'voice',
+      reference_id: null,
+      location_id: 'loc-1',
+      metadata: { note: 'Morning delivery', corrects_movement_id: 'mv-2', correction_reason: 'Wrong item', unit_cost: 40 }
+    });
+  });
+
+  test('applies the changes and does not carry one item\'s cost to another', () => {
+    const body = stockCorrectionService.correctedBody(receipt, { item_id: 'item-2', quantity: 12, unit: 'kg' }, 'Wrong item');
+
+    expect(body).toMatchObject({ item_id: 'item-2', quantity: 12, unit: 'kg' });
+    expect(body.metadata).not.toHaveProperty('unit_cost');
+    expect(body).not.toHaveProperty('unit_cost');
+  });
+
+  test('takes a new unit cost for a receipt', () => {
+    expect(stockCorrectionService.correctedBody(receipt, { unit_cost: 38 }, 'Price').unit_cost).toBe(38);
+  });
+});
+
+describe('stockCorrectionService voice undo', () => {
+  test('recognises undo phrases but not goods going back', () => {
+    expect(stockCorrectionService.isUndoCommand('undo that')).toBe(true);
+    expect(stockCorrectionService.isUndoCommand('Galat ho gaya')).toBe(true);
+    expect(stockCorrectionService.isUndoCommand('5 kilo chawal wapas')).toBe(false);
+  });
+
+  test('picks the newest voice entry inside the window that is not reversed yet', () => {
+    const now = Date.parse('2026-03-01T10:30:00Z');
+    const movements = [
+      { id: 'a', source: 'voice', created_at: '2026-03-01T10:05:00Z' },
+      { id: 'b', source: 'voice', created_at: '2026-03-01T10:20:00Z' },
+      { id: 'c', source: 'voice', created_at: '2026-03-01T10:25:00Z' },
+      { id: 'd', source: 'manual', created_at: '2026-03-01T10:29:00Z' },
+      { id: 'e', source: 'voice', created_at: '2026-03-01T09:00:00Z' }
+    ];
+
+    expect(stockCorrectionService.latestUndoable(movements, new Set(['c']), { windowMinutes: 30, now }).id).toBe('b');
+    expect(stockCorrectionService.latestUndoable(movements, new Set(['a', 'b', 'c']), { windowMinutes: 30, now })).toBeNull();
+  });
+});
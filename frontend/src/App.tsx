@@ -15,6 +15,7 @@ import Contact from "./pages/Contact";
 import ProductAdmin from "./pages/ProductAdmin";
 import MarketAnalysis from "./pages/MarketAnalysis";
 import InventoryPage from "./pages/Inventory";
+import KnowledgeGraphPage from "./pages/KnowledgeGraph";
 
 import NotFound from "./pages/NotFound";
 
@@ -39,6 +40,7 @@ const App = () => (
             <Route path="/business-trends" element={<BusinessTrendScout />} />
             <Route path="/market-analysis" element={<MarketAnalysis />} />
             <Route path="/inventory" element={<InventoryPage />} />
+            <Route path="/knowledge" element={<KnowledgeGraphPage />} />
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -2,105 +2,95 @@ import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Input } from "@/components/ui/input";
-import { 
-  MessageSquare, 
-  Plus, 
-  Search, 
-  MoreHorizontal, 
-  Trash2, 
+import {
+  MessageSquare,
+  Plus,
+  Search,
+  MoreHorizontal,
+  Trash2,
   Edit3,
   Calendar,
-  Clock
+  Clock,
+  Pin,
+  PinOff,
+  Archive,
+  ArchiveRestore,
+  FileText,
+  FileDown
 } from "lucide-react";
 import { cn } from "@/lib/utils";
-import { supabase } from "@/integrations/supabase/client";
+import {
+  chatAPI,
+  handleAPIError,
+  type ConversationExport,
+  type ConversationSearchResult,
+  type ConversationThread
+} from "@/lib/api";
+import { downloadConversationMarkdown, downloadConversationPdf } from "@/lib/conversation-export";
+import { useToast } from "@/hooks/use-toast";
 import {
   DropdownMenu,
   DropdownMenuContent,
   DropdownMenuItem,
+  DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 
-interface Conversation {
-  id: string;
-  conversation_id: string;
-  title: string;
-  last_message: string;
-  created_at: string;
-  updated_at: string;
-  message_count: number;
-}
-
 interface ChatHistoryProps {
   currentConversationId?: string;
   onConversationSelect: (conversationId: string) => void;
   onNewChat: () => void;
   isOpen: boolean;
+  // Bump to reload the list, e.g. after a message is sent
+  refreshKey?: number;
 }
 
-export function ChatHistory({ 
-  currentConversationId, 
-  onConversationSelect, 
+export function ChatHistory({
+  currentConversationId,
+  onConversationSelect,
   onNewChat,
-  isOpen 
+  isOpen,
+  refreshKey = 0
 }: ChatHistoryProps) {
-  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [conversations, setConversations] = useState<ConversationThread[]>([]);
+  const [showArchived, setShowArchived] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState<ConversationSearchResult[] | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [editingId, setEditingId] = useState<string | null>(null);
   const [editTitle, setEditTitle] = useState("");
+  const { toast } = useToast();
 
   useEffect(() => {
     if (isOpen) {
       loadConversations();
     }
-  }, [isOpen]);
-
-  const loadConversations = async () => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) return;
+  }, [isOpen, showArchived, refreshKey]);
 
-      const { data, error } = await supabase
-        .from('conversation_history')
-        .select(`
-          conversation_id,
-          message_content,
-          created_at
-        `)
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
+  // Search on the server once typing pauses
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
 
-      const conversationMap = new Map<string, Conversation>();
-      
-      data?.forEach((msg) => {
-        const convId = msg.conversation_id;
-        if (!conversationMap.has(convId)) {
-          conversationMap.set(convId, {
-            id: convId,
-            conversation_id: convId,
-            title: generateTitle(msg.message_content),
-            last_message: msg.message_content,
-            created_at: msg.created_at,
-            updated_at: msg.created_at,
-            message_count: 1
-          });
-        } else {
-          const conv = conversationMap.get(convId)!;
-          conv.message_count++;
-          if (new Date(msg.created_at) > new Date(conv.updated_at)) {
-            conv.last_message = msg.message_content;
-            conv.updated_at = msg.created_at;
-          }
-        }
-      });
+    const timer = setTimeout(async () => {
+      try {
+        const response = await chatAPI.searchConversations(query);
+        setSearchResults(response.data?.results || []);
+      } catch (error) {
+        console.error('Error searching conversations:', error);
+      }
+    }, 300);
 
-      const sortedConversations = Array.from(conversationMap.values())
-        .sort((a, b) => new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime());
+    return () => clearTimeout(timer);
+  }, [searchQuery, refreshKey]);
 
-      setConversations(sortedConversations);
+  const loadConversations = async () => {
+    try {
+      const response = await chatAPI.getConversations(showArchived);
+      setConversations(response.data?.conversations || []);
     } catch (error) {
       console.error('Error loading conversations:', error);
     } finally {
@@ -108,45 +98,77 @@ export function ChatHistory({
     }
   };
 
-  const generateTitle = (message: string): string => {
-    const words = message.trim().split(' ').slice(0, 6);
-    return words.join(' ') + (words.length === 6 ? '...' : '');
+  const showError = (error: unknown) => {
+    toast({
+      title: "Error",
+      description: handleAPIError(error),
+      variant: "destructive",
+    });
   };
 
-  const deleteConversation = async (conversationId: string) => {
+  // Apply an updated thread to the list and any search results
+  const replaceThread = (thread: ConversationThread) => {
+    setConversations(prev => prev.map(c => c.id === thread.id ? thread : c));
+    setSearchResults(prev => prev && prev.map(r => r.thread.id === thread.id ? { ...r, thread } : r));
+  };
+
+  const updateConversation = async (
+    conversationId: string,
+    changes: { title?: string; pinned?: boolean; archived?: boolean }
+  ) => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) return;
+      const response = await chatAPI.updateConversation(conversationId, changes);
+      if (changes.archived !== undefined) {
+        // It moves between the active list and the archive
+        setConversations(prev => prev.filter(c => c.id !== conversationId));
+        setSearchResults(prev => prev && prev.map(r => r.thread.id === conversationId ? { ...r, thread: response.data } : r));
+      } else {
+        replaceThread(response.data);
+        if (changes.pinned !== undefined) loadConversations();
+      }
+    } catch (error) {
+      showError(error);
+    }
+  };
 
-      await supabase
-        .from('conversation_history')
-        .delete()
-        .eq('user_id', user.id)
-        .eq('conversation_id', conversationId);
+  const deleteConversation = async (conversationId: string) => {
+    try {
+      await chatAPI.deleteConversation(conversationId);
 
       setConversations(prev => prev.filter(c => c.conversation_id !== conversationId));
-      
+      setSearchResults(prev => prev && prev.filter(r => r.thread.id !== conversationId));
+
       if (currentConversationId === conversationId) {
         onNewChat();
       }
     } catch (error) {
-      console.error('Error deleting conversation:', error);
+      showError(error);
     }
   };
 
   const updateTitle = async (conversationId: string, newTitle: string) => {
-    setConversations(prev => prev.map(c => 
-      c.conversation_id === conversationId ? { ...c, title: newTitle } : c
-    ));
     setEditingId(null);
+    const title = newTitle.trim();
+    const current = conversations.find(c => c.conversation_id === conversationId);
+    if (!title || title === current?.title) return;
+    await updateConversation(conversationId, { title });
   };
 
-  const filteredConversations = conversations.filter(conv =>
-    conv.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    conv.last_message.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  const exportConversation = async (conversationId: string, format: 'markdown' | 'pdf') => {
+    try {
+      const response = await chatAPI.exportConversation(conversationId);
+      const document = response.data as ConversationExport;
+      if (format === 'pdf') {
+        downloadConversationPdf(document);
+      } else {
+        downloadConversationMarkdown(document);
+      }
+    } catch (error) {
+      showError(error);
+    }
+  };
 
-  const groupConversationsByDate = (conversations: Conversation[]) => {
+  const groupConversationsByDate = (conversations: ConversationThread[]) => {
     const today = new Date();
     const yesterday = new Date(today);
     yesterday.setDate(yesterday.getDate() - 1);
@@ -154,15 +176,18 @@ export function ChatHistory({
     lastWeek.setDate(lastWeek.getDate() - 7);
 
     const groups = {
-      today: [] as Conversation[],
-      yesterday: [] as Conversation[],
-      lastWeek: [] as Conversation[],
-      older: [] as Conversation[]
+      pinned: [] as ConversationThread[],
+      today: [] as ConversationThread[],
+      yesterday: [] as ConversationThread[],
+      lastWeek: [] as ConversationThread[],
+      older: [] as ConversationThread[]
     };
 
     conversations.forEach(conv => {
-      const date = new Date(conv.updated_at);
-      if (date.toDateString() === today.toDateString()) {
+      const date = new Date(conv.last_message_at);
+      if (conv.pinned) {
+        groups.pinned.push(conv);
+      } else if (date.toDateString() === today.toDateString()) {
         groups.today.push(conv);
       } else if (date.toDateString() === yesterday.toDateString()) {
         groups.yesterday.push(conv);
@@ -176,9 +201,12 @@ export function ChatHistory({
     return groups;
   };
 
-  const groups = groupConversationsByDate(filteredConversations);
+  const groups = groupConversationsByDate(conversations);
 
-  const ConversationItem = ({ conversation }: { conversation: Conversation }) => (
+  const ConversationItem = ({ conversation, snippets }: {
+    conversation: ConversationThread;
+    snippets?: string[];
+  }) => (
     <div
       className={cn(
         "group flex items-center gap-3 p-3 rounded-lg cursor-pointer transition-all hover:bg-gray-100 dark:hover:bg-gray-800",
@@ -186,12 +214,17 @@ export function ChatHistory({
       )}
       onClick={() => onConversationSelect(conversation.conversation_id)}
     >
-      <MessageSquare className="h-4 w-4 text-gray-500 flex-shrink-0" />
+      {conversation.pinned ? (
+        <Pin className="h-4 w-4 text-blue-500 flex-shrink-0" />
+      ) : (
+        <MessageSquare className="h-4 w-4 text-gray-500 flex-shrink-0" />
+      )}
       <div className="flex-1 min-w-0">
         {editingId === conversation.id ? (
           <Input
             value={editTitle}
             onChange={(e) => setEditTitle(e.target.value)}
+            onClick={(e) => e.stopPropagation()}
             onBlur={() => updateTitle(conversation.conversation_id, editTitle)}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
@@ -201,6 +234,7 @@ export function ChatHistory({
               }
             }}
             className="h-6 text-sm"
+            maxLength={80}
             autoFocus
           />
         ) : (
@@ -208,23 +242,30 @@ export function ChatHistory({
             <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
               {conversation.title}
             </p>
-            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
-              {conversation.last_message}
-            </p>
+            {snippets && snippets.length > 0 ? (
+              snippets.slice(0, 2).map((snippet, index) => (
+                <p key={index} className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {snippet}
+                </p>
+              ))
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {conversation.last_message}
+              </p>
+            )}
           </>
         )}
       </div>
       <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
         <DropdownMenu>
           <DropdownMenuTrigger asChild>
-            <Button variant="ghost" size="sm" className="h-6 w-6 p-0">
+            <Button variant="ghost" size="sm" className="h-6 w-6 p-0" onClick={(e) => e.stopPropagation()}>
               <MoreHorizontal className="h-3 w-3" />
             </Button>
           </DropdownMenuTrigger>
-          <DropdownMenuContent align="end">
+          <DropdownMenuContent align="end" onClick={(e) => e.stopPropagation()}>
             <DropdownMenuItem
-              onClick={(e) => {
-                e.stopPropagation();
+              onClick={() => {
                 setEditingId(conversation.id);
                 setEditTitle(conversation.title);
               }}
@@ -232,11 +273,32 @@ export function ChatHistory({
               <Edit3 className="h-3 w-3 mr-2" />
               Rename
             </DropdownMenuItem>
+            {!conversation.archived && (
+              <DropdownMenuItem
+                onClick={() => updateConversation(conversation.conversation_id, { pinned: !conversation.pinned })}
+              >
+                {conversation.pinned ? <PinOff className="h-3 w-3 mr-2" /> : <Pin className="h-3 w-3 mr-2" />}
+                {conversation.pinned ? 'Unpin' : 'Pin'}
+              </DropdownMenuItem>
+            )}
             <DropdownMenuItem
-              onClick={(e) => {
-                e.stopPropagation();
-                deleteConversation(conversation.conversation_id);
-              }}
+              onClick={() => updateConversation(conversation.conversation_id, { archived: !conversation.archived })}
+            >
+              {conversation.archived ? <ArchiveRestore className="h-3 w-3 mr-2" /> : <Archive className="h-3 w-3 mr-2" />}
+              {conversation.archived ? 'Unarchive' : 'Archive'}
+            </DropdownMenuItem>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => exportConversation(conversation.conversation_id, 'markdown')}>
+              <FileText className="h-3 w-3 mr-2" />
+              Export Markdown
+            </DropdownMenuItem>
+            <DropdownMenuItem onClick={() => exportConversation(conversation.conversation_id, 'pdf')}>
+              <FileDown className="h-3 w-3 mr-2" />
+              Export PDF
+            </DropdownMenuItem>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem
+              onClick={() => deleteConversation(conversation.conversation_id)}
               className="text-red-600 dark:text-red-400"
             >
               <Trash2 className="h-3 w-3 mr-2" />
@@ -248,13 +310,13 @@ export function ChatHistory({
     </div>
   );
 
-  const GroupSection = ({ title, conversations, icon }: { 
-    title: string; 
-    conversations: Conversation[];
+  const GroupSection = ({ title, conversations, icon }: {
+    title: string;
+    conversations: ConversationThread[];
     icon: React.ReactNode;
   }) => {
     if (conversations.length === 0) return null;
-    
+
     return (
       <div className="mb-4">
         <div className="flex items-center gap-2 px-3 py-2 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
@@ -282,20 +344,52 @@ export function ChatHistory({
           <Plus className="h-4 w-4" />
           New Chat
         </Button>
-        
+
         <div className="relative">
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
           <Input
-            placeholder="Search conversations..."
+            placeholder="Search all messages..."
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             className="pl-10 h-9"
           />
         </div>
+
+        {!searchResults && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              setIsLoading(true);
+              setShowArchived(!showArchived);
+            }}
+            className="w-full justify-start gap-2 mt-2 text-xs"
+          >
+            {showArchived ? <MessageSquare className="h-3 w-3" /> : <Archive className="h-3 w-3" />}
+            {showArchived ? 'Back to conversations' : 'Archived conversations'}
+          </Button>
+        )}
       </div>
 
       <ScrollArea className="flex-1 p-2">
-        {isLoading ? (
+        {searchResults ? (
+          searchResults.length === 0 ? (
+            <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+              <Search className="h-8 w-8 mx-auto mb-2 opacity-50" />
+              <p className="text-sm">No messages match "{searchQuery.trim()}"</p>
+            </div>
+          ) : (
+            <div className="space-y-1">
+              {searchResults.map((result) => (
+                <ConversationItem
+                  key={result.thread.id}
+                  conversation={result.thread}
+                  snippets={result.matches.map(match => match.snippet)}
+                />
+              ))}
+            </div>
+          )
+        ) : isLoading ? (
           <div className="flex items-center justify-center py-8">
             <div className="flex gap-1">
               <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" />
@@ -303,32 +397,37 @@ export function ChatHistory({
               <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: "0.2s" }} />
             </div>
           </div>
-        ) : filteredConversations.length === 0 ? (
+        ) : conversations.length === 0 ? (
           <div className="text-center py-8 text-gray-500 dark:text-gray-400">
             <MessageSquare className="h-8 w-8 mx-auto mb-2 opacity-50" />
-            <p className="text-sm">No conversations yet</p>
-            <p className="text-xs">Start a new chat to begin</p>
+            <p className="text-sm">{showArchived ? 'No archived conversations' : 'No conversations yet'}</p>
+            {!showArchived && <p className="text-xs">Start a new chat to begin</p>}
           </div>
         ) : (
           <div className="space-y-2">
-            <GroupSection 
-              title="Today" 
-              conversations={groups.today} 
+            <GroupSection
+              title="Pinned"
+              conversations={groups.pinned}
+              icon={<Pin className="h-3 w-3" />}
+            />
+            <GroupSection
+              title="Today"
+              conversations={groups.today}
               icon={<Clock className="h-3 w-3" />}
             />
-            <GroupSection 
-              title="Yesterday" 
-              conversations={groups.yesterday} 
+            <GroupSection
+              title="Yesterday"
+              conversations={groups.yesterday}
               icon={<Calendar className="h-3 w-3" />}
             />
-            <GroupSection 
-              title="Last 7 days" 
-              conversations={groups.lastWeek} 
+            <GroupSection
+              title="Last 7 days"
+              conversations={groups.lastWeek}
               icon={<Calendar className="h-3 w-3" />}
             />
-            <GroupSection 
-              title="Older" 
-              conversations={groups.older} 
+            <GroupSection
+              title="Older"
+              conversations={groups.older}
               icon={<Calendar className="h-3 w-3" />}
             />
           </div>
@@ -336,4 +435,4 @@ export function ChatHistory({
       </ScrollArea>
     </div>
   );
-}
\ No newline at end of file
+}
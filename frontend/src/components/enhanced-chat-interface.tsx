@@ -1,11 +1,11 @@
 import { useState, useEffect, useRef } from "react";
 import { Button } from "@/components/ui/button";
-import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
-import { chatAPI, handleAPIError, inventoryAPI } from "@/lib/api";
+import { chatAPI, handleAPIError, inventoryAPI, type ChatToolEvent } from "@/lib/api";
+import { ChatHistory } from "@/components/chat-history";
 import { useToast } from "@/hooks/use-toast";
 import { 
   Send, 
@@ -22,7 +22,6 @@ import {
   TrendingUp,
   DollarSign,
   BarChart3,
-  MessageCircle,
   Clock,
   CheckCircle2
 } from "lucide-react";
@@ -40,16 +39,18 @@ interface Message {
     contextUsed?: any;
     knowledgeUsed?: any;
   };
+  // Data lookups made while answering
+  toolEvents?: ChatToolEvent[];
 }
 
-interface ConversationHistory {
+interface ConversationMessage {
   id: string;
   message_type: 'user' | 'ai';
   message_content: string;
   created_at: string;
   conversation_id: string;
-  entities_extracted?: any;
-  knowledge_used?: any;
+  entities_extracted?: Message['metadata'];
+  knowledge_used?: Message['metadata'];
 }
 
 export function EnhancedChatInterface() {
@@ -57,7 +58,7 @@ export function EnhancedChatInterface() {
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
-  const [conversationHistory, setConversationHistory] = useState<ConversationHistory[]>([]);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
   const [showHistory, setShowHistory] = useState(false);
   const [currentConversationId, setCurrentConversationId] = useState<string | null>(null);
   const [inventoryData, setInventoryData] = useState<any[]>([]);
@@ -75,9 +76,8 @@ export function EnhancedChatInterface() {
     scrollToBottom();
   }, [messages]);
 
-  // Load conversation history and inventory data on mount
+  // Load inventory data on mount
   useEffect(() => {
-    loadConversationHistory();
     loadInventoryData();
   }, []);
 
@@ -96,17 +96,6 @@ export function EnhancedChatInterface() {
     }
   };
 
-  const loadConversationHistory = async () => {
-    try {
-      const response = await chatAPI.getChatHistory();
-      if (response.success) {
-        setConversationHistory(response.data.history || []);
-      }
-    } catch (error) {
-      console.error('Error loading chat history:', error);
-    }
-  };
-
   const handleSendMessage = async () => {
     if (!input.trim() || isLoading) return;
 
@@ -140,30 +129,9 @@ export function EnhancedChatInterface() {
       let fullResponse = '';
       let metadata: any = {};
 
-      // Enhanced context with inventory data for better financial advice
-      const enhancedContext = {
-        message: userMessage.content,
-        inventory_context: {
-          total_items: inventoryData.length,
-          total_value: inventoryData.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0),
-          low_stock_items: inventoryData.filter(item => item.quantity <= (item.reorder_level || 5)),
-          high_value_items: inventoryData.filter(item => (item.quantity * item.unit_price) > 10000),
-          categories: [...new Set(inventoryData.map(item => item.category))],
-          recent_items: inventoryData.filter(item => {
-            const createdDate = new Date(item.created_at || Date.now());
-            const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-            return createdDate > thirtyDaysAgo;
-          })
-        },
-        financial_context: {
-          request_type: 'inventory_aware_advice',
-          include_inventory_insights: true
-        }
-      };
-
-      // Use streaming API with enhanced inventory context
+      // Figures (sales, spend, stock, suppliers) are looked up by the assistant's data tools while it answers
       await chatAPI.streamAIResponse(
-        JSON.stringify(enhancedContext),
+        userMessage.content,
         (token) => {
           fullResponse += token.text;
           setMessages(prev => 
@@ -192,11 +160,22 @@ export function EnhancedChatInterface() {
             variant: "destructive",
           });
         },
-        abortControllerRef.current.signal
+        abortControllerRef.current.signal,
+        (toolEvent) => {
+          setMessages(prev =>
+            prev.map(msg =>
+              msg.id === aiMessageId
+                ? { ...msg, toolEvents: [...(msg.toolEvents || []), toolEvent] }
+                : msg
+            )
+          );
+        },
+        // Replies in a loaded thread continue it, with its earlier messages as context
+        currentConversationId || undefined
       );
 
-      // Reload conversation history to include new messages
-      await loadConversationHistory();
+      // Reload the thread list to include new messages
+      setHistoryRefreshKey(key => key + 1);
 
     } catch (error) {
       console.error('Chat error:', error);
@@ -249,94 +228,43 @@ export function EnhancedChatInterface() {
     });
   };
 
-  const loadHistoryConversation = (conversationId: string) => {
-    const conversationMessages = conversationHistory
-      .filter(msg => msg.conversation_id === conversationId)
-      .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
-      .map(msg => ({
-        id: `${msg.conversation_id}-${msg.message_type}-${msg.created_at}`,
-        type: msg.message_type as 'user' | 'ai',
-        content: msg.message_content,
-        timestamp: new Date(msg.created_at),
-        conversationId: msg.conversation_id,
-        metadata: msg.knowledge_used || msg.entities_extracted,
-      }));
+  const loadHistoryConversation = async (conversationId: string) => {
+    let history: ConversationMessage[];
+    try {
+      const response = await chatAPI.getConversation(conversationId);
+      history = response.data.messages || [];
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: handleAPIError(error),
+        variant: "destructive",
+      });
+      return;
+    }
+
+    const conversationMessages = history.map(msg => ({
+      id: `${msg.conversation_id}-${msg.message_type}-${msg.created_at}`,
+      type: msg.message_type,
+      content: msg.message_content,
+      timestamp: new Date(msg.created_at),
+      conversationId: msg.conversation_id,
+      metadata: msg.knowledge_used || msg.entities_extracted,
+    }));
 
     setMessages(conversationMessages);
     setCurrentConversationId(conversationId);
-    setShowHistory(false);
   };
 
-  // Get unique conversations from history
-  const uniqueConversations = conversationHistory.reduce((acc, msg) => {
-    if (!acc.find(conv => conv.conversation_id === msg.conversation_id)) {
-      acc.push({
-        conversation_id: msg.conversation_id,
-        created_at: msg.created_at,
-        preview: msg.message_content.substring(0, 50) + '...',
-        message_count: conversationHistory.filter(m => m.conversation_id === msg.conversation_id).length
-      });
-    }
-    return acc;
-  }, [] as any[]).sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
-
   return (
     <div className="flex h-[600px] bg-background border rounded-lg overflow-hidden">
       {/* Chat History Sidebar */}
-      {showHistory && (
-        <div className="w-80 border-r bg-muted/30">
-          <div className="p-4 border-b">
-            <div className="flex items-center justify-between">
-              <h3 className="font-semibold flex items-center gap-2">
-                <History className="h-4 w-4" />
-                Chat History
-              </h3>
-              <Button
-                variant="ghost"
-                size="sm"
-                onClick={() => setShowHistory(false)}
-              >
-                ×
-              </Button>
-            </div>
-          </div>
-          <ScrollArea className="h-[calc(600px-80px)]">
-            <div className="p-2 space-y-2">
-              {uniqueConversations.map((conv) => (
-                <Card
-                  key={conv.conversation_id}
-                  className="cursor-pointer hover:bg-muted/50 transition-colors"
-                  onClick={() => loadHistoryConversation(conv.conversation_id)}
-                >
-                  <CardContent className="p-3">
-                    <div className="flex items-start justify-between">
-                      <div className="flex-1 min-w-0">
-                        <p className="text-sm font-medium truncate">
-                          {conv.preview}
-                        </p>
-                        <div className="flex items-center gap-2 mt-1">
-                          <Badge variant="outline" className="text-xs">
-                            {conv.message_count} messages
-                          </Badge>
-                          <span className="text-xs text-muted-foreground">
-                            {new Date(conv.created_at).toLocaleDateString()}
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  </CardContent>
-                </Card>
-              ))}
-              {uniqueConversations.length === 0 && (
-                <div className="text-center py-8 text-muted-foreground">
-                  <MessageCircle className="h-8 w-8 mx-auto mb-2 opacity-50" />
-                  <p className="text-sm">No conversation history</p>
-                </div>
-              )}
-            </div>
-          </ScrollArea>
-        </div>
-      )}
+      <ChatHistory
+        isOpen={showHistory}
+        currentConversationId={currentConversationId || undefined}
+        onConversationSelect={loadHistoryConversation}
+        onNewChat={clearChat}
+        refreshKey={historyRefreshKey}
+      />
 
       {/* Main Chat Area */}
       <div className="flex-1 flex flex-col">
@@ -436,6 +364,30 @@ export function EnhancedChatInterface() {
                   "flex-1 space-y-2",
                   message.type === 'user' ? "text-right" : ""
                 )}>
+                  {message.toolEvents && message.toolEvents.some(event => event.type === 'tool_call') && (
+                    <div className="flex flex-wrap gap-1">
+                      {message.toolEvents
+                        .filter(event => event.type === 'tool_call')
+                        .map(call => {
+                          const result = message.toolEvents?.find(event => event.type === 'tool_result' && event.id === call.id);
+                          return (
+                            <Badge
+                              key={call.id}
+                              variant={result && !result.ok ? "destructive" : "outline"}
+                              className="text-xs"
+                              title={call.arguments}
+                            >
+                              {result ? (
+                                <CheckCircle2 className="h-2 w-2 mr-1" />
+                              ) : (
+                                <Loader2 className="h-2 w-2 mr-1 animate-spin" />
+                              )}
+                              {call.name.replace(/_/g, ' ')}
+                            </Badge>
+                          );
+                        })}
+                    </div>
+                  )}
                   <div className={cn(
                     "inline-block p-3 rounded-lg max-w-full",
                     message.type === 'user'
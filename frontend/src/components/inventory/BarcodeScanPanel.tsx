@@ -0,0 +1,166 @@
+import React, { useState, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { ScanLine, ArrowDownToLine, ArrowUpFromLine, Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { inventoryAPI } from '@/lib/api';
+
+interface ScanEntry {
+  barcode: string;
+  product_name: string;
+  direction: 'in' | 'out';
+  quantity: number;
+  item_created: boolean;
+}
+
+interface BarcodeScanPanelProps {
+  // Photo selected in the image input; its barcode can be read instead of typing or scanning one
+  imageFile: File | null;
+}
+
+const readAsBase64 = (file: File) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Scan-in / scan-out mode: each scan records one stock movement. USB and Bluetooth scanners type the
+// code and press Enter, so the input submits on Enter and clears for the next scan.
+export const BarcodeScanPanel: React.FC<BarcodeScanPanelProps> = ({ imageFile }) => {
+  const [direction, setDirection] = useState<'in' | 'out'>('in');
+  const [barcode, setBarcode] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [isScanning, setIsScanning] = useState(false);
+  const [recent, setRecent] = useState<ScanEntry[]>([]);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  const submitScan = async (code: string) => {
+    if (!code.trim()) return;
+    setIsScanning(true);
+
+    try {
+      const result = await inventoryAPI.scanMovement({ barcode: code.trim(), direction, quantity });
+      const { item, item_created } = result.data;
+
+      setRecent((entries) => [
+        { barcode: result.data.barcode, product_name: item.product_name, direction, quantity, item_created },
+        ...entries,
+      ].slice(0, 10));
+
+      toast({
+        title: direction === 'in' ? 'Stock added' : 'Stock removed',
+        description: `${quantity} × ${item.product_name}${item_created ? ' (new item from catalogue)' : ''}`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Scan not recorded',
+        description: error instanceof Error ? error.message : 'Failed to record scan',
+        variant: 'destructive',
+      });
+    } finally {
+      setBarcode('');
+      setIsScanning(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  const scanFromPhoto = async () => {
+    if (!imageFile) return;
+    setIsScanning(true);
+
+    try {
+      const result = await inventoryAPI.processProductImage(await readAsBase64(imageFile));
+      const [code] = result.data?.barcodes || [];
+      if (!code) {
+        throw new Error('No readable EAN/UPC barcode found in the photo');
+      }
+      setIsScanning(false);
+      await submitScan(code);
+    } catch (error) {
+      toast({
+        title: 'Barcode not read',
+        description: error instanceof Error ? error.message : 'Failed to read barcode',
+        variant: 'destructive',
+      });
+      setIsScanning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-4 border rounded-lg">
+      <div className="flex items-center gap-2">
+        <ScanLine className="h-5 w-5" />
+        <h4 className="font-medium">Scan Mode</h4>
+      </div>
+
+      <div className="flex gap-2">
+        <Button
+          variant={direction === 'in' ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => setDirection('in')}
+        >
+          <ArrowDownToLine className="h-4 w-4 mr-2" />
+          Scan In
+        </Button>
+        <Button
+          variant={direction === 'out' ? 'default' : 'outline'}
+          size="sm"
+          onClick={() => setDirection('out')}
+        >
+          <ArrowUpFromLine className="h-4 w-4 mr-2" />
+          Scan Out
+        </Button>
+      </div>
+
+      <div className="flex gap-2">
+        <Input
+          ref={inputRef}
+          value={barcode}
+          onChange={(e) => setBarcode(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitScan(barcode);
+          }}
+          placeholder="Scan or type a barcode"
+          disabled={isScanning}
+          autoFocus
+        />
+        <Input
+          type="number"
+          min={1}
+          value={quantity}
+          onChange={(e) => setQuantity(Math.max(1, Number(e.target.value) || 1))}
+          className="w-20"
+          disabled={isScanning}
+        />
+        <Button onClick={() => submitScan(barcode)} disabled={isScanning || !barcode.trim()}>
+          {isScanning ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Record'}
+        </Button>
+      </div>
+
+      {imageFile && (
+        <Button variant="outline" size="sm" onClick={scanFromPhoto} disabled={isScanning}>
+          <ScanLine className="h-4 w-4 mr-2" />
+          Read barcode from photo
+        </Button>
+      )}
+
+      {recent.length > 0 && (
+        <div className="space-y-1 max-h-40 overflow-y-auto">
+          {recent.map((entry, index) => (
+            <div key={index} className="flex justify-between items-center text-sm p-2 bg-white rounded border">
+              <span>{entry.product_name}</span>
+              <span className="text-muted-foreground">{entry.barcode}</span>
+              <Badge variant={entry.direction === 'in' ? 'default' : 'secondary'}>
+                {entry.direction === 'in' ? '+' : '-'}{entry.quantity}
+              </Badge>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -6,6 +6,7 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Input } from '@/components/ui/input';
 import { Camera, Upload, Image as ImageIcon, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import { BarcodeScanPanel } from './BarcodeScanPanel';
 
 interface ExtractedData {
   product_name?: string;
@@ -333,6 +334,9 @@ export const ImageInventoryInput: React.FC<ImageInventoryInputProps> = ({
           <ProcessingResults result={processingResult} />
         )}
 
+        {/* Barcode scan-in / scan-out */}
+        <BarcodeScanPanel imageFile={selectedImage} />
+
         {/* Usage Tips */}
         <Alert>
           <AlertCircle className="h-4 w-4" />
@@ -343,6 +347,7 @@ export const ImageInventoryInput: React.FC<ImageInventoryInputProps> = ({
               <li>Receipts/Bills - Auto-update inventory from purchases</li>
               <li>Invoices - Process supplier deliveries</li>
               <li>Inventory lists - Bulk import current stock levels</li>
+              <li>Barcodes - Scan EAN/UPC codes to move stock in or out in one step</li>
             </ul>
           </AlertDescription>
         </Alert>
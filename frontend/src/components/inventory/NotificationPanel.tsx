@@ -5,7 +5,7 @@ import { Badge } from '@/components/ui/badge';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { 
   Bell, BellRing, Package, AlertTriangle, TrendingUp, 
-  X, Trash2, Wifi, WifiOff 
+  X, Trash2, Wifi, WifiOff, Wallet, Repeat, Clock 
 } from 'lucide-react';
 import { useRealTimeNotifications } from '@/hooks/useRealTimeNotifications';
 
@@ -30,6 +30,9 @@ export const NotificationPanel: React.FC<NotificationPanelProps> = ({
       case 'low_stock': return <AlertTriangle className="h-4 w-4 text-red-500" />;
       case 'stock_update': return <Package className="h-4 w-4 text-blue-500" />;
       case 'reorder_recommendation': return <TrendingUp className="h-4 w-4 text-orange-500" />;
+      case 'budget_overspend': return <Wallet className="h-4 w-4 text-purple-500" />;
+      case 'recurring_posted': return <Repeat className="h-4 w-4 text-green-500" />;
+      case 'expiry_alert': return <Clock className="h-4 w-4 text-amber-500" />;
       default: return <Bell className="h-4 w-4 text-gray-500" />;
     }
   };
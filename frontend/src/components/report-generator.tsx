@@ -2,9 +2,9 @@ import { useState } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { FileText, Download, TrendingUp, DollarSign, PiggyBank, BarChart3 } from "lucide-react";
+import { FileText, Download, TrendingUp, DollarSign, PiggyBank, BarChart3, Scale, Wallet } from "lucide-react";
 import jsPDF from "jspdf";
-import { profileAPI, chatAPI, handleAPIError } from "@/lib/api";
+import { profileAPI, chatAPI, reportsAPI, handleAPIError } from "@/lib/api";
 import { useToast } from "@/hooks/use-toast";
 
 interface MonthlyDataItem {
@@ -37,6 +37,76 @@ interface ReportGeneratorProps {
   businessData: BusinessData;
 }
 
+interface StatementLine {
+  label: string;
+  amount: number;
+}
+
+interface StatementSection {
+  title: string;
+  lines: StatementLine[];
+  total: StatementLine;
+}
+
+interface FinancialStatement {
+  title: string;
+  sections: StatementSection[];
+  summary: Record<string, number | boolean>;
+}
+
+type StatementKey = 'profit_and_loss' | 'balance_sheet' | 'cash_flow';
+
+// Statements cover the current month to date
+const getStatementPeriod = () => {
+  const today = new Date().toISOString().split('T')[0];
+  return { from: `${today.substring(0, 7)}-01`, to: today };
+};
+
+const formatStatementAmount = (amount: number) =>
+  amount < 0 ? `(₹${Math.abs(amount).toLocaleString()})` : `₹${amount.toLocaleString()}`;
+
+const fetchStatement = async (key: StatementKey): Promise<FinancialStatement> => {
+  const { from, to } = getStatementPeriod();
+  const response = await reportsAPI.getStatements(from, to, [key]);
+  return response.data[key];
+};
+
+// Print a statement returned by /api/reports/statements, adding pages as needed. Returns the next y position.
+const printStatement = (pdf: jsPDF, statement: FinancialStatement, startY: number) => {
+  let y = startY;
+  const nextLine = (step: number) => {
+    y += step;
+    if (y > 280) {
+      pdf.addPage();
+      y = 20;
+    }
+  };
+
+  pdf.setFontSize(16);
+  pdf.text(statement.title, 20, y);
+  nextLine(12);
+
+  for (const section of statement.sections) {
+    pdf.setFontSize(13);
+    pdf.text(section.title, 20, y);
+    nextLine(9);
+
+    pdf.setFontSize(11);
+    for (const line of section.lines) {
+      pdf.text(line.label, 30, y);
+      pdf.text(formatStatementAmount(line.amount), 150, y);
+      nextLine(8);
+    }
+
+    pdf.setFontSize(12);
+    pdf.text(section.total.label, 25, y);
+    pdf.text(formatStatementAmount(section.total.amount), 150, y);
+    nextLine(12);
+  }
+
+  return y;
+};
+
 export function ReportGenerator({ businessData }: ReportGeneratorProps) {
   const [isGenerating, setIsGenerating] = useState(false);
   const { toast } = useToast();
@@ -70,26 +140,25 @@ export function ReportGenerator({ businessData }: ReportGeneratorProps) {
       pdf.text(`Profit Margin: ${businessData.profitMargin}% (Industry avg: 12%)`, 20, 150);
       pdf.text(`Financial Health Score: ${businessData.healthScore}/100`, 20, 165);
       
-      // AI-Generated Insights
-      pdf.setFontSize(16);
-      pdf.text("AI-Generated Strategic Insights", 20, 190);
-      
-      pdf.setFontSize(12);
-      pdf.text("1. Automated inventory optimization - ₹18,000/month potential", 20, 210);
-      pdf.text("2. AI-suggested cost reduction areas - ₹12,000/month", 20, 225);
-      pdf.text("3. Market opportunity analysis - 15% growth potential", 20, 240);
-      pdf.text("4. Predictive cash flow management optimization", 20, 255);
-      
-      // AI Confidence and Next Steps
-      pdf.setFontSize(14);
-      pdf.text("AI Confidence: 89% | Next Review: 30 days", 20, 275);
-      
+      // Financial statements for the month to date
+      const { from, to } = getStatementPeriod();
+      const { data: statements } = await reportsAPI.getStatements(from, to);
+
+      pdf.addPage();
       pdf.setFontSize(10);
-      pdf.text("Generated by VirtualCFO AI - Real business data analysis.", 20, 285);
+      pdf.text(`Period: ${from} to ${to}`, 20, 15);
+      let y = printStatement(pdf, statements.profit_and_loss, 30);
+      y = printStatement(pdf, statements.balance_sheet, y + 5);
+      printStatement(pdf, statements.cash_flow, y + 5);
       
       pdf.save(`${businessData.companyName}_AI_Financial_Report.pdf`);
     } catch (error) {
       console.error('Error generating complete report:', error);
+      toast({
+        title: "Report Generation Error",
+        description: handleAPIError(error),
+        variant: "destructive"
+      });
     } finally {
       setIsGenerating(false);
     }
@@ -133,6 +202,12 @@ export function ReportGenerator({ businessData }: ReportGeneratorProps) {
       case "Profit & Loss Statement":
         await generateRealPLStatement(pdf);
         break;
+      case "Balance Sheet":
+        printStatement(pdf, await fetchStatement('balance_sheet'), 85);
+        break;
+      case "Cash Flow Statement":
+        printStatement(pdf, await fetchStatement('cash_flow'), 85);
+        break;
       case "Cash Flow Forecast":
         await generateRealCashFlowForecast(pdf);
         break;
@@ -152,33 +227,12 @@ export function ReportGenerator({ businessData }: ReportGeneratorProps) {
 
   // Real API-based report generation functions
   const generateRealPLStatement = async (pdf: jsPDF) => {
-    // TODO: Fetch real P&L data from API
-    // const plData = await profileAPI.getPLStatement();
-    
-    pdf.setFontSize(16);
-    pdf.text("Revenue (Live Data)", 20, 85);
-    
-    pdf.setFontSize(12);
-    pdf.text(`Gross Revenue: ₹${businessData.monthlyRevenue.toLocaleString()}`, 20, 105);
-    pdf.text(`Product Sales: ₹${(businessData.monthlyRevenue * 0.75).toLocaleString()}`, 20, 120);
-    pdf.text(`Service Revenue: ₹${(businessData.monthlyRevenue * 0.25).toLocaleString()}`, 20, 135);
-    
-    pdf.setFontSize(16);
-    pdf.text("Expenses (Live Data)", 20, 160);
-    
-    pdf.setFontSize(12);
-    pdf.text(`Cost of Goods Sold: ₹${(businessData.monthlyExpenses * 0.65).toLocaleString()}`, 20, 180);
-    pdf.text(`Operating Expenses: ₹${(businessData.monthlyExpenses * 0.25).toLocaleString()}`, 20, 195);
-    pdf.text(`Administrative Costs: ₹${(businessData.monthlyExpenses * 0.1).toLocaleString()}`, 20, 210);
-    
-    pdf.setFontSize(16);
-    pdf.text("AI-Generated Insights", 20, 235);
-    
+    const statement = await fetchStatement('profit_and_loss');
+    const y = printStatement(pdf, statement, 85);
+
     pdf.setFontSize(12);
-    const netProfit = businessData.monthlyRevenue - businessData.monthlyExpenses;
-    pdf.text(`Net Profit: ₹${netProfit.toLocaleString()}`, 20, 255);
-    pdf.text(`Profit Margin: ${businessData.profitMargin}%`, 20, 270);
-    pdf.text(`AI Recommendation: Optimize high-cost categories`, 20, 285);
+    pdf.text(`Net Profit: ${formatStatementAmount(Number(statement.summary.net_profit))}`, 20, y);
+    pdf.text(`Net Margin: ${statement.summary.net_margin}%`, 20, y + 10);
   };
 
   const generateRealCashFlowForecast = async (pdf: jsPDF) => {
@@ -283,6 +337,20 @@ export function ReportGenerator({ businessData }: ReportGeneratorProps) {
       status: "Ready to generate",
       color: "bg-success/10 text-success border-success/20"
     },
+    {
+      title: "Balance Sheet",
+      description: "Assets, liabilities and equity with stock valuation",
+      icon: Scale,
+      status: "Ready to generate",
+      color: "bg-primary/10 text-primary border-primary/20"
+    },
+    {
+      title: "Cash Flow Statement",
+      description: "Indirect-method cash flow for the month",
+      icon: Wallet,
+      status: "Ready to generate",
+      color: "bg-success/10 text-success border-success/20"
+    },
     {
       title: "Cash Flow Forecast",
       description: "AI-powered 3-month forecast",
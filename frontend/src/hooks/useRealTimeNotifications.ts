@@ -83,6 +83,26 @@ export const useRealTimeNotifications = (userId?: string) => {
         });
       });
 
+      eventSource.addEventListener('budget_overspend', (event) => {
+        const data = JSON.parse(event.data);
+        toast({
+          title: data.priority === 'high' ? "💸 Budget Exceeded" : "💰 Budget Nearly Spent",
+          description: data.message,
+          variant: data.priority === 'high' ? "destructive" : "default",
+          duration: 8000
+        });
+      });
+
+      eventSource.addEventListener('expiry_alert', (event) => {
+        const data = JSON.parse(event.data);
+        toast({
+          title: data.priority === 'high' ? "⏰ Expired Stock" : "⏳ Stock Expiring Soon",
+          description: data.message,
+          variant: data.priority === 'high' ? "destructive" : "default",
+          duration: 8000
+        });
+      });
+
       eventSource.onerror = (error) => {
         console.error('SSE error:', error);
         setIsConnected(false);
@@ -86,6 +86,7 @@ export const profileAPI = {
     monthly_revenue: number;
     monthly_expenses: number;
     preferred_language: string;
+    inventory_costing_method?: 'fifo' | 'weighted_average';
   }) => {
     try {
       // Try backend API first
@@ -224,6 +225,49 @@ export const documentAPI = {
   },
 };
 
+// A data lookup the assistant made while answering, and what came back
+export interface ChatToolEvent {
+  type: 'tool_call' | 'tool_result';
+  id: string;
+  name: string;
+  arguments?: string;
+  ok?: boolean;
+  result?: unknown;
+  error?: string;
+  timestamp: string;
+}
+
+// A conversation thread from GET /api/ai/conversations
+export interface ConversationThread {
+  id: string;
+  conversation_id: string;
+  title: string;
+  title_source: 'auto' | 'user';
+  pinned: boolean;
+  archived: boolean;
+  created_at: string;
+  updated_at: string;
+  last_message: string;
+  last_message_at: string;
+  message_count: number;
+}
+
+export interface ConversationSearchResult {
+  thread: ConversationThread;
+  title_match: boolean;
+  matches: { message_id: string; message_type: 'user' | 'ai'; snippet: string; created_at: string }[];
+}
+
+// Export JSON from GET /api/ai/conversations/:id/export; render with generateConversationPdf
+export interface ConversationExport {
+  title: string;
+  conversation_id: string;
+  created_at: string;
+  exported_at: string;
+  messages: { role: 'user' | 'assistant'; content: string; created_at: string }[];
+  markdown: string;
+}
+
 // AI Chat API
 export const chatAPI = {
   // Send chat message with Graph RAG
@@ -234,45 +278,63 @@ export const chatAPI = {
     });
   },
 
-  // Stream AI response with SSE
+  // Stream AI response with SSE. The assistant looks figures up with read-only data tools; each lookup
+  // arrives as a tool_call event and its result as a tool_result event, between the text tokens.
+  // Pass conversationId to continue an earlier thread with its messages as context.
   streamAIResponse: async (
     prompt: string,
     onToken: (token: { text: string; tokenCount: number; timestamp: string }) => void,
     onMeta?: (meta: any) => void,
     onError?: (error: string) => void,
-    signal?: AbortSignal
+    signal?: AbortSignal,
+    onToolEvent?: (event: ChatToolEvent) => void,
+    conversationId?: string
   ): Promise<void> => {
-    // Use Graph RAG chat endpoint instead of streaming for embeddings
     try {
-      const response = await chatAPI.sendMessage(prompt);
-      
-      // Simulate streaming by sending the response in chunks
-      const text = response.data.message;
-      const words = text.split(' ');
-      
-      for (let i = 0; i < words.length; i++) {
-        if (signal?.aborted) break;
-        
-        const chunk = words[i] + ' ';
-        onToken({
-          text: chunk,
-          tokenCount: i + 1,
-          timestamp: new Date().toISOString()
-        });
-        
-        // Small delay to simulate streaming
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-      
-      // Send completion metadata
-      onMeta?.({
-        totalTokens: words.length,
-        model: 'gpt-4o-mini',
-        contextUsed: response.data.context_used,
-        conversation_id: response.data.conversation_id
+      const token = await getAuthToken();
+      const response = await fetch(`${API_BASE_URL}/api/ai/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: JSON.stringify({ prompt, ...(conversationId && { conversation_id: conversationId }) }),
+        signal,
       });
-      
+
+      if (!response.ok || !response.body) {
+        const errorData = await response.json().catch(() => ({ error: 'Network error' }));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const dispatch = (block: string) => {
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const dataLine = block.match(/^data: (.*)$/m)?.[1];
+        if (!event || !dataLine) return;
+        const data = JSON.parse(dataLine);
+
+        if (event === 'token') onToken(data);
+        else if (event === 'tool_call' || event === 'tool_result') onToolEvent?.({ type: event, ...data });
+        else if (event === 'meta') onMeta?.(data);
+        else if (event === 'error') onError?.(data.error);
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || '';
+        blocks.forEach(dispatch);
+      }
+      if (buffer.trim()) dispatch(buffer);
     } catch (error) {
+      if (signal?.aborted) return;
       onError?.(error instanceof Error ? error.message : String(error));
     }
   },
@@ -292,13 +354,189 @@ export const chatAPI = {
     return apiCall(`/api/chat/history${queryString ? '?' + queryString : ''}`);
   },
 
+  // Conversation threads, pinned first; archived=true lists the archive
+  getConversations: async (archived = false) => {
+    return apiCall(`/api/ai/conversations${archived ? '?archived=true' : ''}`);
+  },
+
+  // Full-text search across past messages and thread titles
+  searchConversations: async (query: string) => {
+    return apiCall(`/api/ai/conversations/search?q=${encodeURIComponent(query)}`);
+  },
+
+  // One thread with all its messages
+  getConversation: async (conversationId: string) => {
+    return apiCall(`/api/ai/conversations/${conversationId}`);
+  },
+
+  // Rename, pin or archive a thread
+  updateConversation: async (conversationId: string, changes: { title?: string; pinned?: boolean; archived?: boolean }) => {
+    return apiCall(`/api/ai/conversations/${conversationId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  deleteConversation: async (conversationId: string) => {
+    return apiCall(`/api/ai/conversations/${conversationId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Export JSON with the thread as Markdown; render a PDF with generateConversationPdf from "@/lib/conversation-export"
+  exportConversation: async (conversationId: string) => {
+    return apiCall(`/api/ai/conversations/${conversationId}/export`);
+  },
+
   // Get knowledge graph visualization data
   getKnowledgeGraph: async (limit?: number) => {
+    return knowledgeAPI.getGraph(limit);
+  },
+};
+
+// A fact the assistant learned, from GET /api/knowledge/entities
+export interface KnowledgeEntity {
+  id: string;
+  conversation_id: string | null;
+  source_conversation_ids?: string[] | null;
+  document_id?: string | null;
+  entity_name: string;
+  entity_type: string;
+  category?: string | null;
+  context?: string | null;
+  // Amount or quantity the fact states, its unit and the date it applies to
+  entity_value?: string | null;
+  value_unit?: string | null;
+  entity_date?: string | null;
+  confidence: number;
+  // How sure the extractor was that the text states this
+  extraction_confidence?: number | null;
+  tier?: number | null;
+  extraction_method?: string | null;
+  pinned: boolean;
+  created_at: string;
+  updated_at?: string | null;
+}
+
+export interface KnowledgeRelationship {
+  id: string;
+  from_entity: string;
+  to_entity: string;
+  relationship_type: string;
+  strength: number;
+  context?: unknown;
+  conversation_id: string | null;
+  pinned: boolean;
+  created_at: string;
+}
+
+// A conversation a fact was learned from
+export interface KnowledgeSource {
+  conversation_id: string;
+  title: string | null;
+  context: string | null;
+  first_seen_at: string;
+}
+
+// Entities with the same name are folded into one node; edges join node keys
+export interface KnowledgeGraphNode {
+  id: string;
+  key: string;
+  label: string;
+  type: string;
+  category?: string | null;
+  confidence: number;
+  pinned: boolean;
+  entity_ids: string[];
+  mentions: number;
+}
+
+export interface KnowledgeGraphEdge {
+  id: string;
+  source: string;
+  target: string;
+  type: string;
+  strength: number;
+  pinned: boolean;
+}
+
+export interface KnowledgeGraph {
+  nodes: KnowledgeGraphNode[];
+  edges: KnowledgeGraphEdge[];
+  stats: { entities: number; distinct_entities: number; relationships: number; pinned: number };
+}
+
+// Knowledge graph API - Review, correct and pin what the assistant remembers
+export const knowledgeAPI = {
+  getGraph: async (limit?: number) => {
+    return apiCall(`/api/knowledge/graph${limit ? `?limit=${limit}` : ''}`);
+  },
+
+  listEntities: async (filters: { q?: string; type?: string; pinned?: boolean; limit?: number; offset?: number } = {}) => {
     const params = new URLSearchParams();
-    if (limit) params.append('limit', limit.toString());
-    
-    const queryString = params.toString();
-    return apiCall(`/api/chat/knowledge-graph${queryString ? '?' + queryString : ''}`);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.append(key, String(value));
+    });
+    return apiCall(`/api/knowledge/entities${params.toString() ? `?${params}` : ''}`);
+  },
+
+  // Keyword plus semantic search
+  searchEntities: async (query: string, limit?: number) => {
+    return apiCall(`/api/knowledge/search?q=${encodeURIComponent(query)}${limit ? `&limit=${limit}` : ''}`);
+  },
+
+  // The entity with its relationships and source conversations
+  getEntity: async (id: string) => {
+    return apiCall(`/api/knowledge/entities/${id}`);
+  },
+
+  updateEntity: async (
+    id: string,
+    changes: { entity_name?: string; entity_type?: string; category?: string; context?: string; confidence?: number; pinned?: boolean }
+  ) => {
+    return apiCall(`/api/knowledge/entities/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  // Fold the source entities into the target; the sources are deleted
+  mergeEntities: async (targetId: string, sourceIds: string[]) => {
+    return apiCall('/api/knowledge/entities/merge', {
+      method: 'POST',
+      body: JSON.stringify({ target_id: targetId, source_ids: sourceIds }),
+    });
+  },
+
+  deleteEntity: async (id: string) => {
+    return apiCall(`/api/knowledge/entities/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  listRelationships: async (filters: { entity?: string; type?: string; pinned?: boolean; limit?: number; offset?: number } = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.append(key, String(value));
+    });
+    return apiCall(`/api/knowledge/relationships${params.toString() ? `?${params}` : ''}`);
+  },
+
+  getRelationship: async (id: string) => {
+    return apiCall(`/api/knowledge/relationships/${id}`);
+  },
+
+  updateRelationship: async (id: string, changes: { relationship_type?: string; strength?: number; pinned?: boolean }) => {
+    return apiCall(`/api/knowledge/relationships/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  deleteRelationship: async (id: string) => {
+    return apiCall(`/api/knowledge/relationships/${id}`, {
+      method: 'DELETE',
+    });
   },
 };
 
@@ -763,6 +1001,31 @@ export const metricsAPI = {
   },
 };
 
+// Null clears a level so the item falls back to levels suggested from its usage
+export interface InventoryLevelsInput {
+  reorder_level?: number | null;
+  max_level?: number | null;
+  safety_stock?: number | null;
+  lead_time_days?: number | null;
+  reorder_quantity?: number | null;
+}
+
+export interface InventoryLocationInput {
+  name: string;
+  type?: 'shop' | 'storeroom' | 'warehouse' | 'other';
+  code?: string;
+  address?: string;
+  notes?: string;
+  is_default?: boolean;
+}
+
+// How many of `per_unit` (default: the item's base unit) one pack holds, e.g. { unit: 'carton', quantity: 12, per_unit: 'pack' }
+export interface InventoryPackSize {
+  unit: string;
+  quantity: number;
+  per_unit?: string;
+}
+
 // Inventory API
 export const inventoryAPI = {
   // Get inventory data for AI assistant
@@ -785,6 +1048,7 @@ export const inventoryAPI = {
     aliases?: string[];
     custom_attributes?: any;
     notes?: string;
+    barcode?: string | null;
   }) => {
     return apiCall('/api/inventory/items', {
       method: 'POST',
@@ -810,8 +1074,17 @@ export const inventoryAPI = {
     product_name?: string;
     direction: 'in' | 'out';
     quantity: number;
+    // Unit quantity and unit_cost are in; stored converted to the item's base unit
+    unit?: string;
+    unit_cost?: number;
     source?: string;
     reference_id?: string;
+    location_id?: string;
+    // Stock in: the batch it belongs to. Stock out: a batch to draw from first (otherwise FEFO)
+    batch_number?: string;
+    expiry_date?: string;
+    manufactured_date?: string;
+    batch_id?: string;
     metadata?: any;
   }) => {
     return apiCall('/api/inventory/movements', {
@@ -829,6 +1102,217 @@ export const inventoryAPI = {
     return apiCall('/api/inventory/insights');
   },
 
+  // Stock value from open cost layers; method defaults to the profile's costing method
+  getValuation: async (options: { asOf?: string; method?: 'fifo' | 'weighted_average' } = {}) => {
+    const params = new URLSearchParams();
+    if (options.asOf) params.append('as_of', options.asOf);
+    if (options.method) params.append('method', options.method);
+    return apiCall(`/api/inventory/valuation?${params.toString()}`);
+  },
+
+  getCostOfGoodsSold: async (from: string, to: string, method?: 'fifo' | 'weighted_average') => {
+    const params = new URLSearchParams({ from, to });
+    if (method) params.append('method', method);
+    return apiCall(`/api/inventory/valuation/cogs?${params.toString()}`);
+  },
+
+  setCostingMethod: async (method: 'fifo' | 'weighted_average') => {
+    return apiCall('/api/inventory/valuation/method', {
+      method: 'PUT',
+      body: JSON.stringify({ method }),
+    });
+  },
+
+  // Reorder levels: saved, suggested from usage, and the ones in effect
+  getReorderLevels: async () => {
+    return apiCall('/api/inventory/reorder-levels');
+  },
+
+  applySuggestedLevels: async (options: { item_ids?: string[]; overwrite_manual?: boolean } = {}) => {
+    return apiCall('/api/inventory/reorder-levels/apply', {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  getItemLevels: async (itemId: string) => {
+    return apiCall(`/api/inventory/items/${itemId}/levels`);
+  },
+
+  updateItemLevels: async (itemId: string, levels: InventoryLevelsInput) => {
+    return apiCall(`/api/inventory/items/${itemId}/levels`, {
+      method: 'PUT',
+      body: JSON.stringify(levels),
+    });
+  },
+
+  // Stock locations; movements without a location_id go to the default location
+  getLocations: async (includeInactive = false) => {
+    return apiCall(`/api/inventory/locations${includeInactive ? '?include_inactive=true' : ''}`);
+  },
+
+  createLocation: async (location: InventoryLocationInput) => {
+    return apiCall('/api/inventory/locations', {
+      method: 'POST',
+      body: JSON.stringify(location),
+    });
+  },
+
+  updateLocation: async (id: string, changes: Partial<InventoryLocationInput> & { is_active?: boolean }) => {
+    return apiCall(`/api/inventory/locations/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  deleteLocation: async (id: string) => {
+    return apiCall(`/api/inventory/locations/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getLocationStock: async (id: string) => {
+    return apiCall(`/api/inventory/locations/${id}/stock`);
+  },
+
+  getTransfers: async (filters: { item_id?: string; location_id?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.item_id) params.append('item_id', filters.item_id);
+    if (filters.location_id) params.append('location_id', filters.location_id);
+    return apiCall(`/api/inventory/transfers?${params.toString()}`);
+  },
+
+  transferStock: async (transfer: {
+    item_id: string;
+    from_location_id: string;
+    to_location_id: string;
+    quantity: number;
+    unit?: string;
+    notes?: string;
+    allow_negative?: boolean;
+  }) => {
+    return apiCall('/api/inventory/transfers', {
+      method: 'POST',
+      body: JSON.stringify(transfer),
+    });
+  },
+
+  // Batches (lots) with expiry dates, in first-expiry-first-out order
+  getBatches: async (filters: { item_id?: string; location_id?: string; include_empty?: boolean } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.item_id) params.append('item_id', filters.item_id);
+    if (filters.location_id) params.append('location_id', filters.location_id);
+    if (filters.include_empty) params.append('include_empty', 'true');
+    return apiCall(`/api/inventory/batches?${params.toString()}`);
+  },
+
+  getExpiringBatches: async (options: { days?: number; location_id?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (options.days) params.append('days', String(options.days));
+    if (options.location_id) params.append('location_id', options.location_id);
+    return apiCall(`/api/inventory/batches/expiring?${params.toString()}`);
+  },
+
+  updateBatch: async (id: string, changes: { batch_number?: string; expiry_date?: string | null; manufactured_date?: string | null }) => {
+    return apiCall(`/api/inventory/batches/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  // Units of measure; stock is kept in each item's base unit
+  getUnits: async () => {
+    return apiCall('/api/inventory/units');
+  },
+
+  updateItemUnits: async (itemId: string, units: { unit?: string; pack_sizes?: InventoryPackSize[] }) => {
+    return apiCall(`/api/inventory/items/${itemId}/units`, {
+      method: 'PUT',
+      body: JSON.stringify(units),
+    });
+  },
+
+  convertQuantity: async (itemId: string, quantity: number, unit: string) => {
+    return apiCall('/api/inventory/units/convert', {
+      method: 'POST',
+      body: JSON.stringify({ item_id: itemId, quantity, unit }),
+    });
+  },
+
+  // Barcodes (EAN-13, UPC-A, EAN-8 or shop labels) on items and in the product catalogue
+  lookupBarcode: async (code: string) => {
+    return apiCall(`/api/inventory/barcodes/${encodeURIComponent(code)}`);
+  },
+
+  setItemBarcode: async (itemId: string, barcode: string | null) => {
+    return apiCall(`/api/inventory/items/${itemId}/barcode`, {
+      method: 'PUT',
+      body: JSON.stringify({ barcode }),
+    });
+  },
+
+  // One scan records one stock movement; a catalogue product is added to inventory on its first scan-in
+  scanMovement: async (scan: {
+    barcode: string;
+    direction: 'in' | 'out';
+    quantity?: number;
+    unit?: string;
+    unit_cost?: number;
+    location_id?: string;
+    create_item?: boolean;
+  }) => {
+    return apiCall('/api/inventory/scan', {
+      method: 'POST',
+      body: JSON.stringify(scan),
+    });
+  },
+
+  // Product photo: name, brand and unit suggestions plus any EAN/UPC read off the pack (nothing is written)
+  processProductImage: async (imageBase64: string) => {
+    return apiCall('/api/multimodal/inventory/product-image', {
+      method: 'POST',
+      body: JSON.stringify({ imageBase64 }),
+    });
+  },
+
+  searchProductCatalogue: async (search = '', limit = 20) => {
+    const params = new URLSearchParams({ search, limit: String(limit) });
+    return apiCall(`/api/inventory/barcodes/catalogue?${params.toString()}`);
+  },
+
+  seedProductCatalogue: async () => {
+    return apiCall('/api/inventory/barcodes/catalogue/seed', {
+      method: 'POST',
+    });
+  },
+
+  // Corrections: a movement is reversed (or reversed and recorded again) with a reason, never changed in place
+  reverseMovement: async (movementId: string, reason: string) => {
+    return apiCall(`/api/inventory/movements/${movementId}/reverse`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  editMovement: async (movementId: string, changes: {
+    reason: string;
+    quantity?: number;
+    unit?: string;
+    unit_cost?: number;
+    item_id?: string;
+    location_id?: string;
+  }) => {
+    return apiCall(`/api/inventory/movements/${movementId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  // Who or what changed the item's stock (manual, voice, image, barcode, PO...), with any corrections
+  getItemAudit: async (itemId: string) => {
+    return apiCall(`/api/inventory/items/${itemId}/audit`);
+  },
+
   // === ADVANCED DYNAMIC INVENTORY FEATURES ===
 
   // Voice command processing
@@ -1251,6 +1735,790 @@ export const revenueAPI = {
   getRevenueInsights: async (month: string) => {
     return apiCall(`/api/revenue/insight?month=${month}`);
   },
+
+  // Get GST output tax, input tax credit and net liability
+  getGstSummary: async (month: string) => {
+    return apiCall(`/api/revenue/gst-summary?month=${month}`);
+  },
+
+  // Get GSTR-1 / GSTR-3B style JSON export
+  getGstReturn: async (returnType: 'gstr1' | 'gstr3b', month: string) => {
+    return apiCall(`/api/revenue/gst-returns/${returnType}?month=${month}`);
+  },
+
+  // Tag an earnings entry with HSN/SAC, GST rate and place of supply
+  updateEarningGst: async (earningId: string, gstDetails: {
+    gst_rate: number;
+    supply_type?: 'outward' | 'inward';
+    hsn_sac_code?: string;
+    taxable_value?: number;
+    tax_inclusive?: boolean;
+    place_of_supply?: string;
+    counterparty_gstin?: string;
+    invoice_number?: string;
+  }) => {
+    return apiCall(`/api/revenue/earnings/${earningId}/gst`, {
+      method: 'PATCH',
+      body: JSON.stringify(gstDetails),
+    });
+  },
+};
+
+// General ledger API
+export const ledgerAPI = {
+  // Get chart of accounts
+  getAccounts: async () => {
+    return apiCall('/api/ledger/accounts');
+  },
+
+  // Get journal entries with their lines
+  getJournal: async (filters: { from?: string; to?: string; source_type?: string; account_code?: string; page?: number; limit?: number } = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, String(value));
+    });
+    const queryString = params.toString();
+    return apiCall(`/api/ledger/journal${queryString ? '?' + queryString : ''}`);
+  },
+
+  // Post a balanced manual journal entry
+  createJournalEntry: async (entry: {
+    entry_date?: string;
+    description: string;
+    lines: { account_code: string; debit?: number; credit?: number; memo?: string }[];
+  }) => {
+    return apiCall('/api/ledger/journal', {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+  },
+
+  // Get trial balance as of a date (defaults to today)
+  getTrialBalance: async (asOf?: string) => {
+    return apiCall(`/api/ledger/trial-balance${asOf ? `?as_of=${asOf}` : ''}`);
+  },
+
+  // Post earnings entries that are not yet in the ledger
+  syncEarnings: async () => {
+    return apiCall('/api/ledger/sync', { method: 'POST' });
+  },
+};
+
+// Financial statements API
+export const reportsAPI = {
+  // Get P&L, balance sheet and cash flow statement for a date range
+  getStatements: async (
+    from: string,
+    to: string,
+    statements?: ('profit_and_loss' | 'balance_sheet' | 'cash_flow')[]
+  ) => {
+    const params = new URLSearchParams({ from, to });
+    if (statements?.length) params.append('statements', statements.join(','));
+    return apiCall(`/api/reports/statements?${params.toString()}`);
+  },
+};
+
+// Bank statement import API
+export const bankAPI = {
+  // Supported formats and CSV column profiles
+  getProfiles: async () => {
+    return apiCall('/api/bank/profiles');
+  },
+
+  // Import a CSV/OFX/MT940 statement; preview parses and dedupes without saving
+  importStatement: async (
+    file: File,
+    options: { format?: 'csv' | 'ofx' | 'mt940'; profile?: string; accountName?: string; preview?: boolean } = {}
+  ) => {
+    const formData = new FormData();
+    formData.append('statement', file);
+    if (options.format) formData.append('format', options.format);
+    if (options.profile) formData.append('profile', options.profile);
+    if (options.accountName) formData.append('account_name', options.accountName);
+    if (options.preview) formData.append('preview', 'true');
+
+    return apiCall('/api/bank/import', {
+      method: 'POST',
+      body: formData,
+      headers: {} // Remove Content-Type to let browser set it for FormData
+    });
+  },
+
+  getImports: async () => {
+    return apiCall('/api/bank/imports');
+  },
+
+  getTransactions: async (filters: { importId?: string; status?: string; from?: string; to?: string; page?: number; limit?: number } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.importId) params.append('import_id', filters.importId);
+    if (filters.status) params.append('status', filters.status);
+    if (filters.from) params.append('from', filters.from);
+    if (filters.to) params.append('to', filters.to);
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    return apiCall(`/api/bank/transactions?${params.toString()}`);
+  },
+
+  // Recategorise an imported line; the correction is used for future imports
+  updateCategory: async (transactionId: string, transactionCategory: string) => {
+    return apiCall(`/api/bank/transactions/${transactionId}/category`, {
+      method: 'PATCH',
+      body: JSON.stringify({ transaction_category: transactionCategory }),
+    });
+  },
+};
+
+// Bank reconciliation API
+export const reconciliationAPI = {
+  // Suggested earnings/document matches for unreconciled bank lines
+  getProposals: async (from?: string, to?: string, windowDays?: number) => {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (windowDays !== undefined) params.append('window_days', windowDays.toString());
+    return apiCall(`/api/reconciliation/proposals?${params.toString()}`);
+  },
+
+  accept: async (bankTransactionId: string, match: { earningId?: string; documentId?: string }) => {
+    return apiCall('/api/reconciliation/accept', {
+      method: 'POST',
+      body: JSON.stringify({
+        bank_transaction_id: bankTransactionId,
+        earning_id: match.earningId,
+        document_id: match.documentId,
+      }),
+    });
+  },
+
+  split: async (
+    bankTransactionId: string,
+    allocations: { earningId?: string; documentId?: string; amount: number }[]
+  ) => {
+    return apiCall('/api/reconciliation/split', {
+      method: 'POST',
+      body: JSON.stringify({
+        bank_transaction_id: bankTransactionId,
+        allocations: allocations.map((a) => ({ earning_id: a.earningId, document_id: a.documentId, amount: a.amount })),
+      }),
+    });
+  },
+
+  ignore: async (bankTransactionId: string, reason?: string) => {
+    return apiCall('/api/reconciliation/ignore', {
+      method: 'POST',
+      body: JSON.stringify({ bank_transaction_id: bankTransactionId, reason }),
+    });
+  },
+
+  reset: async (bankTransactionId: string) => {
+    return apiCall('/api/reconciliation/reset', {
+      method: 'POST',
+      body: JSON.stringify({ bank_transaction_id: bankTransactionId }),
+    });
+  },
+
+  // Unreconciled bank lines and unmatched book items per month
+  getUnreconciled: async (from?: string, to?: string) => {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    return apiCall(`/api/reconciliation/unreconciled?${params.toString()}`);
+  },
+};
+
+export interface InvoiceLineInput {
+  description: string;
+  quantity?: number;
+  unit?: string;
+  unit_price: number;
+  discount?: number;
+  gst_rate?: number;
+  hsn_sac_code?: string;
+}
+
+// Accounts receivable API
+export const receivablesAPI = {
+  getCustomers: async () => {
+    return apiCall('/api/receivables/customers');
+  },
+
+  createCustomer: async (customer: {
+    name: string;
+    email?: string;
+    phone?: string;
+    gstin?: string;
+    billing_address?: string;
+    state?: string;
+    payment_terms_days?: number;
+    notes?: string;
+  }) => {
+    return apiCall('/api/receivables/customers', {
+      method: 'POST',
+      body: JSON.stringify(customer),
+    });
+  },
+
+  updateCustomer: async (customerId: string, updates: Record<string, unknown>) => {
+    return apiCall(`/api/receivables/customers/${customerId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  getInvoices: async (filters: { status?: string; customerId?: string; overdue?: boolean } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.customerId) params.append('customer_id', filters.customerId);
+    if (filters.overdue) params.append('overdue', 'true');
+    return apiCall(`/api/receivables/invoices?${params.toString()}`);
+  },
+
+  createInvoice: async (invoice: {
+    customer_id: string;
+    lines: InvoiceLineInput[];
+    invoice_number?: string;
+    issue_date?: string;
+    due_date?: string;
+    place_of_supply?: string;
+    notes?: string;
+    send?: boolean;
+  }) => {
+    return apiCall('/api/receivables/invoices', {
+      method: 'POST',
+      body: JSON.stringify(invoice),
+    });
+  },
+
+  getInvoice: async (invoiceId: string) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}`);
+  },
+
+  // Send-ready invoice JSON; render with generateInvoicePdf from "@/lib/invoice-pdf"
+  getInvoiceDocument: async (invoiceId: string) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}/document`);
+  },
+
+  updateInvoice: async (invoiceId: string, updates: Record<string, unknown>) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  deleteInvoice: async (invoiceId: string) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}`, { method: 'DELETE' });
+  },
+
+  sendInvoice: async (invoiceId: string) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}/send`, { method: 'POST' });
+  },
+
+  // Partial payments are allowed; each payment also creates an earnings entry
+  recordPayment: async (
+    invoiceId: string,
+    payment: { amount: number; payment_date?: string; method?: string; reference?: string; notes?: string }
+  ) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}/payments`, {
+      method: 'POST',
+      body: JSON.stringify(payment),
+    });
+  },
+
+  writeOff: async (invoiceId: string, reason: string, amount?: number) => {
+    return apiCall(`/api/receivables/invoices/${invoiceId}/write-off`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, amount }),
+    });
+  },
+
+  getAging: async (asOf?: string) => {
+    return apiCall(`/api/receivables/aging${asOf ? `?as_of=${asOf}` : ''}`);
+  },
+};
+
+// Accounts payable API
+export const payablesAPI = {
+  getBills: async (filters: { status?: string; supplierId?: string; overdue?: boolean } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.supplierId) params.append('supplier_id', filters.supplierId);
+    if (filters.overdue) params.append('overdue', 'true');
+    return apiCall(`/api/payables/bills?${params.toString()}`);
+  },
+
+  createBill: async (bill: {
+    supplier_id: string;
+    bill_number: string;
+    lines: (InvoiceLineInput & { category?: string })[];
+    bill_date?: string;
+    due_date?: string;
+    notes?: string;
+  }) => {
+    return apiCall('/api/payables/bills', {
+      method: 'POST',
+      body: JSON.stringify(bill),
+    });
+  },
+
+  // Bill from a processed purchase invoice; the supplier is matched (or created) from the extracted vendor
+  createBillFromDocument: async (request: {
+    document_id: string;
+    supplier_id?: string;
+    bill_number?: string;
+    due_date?: string;
+    notes?: string;
+  }) => {
+    return apiCall('/api/payables/bills/from-document', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  },
+
+  getBill: async (billId: string) => {
+    return apiCall(`/api/payables/bills/${billId}`);
+  },
+
+  recordPayment: async (
+    billId: string,
+    payment: { amount: number; payment_date?: string; method?: string; reference?: string; notes?: string }
+  ) => {
+    return apiCall(`/api/payables/bills/${billId}/payments`, {
+      method: 'POST',
+      body: JSON.stringify(payment),
+    });
+  },
+
+  getPaymentRunProposal: async (payBy?: string) => {
+    return apiCall(`/api/payables/payment-runs/proposal${payBy ? `?pay_by=${payBy}` : ''}`);
+  },
+
+  createPaymentRun: async (run: { bill_ids: string[]; payment_date?: string; method?: string; reference?: string }) => {
+    return apiCall('/api/payables/payment-runs', {
+      method: 'POST',
+      body: JSON.stringify(run),
+    });
+  },
+
+  getPaymentRuns: async () => {
+    return apiCall('/api/payables/payment-runs');
+  },
+
+  getOutstanding: async (asOf?: string) => {
+    return apiCall(`/api/payables/outstanding${asOf ? `?as_of=${asOf}` : ''}`);
+  },
+
+  getSupplierHistory: async (supplierId: string) => {
+    return apiCall(`/api/payables/suppliers/${supplierId}/history`);
+  },
+};
+
+export interface CashFlowScenario {
+  opening_balance?: number;
+  revenue_change_pct?: number;
+  expense_change_pct?: number;
+  collection_delay_days?: number;
+  payment_delay_days?: number;
+  min_balance?: number;
+  exclude_recurring?: string[];
+  one_off?: { date: string; amount: number; description?: string }[];
+}
+
+// Cash-flow forecast API
+export const forecastAPI = {
+  // 13 weekly buckets from today; low_balance_warning.date is the first day below min_balance
+  getCashFlow: async (scenario?: CashFlowScenario) => {
+    if (!scenario) return apiCall('/api/forecast/cashflow');
+    return apiCall('/api/forecast/cashflow', {
+      method: 'POST',
+      body: JSON.stringify(scenario),
+    });
+  },
+};
+
+export interface BudgetInput {
+  category: string;
+  amount: number;
+  month?: string | null;
+  alert_threshold_pct?: number;
+  notes?: string;
+}
+
+// Budgets API
+export const budgetsAPI = {
+  // Without a month every budget is returned; with one, those in force for that month (YYYY-MM)
+  getBudgets: async (month?: string) => {
+    return apiCall(`/api/budgets${month ? `?month=${month}` : ''}`);
+  },
+
+  createBudget: async (budget: BudgetInput) => {
+    return apiCall('/api/budgets', {
+      method: 'POST',
+      body: JSON.stringify(budget),
+    });
+  },
+
+  updateBudget: async (budgetId: string, updates: Partial<BudgetInput>) => {
+    return apiCall(`/api/budgets/${budgetId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  deleteBudget: async (budgetId: string) => {
+    return apiCall(`/api/budgets/${budgetId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Budget vs actual per category; defaults to the current month
+  getVariance: async (month?: string) => {
+    return apiCall(`/api/budgets/variance${month ? `?month=${month}` : ''}`);
+  },
+
+  getAlerts: async (month?: string) => {
+    return apiCall(`/api/budgets/alerts${month ? `?month=${month}` : ''}`);
+  },
+};
+
+export interface RecurringTransactionInput {
+  name: string;
+  type?: 'expense' | 'income';
+  amount: number;
+  category?: string;
+  vendor_name?: string;
+  frequency: 'daily' | 'weekly' | 'monthly' | 'custom';
+  interval_count?: number;
+  day_of_month?: number | null;
+  cron_expression?: string;
+  start_date: string;
+  end_date?: string | null;
+  escalation_pct?: number;
+  escalation_interval_months?: number;
+  notes?: string;
+  post_past_occurrences?: boolean;
+}
+
+// Recurring transactions API
+export const recurringAPI = {
+  getTemplates: async (status?: 'active' | 'paused' | 'ended') => {
+    return apiCall(`/api/recurring${status ? `?status=${status}` : ''}`);
+  },
+
+  // Entries already due are posted straight away; the server scheduler posts the rest as they fall due
+  createTemplate: async (template: RecurringTransactionInput) => {
+    return apiCall('/api/recurring', {
+      method: 'POST',
+      body: JSON.stringify(template),
+    });
+  },
+
+  getTemplate: async (templateId: string) => {
+    return apiCall(`/api/recurring/${templateId}`);
+  },
+
+  updateTemplate: async (
+    templateId: string,
+    updates: Partial<Omit<RecurringTransactionInput, 'post_past_occurrences'>> & { status?: 'active' | 'paused' }
+  ) => {
+    return apiCall(`/api/recurring/${templateId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  deleteTemplate: async (templateId: string) => {
+    return apiCall(`/api/recurring/${templateId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  preview: async (templateId: string, options: { count?: number; until?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (options.count) params.append('count', options.count.toString());
+    if (options.until) params.append('until', options.until);
+    return apiCall(`/api/recurring/${templateId}/preview?${params.toString()}`);
+  },
+
+  getUpcoming: async (days: number = 30) => {
+    return apiCall(`/api/recurring/upcoming?days=${days}`);
+  },
+
+  skipOccurrence: async (templateId: string, scheduledDate: string, notes?: string) => {
+    return apiCall(`/api/recurring/${templateId}/occurrences/${scheduledDate}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'skip', notes }),
+    });
+  },
+
+  // Change one occurrence's amount and/or the date it posts on
+  modifyOccurrence: async (
+    templateId: string,
+    scheduledDate: string,
+    changes: { amount?: number; date?: string; notes?: string }
+  ) => {
+    return apiCall(`/api/recurring/${templateId}/occurrences/${scheduledDate}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'modify', ...changes }),
+    });
+  },
+
+  resetOccurrence: async (templateId: string, scheduledDate: string) => {
+    return apiCall(`/api/recurring/${templateId}/occurrences/${scheduledDate}`, {
+      method: 'DELETE',
+    });
+  },
+
+  runDue: async () => {
+    return apiCall('/api/recurring/run', {
+      method: 'POST',
+    });
+  },
+};
+
+export interface PurchaseOrderLineInput {
+  item_id: string;
+  quantity: number;
+  unit_cost?: number;
+  unit?: string;
+}
+
+export type PurchaseOrderStatus = 'draft' | 'sent' | 'partially_received' | 'closed';
+
+// Purchase orders API
+export const purchaseOrdersAPI = {
+  getOrders: async (filters: { status?: PurchaseOrderStatus; supplier_id?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.supplier_id) params.append('supplier_id', filters.supplier_id);
+    return apiCall(`/api/purchase-orders?${params.toString()}`);
+  },
+
+  getOrder: async (id: string) => {
+    return apiCall(`/api/purchase-orders/${id}`);
+  },
+
+  createOrder: async (order: {
+    supplier_id: string;
+    lines: PurchaseOrderLineInput[];
+    order_date?: string;
+    expected_date?: string;
+    notes?: string;
+  }) => {
+    return apiCall('/api/purchase-orders', {
+      method: 'POST',
+      body: JSON.stringify(order),
+    });
+  },
+
+  // Draft an order for everything the reorder recommendations say is due
+  createFromRecommendations: async (options: {
+    supplier_id: string;
+    item_ids?: string[];
+    urgencies?: ('critical' | 'high' | 'medium' | 'low')[];
+    notes?: string;
+  }) => {
+    return apiCall('/api/purchase-orders/from-recommendations', {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  updateOrder: async (id: string, changes: {
+    supplier_id?: string;
+    order_date?: string;
+    expected_date?: string | null;
+    notes?: string;
+    lines?: PurchaseOrderLineInput[];
+  }) => {
+    return apiCall(`/api/purchase-orders/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  deleteOrder: async (id: string) => {
+    return apiCall(`/api/purchase-orders/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  sendOrder: async (id: string) => {
+    return apiCall(`/api/purchase-orders/${id}/send`, {
+      method: 'POST',
+    });
+  },
+
+  // Without lines, everything still outstanding is received
+  receiveOrder: async (id: string, receipt: {
+    lines?: {
+      line_id: string;
+      quantity: number;
+      unit_cost?: number;
+      batch_number?: string;
+      expiry_date?: string;
+      manufactured_date?: string;
+    }[];
+    received_date?: string;
+    location_id?: string;
+    allow_over_receipt?: boolean;
+  } = {}) => {
+    return apiCall(`/api/purchase-orders/${id}/receive`, {
+      method: 'POST',
+      body: JSON.stringify(receipt),
+    });
+  },
+
+  closeOrder: async (id: string) => {
+    return apiCall(`/api/purchase-orders/${id}/close`, {
+      method: 'POST',
+    });
+  },
+};
+
+export type StockCountStatus = 'in_progress' | 'approved' | 'cancelled';
+
+// A counted quantity, identified by count line, item, barcode or product name
+export interface StockCountEntry {
+  line_id?: string;
+  item_id?: string;
+  barcode?: string;
+  product_name?: string;
+  counted_quantity: number;
+  unit?: string;
+  increment?: boolean;
+  method?: 'manual' | 'voice' | 'barcode';
+  notes?: string;
+}
+
+// Stock count (stock-take) API
+export const stockCountsAPI = {
+  getCounts: async (status?: StockCountStatus) => {
+    return apiCall(`/api/stock-counts${status ? `?status=${status}` : ''}`);
+  },
+
+  getCount: async (id: string) => {
+    return apiCall(`/api/stock-counts/${id}`);
+  },
+
+  // Full count of a location, or a cycle count of one category or some items
+  createCount: async (count: {
+    scope?: 'full' | 'cycle';
+    location_id?: string;
+    category?: string;
+    item_ids?: string[];
+    notes?: string;
+  } = {}) => {
+    return apiCall('/api/stock-counts', {
+      method: 'POST',
+      body: JSON.stringify(count),
+    });
+  },
+
+  recordCounts: async (id: string, counts: StockCountEntry[]) => {
+    return apiCall(`/api/stock-counts/${id}/lines`, {
+      method: 'PUT',
+      body: JSON.stringify({ counts }),
+    });
+  },
+
+  // One scan adds one unit to the scanned item's count
+  recordScan: async (id: string, barcode: string, quantity = 1) => {
+    return apiCall(`/api/stock-counts/${id}/lines`, {
+      method: 'PUT',
+      body: JSON.stringify({ counts: [{ barcode, counted_quantity: quantity, increment: true }] }),
+    });
+  },
+
+  recordVoiceCounts: async (id: string, transcription: string) => {
+    return apiCall(`/api/stock-counts/${id}/voice`, {
+      method: 'POST',
+      body: JSON.stringify({ transcription }),
+    });
+  },
+
+  getVariance: async (id: string, zeroUncounted = false) => {
+    return apiCall(`/api/stock-counts/${id}/variance${zeroUncounted ? '?zero_uncounted=true' : ''}`);
+  },
+
+  approveCount: async (id: string, options: { zero_uncounted?: boolean; notes?: string } = {}) => {
+    return apiCall(`/api/stock-counts/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  cancelCount: async (id: string) => {
+    return apiCall(`/api/stock-counts/${id}/cancel`, {
+      method: 'POST',
+    });
+  },
+};
+
+export type SalesBillStatus = 'completed' | 'partially_returned' | 'returned';
+
+// A bill line names its item by id or barcode; unit_price is per unit sold, including GST unless prices_include_tax is false
+export interface SalesBillLineInput {
+  item_id?: string;
+  barcode?: string;
+  quantity: number;
+  unit?: string;
+  unit_price: number;
+  discount?: number;
+  gst_rate?: 0 | 0.25 | 3 | 5 | 12 | 18 | 28;
+  hsn_sac_code?: string;
+}
+
+// Sales (point-of-sale) API: a bill moves stock out and records the takings in one step
+export const salesAPI = {
+  getBills: async (filters: { from?: string; to?: string; status?: SalesBillStatus } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.from) params.append('from', filters.from);
+    if (filters.to) params.append('to', filters.to);
+    if (filters.status) params.append('status', filters.status);
+    return apiCall(`/api/sales/bills?${params.toString()}`);
+  },
+
+  getBill: async (id: string) => {
+    return apiCall(`/api/sales/bills/${id}`);
+  },
+
+  createBill: async (bill: {
+    lines: SalesBillLineInput[];
+    bill_date?: string;
+    customer_name?: string;
+    customer_phone?: string;
+    place_of_supply?: string;
+    payment_mode?: 'cash' | 'upi' | 'card';
+    location_id?: string;
+    prices_include_tax?: boolean;
+    notes?: string;
+  }) => {
+    return apiCall('/api/sales/bills', {
+      method: 'POST',
+      body: JSON.stringify(bill),
+    });
+  },
+
+  // Credit note; without lines everything not yet returned on the bill is returned
+  createReturn: async (billId: string, creditNote: {
+    reason: string;
+    lines?: Array<{ line_id: string; quantity: number }>;
+    restock?: boolean;
+    note_date?: string;
+    location_id?: string;
+  }) => {
+    return apiCall(`/api/sales/bills/${billId}/returns`, {
+      method: 'POST',
+      body: JSON.stringify(creditNote),
+    });
+  },
+
+  getCreditNotes: async (filters: { from?: string; to?: string } = {}) => {
+    const params = new URLSearchParams();
+    if (filters.from) params.append('from', filters.from);
+    if (filters.to) params.append('to', filters.to);
+    return apiCall(`/api/sales/credit-notes?${params.toString()}`);
+  },
 };
 
 // Advanced comparison helpers
@@ -0,0 +1,71 @@
+import jsPDF from "jspdf";
+import type { ConversationExport } from "@/lib/api";
+
+// jsPDF's built-in fonts have no rupee sign
+const printable = (text: string) => text.replace(/₹/g, "Rs. ");
+
+const fileName = (title: string, extension: string) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+  return `${slug || "conversation"}.${extension}`;
+};
+
+// Render the JSON from GET /api/ai/conversations/:id/export as an A4 transcript
+export const generateConversationPdf = (conversation: ConversationExport) => {
+  const pdf = new jsPDF();
+  let y = 20;
+
+  const nextLine = (step: number) => {
+    y += step;
+    if (y > 275) {
+      pdf.addPage();
+      y = 20;
+    }
+  };
+
+  pdf.setFontSize(16);
+  pdf.text(pdf.splitTextToSize(printable(conversation.title), 170), 20, y);
+  nextLine(8);
+  pdf.setFontSize(9);
+  pdf.text(
+    `Started ${new Date(conversation.created_at).toLocaleString("en-IN")} - ${conversation.messages.length} messages`,
+    20,
+    y
+  );
+  nextLine(10);
+
+  for (const message of conversation.messages) {
+    pdf.setFontSize(10);
+    pdf.setFont("helvetica", "bold");
+    pdf.text(
+      `${message.role === "user" ? "You" : "Assistant"} - ${new Date(message.created_at).toLocaleString("en-IN")}`,
+      20,
+      y
+    );
+    pdf.setFont("helvetica", "normal");
+    nextLine(6);
+
+    pdf.setFontSize(10);
+    const lines: string[] = pdf.splitTextToSize(printable(message.content), 170);
+    for (const line of lines) {
+      pdf.text(line, 20, y);
+      nextLine(5);
+    }
+    nextLine(4);
+  }
+
+  return pdf;
+};
+
+export const downloadConversationPdf = (conversation: ConversationExport) => {
+  generateConversationPdf(conversation).save(fileName(conversation.title, "pdf"));
+};
+
+export const downloadConversationMarkdown = (conversation: ConversationExport) => {
+  const blob = new Blob([conversation.markdown], { type: "text/markdown;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName(conversation.title, "md");
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,131 @@
+import jsPDF from "jspdf";
+
+export interface InvoiceDocumentLine {
+  line_number: number;
+  description: string;
+  hsn_sac_code: string | null;
+  quantity: number;
+  unit: string | null;
+  unit_price: number;
+  gst_rate: number;
+  taxable_value: number;
+  line_total: number;
+}
+
+export interface InvoiceDocument {
+  invoice_number: string;
+  issue_date: string;
+  due_date: string;
+  seller: { name: string | null; gstin: string | null; address: string | null; state: string | null };
+  buyer: { name: string | null; gstin: string | null; email: string | null; address: string | null };
+  place_of_supply: { state_code: string; state: string | null } | null;
+  lines: InvoiceDocumentLine[];
+  totals: {
+    subtotal: number;
+    cgst_amount: number;
+    sgst_amount: number;
+    igst_amount: number;
+    total: number;
+    amount_paid: number;
+    amount_written_off: number;
+    balance_due: number;
+  };
+  notes: string | null;
+}
+
+const money = (amount: number) => `Rs. ${amount.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Render the JSON from GET /api/receivables/invoices/:id/document as an A4 tax invoice
+export const generateInvoicePdf = (invoice: InvoiceDocument) => {
+  const pdf = new jsPDF();
+  let y = 20;
+
+  const nextLine = (step: number) => {
+    y += step;
+    if (y > 275) {
+      pdf.addPage();
+      y = 20;
+    }
+  };
+
+  pdf.setFontSize(18);
+  pdf.text("TAX INVOICE", 20, y);
+  pdf.setFontSize(10);
+  pdf.text(`Invoice #: ${invoice.invoice_number}`, 140, y);
+  pdf.text(`Date: ${invoice.issue_date}`, 140, y + 6);
+  pdf.text(`Due: ${invoice.due_date}`, 140, y + 12);
+  nextLine(12);
+
+  pdf.setFontSize(11);
+  pdf.text(invoice.seller.name || "", 20, y);
+  pdf.setFontSize(9);
+  if (invoice.seller.address) pdf.text(invoice.seller.address, 20, y + 5);
+  if (invoice.seller.gstin) pdf.text(`GSTIN: ${invoice.seller.gstin}`, 20, y + 10);
+  nextLine(22);
+
+  pdf.setFontSize(10);
+  pdf.text("Bill To:", 20, y);
+  pdf.setFontSize(11);
+  pdf.text(invoice.buyer.name || "", 20, y + 6);
+  pdf.setFontSize(9);
+  if (invoice.buyer.address) pdf.text(invoice.buyer.address, 20, y + 11);
+  if (invoice.buyer.gstin) pdf.text(`GSTIN: ${invoice.buyer.gstin}`, 20, y + 16);
+  if (invoice.place_of_supply) {
+    pdf.text(`Place of supply: ${invoice.place_of_supply.state || ""} (${invoice.place_of_supply.state_code})`, 120, y + 6);
+  }
+  nextLine(26);
+
+  pdf.setFontSize(9);
+  pdf.text("#", 20, y);
+  pdf.text("Description", 28, y);
+  pdf.text("HSN/SAC", 95, y);
+  pdf.text("Qty", 118, y);
+  pdf.text("Rate", 132, y);
+  pdf.text("GST%", 152, y);
+  pdf.text("Amount", 170, y);
+  pdf.line(20, y + 2, 195, y + 2);
+  nextLine(8);
+
+  for (const line of invoice.lines) {
+    pdf.text(String(line.line_number), 20, y);
+    pdf.text(line.description.substring(0, 38), 28, y);
+    pdf.text(line.hsn_sac_code || "-", 95, y);
+    pdf.text(`${line.quantity}${line.unit ? ` ${line.unit}` : ""}`, 118, y);
+    pdf.text(line.unit_price.toFixed(2), 132, y);
+    pdf.text(String(line.gst_rate), 152, y);
+    pdf.text(line.taxable_value.toFixed(2), 170, y);
+    nextLine(7);
+  }
+
+  pdf.line(20, y - 3, 195, y - 3);
+  nextLine(3);
+
+  const totals: [string, number][] = [
+    ["Taxable value", invoice.totals.subtotal],
+    ...(invoice.totals.igst_amount > 0
+      ? [["IGST", invoice.totals.igst_amount] as [string, number]]
+      : [
+          ["CGST", invoice.totals.cgst_amount] as [string, number],
+          ["SGST", invoice.totals.sgst_amount] as [string, number],
+        ]),
+    ["Invoice total", invoice.totals.total],
+  ];
+  if (invoice.totals.amount_paid > 0) totals.push(["Paid", -invoice.totals.amount_paid]);
+  if (invoice.totals.amount_written_off > 0) totals.push(["Written off", -invoice.totals.amount_written_off]);
+  totals.push(["Balance due", invoice.totals.balance_due]);
+
+  pdf.setFontSize(10);
+  for (const [label, amount] of totals) {
+    pdf.text(label, 130, y);
+    pdf.text(money(amount), 165, y);
+    nextLine(6);
+  }
+
+  if (invoice.notes) {
+    nextLine(6);
+    pdf.setFontSize(9);
+    pdf.text(pdf.splitTextToSize(invoice.notes, 170), 20, y);
+  }
+
+  return pdf;
+};
@@ -0,0 +1,534 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { useToast } from "@/hooks/use-toast";
+import {
+  knowledgeAPI,
+  type KnowledgeEntity,
+  type KnowledgeGraph,
+  type KnowledgeGraphNode,
+  type KnowledgeRelationship,
+  type KnowledgeSource,
+} from "@/lib/api";
+import { ArrowLeft, GitMerge, Pin, PinOff, RefreshCcw, Save, Search, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+interface EntityDetail {
+  entity: KnowledgeEntity;
+  relationships: KnowledgeRelationship[];
+  sources: KnowledgeSource[];
+}
+
+const WIDTH = 800;
+const HEIGHT = 520;
+
+const TYPE_COLORS = ["#2563eb", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#db2777", "#65a30d", "#ca8a04"];
+
+const colorFor = (type: string) => {
+  let hash = 0;
+  for (const char of type || "") hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return TYPE_COLORS[hash % TYPE_COLORS.length];
+};
+
+// A small force layout: nodes repel, edges pull, everything drifts to the centre. Seeded on a circle
+// so the same graph always lands the same way.
+const layoutGraph = (graph: KnowledgeGraph) => {
+  const positions = new Map<string, { x: number; y: number }>();
+  const count = graph.nodes.length;
+  graph.nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(count, 1);
+    positions.set(node.key, {
+      x: WIDTH / 2 + Math.cos(angle) * WIDTH * 0.35,
+      y: HEIGHT / 2 + Math.sin(angle) * HEIGHT * 0.35,
+    });
+  });
+  if (count < 2) return positions;
+
+  const points = graph.nodes.map((node) => positions.get(node.key)!);
+  const ideal = Math.sqrt((WIDTH * HEIGHT) / count) * 0.6;
+
+  for (let step = 0; step < 200; step++) {
+    const cooling = 1 - step / 200;
+    const forces = points.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = points[i].x - points[j].x;
+        const dy = points[i].y - points[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const push = (ideal * ideal) / distance;
+        forces[i].x += (dx / distance) * push;
+        forces[i].y += (dy / distance) * push;
+        forces[j].x -= (dx / distance) * push;
+        forces[j].y -= (dy / distance) * push;
+      }
+    }
+
+    graph.edges.forEach((edge) => {
+      const from = positions.get(edge.source);
+      const to = positions.get(edge.target);
+      if (!from || !to || from === to) return;
+      const i = points.indexOf(from);
+      const j = points.indexOf(to);
+      const dx = from.x - to.x;
+      const dy = from.y - to.y;
+      const distance = Math.max(Math.hypot(dx, dy), 1);
+      const pull = (distance * distance) / ideal;
+      forces[i].x -= (dx / distance) * pull;
+      forces[i].y -= (dy / distance) * pull;
+      forces[j].x += (dx / distance) * pull;
+      forces[j].y += (dy / distance) * pull;
+    });
+
+    points.forEach((point, i) => {
+      forces[i].x += (WIDTH / 2 - point.x) * 0.05;
+      forces[i].y += (HEIGHT / 2 - point.y) * 0.05;
+      const magnitude = Math.max(Math.hypot(forces[i].x, forces[i].y), 1);
+      const move = Math.min(magnitude, 20 * cooling + 1);
+      point.x = Math.min(WIDTH - 30, Math.max(30, point.x + (forces[i].x / magnitude) * move));
+      point.y = Math.min(HEIGHT - 20, Math.max(20, point.y + (forces[i].y / magnitude) * move));
+    });
+  }
+
+  return positions;
+};
+
+export default function KnowledgeGraphPage() {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+
+  const [graph, setGraph] = useState<KnowledgeGraph | null>(null);
+  const [entities, setEntities] = useState<KnowledgeEntity[]>([]);
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [detail, setDetail] = useState<EntityDetail | null>(null);
+  const [draft, setDraft] = useState({ entity_name: "", entity_type: "", context: "" });
+  const [mergeIds, setMergeIds] = useState<string[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  const positions = useMemo(() => (graph ? layoutGraph(graph) : new Map<string, { x: number; y: number }>()), [graph]);
+
+  const showError = useCallback(
+    (title: string, error: unknown) => {
+      toast({
+        title,
+        description: error instanceof Error ? error.message : String(error),
+        variant: "destructive",
+      });
+    },
+    [toast]
+  );
+
+  const loadGraph = useCallback(async () => {
+    try {
+      const result = await knowledgeAPI.getGraph();
+      setGraph(result.data);
+    } catch (error) {
+      showError("Failed to load knowledge graph", error);
+    }
+  }, [showError]);
+
+  // Search results for a query, otherwise the full list
+  const loadEntities = useCallback(async (query: string) => {
+    try {
+      setLoading(true);
+      if (query.trim()) {
+        const result = await knowledgeAPI.searchEntities(query.trim(), 50);
+        setEntities(result.data?.results || []);
+      } else {
+        const result = await knowledgeAPI.listEntities({ limit: 100 });
+        setEntities(result.data?.entities || []);
+      }
+    } catch (error) {
+      showError("Failed to load facts", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const openEntity = async (id: string) => {
+    try {
+      const result = await knowledgeAPI.getEntity(id);
+      setDetail(result.data);
+      setDraft({
+        entity_name: result.data.entity.entity_name,
+        entity_type: result.data.entity.entity_type || "",
+        context: result.data.entity.context || "",
+      });
+    } catch (error) {
+      showError("Failed to load fact", error);
+    }
+  };
+
+  const refresh = async () => {
+    await Promise.all([loadGraph(), loadEntities(search)]);
+    if (detail) await openEntity(detail.entity.id);
+  };
+
+  useEffect(() => {
+    loadGraph();
+    loadEntities("");
+  }, [loadGraph, loadEntities]);
+
+  const saveEntity = async () => {
+    if (!detail) return;
+    const changes: { entity_name?: string; entity_type?: string; context?: string } = {};
+    if (draft.entity_name.trim() && draft.entity_name.trim() !== detail.entity.entity_name) changes.entity_name = draft.entity_name.trim();
+    if (draft.entity_type.trim() && draft.entity_type.trim() !== detail.entity.entity_type) changes.entity_type = draft.entity_type.trim();
+    if (draft.context.trim() !== (detail.entity.context || "")) changes.context = draft.context.trim();
+    if (Object.keys(changes).length === 0) return;
+
+    try {
+      setSaving(true);
+      await knowledgeAPI.updateEntity(detail.entity.id, changes);
+      toast({ title: "Fact updated" });
+      await refresh();
+    } catch (error) {
+      showError("Failed to update fact", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePin = async (entity: KnowledgeEntity) => {
+    try {
+      await knowledgeAPI.updateEntity(entity.id, { pinned: !entity.pinned });
+      toast({
+        title: entity.pinned ? "Fact unpinned" : "Fact pinned",
+        description: entity.pinned ? undefined : "The assistant will always keep this in mind.",
+      });
+      await refresh();
+    } catch (error) {
+      showError("Failed to update fact", error);
+    }
+  };
+
+  const deleteEntity = async (entity: KnowledgeEntity) => {
+    if (!window.confirm(`Forget "${entity.entity_name}"?`)) return;
+    try {
+      await knowledgeAPI.deleteEntity(entity.id);
+      toast({ title: "Fact deleted" });
+      setDetail(null);
+      setMergeIds((ids) => ids.filter((id) => id !== entity.id));
+      await Promise.all([loadGraph(), loadEntities(search)]);
+    } catch (error) {
+      showError("Failed to delete fact", error);
+    }
+  };
+
+  const mergeInto = async () => {
+    if (!detail) return;
+    const sourceIds = mergeIds.filter((id) => id !== detail.entity.id);
+    if (sourceIds.length === 0) return;
+    try {
+      await knowledgeAPI.mergeEntities(detail.entity.id, sourceIds);
+      toast({ title: "Facts merged", description: `${sourceIds.length} merged into "${detail.entity.entity_name}"` });
+      setMergeIds([]);
+      await refresh();
+    } catch (error) {
+      showError("Failed to merge facts", error);
+    }
+  };
+
+  const toggleRelationshipPin = async (relationship: KnowledgeRelationship) => {
+    try {
+      await knowledgeAPI.updateRelationship(relationship.id, { pinned: !relationship.pinned });
+      await refresh();
+    } catch (error) {
+      showError("Failed to update relationship", error);
+    }
+  };
+
+  const deleteRelationship = async (relationship: KnowledgeRelationship) => {
+    try {
+      await knowledgeAPI.deleteRelationship(relationship.id);
+      toast({ title: "Relationship deleted" });
+      await refresh();
+    } catch (error) {
+      showError("Failed to delete relationship", error);
+    }
+  };
+
+  const toggleMerge = (id: string) => {
+    setMergeIds((ids) => (ids.includes(id) ? ids.filter((existing) => existing !== id) : [...ids, id]));
+  };
+
+  const selectedKey = detail?.entity.entity_name.trim().toLowerCase();
+
+  const nodeRadius = (node: KnowledgeGraphNode) => 6 + Math.min(node.mentions, 8) * 1.5;
+
+  return (
+    <div className="min-h-screen bg-background p-4 md:p-8">
+      <div className="container mx-auto max-w-7xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <Button variant="ghost" onClick={() => navigate("/")} className="flex items-center gap-2">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Dashboard
+          </Button>
+
+          <div className="flex items-center gap-4">
+            {graph && (
+              <p className="text-sm text-muted-foreground">
+                {graph.stats.distinct_entities} facts · {graph.stats.relationships} relationships · {graph.stats.pinned} pinned
+              </p>
+            )}
+            <Button variant="outline" size="sm" onClick={refresh}>
+              <RefreshCcw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-12 gap-6">
+          <div className="lg:col-span-8 space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>Knowledge Graph</CardTitle>
+                <CardDescription>
+                  What the assistant has learned from your conversations and documents. Click a fact to review it.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {!graph || graph.nodes.length === 0 ? (
+                  <p className="text-sm text-muted-foreground text-center py-16">
+                    Nothing learned yet. Chat with the assistant to build your knowledge graph.
+                  </p>
+                ) : (
+                  <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto rounded-md border bg-muted/20">
+                    {graph.edges.map((edge) => {
+                      const from = positions.get(edge.source);
+                      const to = positions.get(edge.target);
+                      if (!from || !to) return null;
+                      return (
+                        <line
+                          key={edge.id}
+                          x1={from.x}
+                          y1={from.y}
+                          x2={to.x}
+                          y2={to.y}
+                          stroke={edge.pinned ? "#f59e0b" : "#94a3b8"}
+                          strokeWidth={1 + edge.strength * 2}
+                          strokeOpacity={0.7}
+                        >
+                          <title>{edge.type}</title>
+                        </line>
+                      );
+                    })}
+                    {graph.nodes.map((node) => {
+                      const point = positions.get(node.key);
+                      if (!point) return null;
+                      const selected = node.key === selectedKey;
+                      return (
+                        <g key={node.key} className="cursor-pointer" onClick={() => openEntity(node.id)}>
+                          <circle
+                            cx={point.x}
+                            cy={point.y}
+                            r={nodeRadius(node)}
+                            fill={colorFor(node.type)}
+                            fillOpacity={0.4 + node.confidence * 0.6}
+                            stroke={node.pinned ? "#f59e0b" : selected ? "#0f172a" : "white"}
+                            strokeWidth={node.pinned || selected ? 3 : 1.5}
+                          />
+                          <text
+                            x={point.x}
+                            y={point.y - nodeRadius(node) - 4}
+                            textAnchor="middle"
+                            className="fill-foreground"
+                            fontSize={11}
+                            fontWeight={selected ? 700 : 400}
+                          >
+                            {node.pinned ? "📌 " : ""}
+                            {node.label.length > 24 ? `${node.label.slice(0, 23)}…` : node.label}
+                          </text>
+                          <title>
+                            {`${node.label} (${node.type}) - ${Math.round(node.confidence * 100)}% confidence, ${node.mentions} conversation(s)`}
+                          </title>
+                        </g>
+                      );
+                    })}
+                  </svg>
+                )}
+              </CardContent>
+            </Card>
+
+            {detail && (
+              <Card>
+                <CardHeader>
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <CardTitle className="flex items-center gap-2">
+                        {detail.entity.entity_name}
+                        {detail.entity.pinned && <Badge variant="secondary">Pinned</Badge>}
+                      </CardTitle>
+                      <CardDescription>
+                        {detail.entity.entity_type} · {Math.round((detail.entity.confidence || 0) * 100)}% confidence
+                        {detail.entity.extraction_confidence != null
+                          ? ` · extracted with ${Math.round(detail.entity.extraction_confidence * 100)}% certainty`
+                          : ""}
+                        {detail.entity.extraction_method ? ` · ${detail.entity.extraction_method}` : ""}
+                      </CardDescription>
+                      {detail.entity.entity_value && (
+                        <p className="text-sm mt-1">
+                          {detail.entity.entity_value}
+                          {detail.entity.value_unit ? ` ${detail.entity.value_unit}` : ""}
+                          {detail.entity.entity_date
+                            ? ` as of ${new Date(detail.entity.entity_date).toLocaleDateString("en-IN")}`
+                            : ""}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" onClick={() => togglePin(detail.entity)}>
+                        {detail.entity.pinned ? <PinOff className="h-4 w-4 mr-2" /> : <Pin className="h-4 w-4 mr-2" />}
+                        {detail.entity.pinned ? "Unpin" : "Pin"}
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => deleteEntity(detail.entity)}>
+                        <Trash2 className="h-4 w-4 mr-2" />
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="grid md:grid-cols-3 gap-3">
+                    <Input
+                      value={draft.entity_name}
+                      onChange={(e) => setDraft({ ...draft, entity_name: e.target.value })}
+                      placeholder="Name"
+                    />
+                    <Input
+                      value={draft.entity_type}
+                      onChange={(e) => setDraft({ ...draft, entity_type: e.target.value })}
+                      placeholder="Type"
+                    />
+                    <Input
+                      value={draft.context}
+                      onChange={(e) => setDraft({ ...draft, context: e.target.value })}
+                      placeholder="Note"
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <Button size="sm" onClick={saveEntity} disabled={saving}>
+                      <Save className="h-4 w-4 mr-2" />
+                      Save changes
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={mergeInto}
+                      disabled={mergeIds.filter((id) => id !== detail.entity.id).length === 0}
+                    >
+                      <GitMerge className="h-4 w-4 mr-2" />
+                      Merge {mergeIds.filter((id) => id !== detail.entity.id).length} selected into this
+                    </Button>
+                  </div>
+
+                  <div>
+                    <h4 className="text-sm font-semibold mb-2">Relationships</h4>
+                    {detail.relationships.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">No relationships.</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {detail.relationships.map((relationship) => (
+                          <div key={relationship.id} className="flex items-center justify-between rounded-md border p-2 text-sm">
+                            <span>
+                              {relationship.from_entity} <span className="text-muted-foreground">→ {relationship.relationship_type} →</span>{" "}
+                              {relationship.to_entity}
+                            </span>
+                            <div className="flex items-center gap-1">
+                              <Button variant="ghost" size="sm" onClick={() => toggleRelationshipPin(relationship)}>
+                                {relationship.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                              </Button>
+                              <Button variant="ghost" size="sm" onClick={() => deleteRelationship(relationship)}>
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <h4 className="text-sm font-semibold mb-2">Learned from</h4>
+                    {detail.sources.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">No source conversations recorded.</p>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {detail.sources.map((source) => (
+                          <li key={source.conversation_id} className="flex items-center justify-between">
+                            <span>{source.title || source.conversation_id}</span>
+                            <span className="text-xs text-muted-foreground">
+                              {new Date(source.first_seen_at).toLocaleDateString("en-IN")}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+
+          <div className="lg:col-span-4">
+            <Card>
+              <CardHeader>
+                <CardTitle>Facts</CardTitle>
+                <CardDescription>Tick facts to merge them into the one you have open.</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <form
+                  className="flex gap-2"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    loadEntities(search);
+                  }}
+                >
+                  <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search facts..." />
+                  <Button type="submit" variant="outline" size="icon" disabled={loading}>
+                    <Search className="h-4 w-4" />
+                  </Button>
+                </form>
+
+                <div className="space-y-1 max-h-[640px] overflow-y-auto">
+                  {entities.length === 0 && !loading && (
+                    <p className="text-sm text-muted-foreground text-center py-6">No facts found.</p>
+                  )}
+                  {entities.map((entity) => (
+                    <div
+                      key={entity.id}
+                      className={cn(
+                        "flex items-center gap-2 rounded-md p-2 text-sm hover:bg-muted cursor-pointer",
+                        detail?.entity.id === entity.id && "bg-muted"
+                      )}
+                      onClick={() => openEntity(entity.id)}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={mergeIds.includes(entity.id)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleMerge(entity.id)}
+                      />
+                      <span className="flex-1 truncate">
+                        {entity.pinned && "📌 "}
+                        {entity.entity_name}
+                      </span>
+                      <Badge variant="outline" className="text-xs">
+                        {entity.entity_type}
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
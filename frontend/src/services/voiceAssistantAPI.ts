@@ -129,6 +129,22 @@ export const voiceAssistantAPI = {
     return response.json();
   },
 
+  // Take back the last voice stock movement (only within a few minutes of saying it)
+  undoLastInventoryCommand: async (reason?: string) => {
+    const token = await getAuthToken();
+
+    const response = await fetch(`${API_BASE_URL}/api/voice-assistant/inventory/undo`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ reason })
+    });
+
+    return response.json();
+  },
+
   // Send business alerts
   sendBusinessAlert: async (data: any) => {
     const token = await getAuthToken();